@@ -32,9 +32,9 @@ const AIAssistant = {
     
     // Load chat history from storage
     loadChatHistory() {
-        const stored = localStorage.getItem('lifeos_chat_history');
+        const stored = DataManager.get('lifeos_chat_history');
         if (stored) {
-            this.chatHistory = JSON.parse(stored);
+            this.chatHistory = stored;
         } else {
             // Welcome message with smart suggestions
             this.chatHistory = [
@@ -51,9 +51,9 @@ const AIAssistant = {
     
     // Load user patterns for predictive AI
     loadUserPatterns() {
-        const tasks = JSON.parse(localStorage.getItem('lifeos_tasks') || '[]');
-        const moods = JSON.parse(localStorage.getItem('lifeos_moods') || '[]');
-        const habits = JSON.parse(localStorage.getItem('lifeos_habits') || '[]');
+        const tasks = DataManager.get('lifeos_tasks', []);
+        const moods = DataManager.get('lifeos_moods', []);
+        const habits = DataManager.get('lifeos_habits', []);
         
         // Analyze peak productivity hours from completed tasks
         const completedTasks = tasks.filter(t => t.completed && t.completedAt);
@@ -135,9 +135,9 @@ const AIAssistant = {
         }
         
         // Task-based suggestions
-        const tasks = JSON.parse(localStorage.getItem('lifeos_tasks') || '[]');
-        const overdueTasks = tasks.filter(t => !t.completed && new Date(t.dueDate) < new Date());
-        const todayTasks = tasks.filter(t => !t.completed && new Date(t.dueDate).toDateString() === new Date().toDateString());
+        const tasks = DataManager.get('lifeos_tasks', []);
+        const overdueTasks = tasks.filter(t => !t.completed && t.deadline && new Date(t.deadline) < new Date());
+        const todayTasks = tasks.filter(t => !t.completed && t.deadline && new Date(t.deadline).toDateString() === new Date().toDateString());
         
         if (overdueTasks.length > 0) {
             suggestions.push(`You have ${overdueTasks.length} overdue task(s). Let me help you catch up!`);
@@ -147,7 +147,7 @@ const AIAssistant = {
         }
         
         // Habit suggestions
-        const habits = JSON.parse(localStorage.getItem('lifeos_habits') || '[]');
+        const habits = DataManager.get('lifeos_habits', []);
         const incompleteHabits = habits.filter(h => {
             const today = new Date().toDateString();
             return !h.completedDates || !h.completedDates.includes(today);
@@ -158,7 +158,7 @@ const AIAssistant = {
         }
         
         // Expense insights
-        const expenses = JSON.parse(localStorage.getItem('lifeos_expenses') || '[]');
+        const expenses = DataManager.get('lifeos_expenses', []);
         const thisMonth = expenses.filter(e => {
             const date = new Date(e.date);
             const now = new Date();
@@ -175,7 +175,7 @@ const AIAssistant = {
     
     // Save chat history to storage
     saveChatHistory() {
-        localStorage.setItem('lifeos_chat_history', JSON.stringify(this.chatHistory));
+        DataManager.set('lifeos_chat_history', this.chatHistory);
     },
     
     // Setup AI commands
@@ -208,7 +208,7 @@ const AIAssistant = {
     
     // Handle show tasks
     handleShowTasks() {
-        const tasks = JSON.parse(localStorage.getItem('lifeos_tasks') || '[]');
+        const tasks = DataManager.get('lifeos_tasks', []);
         const pending = tasks.filter(t => !t.completed);
         
         if (pending.length === 0) {
@@ -216,7 +216,8 @@ const AIAssistant = {
         }
         
         const urgent = pending.filter(t => {
-            const due = new Date(t.dueDate);
+            if (!t.deadline) return false;
+            const due = new Date(t.deadline);
             const now = new Date();
             const diffDays = Math.ceil((due - now) / (1000 * 60 * 60 * 24));
             return diffDays <= 2;
@@ -240,7 +241,7 @@ const AIAssistant = {
     
     // Handle mood insights
     handleMoodInsights() {
-        const moods = JSON.parse(localStorage.getItem('lifeos_moods') || '[]');
+        const moods = DataManager.get('lifeos_moods', []);
         
         if (moods.length < 3) {
             return 'Log more moods to get personalized insights!';
@@ -280,7 +281,7 @@ const AIAssistant = {
     
     // Handle show habits
     handleShowHabits() {
-        const habits = JSON.parse(localStorage.getItem('lifeos_habits') || '[]');
+        const habits = DataManager.get('lifeos_habits', []);
         
         if (habits.length === 0) {
             return 'You haven\'t set up any habits yet. Would you like to create one?';
@@ -326,7 +327,7 @@ const AIAssistant = {
     
     // Handle productivity report
     handleProductivityReport() {
-        const tasks = JSON.parse(localStorage.getItem('lifeos_tasks') || '[]');
+        const tasks = DataManager.get('lifeos_tasks', []);
         const completed = tasks.filter(t => t.completed);
         
         const weekAgo = new Date();
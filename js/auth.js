@@ -4,10 +4,26 @@ const AuthManager = {
     currentUser: null,
     sessionToken: null,
     rememberMe: false,
+    LOCKOUT_KEY: 'lifeos_auth_lockouts',
+    TWO_FACTOR_TIMEOUT_MS: 5 * 60 * 1000,
+    // Set by login() when the password was accepted but a TOTP code is still needed
+    pendingLogin: null,
 
     init() {
+        // Failed login lockouts survive reloads
+        SecurityUtils.rateLimiter.useStorage({
+            load: () => DataManager.get(this.LOCKOUT_KEY, {}),
+            save: (lockouts) => DataManager.set(this.LOCKOUT_KEY, lockouts)
+        });
+
         // Load user from secure storage
         this.loadSession();
+
+        this.adoptLegacyData();
+        if (this.activateProfile(this.currentUser && this.currentUser.id)) return;
+
+        // Another tab signed in or out, so its data set is now the active one
+        TabSync.on('profile', () => window.location.reload());
         
         // Setup event listeners
         this.setupEventListeners();
@@ -17,17 +33,40 @@ const AuthManager = {
     },
 
     setupEventListeners() {
-        document.addEventListener('DOMContentLoaded', () => {
-            const loginForm = document.getElementById('loginForm');
-            if (loginForm) {
-                // Remove inline handler and use addEventListener
-                loginForm.removeAttribute('onsubmit');
-                loginForm.addEventListener('submit', (e) => {
-                    e.preventDefault();
-                    this.handleLogin(e);
-                });
-            }
-        });
+        // init() runs after DOMContentLoaded, so the forms are already in the page
+        const loginForm = document.getElementById('loginForm');
+        const signupForm = document.getElementById('signupForm');
+
+        if (loginForm) {
+            // Remove inline handler and use addEventListener
+            loginForm.removeAttribute('onsubmit');
+            loginForm.addEventListener('submit', (e) => this.handleLogin(e));
+        }
+
+        if (signupForm) {
+            signupForm.removeAttribute('onsubmit');
+            signupForm.addEventListener('submit', (e) => this.handleSignup(e));
+        }
+
+        // Password strength checker
+        const passwordInput = document.getElementById('signupPassword');
+        if (passwordInput) {
+            passwordInput.addEventListener('input', (e) => this.checkPasswordStrength(e.target.value));
+        }
+    },
+
+    checkPasswordStrength(password) {
+        const strengthBar = document.getElementById('passwordStrength');
+        const strengthText = document.getElementById('passwordStrengthText');
+
+        if (!strengthBar || !strengthText) return;
+
+        const { score, strength } = SecurityUtils.validatePassword(password);
+        const colors = ['var(--danger)', 'var(--danger)', 'var(--warning)', 'var(--info)', 'var(--success)', 'var(--success)'];
+
+        strengthBar.style.width = `${score * 20}%`;
+        strengthBar.style.background = colors[score];
+        strengthText.textContent = password ? strength : 'Enter password';
     },
 
     handleAuthState() {
@@ -35,6 +74,7 @@ const AuthManager = {
             document.getElementById('authContainer')?.classList.add('hidden');
             document.getElementById('mainDashboard')?.classList.remove('hidden');
             this.updateWelcomeMessage();
+            this.updateUserUI();
             
             // Show user menu button
             const userMenuContainer = document.getElementById('userMenuContainer');
@@ -62,6 +102,24 @@ const AuthManager = {
         this.setupClickOutsideListener();
     },
 
+    updateUserUI() {
+        if (!this.currentUser) return;
+
+        const userNameEl = document.getElementById('userName');
+        const dropdownUserEmail = document.getElementById('dropdownUserEmail');
+        const userAvatar = document.getElementById('userAvatar');
+        const userIcon = document.getElementById('userIcon');
+
+        if (userNameEl) userNameEl.textContent = this.currentUser.name || this.currentUser.email.split('@')[0];
+        if (dropdownUserEmail) dropdownUserEmail.textContent = this.currentUser.email;
+
+        if (this.currentUser.avatar && userAvatar) {
+            userAvatar.src = this.currentUser.avatar;
+            userAvatar.style.display = 'block';
+            if (userIcon) userIcon.style.display = 'none';
+        }
+    },
+
     setupClickOutsideListener() {
         document.addEventListener('click', (event) => {
             const dropdown = document.getElementById('userDropdown');
@@ -87,7 +145,7 @@ const AuthManager = {
             return;
         }
 
-        const email = emailInput.value.trim();
+        const email = this.normalizeEmail(emailInput.value);
         const password = passwordInput.value;
 
         // Validate inputs
@@ -111,23 +169,20 @@ const AuthManager = {
 
         try {
             // Attempt login
-            const result = await this.login(email, password);
+            const result = await this.signIn(email, password);
             
-            if (result.success) {
-                this.currentUser = result.user;
-                this.sessionToken = result.token;
-                
-                // Store session securely
-                this.saveSession(result.user, result.token);
+            if (result && result.success) {
+                // Clear form
+                emailInput.value = '';
+                passwordInput.value = '';
+
+                // The page reloads when this user's data set has to be loaded
+                if (this.startSession(result)) return;
                 
                 // Update UI
                 this.handleAuthState();
                 this.updateWelcomeMessage();
                 
-                // Clear form
-                emailInput.value = '';
-                passwordInput.value = '';
-                
                 NotificationSystem.success('Login successful! Welcome back!', 3000);
             }
         } catch (error) {
@@ -135,37 +190,218 @@ const AuthManager = {
         }
     },
 
-    async login(email, password) {
-        // Get users from secure storage
-        const users = DataManager.get(DataManager.STORAGE_KEYS.USER + '_list', []);
+    /**
+     * Check credentials, asking for the second factor when the account has one
+     * @returns {Promise<Object|null>} Login result, or null if the 2FA prompt was cancelled
+     */
+    async signIn(email, password) {
+        const result = await this.login(email, password);
+        if (!result.twoFactorRequired) return result;
+
+        const completed = await TwoFactorAuth.showChallenge();
+        if (!completed) this.pendingLogin = null;
+        return completed;
+    },
+
+    /**
+     * Store the session and load the user's data set
+     * @param {Object} result - Successful login or register result
+     * @returns {boolean} True when the page is reloading into another profile
+     */
+    startSession(result) {
+        this.currentUser = result.user;
+        this.sessionToken = result.token;
         
+        // Store session securely
+        this.saveSession(result.user, result.token);
+
+        this.adoptLegacyData();
+        return this.activateProfile(result.user.id);
+    },
+
+    getUsers() {
+        return DataManager.get(DataManager.STORAGE_KEYS.USER + '_list', []);
+    },
+
+    // Emails are compared and rate-limited case-insensitively
+    normalizeEmail(email) {
+        return String(email || '').trim().toLowerCase();
+    },
+
+    // Accounts registered before emails were normalized may still hold mixed case
+    findUserByEmail(email) {
+        const normalized = this.normalizeEmail(email);
+        return this.getUsers().find(u => this.normalizeEmail(u.email) === normalized);
+    },
+
+    // Data saved before profiles existed belongs to the first registered account
+    adoptLegacyData() {
+        const [firstUser] = this.getUsers();
+        if (firstUser) {
+            DataManager.adoptUnscopedData(firstUser.id);
+        }
+    },
+
+    /**
+     * Make a user's data the active data set
+     * Modules keep what they loaded, so the page reloads after a switch.
+     * @param {string|null} userId - User id, null when signed out
+     * @returns {boolean} True when the page is reloading
+     */
+    activateProfile(userId) {
+        if (!DataManager.switchProfile(userId || null)) return false;
+
+        DataManager.flush().then(() => window.location.reload());
+        return true;
+    },
+
+    async login(email, password) {
+        email = this.normalizeEmail(email);
+        const lockoutKey = `login_${email}`;
+        const lockedFor = SecurityUtils.rateLimiter.getLockoutRemaining(lockoutKey);
+        if (lockedFor > 0) {
+            throw new Error(`Too many failed attempts. Try again in ${this.formatDuration(lockedFor)}.`);
+        }
+
         // Find user by email
-        const user = users.find(u => u.email === email);
+        const user = this.findUserByEmail(email);
         
-        if (!user) {
-            throw new Error('Invalid email or password');
+        if (!user || !(await this.verifyUserPassword(user, password))) {
+            const lockout = SecurityUtils.rateLimiter.recordFailure(lockoutKey);
+            throw new Error(lockout > 0
+                ? `Invalid email or password. Too many failed attempts, try again in ${this.formatDuration(lockout)}.`
+                : 'Invalid email or password');
         }
 
-        // Verify password (in production, use proper password hashing)
-        // For demo, we use simple hash comparison
-        const passwordHash = SecurityUtils.simpleHash(password);
-        if (user.passwordHash !== passwordHash) {
-            throw new Error('Invalid email or password');
+        SecurityUtils.rateLimiter.reset(lockoutKey);
+
+        // The plain password is only known now, so legacy and weaker hashes are upgraded here
+        if (SecurityUtils.needsRehash(user.password)) {
+            await this.upgradePasswordHash(user.id, password);
         }
 
-        // Generate session token
-        const token = SecurityUtils.generateToken(64);
+        if (TwoFactorAuth.isEnabled(user.id)) {
+            this.pendingLogin = { userId: user.id, expiresAt: Date.now() + this.TWO_FACTOR_TIMEOUT_MS };
+            return { success: false, twoFactorRequired: true };
+        }
 
-        // Return user without password data
-        const { passwordHash: _, ...safeUser } = user;
-        
         return {
             success: true,
-            user: safeUser,
-            token: token
+            user: this.toSafeUser(user),
+            token: SecurityUtils.generateToken(64)
+        };
+    },
+
+    /**
+     * Finish a login that is waiting for its second factor
+     * @param {string} code - TOTP or recovery code
+     * @returns {Promise<Object>} Login result; throws on a wrong code
+     */
+    async completeTwoFactorLogin(code) {
+        const pending = this.pendingLogin;
+        if (!pending || Date.now() > pending.expiresAt) {
+            this.pendingLogin = null;
+            throw new Error('Login timed out. Please enter your password again.');
+        }
+
+        const check = await TwoFactorAuth.verifyCode(pending.userId, code);
+        if (!check.valid) {
+            throw new Error('Invalid code');
+        }
+
+        this.pendingLogin = null;
+        if (check.usedRecoveryCode) {
+            NotificationSystem.warning(`Recovery code used. ${check.recoveryCodesLeft} left.`, 5000);
+        }
+
+        const users = DataManager.get(DataManager.STORAGE_KEYS.USER + '_list', []);
+        return {
+            success: true,
+            user: this.toSafeUser(users.find(u => u.id === pending.userId)),
+            token: SecurityUtils.generateToken(64)
         };
     },
 
+    // User record without password, 2FA or recovery secrets, as kept in the session
+    toSafeUser(user) {
+        const { password: _, passwordHash: __, twoFactor: ___, recovery: ____, ...safeUser } = user;
+        return safeUser;
+    },
+
+    /**
+     * Set a new password with the recovery key from the account's recovery kit
+     * @param {string} email - Account email
+     * @param {string} recoveryKey - Key as entered
+     * @param {string} password - New password
+     * @returns {Promise<boolean>} True on success; throws for a wrong key or while locked out
+     */
+    async resetPassword(email, recoveryKey, password) {
+        email = this.normalizeEmail(email);
+        const lockoutKey = `recovery_${email}`;
+        const lockedFor = SecurityUtils.rateLimiter.getLockoutRemaining(lockoutKey);
+        if (lockedFor > 0) {
+            throw new Error(`Too many failed attempts. Try again in ${this.formatDuration(lockedFor)}.`);
+        }
+
+        const user = this.findUserByEmail(email);
+        if (!(await RecoveryKit.verify(user, recoveryKey))) {
+            const lockout = SecurityUtils.rateLimiter.recordFailure(lockoutKey);
+            throw new Error(lockout > 0
+                ? `Invalid email or recovery key. Too many failed attempts, try again in ${this.formatDuration(lockout)}.`
+                : 'Invalid email or recovery key');
+        }
+
+        const hashed = await SecurityUtils.hashPassword(password);
+        this.updateStoredUser(user.id, u => {
+            u.password = hashed;
+            delete u.passwordHash;
+        });
+
+        SecurityUtils.rateLimiter.reset(lockoutKey);
+        SecurityUtils.rateLimiter.reset(`login_${email}`);
+        return true;
+    },
+
+    async verifyUserPassword(user, password) {
+        if (user.password) {
+            return SecurityUtils.verifyPassword(password, user.password);
+        }
+        // Accounts created before PBKDF2 hashing
+        return user.passwordHash === SecurityUtils.simpleHash(password);
+    },
+
+    async upgradePasswordHash(userId, password) {
+        const hashed = await SecurityUtils.hashPassword(password);
+
+        this.updateStoredUser(userId, user => {
+            user.password = hashed;
+            delete user.passwordHash;
+        });
+    },
+
+    // Full account record, including password and 2FA data
+    getStoredUser(userId) {
+        return DataManager.get(DataManager.STORAGE_KEYS.USER + '_list', []).find(u => u.id === userId) || null;
+    },
+
+    updateStoredUser(userId, apply) {
+        const users = DataManager.get(DataManager.STORAGE_KEYS.USER + '_list', []);
+        const user = users.find(u => u.id === userId);
+        if (!user) return false;
+
+        apply(user);
+        user.updatedAt = new Date().toISOString();
+        DataManager.set(DataManager.STORAGE_KEYS.USER + '_list', users);
+        return true;
+    },
+
+    formatDuration(ms) {
+        const seconds = Math.ceil(ms / 1000);
+        if (seconds < 60) return `${seconds} second${seconds === 1 ? '' : 's'}`;
+        const minutes = Math.ceil(seconds / 60);
+        return `${minutes} minute${minutes === 1 ? '' : 's'}`;
+    },
+
     async handleSignup(event) {
         event.preventDefault();
         event.stopPropagation();
@@ -181,7 +417,7 @@ const AuthManager = {
         }
 
         const name = nameInput.value.trim();
-        const email = emailInput.value.trim();
+        const email = this.normalizeEmail(emailInput.value);
         const password = passwordInput.value;
         const confirmPassword = confirmPasswordInput.value;
 
@@ -226,19 +462,18 @@ const AuthManager = {
             const result = await this.register({ name, email, password });
             
             if (result.success) {
-                this.currentUser = result.user;
-                this.sessionToken = result.token;
-                this.saveSession(result.user, result.token);
-                
-                // Update UI
-                this.handleAuthState();
-                this.updateWelcomeMessage();
-                
                 // Clear forms
                 nameInput.value = '';
                 emailInput.value = '';
                 passwordInput.value = '';
                 confirmPasswordInput.value = '';
+
+                await RecoveryKit.showKit(result.user, result.recoveryKey);
+                if (this.startSession(result)) return;
+                
+                // Update UI
+                this.handleAuthState();
+                this.updateWelcomeMessage();
                 
                 NotificationSystem.success('Account created! Welcome to LifeOS!', 3000);
             }
@@ -249,21 +484,26 @@ const AuthManager = {
 
     async register(data) {
         const users = DataManager.get(DataManager.STORAGE_KEYS.USER + '_list', []);
+        const email = this.normalizeEmail(data.email);
         
         // Check if email exists
-        if (users.some(u => u.email === data.email)) {
+        if (this.findUserByEmail(email)) {
             throw new Error('Email already registered');
         }
 
         // Hash password
-        const passwordHash = SecurityUtils.simpleHash(data.password);
+        const password = await SecurityUtils.hashPassword(data.password);
+
+        const id = `user_${Date.now()}_${SecurityUtils.generateToken(8)}`;
+        const { recoveryKey, recovery } = await RecoveryKit.create(id);
 
         // Create new user
         const newUser = {
-            id: `user_${Date.now()}_${SecurityUtils.generateToken(8)}`,
-            email: data.email,
+            id,
+            email,
             name: SecurityUtils.sanitizeInput(data.name),
-            passwordHash: passwordHash,
+            password,
+            recovery,
             preferences: {
                 theme: 'dark',
                 language: 'en',
@@ -277,16 +517,18 @@ const AuthManager = {
         users.push(newUser);
         DataManager.set(DataManager.STORAGE_KEYS.USER + '_list', users);
 
+        // With encryption on, the new kit can unlock this device's data too
+        await DataManager.setRecoveryKey(id, recovery.publicKey);
+
         // Generate token
         const token = SecurityUtils.generateToken(64);
 
-        // Return without password
-        const { passwordHash: _, ...safeUser } = newUser;
-        
+        // Return without password; the recovery key is shown once and not stored
         return {
             success: true,
-            user: safeUser,
-            token: token
+            user: this.toSafeUser(newUser),
+            token: token,
+            recoveryKey
         };
     },
 
@@ -308,7 +550,7 @@ const AuthManager = {
         if (session) {
             // Check if session is expired
             if (session.expiresAt && Date.now() > session.expiresAt) {
-                this.logout();
+                this.logout('Your session has expired. Please log in again.');
                 return false;
             }
             
@@ -320,13 +562,21 @@ const AuthManager = {
         return false;
     },
 
-    logout() {
+    // True once the stored session has passed expiresAt or was removed (e.g. logout in another tab)
+    isSessionExpired() {
+        const session = SecurityUtils.secureStorage.get(DataManager.STORAGE_KEYS.USER);
+        return !session || (!!session.expiresAt && Date.now() > session.expiresAt);
+    },
+
+    logout(message = 'Logged out successfully') {
         // Clear session
         this.currentUser = null;
         this.sessionToken = null;
         
         // Remove from secure storage
         SecurityUtils.secureStorage.remove(DataManager.STORAGE_KEYS.USER);
+        SessionLock.clear();
+        this.activateProfile(null);
         
         // Note: We don't clear tasks, transactions, moods on logout
         // as they're stored locally and should persist
@@ -334,7 +584,7 @@ const AuthManager = {
         // Update UI
         this.handleAuthState();
         
-        NotificationSystem.info('Logged out successfully');
+        NotificationSystem.info(message);
     },
 
     handleLogout() {
@@ -386,6 +636,9 @@ const AuthManager = {
                 <input type="password" placeholder="Password" id="password" required>
                 <button type="submit" data-i18n="login">Login</button>
             </form>
+            <p style="text-align: center; margin-top: 1rem;">
+                <a href="#" onclick="RecoveryKit.showPasswordReset(); return false;" style="color: var(--accent-primary);">Forgot password?</a>
+            </p>
             <p style="text-align: center; margin-top: 1rem;">
                 <span data-i18n="noAccount">Don't have an account?</span>
                 <a href="#" onclick="AuthManager.showSignup(); return false;" style="color: var(--accent-primary);" data-i18n="signup">Sign up</a>
@@ -424,12 +677,73 @@ const AuthManager = {
         
         // Toggle dropdown visibility
         if (dropdown.style.display === 'none' || !dropdown.style.display) {
+            this.renderProfileSwitcher();
             dropdown.style.display = 'block';
         } else {
             dropdown.style.display = 'none';
         }
     },
 
+    renderProfileSwitcher() {
+        const container = document.getElementById('profileSwitcher');
+        if (!container || !this.currentUser) return;
+
+        const others = this.getUsers().filter(u => u.id !== this.currentUser.id);
+        container.innerHTML = others.length === 0 ? '' : `
+            <div class="dropdown-divider"></div>
+            <div class="dropdown-label">Switch profile</div>
+            ${others.map(user => `
+                <a href="#" onclick="AuthManager.switchToProfile(${SecurityUtils.escapeJsString(user.id)}); return false;">
+                    <i class="fas fa-user-friends"></i> ${SecurityUtils.escapeHtml(user.name || user.email)}
+                </a>
+            `).join('')}
+        `;
+    },
+
+    // Sign in as another local user; their password (and 2FA) is required
+    switchToProfile(userId) {
+        const user = this.getStoredUser(userId);
+        if (!user) return;
+
+        this.closeUserMenu();
+        ModalManager.create({
+            id: 'switch-profile-modal',
+            title: `Switch to ${SecurityUtils.escapeHtml(user.name || user.email)}`,
+            content: `
+                <p style="color: var(--text-secondary); margin-bottom: 12px;">${SecurityUtils.escapeHtml(user.email)}</p>
+                <input type="password" id="switchProfilePassword" class="form-input" placeholder="Password" autocomplete="current-password">
+                <div id="switchProfileError" role="alert" style="min-height: 1.2em; margin-top: 8px; color: var(--danger, #ef4444); font-size: 0.85rem;"></div>
+            `,
+            size: 'small',
+            onOpen: () => document.getElementById('switchProfilePassword')?.focus(),
+            buttons: [
+                {
+                    id: 'cancel',
+                    text: 'Cancel',
+                    onClick: (e, { close }) => close()
+                },
+                {
+                    id: 'switch',
+                    text: 'Switch',
+                    primary: true,
+                    onClick: async (e, { close }) => {
+                        const input = document.getElementById('switchProfilePassword');
+                        const errorEl = document.getElementById('switchProfileError');
+                        try {
+                            const result = await this.signIn(user.email, input.value);
+                            if (!result) return;
+                            close();
+                            this.startSession(result);
+                        } catch (error) {
+                            input.value = '';
+                            errorEl.textContent = error.message;
+                        }
+                    }
+                }
+            ]
+        });
+    },
+
     closeUserMenu() {
         const dropdown = document.getElementById('userDropdown');
         if (dropdown) {
@@ -455,10 +769,9 @@ const AuthManager = {
         if (!this.currentUser) return;
         
         // Get user stats
-        const tasks = DataManager.getData('tasks') || [];
+        const tasks = DataManager.get(DataManager.STORAGE_KEYS.TASKS, []);
         const completedTasks = tasks.filter(t => t.completed).length;
-        const transactions = DataManager.getData('transactions') || [];
-        const moods = DataManager.getData('moods') || [];
+        const moods = DataManager.get(DataManager.STORAGE_KEYS.MOODS, []);
         
         ModalManager.create({
             id: 'profile-modal',
@@ -507,7 +820,8 @@ const AuthManager = {
             buttons: [{
                 id: 'close',
                 text: 'Close',
-                primary: true
+                primary: true,
+                onClick: (e, { close }) => close()
             }]
         });
     },
@@ -543,6 +857,7 @@ const AuthManager = {
     viewSettings() {
         const currentLang = localStorage.getItem('language') || 'en';
         const currentTheme = document.documentElement.getAttribute('data-theme') || 'dark';
+        const notifications = localStorage.getItem('notifications_enabled') !== 'false';
         
         ModalManager.create({
             id: 'settings-modal',
@@ -590,7 +905,7 @@ const AuthManager = {
                             </div>
                         </div>
                         <label class="switch">
-                            <input type="checkbox" id="notificationsToggle" checked onchange="AuthManager.toggleNotifications(this.checked)">
+                            <input type="checkbox" id="notificationsToggle" ${notifications ? 'checked' : ''} onchange="AuthManager.toggleNotifications(this.checked)">
                             <span class="slider round"></span>
                         </label>
                     </div>
@@ -599,16 +914,47 @@ const AuthManager = {
                     <div style="padding: 16px; background: var(--bg-primary); border-radius: 12px;">
                         <h4 style="margin-bottom: 15px; color: var(--text-primary);"><i class="fas fa-database"></i> Data Management</h4>
                         <div style="display: flex; gap: 10px; flex-wrap: wrap;">
-                            <button onclick="exportData()" class="modal-btn" style="flex: 1; min-width: 120px;">
-                                <i class="fas fa-download"></i> Export Data
-                            </button>
                             <button onclick="document.getElementById('importFile').click()" class="modal-btn" style="flex: 1; min-width: 120px;">
                                 <i class="fas fa-upload"></i> Import Data
                             </button>
                             <input type="file" id="importFile" accept=".json" style="display: none;" onchange="importDataFromFile(event)">
                         </div>
+                        <div style="display: flex; gap: 10px; flex-wrap: wrap; margin-top: 10px;">
+                            <button onclick="ExportManager.exportAllData()" class="modal-btn" style="flex: 1; min-width: 120px;">
+                                <i class="fas fa-archive"></i> Full Backup
+                            </button>
+                            <button onclick="document.getElementById('restoreFile').click()" class="modal-btn" style="flex: 1; min-width: 120px;">
+                                <i class="fas fa-history"></i> Restore Backup
+                            </button>
+                            <input type="file" id="restoreFile" accept=".json" style="display: none;" onchange="restoreBackupFromFile(event)">
+                        </div>
+                        <p style="font-size: 12px; color: var(--text-secondary); margin-top: 10px;">
+                            A full backup holds every module's data. Restoring checks the file against the
+                            <a href="#" onclick="ExportManager.downloadBackupSchema(); return false;">backup schema</a> before changing anything.
+                        </p>
                     </div>
                     
+                    <!-- Data Upgrades -->
+                    ${ExportManager.renderMigrationsSection()}
+                    
+                    <!-- Auto Backup -->
+                    ${AutoBackup.renderSettingsSection()}
+                    
+                    <!-- Sync Server -->
+                    ${SyncManager.renderSettingsSection()}
+                    
+                    <!-- Auto-Lock -->
+                    ${SessionLock.renderSettingsSection()}
+                    
+                    <!-- Two-Factor Authentication -->
+                    ${TwoFactorAuth.renderSettingsSection()}
+                    
+                    <!-- Recovery Kit -->
+                    ${RecoveryKit.renderSettingsSection()}
+                    
+                    <!-- Encryption -->
+                    ${EncryptionManager.renderSettingsSection()}
+                    
                     <!-- About Section -->
                     <div style="padding: 16px; background: var(--bg-primary); border-radius: 12px; text-align: center;">
                         <h4 style="margin-bottom: 10px; color: var(--text-primary);">LifeOS</h4>
@@ -621,11 +967,20 @@ const AuthManager = {
             buttons: [{
                 id: 'close',
                 text: 'Close',
-                primary: true
+                primary: true,
+                onClick: (e, { close }) => close()
             }]
         });
     },
 
+    // Re-render the settings modal if it is open
+    refreshSettings() {
+        if (document.getElementById('settings-modal')) {
+            ModalManager.close('settings-modal');
+            setTimeout(() => this.viewSettings(), 300);
+        }
+    },
+
     changeSettingsLanguage(lang) {
         changeLanguage(lang);
         NotificationSystem.success(`Language changed to ${lang === 'en' ? 'English' : lang === 'ur' ? 'اردو' : lang === 'ar' ? 'عربي' : 'Español'}`);
@@ -644,6 +999,9 @@ const AuthManager = {
 // Make globally available
 window.AuthManager = AuthManager;
 
+// Accounts, sessions and lockouts are shared by every profile on the device
+DataManager.registerGlobalKeys([DataManager.STORAGE_KEYS.USER + '_list', AuthManager.LOCKOUT_KEY]);
+
 // Create global functions for HTML inline handlers
 window.handleLogin = function(event) {
     return AuthManager.handleLogin(event);
@@ -665,5 +1023,4 @@ window.toggleAuth = function() {
     AuthManager.toggleUserMenu(event);
 };
 
-// Initialize on load
-document.addEventListener('DOMContentLoaded', () => AuthManager.init());
+// App.init() initializes AuthManager before the modules that depend on the session
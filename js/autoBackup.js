@@ -0,0 +1,435 @@
+// ===== Auto Backup Module =====
+// Saves a full backup (ExportManager.createBackup) daily or weekly while the app
+// is open: into a folder picked through the File System Access API, or into a
+// snapshot store in IndexedDB where that API is missing or the folder can no
+// longer be written. Only the newest snapshots are kept, per profile, and any
+// of them can be restored from Settings through ExportManager.restoreFromBackup.
+const AutoBackup = {
+    SETTINGS_KEY: 'lifeos_auto_backup',
+    DB_NAME: 'lifeos-backups',
+    STORE_NAME: 'snapshots',
+    MODAL_ID: 'auto-backup-snapshots-modal',
+    FREQUENCIES: {
+        off: { label: 'Off', intervalMs: 0 },
+        daily: { label: 'Daily', intervalMs: 24 * 60 * 60 * 1000 },
+        weekly: { label: 'Weekly', intervalMs: 7 * 24 * 60 * 60 * 1000 }
+    },
+    KEEP_OPTIONS: [3, 7, 14, 30],
+    DEFAULT_KEEP: 7,
+    // How often an open tab checks whether a backup is due
+    CHECK_INTERVAL_MS: 60 * 60 * 1000,
+    FILE_PREFIX: 'lifeos-autobackup-',
+
+    store: null,
+    running: false,
+    // Name of the chosen folder, for the settings section
+    folderName: null,
+
+    init() {
+        this.loadFolderName();
+        this.check();
+        setInterval(() => this.check(), this.CHECK_INTERVAL_MS);
+    },
+
+    getSettings() {
+        return { frequency: 'off', keep: this.DEFAULT_KEEP, lastRunAt: null, lastError: null, lastLocation: null, ...DataManager.get(this.SETTINGS_KEY, {}) };
+    },
+
+    saveSettings(changes) {
+        DataManager.set(this.SETTINGS_KEY, { ...this.getSettings(), ...changes });
+    },
+
+    supportsFolders() {
+        return typeof window.showDirectoryPicker === 'function';
+    },
+
+    isAvailable() {
+        return this.supportsFolders() || IDBStore.isSupported();
+    },
+
+    async openStore() {
+        if (!this.store) this.store = await IDBStore.open(this.DB_NAME, this.STORE_NAME);
+        return this.store;
+    },
+
+    profileKey() {
+        return DataManager.getProfile() || 'default';
+    },
+
+    // Snapshot files of the active profile start with this
+    filePrefix() {
+        return `${this.FILE_PREFIX}${this.profileKey().replace(/[^a-zA-Z0-9_-]/g, '_')}-`;
+    },
+
+    fileName(createdAt) {
+        return `${this.filePrefix()}${createdAt.replace(/[:.]/g, '-')}.json`;
+    },
+
+    // ===== Folder =====
+
+    async getFolder() {
+        if (!this.supportsFolders()) return null;
+        try {
+            const store = await this.openStore();
+            return (await store.get(`folder:${this.profileKey()}`)) || null;
+        } catch (error) {
+            return null;
+        }
+    },
+
+    async loadFolderName() {
+        const folder = await this.getFolder();
+        this.folderName = folder ? folder.name : null;
+    },
+
+    /**
+     * Check (and optionally ask for) write access to the chosen folder
+     * Asking needs a user gesture, so scheduled runs only check.
+     * @param {FileSystemDirectoryHandle} folder - Chosen folder
+     * @param {boolean} ask - Prompt the user when access has lapsed
+     * @returns {Promise<boolean>} Whether the folder can be written
+     */
+    async canWrite(folder, ask = false) {
+        const options = { mode: 'readwrite' };
+        if ((await folder.queryPermission(options)) === 'granted') return true;
+        return ask && (await folder.requestPermission(options)) === 'granted';
+    },
+
+    async chooseFolder() {
+        let folder;
+        try {
+            folder = await window.showDirectoryPicker({ id: 'lifeos-backups', mode: 'readwrite' });
+        } catch (error) {
+            // The user closed the picker
+            if (error.name !== 'AbortError') NotificationSystem.error('Could not open that folder');
+            return;
+        }
+
+        const store = await this.openStore();
+        await store.put(`folder:${this.profileKey()}`, folder);
+        this.folderName = folder.name;
+        NotificationSystem.success(`Backups will be saved to "${folder.name}"`);
+        AuthManager.refreshSettings();
+    },
+
+    async forgetFolder() {
+        const store = await this.openStore();
+        await store.delete(`folder:${this.profileKey()}`);
+        this.folderName = null;
+        NotificationSystem.info('Backups will be kept in this browser');
+        AuthManager.refreshSettings();
+    },
+
+    // ===== Snapshots =====
+
+    isDue(settings) {
+        const { intervalMs } = this.FREQUENCIES[settings.frequency] || this.FREQUENCIES.off;
+        if (!intervalMs) return false;
+        return !settings.lastRunAt || Date.now() - Date.parse(settings.lastRunAt) >= intervalMs;
+    },
+
+    async check() {
+        if (!DataManager.getProfile() || DataManager.isLocked() || !this.isAvailable()) return;
+        if (this.isDue(this.getSettings())) await this.run();
+    },
+
+    /**
+     * Write a snapshot now and drop the ones beyond the retention count
+     * @param {Object} options - { ask: prompt for folder access (needs a user gesture) }
+     * @returns {Promise<Object|null>} Snapshot written { id, name, createdAt, size, location }, null on failure
+     */
+    async run({ ask = false } = {}) {
+        if (this.running) return null;
+        this.running = true;
+        // Claimed up front so other open tabs don't write the same snapshot
+        const { lastRunAt } = this.getSettings();
+        this.saveSettings({ lastRunAt: new Date().toISOString() });
+
+        try {
+            const backup = ExportManager.createBackup();
+            const content = JSON.stringify(backup);
+            const snapshot = { name: this.fileName(backup.createdAt), createdAt: backup.createdAt, size: content.length };
+            const { keep } = this.getSettings();
+
+            const folder = await this.getFolder();
+            if (folder && await this.canWrite(folder, ask)) {
+                const file = await folder.getFileHandle(snapshot.name, { create: true });
+                const writable = await file.createWritable();
+                await writable.write(content);
+                await writable.close();
+                await this.rotateFolder(folder, keep);
+                Object.assign(snapshot, { id: `folder:${snapshot.name}`, location: 'folder' });
+            } else {
+                const store = await this.openStore();
+                const id = `snapshot:${this.profileKey()}:${backup.createdAt}`;
+                Object.assign(snapshot, { id, location: 'browser' });
+                await store.put(id, content);
+                await this.rotateStore(store, [snapshot, ...(await this.getIndex(store))], keep);
+            }
+
+            this.saveSettings({ lastError: null, lastLocation: snapshot.location });
+            return snapshot;
+        } catch (error) {
+            console.error('[AutoBackup] Backup failed:', error);
+            // Tried again at the next check
+            this.saveSettings({ lastError: error.message, lastRunAt });
+            return null;
+        } finally {
+            this.running = false;
+        }
+    },
+
+    async getIndex(store) {
+        return (await store.get(`index:${this.profileKey()}`)) || [];
+    },
+
+    async rotateStore(store, snapshots, keep) {
+        // A snapshot written over an older one with the same id is listed once
+        const unique = new Map();
+        snapshots.forEach(snapshot => {
+            if (!unique.has(snapshot.id)) unique.set(snapshot.id, snapshot);
+        });
+        const sorted = [...unique.values()].sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+        const stale = sorted.slice(keep);
+        await store.put(`index:${this.profileKey()}`, sorted.slice(0, keep));
+        for (const snapshot of stale) {
+            await store.delete(snapshot.id);
+        }
+    },
+
+    async listFolder(folder) {
+        const prefix = this.filePrefix();
+        const snapshots = [];
+        for await (const [name, handle] of folder.entries()) {
+            if (handle.kind !== 'file' || !name.startsWith(prefix) || !name.endsWith('.json')) continue;
+            const file = await handle.getFile();
+            snapshots.push({ id: `folder:${name}`, name, createdAt: new Date(file.lastModified).toISOString(), size: file.size, location: 'folder' });
+        }
+        // Names carry the time of the backup, so they sort by it
+        return snapshots.sort((a, b) => b.name.localeCompare(a.name));
+    },
+
+    async rotateFolder(folder, keep) {
+        const stale = (await this.listFolder(folder)).slice(keep);
+        for (const snapshot of stale) {
+            await folder.removeEntry(snapshot.name);
+        }
+    },
+
+    /**
+     * Every snapshot of the active profile, newest first
+     * @param {Object} options - { ask: prompt for folder access (needs a user gesture) }
+     * @returns {Promise<Object>} { snapshots, folderLocked }; folderLocked when the folder needs permission again
+     */
+    async listSnapshots({ ask = false } = {}) {
+        let snapshots = [];
+        let folderLocked = false;
+
+        const folder = await this.getFolder();
+        if (folder) {
+            if (await this.canWrite(folder, ask)) {
+                snapshots = await this.listFolder(folder);
+            } else {
+                folderLocked = true;
+            }
+        }
+        if (IDBStore.isSupported()) {
+            snapshots = snapshots.concat(await this.getIndex(await this.openStore()));
+        }
+
+        snapshots.sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+        return { snapshots, folderLocked };
+    },
+
+    async readSnapshot(snapshot) {
+        if (snapshot.location === 'folder') {
+            const folder = await this.getFolder();
+            const file = await (await folder.getFileHandle(snapshot.name)).getFile();
+            return file.text();
+        }
+        const content = await (await this.openStore()).get(snapshot.id);
+        if (typeof content !== 'string') throw new Error('Snapshot not found');
+        return content;
+    },
+
+    async restore(snapshotId) {
+        const { snapshots } = await this.listSnapshots();
+        const snapshot = snapshots.find(s => s.id === snapshotId);
+        if (!snapshot) {
+            NotificationSystem.error('That backup no longer exists');
+            return;
+        }
+
+        try {
+            const content = await this.readSnapshot(snapshot);
+            ModalManager.close(this.MODAL_ID);
+            ModalManager.close('settings-modal');
+            // Validated against the backup schema, then confirmed, before anything is written
+            ExportManager.restoreFromBackup(content);
+        } catch (error) {
+            console.error('[AutoBackup] Could not read snapshot:', error);
+            NotificationSystem.error('Could not read that backup');
+        }
+    },
+
+    // ===== Settings =====
+
+    setFrequency(frequency) {
+        if (!this.FREQUENCIES[frequency]) return;
+        this.saveSettings({ frequency });
+        NotificationSystem.success(frequency === 'off' ? 'Auto backup turned off' : `Backing up ${this.FREQUENCIES[frequency].label.toLowerCase()}`, 2000);
+        this.check();
+    },
+
+    setKeep(value) {
+        const keep = parseInt(value, 10);
+        if (!this.KEEP_OPTIONS.includes(keep)) return;
+        this.saveSettings({ keep });
+    },
+
+    async backUpNow() {
+        NotificationSystem.info('Backing up...', 1500);
+        const snapshot = await this.run({ ask: true });
+        if (snapshot) {
+            NotificationSystem.success(snapshot.location === 'folder' ? `Backup saved to "${this.folderName}"` : 'Backup saved in this browser');
+        } else {
+            NotificationSystem.error('Backup failed');
+        }
+        AuthManager.refreshSettings();
+    },
+
+    formatSize(bytes) {
+        if (bytes < 1024) return `${bytes} B`;
+        if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+        return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+    },
+
+    renderSnapshots({ snapshots, folderLocked }) {
+        const locked = folderLocked ? `
+            <p style="font-size: 13px; color: var(--text-secondary); margin-bottom: 12px;">
+                LifeOS needs permission again to read the backup folder.
+                <a href="#" onclick="AutoBackup.showSnapshots(true); return false;">Allow access</a>
+            </p>
+        ` : '';
+
+        if (snapshots.length === 0) {
+            return `${locked}<p style="color: var(--text-secondary);">No backups yet.</p>`;
+        }
+
+        const rows = snapshots.map(snapshot => `
+            <div style="display: flex; justify-content: space-between; align-items: center; gap: 12px; padding: 10px 0; border-bottom: 1px solid var(--border-color);">
+                <div>
+                    <div style="color: var(--text-primary);">${new Date(snapshot.createdAt).toLocaleString()}</div>
+                    <div style="font-size: 12px; color: var(--text-secondary);">
+                        ${snapshot.location === 'folder' ? `<i class="fas fa-folder"></i> ${SecurityUtils.escapeHtml(snapshot.name)}` : '<i class="fas fa-database"></i> This browser'}
+                        · ${this.formatSize(snapshot.size)}
+                    </div>
+                </div>
+                <button class="modal-btn auto-backup-restore" data-snapshot="${SecurityUtils.escapeHtml(snapshot.id)}" style="min-width: 100px;">
+                    <i class="fas fa-history"></i> Restore
+                </button>
+            </div>
+        `).join('');
+        return locked + rows;
+    },
+
+    /**
+     * List the snapshots with a restore button each
+     * @param {boolean} ask - Prompt for folder access; only from a click
+     */
+    async showSnapshots(ask = false) {
+        const listing = await this.listSnapshots({ ask });
+        const existing = document.querySelector(`#${this.MODAL_ID} .auto-backup-list`);
+        if (existing) {
+            existing.innerHTML = this.renderSnapshots(listing);
+            return;
+        }
+
+        ModalManager.create({
+            id: this.MODAL_ID,
+            title: 'Backups',
+            content: `
+                <p style="font-size: 13px; color: var(--text-secondary); margin-bottom: 8px;">
+                    Restoring replaces this profile's data with the backup after you confirm.
+                </p>
+                <div class="auto-backup-list">${this.renderSnapshots(listing)}</div>
+            `,
+            buttons: [
+                { id: 'close', text: 'Close', primary: true, onClick: (e, { close }) => close() }
+            ]
+        });
+
+        document.querySelector(`#${this.MODAL_ID} .auto-backup-list`).addEventListener('click', (event) => {
+            const button = event.target.closest('.auto-backup-restore');
+            if (button) this.restore(button.dataset.snapshot);
+        });
+    },
+
+    describeStatus(settings) {
+        if (settings.lastError) return `Last backup failed: ${settings.lastError}`;
+        if (!settings.lastRunAt) return 'No backup yet';
+        const where = settings.lastLocation === 'folder' ? 'to the folder' : 'in this browser';
+        return `Last backup ${new Date(settings.lastRunAt).toLocaleString()}, ${where}`;
+    },
+
+    renderSettingsSection() {
+        if (!DataManager.getProfile() || !this.isAvailable()) return '';
+
+        const settings = this.getSettings();
+        const frequencyOptions = Object.entries(this.FREQUENCIES).map(([value, { label }]) =>
+            `<option value="${value}" ${value === settings.frequency ? 'selected' : ''}>${label}</option>`
+        ).join('');
+        const keepOptions = this.KEEP_OPTIONS.map(keep =>
+            `<option value="${keep}" ${keep === settings.keep ? 'selected' : ''}>Keep last ${keep}</option>`
+        ).join('');
+
+        let location;
+        if (this.folderName) {
+            location = `Saved to the folder "${SecurityUtils.escapeHtml(this.folderName)}".`;
+        } else if (this.supportsFolders()) {
+            location = 'Kept in this browser until you choose a folder.';
+        } else {
+            location = 'Kept in this browser; it cannot save to folders.';
+        }
+
+        return `
+            <div style="padding: 16px; background: var(--bg-primary); border-radius: 12px;">
+                <h4 style="margin-bottom: 8px; color: var(--text-primary);"><i class="fas fa-clock"></i> Auto Backup</h4>
+                <p style="font-size: 12px; color: var(--text-secondary); margin-bottom: 12px;">
+                    Save a full backup on a schedule while LifeOS is open. ${location}
+                    ${DataManager.isEncrypted() ? '<br><strong>Backups are not encrypted.</strong>' : ''}
+                </p>
+                <div style="display: flex; gap: 10px; flex-wrap: wrap; margin-bottom: 8px;">
+                    <select onchange="AutoBackup.setFrequency(this.value)" class="modal-btn" style="flex: 1; min-width: 120px;">${frequencyOptions}</select>
+                    <select onchange="AutoBackup.setKeep(this.value)" class="modal-btn" style="flex: 1; min-width: 120px;">${keepOptions}</select>
+                </div>
+                <div style="font-size: 12px; color: ${settings.lastError ? 'var(--danger)' : 'var(--text-secondary)'}; margin-bottom: 12px;">
+                    ${SecurityUtils.escapeHtml(this.describeStatus(settings))}
+                </div>
+                <div style="display: flex; gap: 10px; flex-wrap: wrap;">
+                    ${this.supportsFolders() ? `
+                        <button onclick="AutoBackup.chooseFolder()" class="modal-btn" style="flex: 1; min-width: 120px;">
+                            <i class="fas fa-folder-open"></i> ${this.folderName ? 'Change Folder' : 'Choose Folder'}
+                        </button>
+                    ` : ''}
+                    ${this.folderName ? `
+                        <button onclick="AutoBackup.forgetFolder()" class="modal-btn" style="flex: 1; min-width: 120px;">
+                            <i class="fas fa-times"></i> Use Browser
+                        </button>
+                    ` : ''}
+                    <button onclick="AutoBackup.backUpNow()" class="modal-btn" style="flex: 1; min-width: 120px;">
+                        <i class="fas fa-save"></i> Back Up Now
+                    </button>
+                    <button onclick="AutoBackup.showSnapshots(true)" class="modal-btn" style="flex: 1; min-width: 120px;">
+                        <i class="fas fa-history"></i> Backups
+                    </button>
+                </div>
+            </div>
+        `;
+    }
+};
+
+// Make AutoBackup globally accessible
+window.AutoBackup = AutoBackup;
+
+document.addEventListener('DOMContentLoaded', () => DataManager.ready.then(() => AutoBackup.init()));
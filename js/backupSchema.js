@@ -0,0 +1,296 @@
+// ===== Backup Schema =====
+// JSON Schema of the full backup archive written by ExportManager.createBackup().
+// Each entry under modules lists the storage keys that module owns, so adding
+// a key here is all it takes to include it in backups and restores.
+// Record schemas only pin down the fields the app relies on; anything else a
+// record carries (including its CRDT metadata) is kept as it is.
+const BackupSchema = {
+    $schema: 'https://json-schema.org/draft/2020-12/schema',
+    $id: 'lifeos-backup.schema.json',
+    title: 'LifeOS backup',
+    type: 'object',
+    required: ['format', 'version', 'createdAt', 'modules'],
+    additionalProperties: false,
+    properties: {
+        format: { const: 'lifeos-backup' },
+        version: { const: 1 },
+        createdAt: { type: 'string', format: 'date-time' },
+        appVersion: { type: 'string' },
+        profile: { type: ['string', 'null'] },
+        // Schema version of each module's data, so restores can upgrade older backups
+        schemaVersions: { type: 'object', additionalProperties: { type: 'integer', minimum: 0 } },
+        // Deleted records of lists that merge across devices, per storage key
+        tombstones: {
+            type: 'object',
+            additionalProperties: { type: 'object', additionalProperties: { $ref: '#/$defs/tombstone' } }
+        },
+        modules: {
+            type: 'object',
+            additionalProperties: false,
+            properties: {
+                tasks: {
+                    title: 'Tasks',
+                    type: 'object',
+                    additionalProperties: false,
+                    properties: {
+                        lifeos_tasks: { type: 'array', items: { $ref: '#/$defs/task' } },
+                        lifeos_task_series: { $ref: '#/$defs/recordList' },
+                        lifeos_smart_lists: { $ref: '#/$defs/recordList' },
+                        lifeos_kanban_config: { type: 'object' }
+                    }
+                },
+                habits: {
+                    title: 'Habits',
+                    type: 'object',
+                    additionalProperties: false,
+                    properties: {
+                        lifeos_habits: { type: 'array', items: { $ref: '#/$defs/habit' } }
+                    }
+                },
+                notes: {
+                    title: 'Notes',
+                    type: 'object',
+                    additionalProperties: false,
+                    properties: {
+                        lifeos_notes: { type: 'array', items: { $ref: '#/$defs/note' } }
+                    }
+                },
+                journal: {
+                    title: 'Journal',
+                    type: 'object',
+                    additionalProperties: false,
+                    properties: {
+                        lifeos_journal: { $ref: '#/$defs/recordList' }
+                    }
+                },
+                moods: {
+                    title: 'Moods',
+                    type: 'object',
+                    additionalProperties: false,
+                    properties: {
+                        lifeos_moods: { type: 'array', items: { $ref: '#/$defs/mood' } }
+                    }
+                },
+                finance: {
+                    title: 'Expenses',
+                    type: 'object',
+                    additionalProperties: false,
+                    properties: {
+                        lifeos_transactions: { type: 'array', items: { $ref: '#/$defs/transaction' } },
+                        lifeos_expenses: { type: 'array' }
+                    }
+                },
+                goals: {
+                    title: 'Goals',
+                    type: 'object',
+                    additionalProperties: false,
+                    properties: {
+                        lifeos_goals_data: { type: 'array', items: { $ref: '#/$defs/goal' } }
+                    }
+                },
+                sleep: {
+                    title: 'Sleep',
+                    type: 'object',
+                    additionalProperties: false,
+                    properties: {
+                        lifeos_sleep_data: { $ref: '#/$defs/recordList' }
+                    }
+                },
+                media: {
+                    title: 'Media',
+                    type: 'object',
+                    additionalProperties: false,
+                    properties: {
+                        // { books: [...], movies: [...], ... }
+                        lifeos_media_data: { type: 'object', additionalProperties: { $ref: '#/$defs/recordList' } }
+                    }
+                },
+                focus: {
+                    title: 'Focus',
+                    type: 'object',
+                    additionalProperties: false,
+                    properties: {
+                        lifeos_focus_data: {
+                            type: 'object',
+                            properties: {
+                                history: { type: 'array', items: { type: 'object' } },
+                                stats: { type: 'object' }
+                            }
+                        }
+                    }
+                },
+                pomodoro: {
+                    title: 'Pomodoro',
+                    type: 'object',
+                    additionalProperties: false,
+                    properties: {
+                        lifeos_pomodoro_settings: { type: 'object' },
+                        lifeos_pomodoro_sessions: { type: 'object' }
+                    }
+                },
+                voiceNotes: {
+                    title: 'Voice notes',
+                    type: 'object',
+                    additionalProperties: false,
+                    properties: {
+                        lifeos_voice_notes: { type: 'array', items: { $ref: '#/$defs/voiceNote' } }
+                    }
+                },
+                water: {
+                    title: 'Water',
+                    type: 'object',
+                    additionalProperties: false,
+                    properties: {
+                        lifeos_water_today: {
+                            type: 'object',
+                            properties: { date: { type: 'string' }, intake: { type: 'number', minimum: 0 } }
+                        },
+                        lifeos_water_goal: { type: 'number', minimum: 0 },
+                        lifeos_water_history: {
+                            type: 'array',
+                            items: {
+                                type: 'object',
+                                required: ['date'],
+                                properties: { date: { type: 'string' }, intake: { type: 'number', minimum: 0 } }
+                            }
+                        },
+                        lifeos_water: { type: 'array' }
+                    }
+                },
+                gamification: {
+                    title: 'Achievements',
+                    type: 'object',
+                    additionalProperties: false,
+                    properties: {
+                        lifeos_gamification_stats: { type: 'object' },
+                        lifeos_unlocked_achievements: { type: 'array', items: { type: 'string' } },
+                        lifeos_achievements: { $ref: '#/$defs/recordList' },
+                        lifeos_productivity: { type: 'object' },
+                        lifeos_last_active: { type: 'string' },
+                        lifeos_last_login: { type: 'string' }
+                    }
+                },
+                team: {
+                    title: 'Team',
+                    type: 'object',
+                    additionalProperties: false,
+                    properties: {
+                        lifeos_team: { $ref: '#/$defs/recordList' }
+                    }
+                },
+                trash: {
+                    title: 'Trash',
+                    type: 'object',
+                    additionalProperties: false,
+                    properties: {
+                        lifeos_trash: { type: 'array', items: { $ref: '#/$defs/trashEntry' } },
+                        lifeos_trash_settings: { type: 'object' }
+                    }
+                },
+                assistant: {
+                    title: 'Assistant chat',
+                    type: 'object',
+                    additionalProperties: false,
+                    properties: {
+                        lifeos_chat_history: { type: 'array', items: { type: 'object' } }
+                    }
+                },
+                settings: {
+                    title: 'Settings',
+                    type: 'object',
+                    additionalProperties: false,
+                    properties: {
+                        lifeos_preferences: { type: 'object' },
+                        lifeos_settings: { type: 'object' },
+                        lifeos_timezones: { type: 'array' },
+                        lifeos_dashboard_layout: { type: 'array', items: { type: 'object' } },
+                        lifeos_user_name: { type: 'string' }
+                    }
+                }
+            }
+        }
+    },
+    $defs: {
+        id: { type: ['string', 'number'] },
+        record: {
+            type: 'object',
+            required: ['id'],
+            properties: {
+                id: { $ref: '#/$defs/id' },
+                _sync: { type: 'object' }
+            }
+        },
+        recordList: { type: 'array', items: { $ref: '#/$defs/record' } },
+        tombstone: {
+            type: 'object',
+            required: ['t', 'vv'],
+            properties: {
+                t: { type: 'string' },
+                vv: { type: 'object', additionalProperties: { type: 'string' } }
+            }
+        },
+        task: {
+            $ref: '#/$defs/record',
+            required: ['id', 'title'],
+            properties: {
+                title: { type: 'string' },
+                completed: { type: 'boolean' },
+                tags: { type: 'array', items: { type: 'string' } }
+            }
+        },
+        habit: {
+            $ref: '#/$defs/record',
+            required: ['id', 'name'],
+            properties: {
+                name: { type: 'string' },
+                completions: { type: 'object' }
+            }
+        },
+        note: {
+            $ref: '#/$defs/record',
+            properties: {
+                title: { type: 'string' },
+                content: { type: 'string' }
+            }
+        },
+        mood: {
+            $ref: '#/$defs/record',
+            properties: {
+                mood: { type: 'string' },
+                moodValue: { type: 'number' }
+            }
+        },
+        transaction: {
+            $ref: '#/$defs/record',
+            required: ['id', 'amount'],
+            properties: {
+                amount: { type: 'number' }
+            }
+        },
+        goal: {
+            $ref: '#/$defs/record',
+            properties: {
+                title: { type: 'string' },
+                milestones: { $ref: '#/$defs/recordList' }
+            }
+        },
+        voiceNote: {
+            $ref: '#/$defs/record',
+            properties: {
+                // Recording as a data: URL
+                audioUrl: { type: 'string' }
+            }
+        },
+        trashEntry: {
+            $ref: '#/$defs/record',
+            required: ['id', 'module', 'item', 'deletedAt'],
+            properties: {
+                module: { type: 'string' },
+                deletedAt: { type: 'string' }
+            }
+        }
+    }
+};
+
+// Make BackupSchema globally accessible
+window.BackupSchema = BackupSchema;
@@ -11,16 +11,10 @@ const ChartManager = {
         this.initializeCharts();
         this.loadData();
         
-        // Listen for data changes
-        window.addEventListener('dataChanged', (e) => {
-            if (e.detail.key === DataManager.STORAGE_KEYS.TASKS) {
-                this.updateProductivityChart();
-            } else if (e.detail.key === DataManager.STORAGE_KEYS.MOODS) {
-                this.updateMoodChart();
-            } else if (e.detail.key === DataManager.STORAGE_KEYS.TRANSACTIONS) {
-                this.updateExpenseChart();
-            }
-        });
+        // Redraw only the chart whose data changed
+        DataManager.subscribe(DataManager.STORAGE_KEYS.TASKS, () => this.updateProductivityChart());
+        DataManager.subscribe(DataManager.STORAGE_KEYS.MOODS, () => this.updateMoodChart());
+        DataManager.subscribe(DataManager.STORAGE_KEYS.TRANSACTIONS, () => this.updateExpenseChart());
     },
 
     loadData() {
@@ -332,4 +326,4 @@ window.updateMoodChart = updateMoodChart;
 window.updateExpenseChart = updateExpenseChart;
 
 // Auto initialize
-document.addEventListener('DOMContentLoaded', () => ChartManager.init());
+document.addEventListener('DOMContentLoaded', () => DataManager.ready.then(() => ChartManager.init()));
@@ -0,0 +1,140 @@
+// ===== Conflict Resolver Module =====
+// Shows edits that could not be merged when data from another device came in
+// (see DataManager.mergeRemote) and lets the user pick the version that stays.
+const ConflictResolver = {
+    MODAL_ID: 'sync-conflicts-modal',
+    // How to name the records of each mergeable list
+    KEYS: {
+        [DataManager.STORAGE_KEYS.TASKS]: { label: 'Task', icon: 'fa-tasks', title: (record) => record.title },
+        [DataManager.STORAGE_KEYS.NOTES]: { label: 'Note', icon: 'fa-sticky-note', title: (record) => record.title },
+        [DataManager.STORAGE_KEYS.HABITS]: { label: 'Habit', icon: 'fa-check-double', title: (record) => record.name }
+    },
+    MAX_PREVIEW_LENGTH: 160,
+
+    // Conflicts the user has already been told about
+    announced: 0,
+
+    init() {
+        DataManager.subscribe(DataManager.CONFLICTS_KEY, ({ value }) => this.handleChange(value || []));
+        this.handleChange(DataManager.getConflicts());
+    },
+
+    handleChange(conflicts) {
+        if (conflicts.length > this.announced) {
+            const message = conflicts.length === 1
+                ? 'An edit from another device conflicts with this one'
+                : `${conflicts.length} edits from other devices conflict with this one`;
+            NotificationSystem.show(message, 'warning', 0, { action: { label: 'Review', onClick: () => this.open() } });
+        }
+        this.announced = conflicts.length;
+
+        const body = document.querySelector(`#${this.MODAL_ID} .conflict-list`);
+        if (body) body.innerHTML = this.renderList(conflicts);
+    },
+
+    findRecord(conflict) {
+        return DataManager.get(conflict.key, []).find(record => record && String(record.id) === String(conflict.recordId)) || null;
+    },
+
+    formatValue(value) {
+        if (value === undefined || value === null || value === '') return '(empty)';
+        if (typeof value === 'boolean') return value ? 'Yes' : 'No';
+
+        const text = typeof value === 'string' ? value : JSON.stringify(value);
+        return text.length > this.MAX_PREVIEW_LENGTH ? `${text.slice(0, this.MAX_PREVIEW_LENGTH)}…` : text;
+    },
+
+    renderOption(conflict, choice, heading, preview, current) {
+        return `
+            <button class="conflict-option" data-conflict="${SecurityUtils.escapeHtml(conflict.id)}" data-choice="${choice}" style="flex: 1; min-width: 160px; text-align: left; padding: 10px 12px; border-radius: 8px; border: 1px solid ${current ? 'var(--accent-primary)' : 'var(--border-color)'}; background: var(--bg-secondary); color: var(--text-primary); cursor: pointer;">
+                <div style="font-size: 12px; color: var(--text-secondary); margin-bottom: 4px;">${heading}${current ? ' · showing now' : ''}</div>
+                <div style="white-space: pre-wrap; word-break: break-word;">${SecurityUtils.escapeHtml(preview)}</div>
+            </button>
+        `;
+    },
+
+    renderConflict(conflict) {
+        const type = this.KEYS[conflict.key] || { label: 'Item', icon: 'fa-file', title: () => '' };
+        const record = this.findRecord(conflict);
+        const name = (record && type.title(record)) || conflict.recordId;
+
+        let description;
+        let options;
+        if (conflict.type === 'delete') {
+            description = conflict.deletedOn === 'local'
+                ? 'Deleted on this device, edited on another'
+                : 'Deleted on another device, edited on this one';
+            options = this.renderOption(conflict, 'keep', 'Keep it', 'Keep the edited version', true)
+                + this.renderOption(conflict, 'delete', 'Delete it', 'Remove it on every device', false);
+        } else {
+            description = `"${conflict.field}" was changed on two devices`;
+            options = this.renderOption(conflict, 'local', 'This device', this.formatValue(conflict.local), conflict.kept === 'local')
+                + this.renderOption(conflict, 'remote', 'Other device', this.formatValue(conflict.remote), conflict.kept === 'remote');
+        }
+
+        return `
+            <div style="padding: 12px 0; border-bottom: 1px solid var(--border-color);">
+                <div style="color: var(--text-primary); margin-bottom: 4px;">
+                    <i class="fas ${type.icon}"></i> ${type.label}: <strong>${SecurityUtils.escapeHtml(String(name))}</strong>
+                </div>
+                <div style="font-size: 12px; color: var(--text-secondary); margin-bottom: 8px;">${SecurityUtils.escapeHtml(description)}</div>
+                <div style="display: flex; gap: 10px; flex-wrap: wrap;">${options}</div>
+            </div>
+        `;
+    },
+
+    renderList(conflicts) {
+        if (conflicts.length === 0) {
+            return '<p style="color: var(--text-secondary);">No conflicts left. Your devices agree.</p>';
+        }
+        return conflicts.map(conflict => this.renderConflict(conflict)).join('');
+    },
+
+    open() {
+        ModalManager.create({
+            id: this.MODAL_ID,
+            title: 'Sync Conflicts',
+            size: 'large',
+            content: `
+                <p style="font-size: 13px; color: var(--text-secondary); margin-bottom: 8px;">
+                    These were changed on more than one device before they synced. Pick the version to keep; your choice is synced to your other devices.
+                </p>
+                <div class="conflict-list">${this.renderList(DataManager.getConflicts())}</div>
+            `,
+            buttons: [
+                { id: 'done', text: 'Done', primary: true, onClick: (e, { close }) => close() }
+            ]
+        });
+
+        document.querySelector(`#${this.MODAL_ID} .conflict-list`).addEventListener('click', (event) => {
+            const option = event.target.closest('.conflict-option');
+            if (option) this.resolve(option.dataset.conflict, option.dataset.choice);
+        });
+    },
+
+    resolve(conflictId, choice) {
+        if (!DataManager.resolveConflict(conflictId, choice)) return;
+
+        if (DataManager.getConflicts().length === 0) {
+            ModalManager.close(this.MODAL_ID);
+            NotificationSystem.success('All conflicts resolved', 2000);
+        }
+    },
+
+    // Link for the sync settings; empty when there is nothing to resolve
+    renderSettingsLink() {
+        const count = DataManager.getConflicts().length;
+        if (count === 0) return '';
+
+        return `
+            <button onclick="ConflictResolver.open()" class="modal-btn" style="flex: 1; min-width: 120px;">
+                <i class="fas fa-code-branch"></i> Resolve Conflicts (${count})
+            </button>
+        `;
+    }
+};
+
+// Make ConflictResolver globally accessible
+window.ConflictResolver = ConflictResolver;
+
+document.addEventListener('DOMContentLoaded', () => DataManager.ready.then(() => ConflictResolver.init()));
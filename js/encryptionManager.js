@@ -0,0 +1,287 @@
+// ===== Encryption Manager Module =====
+// Unlock screen and settings for DataManager's at-rest encryption
+const EncryptionManager = {
+    MIN_PASSPHRASE_LENGTH: 8,
+    UNLOCK_MODAL_ID: 'vault-unlock-modal',
+    DIALOG_MODAL_ID: 'vault-passphrase-modal',
+    RATE_LIMIT_KEY: 'vault-unlock',
+
+    INPUT_STYLE: `
+        width: 100%;
+        padding: 12px;
+        border-radius: 8px;
+        border: 1px solid var(--border-color);
+        background: var(--bg-primary);
+        color: var(--text-primary);
+        font-size: 1rem;
+    `,
+
+    init() {
+        DataManager.loaded.then(({ locked }) => {
+            if (locked) this.showUnlockScreen();
+        });
+
+        // Another tab turned encryption on/off or changed the passphrase
+        TabSync.on('vault', () => {
+            NotificationSystem.info('Encryption settings changed in another tab, reloading...', 2000);
+            setTimeout(() => window.location.reload(), 1500);
+        });
+    },
+
+    passphraseField(id, label, autocomplete) {
+        return `
+            <label for="${id}" style="display: block; margin: 12px 0 6px; font-size: 0.9rem; color: var(--text-secondary);">${label}</label>
+            <input type="password" id="${id}" autocomplete="${autocomplete}" style="${this.INPUT_STYLE}">
+        `;
+    },
+
+    showError(elementId, message) {
+        const element = document.getElementById(elementId);
+        if (!element) return;
+        element.textContent = message;
+        element.style.display = message ? 'block' : 'none';
+    },
+
+    showUnlockScreen() {
+        ModalManager.create({
+            id: this.UNLOCK_MODAL_ID,
+            title: '🔒 LifeOS is locked',
+            content: `
+                <p style="color: var(--text-secondary);">Your data is encrypted. Enter your passphrase to unlock it.</p>
+                <form id="vaultUnlockForm" onsubmit="event.preventDefault(); EncryptionManager.submitUnlock();">
+                    ${this.passphraseField('vaultUnlockPassphrase', 'Passphrase', 'current-password')}
+                    <div id="vaultUnlockError" role="alert" style="display: none; margin-top: 10px; color: var(--danger, #ef4444); font-size: 0.9rem;"></div>
+                </form>
+                <p style="margin-top: 12px; font-size: 0.9rem;">
+                    <a href="#" onclick="RecoveryKit.showVaultRecovery(); return false;" style="color: var(--accent-primary);">Forgot your passphrase?</a>
+                </p>
+            `,
+            size: 'small',
+            closable: false,
+            showCloseButton: false,
+            onOpen: () => {
+                const input = document.getElementById('vaultUnlockPassphrase');
+                if (input) input.focus();
+            },
+            buttons: [{
+                id: 'unlock',
+                text: 'Unlock',
+                icon: 'fas fa-unlock',
+                primary: true,
+                onClick: () => this.submitUnlock()
+            }]
+        });
+    },
+
+    async submitUnlock() {
+        const input = document.getElementById('vaultUnlockPassphrase');
+        const button = document.querySelector(`#${this.UNLOCK_MODAL_ID} [data-action="unlock"]`);
+        if (!input || (button && button.disabled)) return;
+
+        if (!input.value) {
+            this.showError('vaultUnlockError', 'Enter your passphrase.');
+            return;
+        }
+
+        if (!SecurityUtils.rateLimiter.isAllowed(this.RATE_LIMIT_KEY)) {
+            this.showError('vaultUnlockError', 'Too many attempts. Please wait a minute and try again.');
+            return;
+        }
+
+        this.showError('vaultUnlockError', '');
+        if (button) button.disabled = true;
+
+        try {
+            const unlocked = await DataManager.unlock(input.value);
+            if (!unlocked) {
+                input.value = '';
+                input.focus();
+                this.showError('vaultUnlockError', 'Wrong passphrase. Please try again.');
+                return;
+            }
+
+            SecurityUtils.rateLimiter.reset(this.RATE_LIMIT_KEY);
+            ModalManager.close(this.UNLOCK_MODAL_ID);
+        } catch (error) {
+            console.error('[EncryptionManager] Unlock failed:', error);
+            this.showError('vaultUnlockError', `Your passphrase is correct, but your data could not be decrypted. ${error.message}`);
+        } finally {
+            if (button) button.disabled = false;
+        }
+    },
+
+    /**
+     * Show a passphrase dialog that stays open until onSubmit succeeds
+     * @param {Object} options - { title, intro, fields: [{ id, label, autocomplete }], submitText, onSubmit }
+     *                           onSubmit receives { fieldId: value } and resolves to an error message or null
+     */
+    openPassphraseDialog({ title, intro, fields, submitText, onSubmit }) {
+        ModalManager.create({
+            id: this.DIALOG_MODAL_ID,
+            title,
+            content: `
+                <p style="color: var(--text-secondary);">${intro}</p>
+                ${fields.map(field => this.passphraseField(field.id, field.label, field.autocomplete)).join('')}
+                <div id="vaultDialogError" role="alert" style="display: none; margin-top: 10px; color: var(--danger, #ef4444); font-size: 0.9rem;"></div>
+            `,
+            size: 'small',
+            onOpen: () => {
+                const first = document.getElementById(fields[0].id);
+                if (first) first.focus();
+            },
+            buttons: [
+                {
+                    id: 'cancel',
+                    text: 'Cancel',
+                    onClick: (e, { close }) => close()
+                },
+                {
+                    id: 'submit',
+                    text: submitText,
+                    primary: true,
+                    onClick: async (e, { close }) => {
+                        const button = e.currentTarget;
+                        if (button.disabled) return;
+
+                        const values = {};
+                        fields.forEach(field => {
+                            const input = document.getElementById(field.id);
+                            values[field.id] = input ? input.value : '';
+                        });
+
+                        this.showError('vaultDialogError', '');
+                        button.disabled = true;
+                        try {
+                            const error = await onSubmit(values);
+                            if (error) {
+                                this.showError('vaultDialogError', error);
+                                return;
+                            }
+                            close();
+                        } catch (err) {
+                            console.error('[EncryptionManager] Operation failed:', err);
+                            this.showError('vaultDialogError', 'Something went wrong. Your data was not changed.');
+                        } finally {
+                            button.disabled = false;
+                        }
+                    }
+                }
+            ]
+        });
+    },
+
+    // Returns an error message for an unacceptable new passphrase
+    validateNewPassphrase(passphrase, confirmation) {
+        if (passphrase.length < this.MIN_PASSPHRASE_LENGTH) {
+            return `Passphrase must be at least ${this.MIN_PASSPHRASE_LENGTH} characters.`;
+        }
+        if (passphrase !== confirmation) {
+            return 'Passphrases do not match.';
+        }
+        return null;
+    },
+
+    enable() {
+        if (!CryptoVault.isSupported()) {
+            NotificationSystem.error('Encryption is not supported in this browser');
+            return;
+        }
+
+        this.openPassphraseDialog({
+            title: 'Encrypt your data',
+            intro: 'All LifeOS data on this device will be encrypted. If you forget the passphrase, only a recovery kit can unlock it again.',
+            submitText: 'Encrypt',
+            fields: [
+                { id: 'vaultNewPassphrase', label: 'Passphrase', autocomplete: 'new-password' },
+                { id: 'vaultConfirmPassphrase', label: 'Confirm passphrase', autocomplete: 'new-password' }
+            ],
+            onSubmit: async (values) => {
+                const invalid = this.validateNewPassphrase(values.vaultNewPassphrase, values.vaultConfirmPassphrase);
+                if (invalid) return invalid;
+
+                // Every account's recovery kit can unlock the data
+                await DataManager.enableEncryption(values.vaultNewPassphrase, RecoveryKit.getPublicKeys());
+                NotificationSystem.success('Your data is now encrypted');
+                AuthManager.refreshSettings();
+                return null;
+            }
+        });
+    },
+
+    changePassphrase() {
+        this.openPassphraseDialog({
+            title: 'Change passphrase',
+            intro: 'All data will be re-encrypted with the new passphrase.',
+            submitText: 'Change',
+            fields: [
+                { id: 'vaultCurrentPassphrase', label: 'Current passphrase', autocomplete: 'current-password' },
+                { id: 'vaultNewPassphrase', label: 'New passphrase', autocomplete: 'new-password' },
+                { id: 'vaultConfirmPassphrase', label: 'Confirm new passphrase', autocomplete: 'new-password' }
+            ],
+            onSubmit: async (values) => {
+                const invalid = this.validateNewPassphrase(values.vaultNewPassphrase, values.vaultConfirmPassphrase);
+                if (invalid) return invalid;
+
+                if (!(await DataManager.changePassphrase(values.vaultCurrentPassphrase, values.vaultNewPassphrase))) {
+                    return 'Current passphrase is wrong.';
+                }
+                NotificationSystem.success('Passphrase changed');
+                return null;
+            }
+        });
+    },
+
+    disable() {
+        this.openPassphraseDialog({
+            title: 'Turn off encryption',
+            intro: 'Your data will be stored unencrypted on this device.',
+            submitText: 'Decrypt',
+            fields: [
+                { id: 'vaultCurrentPassphrase', label: 'Current passphrase', autocomplete: 'current-password' }
+            ],
+            onSubmit: async (values) => {
+                if (!(await DataManager.disableEncryption(values.vaultCurrentPassphrase))) {
+                    return 'Wrong passphrase.';
+                }
+                NotificationSystem.info('Encryption turned off');
+                AuthManager.refreshSettings();
+                return null;
+            }
+        });
+    },
+
+    renderSettingsSection() {
+        const encrypted = DataManager.isEncrypted();
+
+        return `
+            <div style="padding: 16px; background: var(--bg-primary); border-radius: 12px;">
+                <h4 style="margin-bottom: 8px; color: var(--text-primary);"><i class="fas fa-lock"></i> Encryption</h4>
+                <p style="font-size: 12px; color: var(--text-secondary); margin-bottom: 12px;">
+                    ${encrypted
+                        ? 'Your data is encrypted on this device (AES-GCM). You will need your passphrase each time LifeOS starts.'
+                        : 'Protect journal, notes and finances with a passphrase. Data is encrypted before it is stored.'}
+                </p>
+                <div style="display: flex; gap: 10px; flex-wrap: wrap;">
+                    ${encrypted ? `
+                        <button onclick="EncryptionManager.changePassphrase()" class="modal-btn" style="flex: 1; min-width: 120px;">
+                            <i class="fas fa-key"></i> Change Passphrase
+                        </button>
+                        <button onclick="EncryptionManager.disable()" class="modal-btn" style="flex: 1; min-width: 120px;">
+                            <i class="fas fa-lock-open"></i> Turn Off
+                        </button>
+                    ` : `
+                        <button onclick="EncryptionManager.enable()" class="modal-btn" style="flex: 1; min-width: 120px;">
+                            <i class="fas fa-lock"></i> Encrypt Data
+                        </button>
+                    `}
+                </div>
+            </div>
+        `;
+    }
+};
+
+// Make EncryptionManager globally accessible
+window.EncryptionManager = EncryptionManager;
+
+// Runs before DataManager.ready, which waits for the unlock screen
+document.addEventListener('DOMContentLoaded', () => EncryptionManager.init());
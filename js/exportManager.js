@@ -8,14 +8,14 @@ const ExportManager = {
     
     // Export tasks to JSON
     exportTasks() {
-        const tasks = JSON.parse(localStorage.getItem('lifeos_tasks') || '[]');
+        const tasks = DataManager.get('lifeos_tasks', []);
         this.downloadFile(JSON.stringify(tasks, null, 2), 'lifeos_tasks.json', 'application/json');
         this.showNotification('Tasks exported successfully!', 'success');
     },
     
     // Export expenses to CSV
     exportExpenses() {
-        const transactions = JSON.parse(localStorage.getItem('lifeos_transactions') || '[]');
+        const transactions = DataManager.get('lifeos_transactions', []);
         
         if (transactions.length === 0) {
             this.showNotification('No expenses to export', 'warning');
@@ -41,7 +41,7 @@ const ExportManager = {
     
     // Export mood data to JSON
     exportMoodData() {
-        const moods = JSON.parse(localStorage.getItem('lifeos_moods') || '[]');
+        const moods = DataManager.get('lifeos_moods', []);
         this.downloadFile(JSON.stringify(moods, null, 2), 'lifeos_moods.json', 'application/json');
         this.showNotification('Mood data exported successfully!', 'success');
     },
@@ -52,9 +52,9 @@ const ExportManager = {
         
         // Gather all data
         const data = {
-            tasks: JSON.parse(localStorage.getItem('lifeos_tasks') || '[]'),
-            transactions: JSON.parse(localStorage.getItem('lifeos_transactions') || '[]'),
-            moods: JSON.parse(localStorage.getItem('lifeos_moods') || '[]'),
+            tasks: DataManager.get('lifeos_tasks', []),
+            transactions: DataManager.get('lifeos_transactions', []),
+            moods: DataManager.get('lifeos_moods', []),
             generatedAt: new Date().toISOString()
         };
         
@@ -98,30 +98,192 @@ LifeOS - AI-Powered Life Manager
         this.generateReport();
     },
     
-    // Import data from JSON
+    // Import data from JSON, merged into what is stored after a preview
     importData(fileContent, dataType) {
+        const keys = { tasks: 'lifeos_tasks', moods: 'lifeos_moods' };
+        if (!keys[dataType]) {
+            this.showNotification('Unknown data type', 'error');
+            return false;
+        }
+
         try {
             const data = JSON.parse(fileContent);
-            
-            switch (dataType) {
-                case 'tasks':
-                    localStorage.setItem('lifeos_tasks', JSON.stringify(data));
-                    this.showNotification('Tasks imported successfully!', 'success');
-                    break;
-                case 'moods':
-                    localStorage.setItem('lifeos_moods', JSON.stringify(data));
-                    this.showNotification('Mood data imported successfully!', 'success');
-                    break;
-                default:
-                    this.showNotification('Unknown data type', 'error');
-            }
-            
+            this.showImportPreview({ [keys[dataType]]: data });
             return true;
         } catch (e) {
             this.showNotification('Failed to import data: ' + e.message, 'error');
             return false;
         }
     },
+
+    IMPORT_PREVIEW_ID: 'import-preview-modal',
+    // Categories from DataManager.previewImport and the choices offered for each
+    IMPORT_CATEGORIES: {
+        new: { label: 'New', hint: 'Not on this device yet', options: { add: 'Add', skip: 'Skip' } },
+        changed: { label: 'Newer in file', hint: 'Edited in the file since this device last changed them', options: { apply: 'Update', skip: 'Skip' } },
+        conflicting: {
+            label: 'Changed on both sides',
+            hint: 'Edited here and in the file, or deleted in the file after an edit here',
+            options: { merge: 'Merge', incoming: 'Use file', keep: 'Keep mine' }
+        },
+        deleted: { label: 'Deleted in file', hint: 'Removed where the file was made', options: { delete: 'Delete', keep: 'Keep' } },
+        identical: { label: 'Already up to date', hint: 'Nothing to import', options: {} }
+    },
+    // Items listed per category before the rest are summarized
+    MAX_PREVIEW_ITEMS: 10,
+
+    formatKeyName(name) {
+        const words = name.toLowerCase().replace(/_/g, ' ');
+        return words.charAt(0).toUpperCase() + words.slice(1);
+    },
+
+    renderPreviewItems(entry) {
+        const sections = Object.entries(this.IMPORT_CATEGORIES)
+            .filter(([category]) => category !== 'identical' && entry.items[category].length > 0)
+            .map(([category, { label }]) => {
+                const items = entry.items[category];
+                const shown = items.slice(0, this.MAX_PREVIEW_ITEMS)
+                    .map(item => `<li>${SecurityUtils.escapeHtml(item.label)}</li>`).join('');
+                const more = items.length > this.MAX_PREVIEW_ITEMS ? `<li>…and ${items.length - this.MAX_PREVIEW_ITEMS} more</li>` : '';
+                return `<div style="margin-top: 6px;"><strong>${label}</strong><ul style="margin: 4px 0 0 18px;">${shown}${more}</ul></div>`;
+            });
+
+        return sections.length > 0
+            ? `<details style="font-size: 12px; color: var(--text-secondary); margin: 4px 0 8px;"><summary style="cursor: pointer;">Show records</summary>${sections.join('')}</details>`
+            : '';
+    },
+
+    /**
+     * Show what an import would change, let the user pick how to handle each
+     * category, then import and report what was applied
+     * @param {Object} data - Parsed export file
+     * @param {Object} options - { onApplied(results) } called after importing
+     */
+    showImportPreview(data, { onApplied = null } = {}) {
+        const preview = DataManager.previewImport(data);
+        const failed = preview.keys.filter(entry => entry.error);
+        const pending = Object.keys(this.IMPORT_CATEGORIES).filter(category => category !== 'identical' && preview.totals[category] > 0);
+
+        if (preview.keys.length === 0) {
+            NotificationSystem.warning('The file has no LifeOS data to import');
+            return;
+        }
+        if (pending.length === 0 && failed.length === 0) {
+            NotificationSystem.info('Everything in the file is already on this device');
+            return;
+        }
+
+        const categories = Object.keys(this.IMPORT_CATEGORIES);
+        const cellStyle = 'padding: 6px 8px; text-align: right; border-bottom: 1px solid var(--border-color);';
+        const rows = preview.keys.map(entry => `
+            <tr>
+                <td style="${cellStyle} text-align: left;">
+                    ${SecurityUtils.escapeHtml(this.formatKeyName(entry.name))}
+                    ${entry.error ? `<div style="font-size: 12px; color: var(--danger);">Can't be read: ${SecurityUtils.escapeHtml(entry.error)}</div>` : this.renderPreviewItems(entry)}
+                </td>
+                ${categories.map(category => `<td style="${cellStyle}">${entry.counts[category] || ''}</td>`).join('')}
+            </tr>
+        `).join('');
+
+        const selectStyle = 'padding: 6px 10px; border-radius: 8px; border: 1px solid var(--border-color); background: var(--bg-secondary); color: var(--text-primary);';
+        const choices = pending.map(category => {
+            const { label, hint, options } = this.IMPORT_CATEGORIES[category];
+            return `
+                <div style="display: flex; justify-content: space-between; align-items: center; gap: 12px; padding: 8px 0;">
+                    <div>
+                        <div style="color: var(--text-primary);">${label} (${preview.totals[category]})</div>
+                        <div style="font-size: 12px; color: var(--text-secondary);">${hint}</div>
+                    </div>
+                    <select id="importResolution-${category}" style="${selectStyle}">
+                        ${Object.entries(options).map(([value, text]) => `<option value="${value}">${text}</option>`).join('')}
+                    </select>
+                </div>
+            `;
+        }).join('');
+
+        ModalManager.create({
+            id: this.IMPORT_PREVIEW_ID,
+            title: 'Import Preview',
+            size: 'large',
+            content: `
+                <div style="overflow-x: auto; margin-bottom: 16px;">
+                    <table style="width: 100%; border-collapse: collapse; font-size: 13px; color: var(--text-primary);">
+                        <thead>
+                            <tr>
+                                <th style="${cellStyle} text-align: left;">Data</th>
+                                ${categories.map(category => `<th style="${cellStyle}">${this.IMPORT_CATEGORIES[category].label}</th>`).join('')}
+                            </tr>
+                        </thead>
+                        <tbody>${rows}</tbody>
+                    </table>
+                </div>
+                ${choices}
+                <p style="font-size: 12px; color: var(--text-secondary); margin-top: 8px;">
+                    Records are matched by id, so importing the same file again adds nothing.
+                    Merge combines both versions; tasks, notes and habits are merged field by field, and edits that clash are kept for you to resolve.
+                </p>
+            `,
+            buttons: [
+                { id: 'cancel', text: 'Cancel', onClick: (e, { close }) => close() },
+                {
+                    id: 'import',
+                    text: 'Import',
+                    primary: true,
+                    onClick: (e, { close }) => {
+                        const resolutions = {};
+                        pending.forEach(category => {
+                            resolutions[category] = document.getElementById(`importResolution-${category}`).value;
+                        });
+                        close();
+
+                        const results = DataManager.importData(data, { resolutions });
+                        this.showImportReport(results);
+                        if (onApplied) onApplied(results);
+                    }
+                }
+            ]
+        });
+    },
+
+    // What an import did, per data set
+    showImportReport(results) {
+        const labels = {
+            added: 'added',
+            updated: 'updated',
+            merged: 'merged',
+            replaced: 'replaced from file',
+            deleted: 'deleted',
+            kept: 'kept as they were',
+            skipped: 'skipped'
+        };
+        const lines = Object.entries(results.applied)
+            .map(([name, report]) => {
+                const parts = Object.entries(labels)
+                    .filter(([field]) => report[field] > 0)
+                    .map(([field, label]) => `${report[field]} ${label}`);
+                return parts.length > 0 ? { name, text: parts.join(' · ') } : null;
+            })
+            .filter(Boolean);
+
+        const list = lines.length > 0
+            ? `<ul style="margin: 0 0 0 18px;">${lines.map(({ name, text }) => `<li><strong>${SecurityUtils.escapeHtml(this.formatKeyName(name))}:</strong> ${text}</li>`).join('')}</ul>`
+            : '<p>Nothing was changed.</p>';
+        const conflicts = results.conflicts > 0
+            ? `<p style="margin-top: 12px;">${results.conflicts} edit(s) clash with changes on this device. <a href="#" onclick="ModalManager.close('${this.IMPORT_PREVIEW_ID}-report'); ConflictResolver.open(); return false;">Resolve them</a></p>`
+            : '';
+        const failed = results.failed.length > 0
+            ? `<p style="margin-top: 12px; color: var(--danger);">Not imported: ${results.failed.map(name => SecurityUtils.escapeHtml(this.formatKeyName(name))).join(', ')}</p>`
+            : '';
+
+        ModalManager.create({
+            id: `${this.IMPORT_PREVIEW_ID}-report`,
+            title: 'Import Complete',
+            content: `<div style="color: var(--text-primary); font-size: 14px;">${list}${conflicts}${failed}</div>`,
+            buttons: [
+                { id: 'ok', text: 'OK', primary: true, onClick: (e, { close }) => close() }
+            ]
+        });
+    },
     
     // Download file helper
     downloadFile(content, filename, contentType) {
@@ -145,43 +307,270 @@ LifeOS - AI-Powered Life Manager
         }
     },
     
-    // Export all data
-    exportAllData() {
-        const allData = {
-            tasks: JSON.parse(localStorage.getItem('lifeos_tasks') || '[]'),
-            transactions: JSON.parse(localStorage.getItem('lifeos_transactions') || '[]'),
-            moods: JSON.parse(localStorage.getItem('lifeos_moods') || '[]'),
-            settings: JSON.parse(localStorage.getItem('lifeos_settings') || '{}'),
-            exportedAt: new Date().toISOString()
-        };
-        
-        this.downloadFile(JSON.stringify(allData, null, 2), 'lifeos_backup.json', 'application/json');
-        this.showNotification('All data exported successfully!', 'success');
+    BACKUP_FORMAT: 'lifeos-backup',
+    BACKUP_VERSION: 1,
+    BACKUP_RESTORE_ID: 'backup-restore-modal',
+    // Validation errors listed before the rest are summarized
+    MAX_BACKUP_ERRORS: 8,
+
+    // Modules in a backup and the storage keys each one owns, as BackupSchema describes them
+    getBackupModules() {
+        return Object.entries(BackupSchema.properties.modules.properties).map(([name, schema]) => ({
+            name,
+            label: schema.title,
+            keys: Object.keys(schema.properties)
+        }));
     },
-    
-    // Backup data
+
+    /**
+     * Build a full backup of the active profile
+     * @returns {Object} Archive matching BackupSchema
+     */
     createBackup() {
-        this.exportAllData();
+        const modules = {};
+        this.getBackupModules().forEach(({ name, keys }) => {
+            const values = {};
+            keys.forEach(key => {
+                const value = DataManager.get(key);
+                if (value !== null) values[key] = value;
+            });
+            modules[name] = values;
+        });
+
+        const schemaVersions = {};
+        Object.keys(DataManager.getCurrentSchema()).forEach(module => {
+            schemaVersions[module] = DataManager.getSchemaVersion(module);
+        });
+
+        // Deletes of the lists in the backup, so a restore does not let other devices bring them back
+        const backedUp = this.getBackupModules().flatMap(({ keys }) => keys);
+        const tombstones = {};
+        DataManager.getMergeableKeys()
+            .filter(key => backedUp.includes(key))
+            .forEach(key => {
+                const deleted = DataManager.getTombstones(key);
+                if (Object.keys(deleted).length > 0) tombstones[key] = deleted;
+            });
+
+        return {
+            format: this.BACKUP_FORMAT,
+            version: this.BACKUP_VERSION,
+            createdAt: new Date().toISOString(),
+            appVersion: '3.0.0',
+            profile: DataManager.getProfile(),
+            schemaVersions,
+            tombstones,
+            modules
+        };
     },
-    
-    // Restore from backup
+
+    /**
+     * Check an archive against BackupSchema
+     * @param {*} archive - Parsed backup file
+     * @returns {Object} { valid, errors: [{ path, message }] }
+     */
+    validateBackup(archive) {
+        if (archive && archive.format === this.BACKUP_FORMAT && Number.isInteger(archive.version) && archive.version > this.BACKUP_VERSION) {
+            return { valid: false, errors: [{ path: 'version', message: 'was written by a newer version of LifeOS' }] };
+        }
+        return JsonSchema.validate(BackupSchema, archive);
+    },
+
+    isBackup(data) {
+        return !!data && typeof data === 'object' && data.format === this.BACKUP_FORMAT;
+    },
+
+    // Download a full backup
+    exportAllData() {
+        const backup = this.createBackup();
+        const date = backup.createdAt.split('T')[0];
+        this.downloadFile(JSON.stringify(backup, null, 2), `lifeos-backup-${date}.json`, 'application/json');
+        this.showNotification('Full backup downloaded', 'success');
+    },
+
+    downloadBackupSchema() {
+        this.downloadFile(JSON.stringify(BackupSchema, null, 2), 'lifeos-backup.schema.json', 'application/schema+json');
+    },
+
+    describeBackupModule(values) {
+        const lists = Object.values(values).filter(Array.isArray);
+        if (lists.length > 0) {
+            return `${lists.reduce((sum, list) => sum + list.length, 0)} item(s)`;
+        }
+        const keys = Object.keys(values).length;
+        return keys > 0 ? `${keys} setting(s)` : 'empty';
+    },
+
+    /**
+     * Validate a backup file and, once the user confirms, replace every module's data with it
+     * Nothing is written unless the whole archive matches BackupSchema.
+     * @param {string} fileContent - Backup file text
+     * @returns {boolean} Whether the file was valid
+     */
     restoreFromBackup(fileContent) {
+        let archive;
         try {
-            const data = JSON.parse(fileContent);
-            
-            if (data.tasks) localStorage.setItem('lifeos_tasks', JSON.stringify(data.tasks));
-            if (data.transactions) localStorage.setItem('lifeos_transactions', JSON.stringify(data.transactions));
-            if (data.moods) localStorage.setItem('lifeos_moods', JSON.stringify(data.moods));
-            if (data.settings) localStorage.setItem('lifeos_settings', JSON.stringify(data.settings));
-            
-            this.showNotification('Data restored successfully! Please refresh the page.', 'success');
-            setTimeout(() => location.reload(), 2000);
-            
-            return true;
+            archive = JSON.parse(fileContent);
         } catch (e) {
+            this.showNotification('Failed to restore data: the file is not valid JSON', 'error');
+            return false;
+        }
+
+        const { valid, errors } = this.validateBackup(archive);
+        if (!valid) {
+            this.showBackupErrors(errors);
+            return false;
+        }
+
+        const modules = this.getBackupModules().filter(({ name }) => archive.modules[name]);
+        const rows = modules.map(({ name, label }) => `
+            <li>${SecurityUtils.escapeHtml(label)}: ${this.describeBackupModule(archive.modules[name])}</li>
+        `).join('');
+
+        ModalManager.create({
+            id: this.BACKUP_RESTORE_ID,
+            title: 'Restore Backup',
+            content: `
+                <div style="color: var(--text-primary); font-size: 14px;">
+                    <p style="margin-bottom: 8px;">Backup from ${SecurityUtils.escapeHtml(new Date(archive.createdAt).toLocaleString())}:</p>
+                    <ul style="margin: 0 0 12px 18px;">${rows}</ul>
+                    <p style="font-size: 12px; color: var(--danger);">
+                        The data of these modules on this device is replaced by the backup. Anything added since the backup was made is lost.
+                    </p>
+                </div>
+            `,
+            buttons: [
+                { id: 'cancel', text: 'Cancel', onClick: (e, { close }) => close() },
+                {
+                    id: 'restore',
+                    text: 'Restore',
+                    primary: true,
+                    onClick: (e, { close }) => {
+                        close();
+                        this.applyBackup(archive);
+                    }
+                }
+            ]
+        });
+        return true;
+    },
+
+    /**
+     * Write a validated archive; modules missing from it are left alone
+     * @param {Object} archive - Archive that passed validateBackup()
+     * @returns {boolean} Whether it was restored
+     */
+    applyBackup(archive) {
+        const values = {};
+        this.getBackupModules()
+            .filter(({ name }) => archive.modules[name])
+            .forEach(({ name, keys }) => {
+                keys.forEach(key => {
+                    values[key] = archive.modules[name][key] !== undefined ? archive.modules[name][key] : null;
+                });
+            });
+
+        try {
+            DataManager.restoreValues(values, archive.schemaVersions || {}, archive.tombstones || {});
+        } catch (e) {
+            console.error('Restore failed:', e);
             this.showNotification('Failed to restore data: ' + e.message, 'error');
             return false;
         }
+
+        // Modules keep what they loaded at startup
+        this.showNotification('Backup restored, reloading...', 'success');
+        DataManager.flush().then(() => setTimeout(() => location.reload(), 1500));
+        return true;
+    },
+
+    showBackupErrors(errors) {
+        const shown = errors.slice(0, this.MAX_BACKUP_ERRORS);
+        const more = errors.length - shown.length;
+        const list = shown.map(({ path, message }) => `
+            <li><code>${SecurityUtils.escapeHtml(path)}</code> ${SecurityUtils.escapeHtml(message)}</li>
+        `).join('');
+
+        ModalManager.create({
+            id: `${this.BACKUP_RESTORE_ID}-errors`,
+            title: 'Backup Not Restored',
+            content: `
+                <div style="color: var(--text-primary); font-size: 14px;">
+                    <p style="margin-bottom: 8px;">This file is not a valid LifeOS backup, so nothing was changed.</p>
+                    <ul style="margin: 0 0 0 18px; font-size: 13px;">${list}</ul>
+                    ${more > 0 ? `<p style="margin-top: 8px; font-size: 12px; color: var(--text-secondary);">and ${more} more</p>` : ''}
+                </div>
+            `,
+            buttons: [
+                { id: 'ok', text: 'OK', primary: true, onClick: (e, { close }) => close() }
+            ]
+        });
+    },
+
+    // Settings block for undoing schema upgrades; hidden until one has run
+    renderMigrationsSection() {
+        const snapshots = DataManager.getMigrationSnapshots();
+        const holds = Object.entries(DataManager.getMigrationHolds());
+        if (snapshots.length === 0 && holds.length === 0) return '';
+
+        const snapshotRows = snapshots.map(snapshot => `
+            <div style="display: flex; justify-content: space-between; align-items: center; gap: 10px; margin-bottom: 8px;">
+                <div style="font-size: 12px; color: var(--text-secondary);">
+                    ${SecurityUtils.escapeHtml(new Date(snapshot.createdAt).toLocaleString())}:
+                    ${snapshot.keys.map(key => SecurityUtils.escapeHtml(this.formatKeyName(key.replace(/^lifeos_/, '')))).join(', ')}
+                </div>
+                <button onclick="ExportManager.rollbackMigration('${SecurityUtils.escapeHtml(snapshot.id)}')" class="modal-btn" style="padding: 6px 12px;">
+                    <i class="fas fa-undo"></i> Roll Back
+                </button>
+            </div>
+        `).join('');
+        const holdRows = holds.map(([module, version]) => `
+            <div style="display: flex; justify-content: space-between; align-items: center; gap: 10px; margin-bottom: 8px;">
+                <div style="font-size: 12px; color: var(--text-secondary);">
+                    ${SecurityUtils.escapeHtml(this.formatKeyName(module))} kept at version ${version}
+                </div>
+                <button onclick="ExportManager.resumeMigrations('${SecurityUtils.escapeHtml(module)}')" class="modal-btn" style="padding: 6px 12px;">
+                    <i class="fas fa-arrow-up"></i> Upgrade
+                </button>
+            </div>
+        `).join('');
+
+        return `
+            <div style="padding: 16px; background: var(--bg-primary); border-radius: 12px;">
+                <h4 style="margin-bottom: 8px; color: var(--text-primary);"><i class="fas fa-layer-group"></i> Data Upgrades</h4>
+                <p style="font-size: 12px; color: var(--text-secondary); margin-bottom: 12px;">
+                    Stored data is upgraded when LifeOS changes how it is kept. A copy from before each upgrade is saved in case it went wrong.
+                </p>
+                ${snapshotRows}
+                ${holdRows}
+            </div>
+        `;
+    },
+
+    rollbackMigration(snapshotId) {
+        ModalManager.confirm('Put this data back the way it was before the upgrade? Changes made to it since are lost, and it is not upgraded again until you choose to.').then(confirmed => {
+            if (!confirmed) return;
+
+            if (!DataManager.rollbackMigration(snapshotId)) {
+                this.showNotification('That copy is no longer available', 'error');
+                return;
+            }
+
+            // Modules keep what they loaded at startup
+            this.showNotification('Upgrade rolled back, reloading...', 'success');
+            DataManager.flush().then(() => setTimeout(() => location.reload(), 1500));
+        });
+    },
+
+    resumeMigrations(module) {
+        const applied = DataManager.resumeMigrations(module);
+        if (applied.length === 0) {
+            AuthManager.refreshSettings();
+            return;
+        }
+
+        this.showNotification('Data upgraded, reloading...', 'success');
+        DataManager.flush().then(() => setTimeout(() => location.reload(), 1500));
     }
 };
 
@@ -225,7 +614,7 @@ function generateReport() {
 // Auto-initialize
 document.addEventListener('DOMContentLoaded', function() {
     if (typeof ExportManager !== 'undefined') {
-        ExportManager.init();
+        DataManager.ready.then(() => ExportManager.init());
     }
 });
 
@@ -331,11 +720,9 @@ function showPrivacy() {
     alert('Privacy Policy\n\nLifeOS stores your data locally on your device. We do not share your personal information with third parties.');
 }
 
+// Accounts are local, so a reset needs the recovery kit saved at signup
 function forgotPassword() {
-    const email = prompt('Enter your email to reset password:');
-    if (email) {
-        alert('Password reset link sent to ' + email);
-    }
+    RecoveryKit.showPasswordReset();
 }
 
 function switchAuthTab(tab) {
@@ -397,7 +784,7 @@ function handleLogin(event) {
             AuthManager.login(email, password);
         } else {
             // Fallback: simple login simulation
-            localStorage.setItem('lifeos_user', JSON.stringify({ email: email, name: email.split('@')[0] }));
+            DataManager.set('lifeos_user', { email: email, name: email.split('@')[0] });
             showDashboard();
         }
     }
@@ -415,7 +802,7 @@ function handleSignup(event) {
             AuthManager.signup(name, email, password);
         } else {
             // Fallback: simple signup simulation
-            localStorage.setItem('lifeos_user', JSON.stringify({ email: email, name: name }));
+            DataManager.set('lifeos_user', { email: email, name: name });
             showDashboard();
         }
     }
@@ -424,7 +811,7 @@ function handleSignup(event) {
 function socialLogin(provider) {
     alert('Social login with ' + provider + ' would open OAuth flow. This is a demo, so logging in locally.');
     const email = 'demo@' + provider + '.com';
-    localStorage.setItem('lifeos_user', JSON.stringify({ email: email, name: 'Demo User' }));
+    DataManager.set('lifeos_user', { email: email, name: 'Demo User' });
     showDashboard();
 }
 
@@ -1,6 +1,9 @@
 // ===== Focus Mode Module =====
 const FocusMode = {
     STORAGE_KEY: 'lifeos_focus_data',
+    SESSION_KEY: 'lifeos_focus_session', // Running session, shared across tabs
+    OWNER_GRACE_MS: 5000,
+    ownerTabId: null,
     isActive: false,
     isPaused: false,
     startTime: null,
@@ -22,6 +25,8 @@ const FocusMode = {
         this.loadFocusData();
         this.renderFocusDashboard();
         this.setupEventListeners();
+        this.applySession(DataManager.get(this.SESSION_KEY, null));
+        this.syncAcrossTabs();
     },
 
     // Load focus data from storage
@@ -52,6 +57,7 @@ const FocusMode = {
         this.isPaused = false;
         this.startTime = Date.now();
         this.pausedTime = 0;
+        this.ownerTabId = TabSync.tabId;
 
         this.currentSession = {
             id: Date.now(),
@@ -60,34 +66,145 @@ const FocusMode = {
             endTime: null,
             completed: false,
             distractions: 0,
-            task: ''
+            task: '',
+            taskId: ''
         };
 
         // Enable focus mode UI
         this.enableFocusUI();
 
         // Start timer
-        this.startTimer(duration);
+        this.startTimer();
+        this.saveSession();
 
         this.showNotification('🎯 Focus mode activated! Stay focused.', 'success');
     },
 
-    // Start timer countdown
-    startTimer(duration) {
-        let remaining = duration * 60; // Convert to seconds
+    // Start timer countdown; computed from the start time so every tab agrees
+    startTimer() {
+        clearInterval(this.timerInterval);
 
-        this.updateTimerDisplay(remaining);
+        const tick = () => {
+            const remaining = this.getRemainingSeconds();
+            this.updateTimerDisplay(remaining);
+            if (remaining <= 0 && !this.isPaused) {
+                this.completeIfOwner();
+            }
+        };
 
-        this.timerInterval = setInterval(() => {
-            if (!this.isPaused) {
-                remaining--;
-                this.updateTimerDisplay(remaining);
+        tick();
+        this.timerInterval = setInterval(tick, 1000);
+    },
 
-                if (remaining <= 0) {
-                    this.completeSession();
-                }
+    getRemainingSeconds() {
+        if (!this.currentSession) return 0;
+
+        const paused = this.pausedTime + (this.isPaused ? Date.now() - this.pauseStartTime : 0);
+        const elapsed = Math.floor((Date.now() - this.startTime - paused) / 1000);
+        return Math.max(0, this.currentSession.duration * 60 - elapsed);
+    },
+
+    // Only the owning tab records the completion; an abandoned or overdue session is claimed first
+    completeIfOwner() {
+        if (this.ownerTabId === TabSync.tabId) {
+            this.completeSession();
+            return;
+        }
+
+        const endedAt = this.startTime + this.pausedTime + this.currentSession.duration * 60000;
+        if (!this.ownerTabId || Date.now() - endedAt > this.OWNER_GRACE_MS) {
+            this.ownerTabId = TabSync.tabId;
+            this.saveSession();
+        }
+    },
+
+    saveSession() {
+        if (!this.currentSession) return;
+
+        DataManager.set(this.SESSION_KEY, {
+            session: this.currentSession,
+            startTime: this.startTime,
+            pausedTime: this.pausedTime,
+            isPaused: this.isPaused,
+            pauseStartTime: this.pauseStartTime || null,
+            owner: this.ownerTabId
+        });
+    },
+
+    clearSession() {
+        this.ownerTabId = null;
+        DataManager.remove(this.SESSION_KEY);
+    },
+
+    /**
+     * Mirror a session started, changed or ended in another tab
+     * @param {Object|null} state - Saved session, see saveSession()
+     */
+    applySession(state) {
+        if (!state) {
+            if (!this.isActive) return;
+            // Ended elsewhere; history and time tracking were recorded there
+            clearInterval(this.timerInterval);
+            this.disableFocusUI();
+            this.isActive = false;
+            this.isPaused = false;
+            this.currentSession = null;
+            this.ownerTabId = null;
+            return;
+        }
+
+        const wasActive = this.isActive;
+        this.isActive = true;
+        this.currentSession = state.session;
+        this.startTime = state.startTime;
+        this.pausedTime = state.pausedTime;
+        this.isPaused = state.isPaused;
+        this.pauseStartTime = state.pauseStartTime;
+        this.ownerTabId = state.owner;
+
+        if (!wasActive) {
+            this.enableFocusUI();
+        }
+        this.updateSessionUI();
+        this.startTimer();
+    },
+
+    // Sync overlay controls with the current session state
+    updateSessionUI() {
+        const pauseBtn = document.getElementById('focusPauseBtn');
+        if (pauseBtn) {
+            pauseBtn.innerHTML = this.isPaused
+                ? '<i class="fas fa-play"></i> Resume'
+                : '<i class="fas fa-pause"></i> Pause';
+        }
+
+        const countElement = document.getElementById('distractionCount');
+        if (countElement) countElement.textContent = this.currentSession.distractions;
+
+        const taskInput = document.getElementById('focusTask');
+        if (taskInput && document.activeElement !== taskInput) taskInput.value = this.currentSession.task || '';
+
+        const linkedSelect = document.getElementById('focusLinkedTask');
+        if (linkedSelect) linkedSelect.value = this.currentSession.taskId || '';
+    },
+
+    syncAcrossTabs() {
+        DataManager.subscribe(this.SESSION_KEY, ({ value, remote }) => {
+            if (remote) this.applySession(value);
+        });
+        DataManager.subscribe(this.STORAGE_KEY, ({ remote }) => {
+            if (!remote) return;
+            this.loadFocusData();
+            if (!this.isActive) this.renderFocusDashboard();
+        });
+
+        // Let another tab finish the session once this one closes
+        window.addEventListener('pagehide', () => {
+            if (this.isActive && this.ownerTabId === TabSync.tabId) {
+                this.ownerTabId = null;
+                this.saveSession();
             }
-        }, 1000);
+        });
     },
 
     // Update timer display
@@ -143,6 +260,8 @@ const FocusMode = {
         }
 
         this.saveFocusData();
+        this.creditLinkedTask(this.currentSession, this.currentSession.duration);
+        this.clearSession();
 
         // Disable focus UI
         this.disableFocusUI();
@@ -174,7 +293,9 @@ const FocusMode = {
                 cancelled: true,
                 actualDuration: elapsed
             });
+            this.creditLinkedTask(this.currentSession, elapsed);
         }
+        this.clearSession();
 
         this.disableFocusUI();
 
@@ -193,6 +314,7 @@ const FocusMode = {
 
         this.isPaused = true;
         this.pauseStartTime = Date.now();
+        this.saveSession();
 
         document.getElementById('focusPauseBtn').innerHTML = '<i class="fas fa-play"></i> Resume';
         document.title = '⏸ Paused - LifeOS Focus';
@@ -206,6 +328,7 @@ const FocusMode = {
 
         this.pausedTime += Date.now() - this.pauseStartTime;
         this.isPaused = false;
+        this.saveSession();
 
         document.getElementById('focusPauseBtn').innerHTML = '<i class="fas fa-pause"></i> Pause';
         document.title = '🎯 LifeOS Focus';
@@ -226,6 +349,7 @@ const FocusMode = {
     recordDistraction() {
         if (this.currentSession) {
             this.currentSession.distractions++;
+            this.saveSession();
             const countElement = document.getElementById('distractionCount');
             if (countElement) {
                 countElement.textContent = this.currentSession.distractions;
@@ -286,6 +410,10 @@ const FocusMode = {
                 <div class="focus-info">
                     <input type="text" id="focusTask" placeholder="What are you working on?" 
                            class="focus-task-input" onchange="FocusMode.setTask(this.value)">
+                    ${typeof TaskManager !== 'undefined' ? `
+                    <select id="focusLinkedTask" class="focus-task-input" onchange="FocusMode.linkTask(this.value)">
+                        ${TaskManager.getTaskOptions(this.currentSession?.taskId)}
+                    </select>` : ''}
                 </div>
                 
                 <div class="focus-controls">
@@ -341,7 +469,33 @@ const FocusMode = {
     setTask(task) {
         if (this.currentSession) {
             this.currentSession.task = task;
+            this.saveSession();
+        }
+    },
+
+    // Link the session to a task so focused time is tracked on it
+    linkTask(taskId) {
+        if (!this.currentSession) return;
+
+        this.currentSession.taskId = taskId || '';
+        const task = TaskManager.tasks.find(t => t.id === taskId);
+        if (task) {
+            this.currentSession.task = task.title;
+            const input = document.getElementById('focusTask');
+            if (input) input.value = task.title;
         }
+        this.saveSession();
+    },
+
+    creditLinkedTask(session, minutes) {
+        if (!session?.taskId || minutes <= 0 || typeof TaskManager === 'undefined') return;
+
+        TaskManager.addTimeEntry(session.taskId, {
+            start: session.startTime,
+            end: new Date().toISOString(),
+            minutes,
+            source: 'focus'
+        });
     },
 
     // Show completion celebration
@@ -379,6 +533,20 @@ const FocusMode = {
         }, 100);
     },
 
+    // Focus page; the dashboard draws into its container
+    render() {
+        const pageContent = document.getElementById('pageContent');
+        if (!pageContent) return;
+        pageContent.innerHTML = `
+            <div class="page-header">
+                <h2><i class="fas fa-brain"></i> Focus</h2>
+            </div>
+            <div id="focusModeContent"></div>
+        `;
+        this.loadFocusData();
+        this.renderFocusDashboard();
+    },
+
     // Render focus dashboard
     renderFocusDashboard() {
         const container = document.getElementById('focusModeContent');
@@ -423,7 +591,7 @@ const FocusMode = {
                     <h3><i class="fas fa-play-circle"></i> Start Focus Session</h3>
                     <div class="focus-presets">
                         ${this.PRESETS.map(preset => `
-                            <button class="preset-btn" onclick="FocusMode.startSession(${preset.minutes})">
+                            <button class="preset-btn" onclick="${preset.minutes > 0 ? `FocusMode.startSession(${preset.minutes})` : `document.getElementById('customFocusMinutes').focus()`}">
                                 <span class="preset-name">${preset.name}</span>
                                 <span class="preset-time">${preset.minutes > 0 ? preset.minutes + ' min' : 'Custom'}</span>
                             </button>
@@ -474,7 +642,7 @@ const FocusMode = {
                                     <i class="fas fa-${session.completed ? 'check-circle' : 'times-circle'}"></i>
                                 </div>
                                 <div class="history-info">
-                                    <span class="history-task">${session.task || 'Focus Session'}</span>
+                                    <span class="history-task">${SecurityUtils.escapeHtml(session.task || 'Focus Session')}</span>
                                     <span class="history-date">${new Date(session.startTime).toLocaleDateString()}</span>
                                 </div>
                                 <div class="history-duration">
@@ -529,3 +697,5 @@ const FocusMode = {
 
 // Make globally available
 window.FocusMode = FocusMode;
+
+document.addEventListener('DOMContentLoaded', () => DataManager.ready.then(() => FocusMode.init()));
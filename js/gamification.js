@@ -63,17 +63,56 @@ const Gamification = {
         this.checkDailyStreak();
         this.updateUI();
         this.startDailyReset();
+        this.subscribeToChanges();
+    },
+    
+    // Award points when other modules record progress
+    // Progress made in another tab is awarded there and arrives through the stats keys;
+    // undo/redo and restores only put back earlier state, so they earn nothing
+    subscribeToChanges() {
+        DataManager.subscribe(DataManager.STORAGE_KEYS.TASKS, ({ updated, remote, restored }) => {
+            if (remote || restored) return;
+            updated
+                .filter(({ before, after }) => !before.completed && after.completed)
+                .forEach(({ after }) => this.onTaskComplete(after));
+        });
+        
+        DataManager.subscribe(DataManager.STORAGE_KEYS.HABITS, ({ updated, remote, restored }) => {
+            if (remote || restored) return;
+            updated.forEach(({ before, after }) => {
+                const previous = before.completions || {};
+                Object.keys(after.completions || {})
+                    .filter(date => !previous[date])
+                    .forEach(() => this.onHabitComplete());
+            });
+        });
+        
+        DataManager.subscribe(DataManager.STORAGE_KEYS.POMODORO_SESSIONS, ({ value, previous, remote, restored }) => {
+            if (remote || restored || !value) return;
+            const sameDay = previous && previous.date === value.date;
+            const gained = (value.count || 0) - (sameDay ? previous.count || 0 : 0);
+            for (let i = 0; i < gained; i++) {
+                this.onPomodoroComplete();
+            }
+        });
+        
+        DataManager.subscribe(['lifeos_gamification_stats', 'lifeos_unlocked_achievements'], ({ remote }) => {
+            if (!remote) return;
+            this.stats = { ...this.stats, ...DataManager.get('lifeos_gamification_stats', {}) };
+            this.unlockedAchievements = DataManager.get('lifeos_unlocked_achievements', []);
+            this.updateUI();
+        });
     },
     
     // Load stats from storage
     loadStats() {
-        const stored = localStorage.getItem('lifeos_gamification_stats');
+        const stored = DataManager.get('lifeos_gamification_stats');
         if (stored) {
-            this.stats = { ...this.stats, ...JSON.parse(stored) };
+            this.stats = { ...this.stats, ...stored };
         }
         
         // Check login streak
-        const lastLogin = localStorage.getItem('lifeos_last_login');
+        const lastLogin = DataManager.get('lifeos_last_login');
         const today = new Date().toDateString();
         
         if (lastLogin) {
@@ -93,31 +132,31 @@ const Gamification = {
         }
         
         // Update last login
-        localStorage.setItem('lifeos_last_login', today);
+        DataManager.set('lifeos_last_login', today);
     },
     
     // Save stats to storage
     saveStats() {
-        localStorage.setItem('lifeos_gamification_stats', JSON.stringify(this.stats));
+        DataManager.set('lifeos_gamification_stats', this.stats);
     },
     
     // Load achievements from storage
     loadAchievements() {
-        const stored = localStorage.getItem('lifeos_unlocked_achievements');
+        const stored = DataManager.get('lifeos_unlocked_achievements');
         if (stored) {
-            this.unlockedAchievements = JSON.parse(stored);
+            this.unlockedAchievements = stored;
         }
     },
     
     // Save achievements to storage
     saveAchievements() {
-        localStorage.setItem('lifeos_unlocked_achievements', JSON.stringify(this.unlockedAchievements));
+        DataManager.set('lifeos_unlocked_achievements', this.unlockedAchievements);
     },
     
     // Check and update streak
     checkDailyStreak() {
         const today = new Date().toDateString();
-        const lastActive = localStorage.getItem('lifeos_last_active');
+        const lastActive = DataManager.get('lifeos_last_active');
         
         if (lastActive !== today) {
             // Check if it was yesterday
@@ -131,7 +170,7 @@ const Gamification = {
                 }
             }
             
-            localStorage.setItem('lifeos_last_active', today);
+            DataManager.set('lifeos_last_active', today);
             this.addPoints(10, 'Daily login bonus');
         }
     },
@@ -208,11 +247,11 @@ const Gamification = {
     
     // Check perfect day
     checkPerfectDay() {
-        const tasks = JSON.parse(localStorage.getItem('lifeos_tasks') || '[]');
+        const tasks = DataManager.get('lifeos_tasks', []);
         const today = new Date().toDateString();
         
         const todayTasks = tasks.filter(t => {
-            const taskDate = new Date(t.dueDate).toDateString();
+            const taskDate = new Date(t.deadline).toDateString();
             return taskDate === today;
         });
         
@@ -227,7 +266,7 @@ const Gamification = {
     
     // Update habit streak
     updateHabitStreak() {
-        const habits = JSON.parse(localStorage.getItem('lifeos_habits') || '[]');
+        const habits = DataManager.get('lifeos_habits', []);
         let maxStreak = 0;
         
         habits.forEach(habit => {
@@ -107,10 +107,14 @@ const GoalTracker = {
 
     // Delete goal
     deleteGoal(id) {
+        const index = this.goals.findIndex(goal => goal.id === id);
+        if (index !== -1) {
+            TrashBin.add('goals', this.goals[index], { index });
+        }
         this.goals = this.goals.filter(goal => goal.id !== id);
         this.saveGoals();
         this.renderGoalDashboard();
-        this.showNotification('Goal deleted', 'info');
+        this.showNotification('Goal moved to trash', 'info');
     },
 
     // Get goals by status
@@ -123,6 +127,20 @@ const GoalTracker = {
         return this.goals.filter(goal => goal.category === category);
     },
 
+    // Goals page; the dashboard draws into its container
+    render() {
+        const pageContent = document.getElementById('pageContent');
+        if (!pageContent) return;
+        pageContent.innerHTML = `
+            <div class="page-header">
+                <h2><i class="fas fa-bullseye"></i> Goals</h2>
+            </div>
+            <div id="goalTrackerContent"></div>
+        `;
+        this.loadGoals();
+        this.renderGoalDashboard();
+    },
+
     // Render goal dashboard
     renderGoalDashboard() {
         const container = document.getElementById('goalTrackerContent');
@@ -387,3 +405,5 @@ const GoalTracker = {
 
 // Make globally available
 window.GoalTracker = GoalTracker;
+
+document.addEventListener('DOMContentLoaded', () => DataManager.ready.then(() => GoalTracker.init()));
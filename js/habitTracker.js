@@ -77,7 +77,7 @@ const HabitTracker = {
                             </div>
                         </div>
                         <button class="habit-check-btn ${isCompletedToday ? 'checked' : ''}" 
-                                onclick="HabitTracker.toggleHabit('${habit.id}')">
+                                onclick="HabitTracker.toggleHabit(${SecurityUtils.escapeJsString(habit.id)})">
                             <i class="fas fa-${isCompletedToday ? 'check' : 'plus'}"></i>
                         </button>
                     </div>
@@ -253,13 +253,24 @@ const HabitTracker = {
     deleteHabit(habitId) {
         ModalManager.confirm('Delete this habit?').then(function (confirmed) {
             if (confirmed) {
-                HabitTracker.habits = HabitTracker.habits.filter(function (h) { return h.id !== habitId; });
-                HabitTracker.saveHabits();
-                NotificationSystem.info('Habit deleted', 2000);
+                CommandHistory.run('Habit deleted', HabitTracker.getHistoryTarget(), function () {
+                    HabitTracker.habits = HabitTracker.habits.filter(function (h) { return h.id !== habitId; });
+                    HabitTracker.saveHabits();
+                });
             }
         });
     },
 
+    getHistoryTarget() {
+        return {
+            capture: () => this.habits,
+            restore: (habits) => {
+                this.habits = habits;
+                this.saveHabits();
+            }
+        };
+    },
+
     renderHabits() {
         const container = document.getElementById('habitList');
         if (!container) return;
@@ -370,3 +381,8 @@ const HabitTracker = {
 
 // Make available globally
 window.HabitTracker = HabitTracker;
+
+// Check-ins from every device are kept; streak counters follow the latest edit
+DataManager.registerMergeable(DataManager.STORAGE_KEYS.HABITS, {
+    fields: { completions: 'union', streak: 'latest', bestStreak: 'latest', createdAt: 'latest' }
+});
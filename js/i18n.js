@@ -6,13 +6,15 @@ const translations = {
         analytics: 'Analytics',
         calendar: 'Calendar',
         expenses: 'Expenses',
+        team: 'Team',
+        aiAssistant: 'AI Assistant',
         welcomeBack: 'Welcome Back!',
         createAccount: 'Create Account',
         haveAccount: 'Already have an account?',
         login: 'Login',
         noAccount: "Don't have an account?",
         signup: 'Sign up',
-        welcomeMessage: 'Welcome back, User! 👋',
+        welcomeMessage: 'Welcome back',
         dayStreak: 'day streak',
         smartTaskManager: 'Smart Task Manager',
         taskPlaceholder: 'Add a new task...',
@@ -66,13 +68,15 @@ const translations = {
         analytics: 'تجزیہ',
         calendar: 'کیلنڈر',
         expenses: 'اخراجات',
+        team: 'ٹیم',
+        aiAssistant: 'AI مددگار',
         welcomeBack: 'خوش آمدید!',
         createAccount: 'اکاؤنٹ بنائیں',
         haveAccount: 'پہلے سے اکاؤنٹ ہے؟',
         login: 'لاگ ان',
         noAccount: 'اکاؤنٹ نہیں ہے؟',
         signup: 'سائن اپ',
-        welcomeMessage: 'خوش آمدید، صارف! 👋',
+        welcomeMessage: 'خوش آمدید',
         dayStreak: 'دن کا سلسلہ',
         smartTaskManager: 'سمارٹ ٹاسک مینیجر',
         taskPlaceholder: 'نیا کام شامل کریں...',
@@ -126,13 +130,15 @@ const translations = {
         analytics: 'التحليلات',
         calendar: 'التقويم',
         expenses: 'المصروفات',
+        team: 'الفريق',
+        aiAssistant: 'المساعد الذكي',
         welcomeBack: 'مرحباً بعودتك!',
         createAccount: 'إنشاء حساب',
         haveAccount: 'لديك حساب بالفعل؟',
         login: 'تسجيل الدخول',
         noAccount: 'ليس لديك حساب؟',
         signup: 'اشتراك',
-        welcomeMessage: 'مرحباً بعودتك، مستخدم! 👋',
+        welcomeMessage: 'مرحباً بعودتك',
         dayStreak: 'أيام متتالية',
         smartTaskManager: 'مدير المهام الذكي',
         taskPlaceholder: 'أضف مهمة جديدة...',
@@ -186,13 +192,15 @@ const translations = {
         analytics: 'Análisis',
         calendar: 'Calendario',
         expenses: 'Gastos',
+        team: 'Equipo',
+        aiAssistant: 'Asistente IA',
         welcomeBack: '¡Bienvenido de nuevo!',
         createAccount: 'Crear cuenta',
         haveAccount: '¿Ya tienes cuenta?',
         login: 'Iniciar sesión',
         noAccount: '¿No tienes cuenta?',
         signup: 'Registrarse',
-        welcomeMessage: '¡Bienvenido de nuevo, Usuario! 👋',
+        welcomeMessage: '¡Bienvenido de nuevo',
         dayStreak: 'días seguidos',
         smartTaskManager: 'Gestor Inteligente de Tareas',
         taskPlaceholder: 'Añadir nueva tarea...',
@@ -246,7 +254,7 @@ let currentLanguage = localStorage.getItem('language') || 'en';
 
 function changeLanguage(lang) {
     currentLanguage = lang;
-    
+
     // Update active button
     document.querySelectorAll('.lang-btn').forEach(btn => {
         btn.classList.remove('active');
@@ -254,21 +262,31 @@ function changeLanguage(lang) {
             btn.classList.add('active');
         }
     });
-    
+
     // Update all translatable elements
     document.querySelectorAll('[data-i18n]').forEach(element => {
         const key = element.getAttribute('data-i18n');
         if (translations[lang] && translations[lang][key]) {
             if (element.tagName === 'INPUT' || element.tagName === 'TEXTAREA') {
                 element.placeholder = translations[lang][key];
+            } else if (element.tagName === 'OPTION') {
+                element.textContent = translations[lang][key];
             } else {
                 element.textContent = translations[lang][key];
             }
         }
     });
-    
+
+    // Update welcome message with name if logged in
+    if (AuthManager && AuthManager.currentUser) {
+        const welcomeEl = document.querySelector('[data-i18n="welcomeMessage"]');
+        if (welcomeEl) {
+            welcomeEl.textContent = `${translations[lang].welcomeMessage}, ${AuthManager.currentUser.name}! 👋`;
+        }
+    }
+
     localStorage.setItem('language', lang);
 }
 
 // Make function globally available
-window.changeLanguage = changeLanguage;
\ No newline at end of file
+window.changeLanguage = changeLanguage;
@@ -73,10 +73,14 @@ const Journal = {
     delete(id) {
         if (confirm('Are you sure you want to delete this entry?')) {
             let entries = DataManager.get(Journal.STORAGE_KEY, []);
+            const index = entries.findIndex(e => e.id === id);
+            if (index !== -1) {
+                TrashBin.add('journal', entries[index], { index });
+            }
             entries = entries.filter(e => e.id !== id);
             DataManager.set(Journal.STORAGE_KEY, entries);
             this.render(); // Re-render
-            NotificationSystem.success('Entry deleted');
+            NotificationSystem.success('Entry moved to trash');
         }
     },
 
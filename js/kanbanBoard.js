@@ -0,0 +1,315 @@
+// ===== Kanban Board Module =====
+const KanbanBoard = {
+    STORAGE_KEY: 'lifeos_kanban_config',
+    containerId: 'kanbanBoard',
+
+    // Column sources per grouping field
+    GROUPINGS: {
+        status: {
+            label: 'Status',
+            columns: [
+                { value: 'todo', label: 'To Do' },
+                { value: 'in-progress', label: 'In Progress' },
+                { value: 'done', label: 'Done' }
+            ]
+        },
+        priority: {
+            label: 'Priority',
+            columns: [
+                { value: 'high', label: 'High' },
+                { value: 'medium', label: 'Medium' },
+                { value: 'low', label: 'Low' }
+            ]
+        },
+        category: {
+            label: 'Category',
+            columns: [
+                { value: 'general', label: 'General' },
+                { value: 'work', label: 'Work' },
+                { value: 'personal', label: 'Personal' },
+                { value: 'health', label: 'Health' },
+                { value: 'finance', label: 'Finance' }
+            ]
+        }
+    },
+
+    DEFAULT_CONFIG: {
+        view: 'list',
+        groupBy: 'status',
+        hiddenColumns: {},
+        extraColumns: {},
+        wipLimits: {}
+    },
+
+    // Config is stored per user so shared machines keep separate boards
+    getUserKey() {
+        return (typeof AuthManager !== 'undefined' && AuthManager.currentUser?.id) || 'guest';
+    },
+
+    getConfig() {
+        const all = DataManager.get(this.STORAGE_KEY, {});
+        return { ...this.DEFAULT_CONFIG, ...(all[this.getUserKey()] || {}) };
+    },
+
+    saveConfig(changes) {
+        const all = DataManager.get(this.STORAGE_KEY, {});
+        all[this.getUserKey()] = { ...this.getConfig(), ...changes };
+        DataManager.set(this.STORAGE_KEY, all);
+    },
+
+    isActive() {
+        return this.getConfig().view === 'board';
+    },
+
+    setView(view) {
+        this.saveConfig({ view });
+        if (typeof App !== 'undefined') {
+            App.showTasks();
+        }
+    },
+
+    getFieldValue(task, groupBy) {
+        if (groupBy === 'status') return TaskManager.getTaskStatus(task);
+        return task[groupBy] || (groupBy === 'category' ? 'general' : 'medium');
+    },
+
+    // Built-in columns, plus user-added ones and any value present on a task
+    getColumns(config, tasks) {
+        const grouping = this.GROUPINGS[config.groupBy];
+        const columns = [...grouping.columns];
+        const known = new Set(columns.map(c => c.value));
+
+        const extra = [...(config.extraColumns[config.groupBy] || [])];
+        if (config.groupBy === 'category') {
+            tasks.forEach(task => extra.push(this.getFieldValue(task, 'category')));
+        }
+
+        extra.forEach(value => {
+            if (!known.has(value)) {
+                known.add(value);
+                columns.push({ value, label: value.charAt(0).toUpperCase() + value.slice(1) });
+            }
+        });
+
+        const hidden = config.hiddenColumns[config.groupBy] || [];
+        return columns.filter(column => !hidden.includes(column.value));
+    },
+
+    getWipLimit(config, value) {
+        return (config.wipLimits[config.groupBy] || {})[value] || 0;
+    },
+
+    // Only open cards count towards a WIP limit
+    countInProgress(tasks, config, value) {
+        return tasks.filter(task => !task.completed && this.getFieldValue(task, config.groupBy) === value).length;
+    },
+
+    render() {
+        const container = document.getElementById(this.containerId);
+        if (!container) return;
+
+        const config = this.getConfig();
+        const tasks = TaskManager.getFilteredTasks();
+        const columns = this.getColumns(config, tasks);
+
+        const groupOptions = Object.entries(this.GROUPINGS).map(([key, grouping]) =>
+            `<option value="${key}" ${config.groupBy === key ? 'selected' : ''}>${grouping.label}</option>`
+        ).join('');
+
+        container.innerHTML = `
+            <div class="kanban-toolbar">
+                <label>Group by
+                    <select class="form-input" onchange="KanbanBoard.setGroupBy(this.value)">${groupOptions}</select>
+                </label>
+                <button class="btn btn-secondary" onclick="KanbanBoard.showColumnSettings()">
+                    <i class="fas fa-columns"></i> Columns
+                </button>
+            </div>
+            <div class="kanban-columns"></div>
+        `;
+
+        const columnsEl = container.querySelector('.kanban-columns');
+
+        columns.forEach(column => {
+            const columnTasks = TaskManager.sortTasks(tasks.filter(task => this.getFieldValue(task, config.groupBy) === column.value));
+            const limit = this.getWipLimit(config, column.value);
+            const open = this.countInProgress(tasks, config, column.value);
+            const overLimit = limit > 0 && open > limit;
+
+            const columnEl = document.createElement('div');
+            columnEl.className = `kanban-column ${overLimit ? 'over-limit' : ''}`;
+            columnEl.setAttribute('data-value', column.value);
+            columnEl.innerHTML = `
+                <div class="kanban-column-header">
+                    <span>${SecurityUtils.escapeHtml(column.label)}</span>
+                    <span class="kanban-count" title="${limit ? 'Open cards / WIP limit' : 'Cards'}">${limit ? `${open}/${limit}` : columnTasks.length}</span>
+                </div>
+                <div class="kanban-cards"></div>
+            `;
+
+            const cardsEl = columnEl.querySelector('.kanban-cards');
+            columnTasks.forEach(task => cardsEl.appendChild(this.createCard(task)));
+
+            columnEl.addEventListener('dragover', (e) => {
+                e.preventDefault();
+                columnEl.classList.add('drag-over');
+            });
+            columnEl.addEventListener('dragleave', (e) => {
+                if (!columnEl.contains(e.relatedTarget)) {
+                    columnEl.classList.remove('drag-over');
+                }
+            });
+            columnEl.addEventListener('drop', (e) => this.handleColumnDrop(e, column.value));
+
+            columnsEl.appendChild(columnEl);
+        });
+    },
+
+    createCard(task) {
+        const card = document.createElement('div');
+        card.className = `kanban-card priority-border-${task.priority} ${task.completed ? 'completed' : ''} ${TaskManager.isBlocked(task) ? 'blocked' : ''}`;
+        card.draggable = true;
+        card.setAttribute('data-id', task.id);
+
+        const deadline = task.deadline ? Recurrence.parseDate(task.deadline).toLocaleDateString() : '';
+        const progress = TaskManager.getSubtaskProgress(task.id);
+
+        card.innerHTML = `
+            <div class="kanban-card-title" ondblclick="TaskManager.editTask(${SecurityUtils.escapeJsString(task.id)})">${SecurityUtils.escapeHtml(task.title)}</div>
+            <div class="kanban-card-meta">
+                <span class="task-category">${SecurityUtils.escapeHtml(task.category)}</span>
+                ${deadline ? `<span class="task-deadline"><i class="fas fa-calendar"></i> ${SecurityUtils.escapeHtml(deadline)}</span>` : ''}
+                ${progress.total > 0 ? `<span class="task-progress">${progress.done}/${progress.total}</span>` : ''}
+                ${TaskManager.isBlocked(task) ? '<span class="task-blocked"><i class="fas fa-lock"></i></span>' : ''}
+            </div>
+        `;
+
+        // Same drag source bookkeeping as the list view
+        card.addEventListener('dragstart', (e) => TaskManager.handleDragStart(e, task.id));
+        card.addEventListener('dragend', (e) => TaskManager.handleDragEnd(e));
+
+        return card;
+    },
+
+    handleColumnDrop(e, value) {
+        e.preventDefault();
+        e.currentTarget.classList.remove('drag-over');
+
+        const taskId = TaskManager.dragSource || e.dataTransfer.getData('text/plain');
+        const task = TaskManager.tasks.find(t => t.id === taskId);
+        if (!task) return;
+
+        const config = this.getConfig();
+        const targetCard = e.target.closest('.kanban-card');
+
+        if (this.getFieldValue(task, config.groupBy) !== value) {
+            const limit = this.getWipLimit(config, value);
+            const movesOpenCard = !task.completed && !(config.groupBy === 'status' && value === 'done');
+            if (limit > 0 && movesOpenCard && this.countInProgress(TaskManager.tasks, config, value) >= limit) {
+                NotificationSystem.warning(`WIP limit of ${limit} reached for this column`);
+                return;
+            }
+
+            if (!TaskManager.updateTaskField(taskId, config.groupBy, value)) {
+                this.render();
+                return;
+            }
+        }
+
+        // Dropping onto a card also positions the dragged card before it
+        if (targetCard && targetCard.dataset.id !== taskId) {
+            TaskManager.moveTask(taskId, targetCard.dataset.id);
+        }
+
+        TaskManager.save();
+        TaskManager.render();
+        this.render();
+    },
+
+    setGroupBy(groupBy) {
+        if (!this.GROUPINGS[groupBy]) return;
+        this.saveConfig({ groupBy });
+        this.render();
+    },
+
+    showColumnSettings() {
+        const config = this.getConfig();
+        const hidden = config.hiddenColumns[config.groupBy] || [];
+        const allColumns = this.getColumns({ ...config, hiddenColumns: {} }, TaskManager.tasks);
+
+        const rows = allColumns.map(column => `
+            <div class="form-row" style="align-items: center;">
+                <label style="flex: 1; display: flex; align-items: center; gap: 8px;">
+                    <input type="checkbox" name="kanbanColumnVisible" value="${SecurityUtils.escapeHtml(column.value)}" ${hidden.includes(column.value) ? '' : 'checked'}>
+                    ${SecurityUtils.escapeHtml(column.label)}
+                </label>
+                <input type="number" min="0" class="form-input" style="width: 110px;" placeholder="No limit"
+                       data-wip-column="${SecurityUtils.escapeHtml(column.value)}" value="${this.getWipLimit(config, column.value) || ''}">
+            </div>
+        `).join('');
+
+        const addColumn = config.groupBy === 'category' ? `
+            <div class="form-group">
+                <label>Add category column</label>
+                <input type="text" id="kanbanNewColumn" class="form-input" placeholder="e.g. errands">
+            </div>
+        ` : '';
+
+        ModalManager.create({
+            id: 'kanbanColumnsModal',
+            title: `Board Columns (${this.GROUPINGS[config.groupBy].label})`,
+            content: `
+                <p style="color: var(--text-secondary); margin-bottom: 12px;">Choose visible columns and optional WIP limits.</p>
+                ${rows}
+                ${addColumn}
+            `,
+            size: 'medium',
+            buttons: [
+                { id: 'cancel', text: 'Cancel', onClick: (e, { close }) => close() },
+                {
+                    id: 'save',
+                    text: 'Save',
+                    primary: true,
+                    onClick: (e, { close }) => {
+                        this.saveColumnSettings(config);
+                        close();
+                    }
+                }
+            ]
+        });
+    },
+
+    saveColumnSettings(config) {
+        const groupBy = config.groupBy;
+
+        const hiddenColumns = { ...config.hiddenColumns };
+        hiddenColumns[groupBy] = Array.from(document.querySelectorAll('input[name="kanbanColumnVisible"]'))
+            .filter(input => !input.checked)
+            .map(input => input.value);
+
+        const wipLimits = { ...config.wipLimits, [groupBy]: {} };
+        document.querySelectorAll('[data-wip-column]').forEach(input => {
+            const limit = parseInt(input.value, 10);
+            if (limit > 0) {
+                wipLimits[groupBy][input.dataset.wipColumn] = limit;
+            }
+        });
+
+        const extraColumns = { ...config.extraColumns };
+        const newColumn = document.getElementById('kanbanNewColumn')?.value.trim().toLowerCase();
+        if (newColumn) {
+            if (SecurityUtils.detectXSSAttempt(newColumn)) {
+                NotificationSystem.error('Invalid characters in column name');
+                return;
+            }
+            extraColumns[groupBy] = [...new Set([...(extraColumns[groupBy] || []), SecurityUtils.sanitizeInput(newColumn)])];
+        }
+
+        this.saveConfig({ hiddenColumns, wipLimits, extraColumns });
+        this.render();
+        NotificationSystem.success('Board columns updated', 2000);
+    }
+};
+
+// Make KanbanBoard globally accessible
+window.KanbanBoard = KanbanBoard;
@@ -29,6 +29,13 @@ const KeyboardShortcuts = {
         '?': { action: 'showHelp', description: 'Show Shortcuts', category: 'General' },
         'esc': { action: 'closeModal', description: 'Close Modal/Dialog', category: 'General' },
         's': { action: 'save', description: 'Save Current', category: 'General' },
+
+        // History
+        'ctrl z': { action: 'undo', description: 'Undo', category: 'History' },
+        'cmd z': { action: 'undo', description: 'Undo', category: 'History' },
+        'ctrl shift z': { action: 'redo', description: 'Redo', category: 'History' },
+        'cmd shift z': { action: 'redo', description: 'Redo', category: 'History' },
+        'ctrl y': { action: 'redo', description: 'Redo', category: 'History' },
         
         // AI Assistant
         'cmd k': { action: 'openAI', description: 'Open AI Assistant', category: 'AI' },
@@ -60,7 +67,8 @@ const KeyboardShortcuts = {
         
         document.addEventListener('keydown', (e) => {
             // Ignore if typing in input/textarea
-            if (e.target.tagName === 'INPUT' || e.target.tagName === 'TEXTAREA' || e.target.isContentEditable) {
+            const isTyping = e.target.tagName === 'INPUT' || e.target.tagName === 'TEXTAREA' || e.target.isContentEditable;
+            if (isTyping) {
                 // Still allow some shortcuts with modifier
                 if (!e.ctrlKey && !e.metaKey && !e.altKey) return;
             }
@@ -88,10 +96,16 @@ const KeyboardShortcuts = {
             
             // Build key combination
             let combo = key;
+            // Shift only matters alongside Ctrl/Cmd; on its own it is part of keys like '?'
+            if (e.shiftKey && (e.ctrlKey || e.metaKey)) combo = 'shift ' + combo;
             if (e.ctrlKey) combo = 'ctrl ' + combo;
             if (e.metaKey) combo = 'cmd ' + combo;
             if (e.altKey) combo = 'alt ' + combo;
             
+            // Text fields keep their native undo/redo
+            const historyAction = ['undo', 'redo'].includes(this.shortcuts[combo]?.action);
+            if (isTyping && historyAction) return;
+
             // Check for direct shortcuts first
             if (this.shortcuts[combo]) {
                 e.preventDefault();
@@ -172,6 +186,18 @@ const KeyboardShortcuts = {
             case 'toggleFullscreen':
                 this.toggleFullscreen();
                 break;
+
+            case 'undo':
+                if (typeof CommandHistory !== 'undefined') {
+                    CommandHistory.undo();
+                }
+                break;
+
+            case 'redo':
+                if (typeof CommandHistory !== 'undefined') {
+                    CommandHistory.redo();
+                }
+                break;
         }
     },
     
@@ -245,7 +271,7 @@ const KeyboardShortcuts = {
     // Save current data
     saveCurrent() {
         if (typeof DataManager !== 'undefined') {
-            DataManager.saveAll();
+            DataManager.flush();
             this.showNotification('Data saved!');
         }
     },
@@ -368,11 +394,11 @@ const KeyboardShortcuts = {
     
     // Show welcome tip
     showWelcomeTip() {
-        const shown = localStorage.getItem('lifeos_shortcuts_tip_shown');
+        const shown = DataManager.get('lifeos_shortcuts_tip_shown');
         if (!shown) {
             setTimeout(() => {
                 this.showNotification('Press ? for keyboard shortcuts');
-                localStorage.setItem('lifeos_shortcuts_tip_shown', 'true');
+                DataManager.set('lifeos_shortcuts_tip_shown', true);
             }, 3000);
         }
     }
@@ -99,10 +99,14 @@ const MediaTracker = {
 
     // Delete media item
     deleteMediaItem(type, id) {
+        const index = this.mediaData[type].findIndex(item => item.id === id);
+        if (index !== -1) {
+            TrashBin.add('media', this.mediaData[type][index], { index, meta: { type } });
+        }
         this.mediaData[type] = this.mediaData[type].filter(item => item.id !== id);
         this.saveMediaData();
         this.renderMediaDashboard();
-        this.showNotification('Media item deleted', 'info');
+        this.showNotification('Media item moved to trash', 'info');
     },
 
     // Get statistics
@@ -131,6 +135,20 @@ const MediaTracker = {
         return stats;
     },
 
+    // Media page; the dashboard draws into its container
+    render() {
+        const pageContent = document.getElementById('pageContent');
+        if (!pageContent) return;
+        pageContent.innerHTML = `
+            <div class="page-header">
+                <h2><i class="fas fa-film"></i> Media</h2>
+            </div>
+            <div id="mediaTrackerContent"></div>
+        `;
+        this.loadMediaData();
+        this.renderMediaDashboard();
+    },
+
     // Render media dashboard
     renderMediaDashboard() {
         const container = document.getElementById('mediaTrackerContent');
@@ -462,3 +480,5 @@ const MediaTracker = {
 
 // Make globally available
 window.MediaTracker = MediaTracker;
+
+document.addEventListener('DOMContentLoaded', () => DataManager.ready.then(() => MediaTracker.init()));
@@ -162,7 +162,7 @@ const MoodManager = {
                                     <div style="font-size: 0.85rem; color: var(--text-secondary);">${m.date}</div>
                                 </div>
                             </div>
-                            <button onclick="MoodManager.deleteMood('${m.id}')" style="background: none; border: none; color: var(--danger); cursor: pointer;">
+                            <button onclick="MoodManager.deleteMood(${SecurityUtils.escapeJsString(m.id)})" style="background: none; border: none; color: var(--danger); cursor: pointer;">
                                 <i class="fas fa-trash"></i>
                             </button>
                         </div>
@@ -259,7 +259,37 @@ function logMood(mood) {
 
 // Initialize
 document.addEventListener('DOMContentLoaded', () => {
-    MoodManager.init();
+    DataManager.ready.then(() => MoodManager.init());
+});
+
+// Schema migrations for stored moods
+DataManager.registerMigration('moods', {
+    version: 1,
+    keys: [DataManager.STORAGE_KEYS.MOODS],
+    description: 'Store every mood as one of the mood emoji with its value, date and timestamp',
+    migrate: (moods) => (Array.isArray(moods) ? moods : []).map((entry, index) => {
+        // Older entries hold a label ('happy') or a score (1-5, or 1-10) instead of the emoji
+        const types = MoodManager.moodTypes;
+        let type = types.find(t => t.emoji === entry.mood)
+            || types.find(t => typeof entry.mood === 'string' && t.label.toLowerCase() === entry.mood.toLowerCase());
+        if (!type && typeof entry.mood === 'number') {
+            const value = entry.mood > 5 ? Math.round(entry.mood / 2) : entry.mood;
+            type = types.reduce((best, t) => (Math.abs(t.value - value) < Math.abs(best.value - value) ? t : best));
+        }
+        type = type || types.find(t => t.label === 'Neutral');
+
+        const timestamp = entry.timestamp || new Date(entry.date || Date.now()).toISOString();
+        return {
+            ...entry,
+            id: entry.id || `mood_${Date.parse(timestamp) || Date.now()}_${index}`,
+            date: entry.date || timestamp.split('T')[0],
+            mood: type.emoji,
+            moodValue: type.value,
+            journal: entry.journal || '',
+            gratitude: entry.gratitude || '',
+            timestamp
+        };
+    })
 });
 
 window.MoodManager = MoodManager;
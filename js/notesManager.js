@@ -57,13 +57,13 @@ const NotesManager = {
                         <div class="note-header">
                             <h3>${note.isPinned ? '📌 ' : ''}${note.title}</h3>
                             <div class="note-actions">
-                                <button class="btn-icon" onclick="NotesManager.togglePin('${note.id}')">
+                                <button class="btn-icon" onclick="NotesManager.togglePin(${SecurityUtils.escapeJsString(note.id)})">
                                     <i class="fas fa-thumbtack"></i>
                                 </button>
-                                <button class="btn-icon" onclick="NotesManager.editNote('${note.id}')">
+                                <button class="btn-icon" onclick="NotesManager.editNote(${SecurityUtils.escapeJsString(note.id)})">
                                     <i class="fas fa-edit"></i>
                                 </button>
-                                <button class="btn-icon" onclick="NotesManager.deleteNote('${note.id}')">
+                                <button class="btn-icon" onclick="NotesManager.deleteNote(${SecurityUtils.escapeJsString(note.id)})">
                                     <i class="fas fa-trash"></i>
                                 </button>
                             </div>
@@ -206,9 +206,24 @@ const NotesManager = {
     deleteNote(id) {
         ModalManager.confirm('Delete this note?').then(function (confirmed) {
             if (confirmed) {
-                NotesManager.notes = NotesManager.notes.filter(function (n) { return n.id !== id; });
-                NotesManager.saveNotes();
-                NotificationSystem.info('Note deleted', 2000);
+                CommandHistory.run('Note moved to trash', NotesManager.getHistoryTarget(), function () {
+                    const index = NotesManager.notes.findIndex(function (n) { return n.id === id; });
+                    if (index === -1) return false;
+
+                    TrashBin.add('notes', NotesManager.notes[index], { index: index });
+                    NotesManager.notes = NotesManager.notes.filter(function (n) { return n.id !== id; });
+                    NotesManager.saveNotes();
+                });
+            }
+        });
+    },
+
+    getHistoryTarget() {
+        return TrashBin.track({
+            capture: () => this.notes,
+            restore: (notes) => {
+                this.notes = notes;
+                this.saveNotes();
             }
         });
     },
@@ -461,3 +476,6 @@ const NotesManager = {
 
 // Make available globally
 window.NotesManager = NotesManager;
+
+// Notes edited on several devices merge field by field
+DataManager.registerMergeable(DataManager.STORAGE_KEYS.NOTES);
@@ -8,6 +8,10 @@ const PomodoroTimer = {
     currentMode: 'work', // work, shortBreak, longBreak
     sessionsCompleted: 0,
     totalSessionsToday: 0,
+    linkedTaskId: '', // Task credited with focus time
+    endsAt: null, // Wall-clock end of the running interval, shared across tabs
+    ownerTabId: null, // Tab that completes the interval when it runs out
+    OWNER_GRACE_MS: 5000, // How long other tabs wait for the owner before taking over
 
     // Timer settings
     settings: {
@@ -23,8 +27,10 @@ const PomodoroTimer = {
     init() {
         this.loadSettings();
         this.loadTodaySessions();
+        this.restoreState();
         this.updateDisplay();
         this.setupEventListeners();
+        this.syncAcrossTabs();
         this.startClock();
         console.log('[PomodoroTimer] Initialized');
     },
@@ -104,6 +110,14 @@ const PomodoroTimer = {
                         </button>
                     </div>
                     
+                    ${typeof TaskManager !== 'undefined' ? `
+                    <div class="pomodoro-task-link">
+                        <label for="pomodoroTask"><i class="fas fa-link"></i> Working on</label>
+                        <select id="pomodoroTask" class="form-input" onchange="PomodoroTimer.linkTask(this.value)">
+                            ${TaskManager.getTaskOptions(this.linkedTaskId)}
+                        </select>
+                    </div>` : ''}
+
                     <div class="session-stats">
                         <div class="stat-item">
                             <span class="stat-value">${this.totalSessionsToday}</span>
@@ -165,7 +179,7 @@ const PomodoroTimer = {
         }
 
         // Set initial time based on mode
-        this.setMode(this.currentMode);
+        this.setMode(this.currentMode, { persist: false });
     },
 
     saveSettings() {
@@ -191,7 +205,7 @@ const PomodoroTimer = {
         });
     },
 
-    setMode(mode) {
+    setMode(mode, options = {}) {
         this.currentMode = mode;
 
         switch (mode) {
@@ -206,10 +220,16 @@ const PomodoroTimer = {
                 break;
         }
 
+        clearInterval(this.timer);
         this.isRunning = false;
         this.isPaused = false;
+        this.endsAt = null;
         this.updateDisplay();
         this.updateModeIndicator();
+
+        if (options.persist !== false) {
+            this.saveState();
+        }
     },
 
     start() {
@@ -217,17 +237,32 @@ const PomodoroTimer = {
 
         this.isRunning = true;
         this.isPaused = false;
+        this.endsAt = Date.now() + this.timeLeft * 1000;
+        this.ownerTabId = TabSync.tabId;
 
-        this.timer = setInterval(() => {
-            if (this.timeLeft > 0) {
-                this.timeLeft--;
-                this.updateDisplay();
-            } else {
-                this.complete();
-            }
-        }, 1000);
-
+        this.runTicker();
         this.updateButtonStates();
+        this.saveState();
+    },
+
+    // Time left is derived from endsAt so every tab shows the same countdown
+    runTicker() {
+        clearInterval(this.timer);
+        this.timer = setInterval(() => this.tick(), 1000);
+    },
+
+    tick() {
+        this.timeLeft = Math.max(0, Math.ceil((this.endsAt - Date.now()) / 1000));
+        this.updateDisplay();
+        if (this.timeLeft > 0) return;
+
+        // Only one tab completes the interval; an abandoned or overdue one is claimed first
+        if (this.ownerTabId === TabSync.tabId) {
+            this.complete();
+        } else if (!this.ownerTabId || Date.now() - this.endsAt > this.OWNER_GRACE_MS) {
+            this.ownerTabId = TabSync.tabId;
+            this.saveState();
+        }
     },
 
     pause() {
@@ -236,7 +271,76 @@ const PomodoroTimer = {
         this.isRunning = false;
         this.isPaused = true;
         clearInterval(this.timer);
+        this.timeLeft = Math.max(0, Math.ceil((this.endsAt - Date.now()) / 1000));
+        this.endsAt = null;
         this.updateButtonStates();
+        this.saveState();
+    },
+
+    saveState() {
+        DataManager.set(DataManager.STORAGE_KEYS.POMODORO_STATE, {
+            mode: this.currentMode,
+            status: this.isRunning ? 'running' : (this.isPaused ? 'paused' : 'idle'),
+            timeLeft: this.timeLeft,
+            endsAt: this.endsAt,
+            owner: this.ownerTabId,
+            linkedTaskId: this.linkedTaskId,
+            sessionsCompleted: this.sessionsCompleted
+        });
+    },
+
+    /**
+     * Adopt timer state saved by this or another tab
+     * @param {Object} state - Saved state, see saveState()
+     */
+    applyState(state) {
+        if (!state) return;
+
+        clearInterval(this.timer);
+        this.currentMode = state.mode || 'work';
+        this.linkedTaskId = state.linkedTaskId || '';
+        this.sessionsCompleted = state.sessionsCompleted || 0;
+        this.ownerTabId = state.owner || null;
+        this.isRunning = state.status === 'running';
+        this.isPaused = state.status === 'paused';
+        this.endsAt = this.isRunning ? state.endsAt : null;
+        this.timeLeft = state.timeLeft;
+
+        if (this.isRunning) {
+            this.tick();
+            this.runTicker();
+        }
+
+        this.updateDisplay();
+        this.updateModeIndicator();
+        this.updateButtonStates();
+        this.updateSessionStats();
+        if (window.location.hash === '#pomodoro') {
+            this.render();
+        }
+    },
+
+    restoreState() {
+        this.applyState(DataManager.get(DataManager.STORAGE_KEYS.POMODORO_STATE, null));
+    },
+
+    syncAcrossTabs() {
+        DataManager.subscribe(DataManager.STORAGE_KEYS.POMODORO_STATE, ({ value, remote }) => {
+            if (remote) this.applyState(value);
+        });
+        DataManager.subscribe(DataManager.STORAGE_KEYS.POMODORO_SESSIONS, ({ remote }) => {
+            if (!remote) return;
+            this.loadTodaySessions();
+            this.updateSessionStats();
+        });
+
+        // Let another tab finish a running interval once this one closes
+        window.addEventListener('pagehide', () => {
+            if (this.isRunning && this.ownerTabId === TabSync.tabId) {
+                this.ownerTabId = null;
+                this.saveState();
+            }
+        });
     },
 
     resume() {
@@ -244,10 +348,26 @@ const PomodoroTimer = {
         this.start();
     },
 
+    linkTask(taskId) {
+        this.linkedTaskId = taskId || '';
+        this.saveState();
+    },
+
+    // Credit focused minutes to the linked task
+    creditLinkedTask(minutes) {
+        if (!this.linkedTaskId || minutes <= 0 || typeof TaskManager === 'undefined') return;
+        TaskManager.addTimeEntry(this.linkedTaskId, { minutes, source: 'pomodoro' });
+    },
+
     stop() {
-        this.isRunning = false;
-        this.isPaused = false;
-        clearInterval(this.timer);
+        if (this.currentMode === 'work' && (this.isRunning || this.isPaused)) {
+            if (this.isRunning) {
+                this.timeLeft = Math.max(0, Math.ceil((this.endsAt - Date.now()) / 1000));
+            }
+            const elapsedSeconds = this.settings.workDuration * 60 - this.timeLeft;
+            this.creditLinkedTask(Math.round(elapsedSeconds / 60));
+        }
+
         this.setMode(this.currentMode);
         this.updateButtonStates();
     },
@@ -266,6 +386,7 @@ const PomodoroTimer = {
             this.sessionsCompleted++;
             this.totalSessionsToday++;
             this.saveTodaySessions();
+            this.creditLinkedTask(this.settings.workDuration);
 
             NotificationSystem.success('Work session complete! 🎉', 3000);
 
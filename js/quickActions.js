@@ -18,28 +18,64 @@ const QuickActions = {
         }
     },
     
-    // Add new task
+    // Add new task from natural language ("Pay rent tomorrow 9am #bills !high")
     addTask() {
         this.toggleDropdown('quickActionsDropdown');
         
-        // Find and open task modal or focus task input
-        const taskModal = document.getElementById('taskModal');
-        if (taskModal) {
-            taskModal.classList.remove('hidden');
-            taskModal.style.display = 'flex';
-            const taskInput = document.getElementById('taskInput') || document.querySelector('[id*="task"] input');
-            if (taskInput) taskInput.focus();
-        } else {
-            // Navigate to tasks page
+        if (typeof TaskParser === 'undefined' || typeof TaskManager === 'undefined') {
             if (typeof App !== 'undefined') {
                 App.navigateTo('tasks');
             }
-            // Focus on first task input after navigation
-            setTimeout(() => {
-                const taskInput = document.getElementById('taskInput') || document.querySelector('.task-input') || document.querySelector('[placeholder*="task"]');
-                if (taskInput) taskInput.focus();
-            }, 300);
+            return;
         }
+        
+        const submit = (close) => {
+            const input = document.getElementById('quickTaskInput');
+            const text = input ? input.value.trim() : '';
+            
+            if (!text) {
+                NotificationSystem.warning('Please enter a task title');
+                return;
+            }
+            if (SecurityUtils.detectXSSAttempt(text)) {
+                NotificationSystem.error('Invalid characters in task title');
+                return;
+            }
+            
+            const parsed = TaskParser.parse(text);
+            if (!parsed.title) {
+                NotificationSystem.warning('Please enter a task title');
+                return;
+            }
+            
+            TaskManager.createTask(parsed);
+            close();
+        };
+        
+        ModalManager.create({
+            id: 'quickAddTaskModal',
+            title: 'Quick Add Task',
+            content: `
+                <input type="text" id="quickTaskInput" class="form-input" autocomplete="off"
+                       placeholder="e.g. Pay rent tomorrow 9am #bills !high">
+            `,
+            size: 'small',
+            onOpen: (modal) => {
+                const input = modal.querySelector('#quickTaskInput');
+                TaskParser.attachPreview(input);
+                input.addEventListener('keydown', (e) => {
+                    if (e.key === 'Enter') {
+                        e.preventDefault();
+                        submit(() => ModalManager.close('quickAddTaskModal'));
+                    }
+                });
+                input.focus();
+            },
+            buttons: [
+                { id: 'cancel', text: 'Cancel', onClick: (e, { close }) => close() },
+                { id: 'add', text: 'Add Task', primary: true, onClick: (e, { close }) => submit(close) }
+            ]
+        });
     },
     
     // Log mood
@@ -0,0 +1,395 @@
+// ===== Recovery Kit Module =====
+// A recovery key generated at signup that can reset the account password and,
+// when encryption is on, unlock the data and set a new passphrase.
+// The key never leaves the kit: accounts and the vault only keep its public half.
+const RecoveryKit = {
+    KIT_MODAL_ID: 'recovery-kit-modal',
+    RESET_MODAL_ID: 'recovery-reset-modal',
+    VAULT_MODAL_ID: 'recovery-vault-modal',
+    CONFIRM_MODAL_ID: 'recovery-confirm-modal',
+    KEY_GROUP_LENGTH: 4,
+    KEY_LENGTH: 52,
+    KEY_PATTERN: /[A-Z2-7]{4}(?:-[A-Z2-7]{4}){12}/i,
+    MIN_PASSWORD_LENGTH: 6,
+
+    INPUT_STYLE: `
+        width: 100%;
+        padding: 12px;
+        border-radius: 8px;
+        border: 1px solid var(--border-color);
+        background: var(--bg-primary);
+        color: var(--text-primary);
+        font-size: 1rem;
+    `,
+
+    // Ciphertext only the matching private key can open, proving the kit belongs to the account
+    verifierText(userId) {
+        return `lifeos-recovery:${userId}`;
+    },
+
+    formatKey(privateKey) {
+        const encoded = TOTP.base32Encode(privateKey);
+        return encoded.match(new RegExp(`.{1,${this.KEY_GROUP_LENGTH}}`, 'g')).join('-');
+    },
+
+    /**
+     * Read a recovery key typed in or pasted from a kit file
+     * @param {string} text - Key, or the whole kit
+     * @returns {Uint8Array|null} Private key, or null if none was found
+     */
+    parseKey(text) {
+        const input = String(text || '');
+        const grouped = input.match(this.KEY_PATTERN);
+        const clean = (grouped ? grouped[0] : input).toUpperCase().replace(/[\s-]/g, '');
+        if (!new RegExp(`^[A-Z2-7]{${this.KEY_LENGTH}}$`).test(clean)) return null;
+        return TOTP.base32Decode(clean);
+    },
+
+    /**
+     * Create a recovery key for an account
+     * @param {string} userId - User id
+     * @returns {Promise<Object>} { recoveryKey: formatted key for the kit, recovery: record for the user }
+     */
+    async create(userId) {
+        const { privateKey, publicKey } = await CryptoVault.createRecoveryKeyPair();
+        return {
+            recoveryKey: this.formatKey(privateKey),
+            recovery: {
+                publicKey,
+                verifier: await CryptoVault.sealTo(publicKey, this.verifierText(userId)),
+                createdAt: new Date().toISOString()
+            }
+        };
+    },
+
+    /**
+     * Check a recovery key against an account
+     * @param {Object} user - Stored user record
+     * @param {string} recoveryKey - Key as entered
+     * @returns {Promise<boolean>} Whether the key belongs to the account
+     */
+    async verify(user, recoveryKey) {
+        const privateKey = this.parseKey(recoveryKey);
+        if (!user || !user.recovery || !privateKey) return false;
+
+        try {
+            const key = await CryptoVault.importRecoveryKey(privateKey, user.recovery.publicKey);
+            return (await CryptoVault.openSealed(key, user.recovery.verifier)) === this.verifierText(user.id);
+        } catch (e) {
+            return false;
+        }
+    },
+
+    // Recovery public keys of every account, for sealing a new vault data key
+    getPublicKeys() {
+        return Object.fromEntries(AuthManager.getUsers()
+            .filter(user => user.recovery)
+            .map(user => [user.id, user.recovery.publicKey]));
+    },
+
+    /**
+     * Replace a user's recovery key; the previous kit stops working
+     * @param {string} userId - User id
+     * @returns {Promise<string>} New formatted key
+     */
+    async regenerate(userId) {
+        const { recoveryKey, recovery } = await this.create(userId);
+        AuthManager.updateStoredUser(userId, u => { u.recovery = recovery; });
+        await DataManager.setRecoveryKey(userId, recovery.publicKey);
+        return recoveryKey;
+    },
+
+    kitText(user, recoveryKey) {
+        return [
+            'LifeOS Recovery Kit',
+            '',
+            `Account: ${user.email}`,
+            `Created: ${new Date().toLocaleString()}`,
+            '',
+            'Recovery key:',
+            recoveryKey,
+            '',
+            'On the login screen, choose "Forgot password?" and enter this key to set a new password.',
+            'If your data is encrypted, choose "Forgot your passphrase?" on the unlock screen to set a new passphrase.',
+            '',
+            'Anyone with this key can take over your account. Keep it offline, somewhere safe.'
+        ].join('\n');
+    },
+
+    printKit(text) {
+        const win = window.open('', '_blank', 'width=600,height=700');
+        if (!win) {
+            NotificationSystem.error('Allow pop-ups to print your recovery kit');
+            return;
+        }
+
+        win.document.write(`<!DOCTYPE html><title>LifeOS Recovery Kit</title>
+            <pre style="font: 14px/1.6 monospace; white-space: pre-wrap; padding: 24px;">${SecurityUtils.escapeHtml(text)}</pre>`);
+        win.document.close();
+        win.focus();
+        win.print();
+    },
+
+    /**
+     * Show a new recovery kit until the user confirms they saved it
+     * @param {Object} user - User (email is printed on the kit)
+     * @param {string} recoveryKey - Formatted key
+     * @returns {Promise} Resolves when the modal is closed
+     */
+    showKit(user, recoveryKey) {
+        const text = this.kitText(user, recoveryKey);
+
+        return new Promise(resolve => {
+            ModalManager.create({
+                id: this.KIT_MODAL_ID,
+                title: 'Save your recovery kit',
+                content: `
+                    <p style="color: var(--text-secondary);">
+                        If you forget your password or encryption passphrase, this key is the only way back into your data.
+                        It will not be shown again.
+                    </p>
+                    <div style="margin: 16px 0; padding: 12px; background: var(--bg-primary); border-radius: 8px; font-family: monospace; font-size: 1rem; text-align: center; word-break: break-all; user-select: all;">
+                        ${SecurityUtils.escapeHtml(recoveryKey)}
+                    </div>
+                `,
+                size: 'small',
+                closable: false,
+                showCloseButton: false,
+                onClose: () => resolve(),
+                buttons: [
+                    {
+                        id: 'print',
+                        text: 'Print',
+                        icon: 'fas fa-print',
+                        onClick: () => this.printKit(text)
+                    },
+                    {
+                        id: 'download',
+                        text: 'Download',
+                        icon: 'fas fa-download',
+                        onClick: () => ExportManager.downloadFile(text, 'lifeos-recovery-kit.txt', 'text/plain')
+                    },
+                    {
+                        id: 'done',
+                        text: 'I saved it',
+                        primary: true,
+                        onClick: (e, { close }) => close()
+                    }
+                ]
+            });
+        });
+    },
+
+    field(id, label, type = 'password', autocomplete = 'new-password') {
+        return `
+            <label for="${id}" style="display: block; margin: 12px 0 6px; font-size: 0.9rem; color: var(--text-secondary);">${label}</label>
+            <input type="${type}" id="${id}" autocomplete="${autocomplete}" style="${this.INPUT_STYLE}">
+        `;
+    },
+
+    // Key input that also accepts the downloaded kit file
+    keyField() {
+        return `
+            <label for="recoveryKeyInput" style="display: block; margin: 12px 0 6px; font-size: 0.9rem; color: var(--text-secondary);">Recovery key</label>
+            <textarea id="recoveryKeyInput" rows="2" spellcheck="false" placeholder="XXXX-XXXX-..." style="${this.INPUT_STYLE} font-family: monospace; resize: vertical;"></textarea>
+            <button type="button" onclick="document.getElementById('recoveryKitFile').click()" class="modal-btn" style="margin-top: 8px;">
+                <i class="fas fa-file-upload"></i> Load kit file
+            </button>
+            <input type="file" id="recoveryKitFile" accept=".txt,text/plain" style="display: none;" onchange="RecoveryKit.loadKitFile(event)">
+        `;
+    },
+
+    loadKitFile(event) {
+        const file = event.target.files[0];
+        if (!file) return;
+
+        const reader = new FileReader();
+        reader.onload = () => {
+            const match = String(reader.result).match(this.KEY_PATTERN);
+            const input = document.getElementById('recoveryKeyInput');
+            if (!match) {
+                NotificationSystem.error('No recovery key found in that file');
+                return;
+            }
+            if (input) input.value = match[0].toUpperCase();
+        };
+        reader.readAsText(file);
+        event.target.value = '';
+    },
+
+    errorArea(id) {
+        return `<div id="${id}" role="alert" style="display: none; margin-top: 10px; color: var(--danger, #ef4444); font-size: 0.9rem;"></div>`;
+    },
+
+    showError(elementId, message) {
+        const element = document.getElementById(elementId);
+        if (!element) return;
+        element.textContent = message;
+        element.style.display = message ? 'block' : 'none';
+    },
+
+    valueOf(id) {
+        const input = document.getElementById(id);
+        return input ? input.value : '';
+    },
+
+    /**
+     * Modal whose primary button stays busy until onSubmit finishes
+     * onSubmit resolves to an error message to show, or null to close the modal.
+     */
+    openForm({ id, title, intro, fields, submitText, errorId, onSubmit }) {
+        ModalManager.create({
+            id,
+            title,
+            content: `
+                <p style="color: var(--text-secondary);">${intro}</p>
+                ${fields}
+                ${this.errorArea(errorId)}
+            `,
+            size: 'small',
+            buttons: [
+                {
+                    id: 'cancel',
+                    text: 'Cancel',
+                    onClick: (e, { close }) => close()
+                },
+                {
+                    id: 'submit',
+                    text: submitText,
+                    primary: true,
+                    onClick: async (e, { close }) => {
+                        const button = e.currentTarget;
+                        if (button.disabled) return;
+
+                        this.showError(errorId, '');
+                        button.disabled = true;
+                        try {
+                            const error = await onSubmit();
+                            if (error) {
+                                this.showError(errorId, error);
+                                return;
+                            }
+                            close();
+                        } catch (err) {
+                            this.showError(errorId, err.message || 'Something went wrong.');
+                        } finally {
+                            button.disabled = false;
+                        }
+                    }
+                }
+            ]
+        });
+    },
+
+    // "Forgot password?" on the login screen
+    showPasswordReset() {
+        this.openForm({
+            id: this.RESET_MODAL_ID,
+            title: 'Reset your password',
+            intro: 'Enter the recovery key from the kit you saved when you signed up.',
+            fields: `
+                ${this.field('recoveryEmail', 'Email', 'email', 'username')}
+                ${this.keyField()}
+                ${this.field('recoveryNewPassword', 'New password')}
+                ${this.field('recoveryConfirmPassword', 'Confirm new password')}
+            `,
+            submitText: 'Reset Password',
+            errorId: 'recoveryResetError',
+            onSubmit: async () => {
+                const email = this.valueOf('recoveryEmail').trim();
+                const password = this.valueOf('recoveryNewPassword');
+
+                if (!SecurityUtils.validateEmail(email)) return 'Please enter a valid email address.';
+                if (password.length < this.MIN_PASSWORD_LENGTH) return `Password must be at least ${this.MIN_PASSWORD_LENGTH} characters.`;
+                if (password !== this.valueOf('recoveryConfirmPassword')) return 'Passwords do not match.';
+
+                await AuthManager.resetPassword(email, this.valueOf('recoveryKeyInput'), password);
+                NotificationSystem.success('Password reset. You can log in with your new password.', 4000);
+                return null;
+            }
+        });
+    },
+
+    // "Forgot your passphrase?" on the encryption unlock screen
+    showVaultRecovery() {
+        this.openForm({
+            id: this.VAULT_MODAL_ID,
+            title: 'Unlock with recovery kit',
+            intro: 'Enter your recovery key to unlock your data and choose a new encryption passphrase.',
+            fields: `
+                ${this.keyField()}
+                ${this.field('recoveryNewPassphrase', 'New passphrase')}
+                ${this.field('recoveryConfirmPassphrase', 'Confirm new passphrase')}
+            `,
+            submitText: 'Unlock',
+            errorId: 'recoveryVaultError',
+            onSubmit: async () => {
+                const privateKey = this.parseKey(this.valueOf('recoveryKeyInput'));
+                const passphrase = this.valueOf('recoveryNewPassphrase');
+
+                if (!privateKey) return 'That does not look like a recovery key.';
+                const invalid = EncryptionManager.validateNewPassphrase(passphrase, this.valueOf('recoveryConfirmPassphrase'));
+                if (invalid) return invalid;
+
+                if (!(await DataManager.unlockWithRecovery(privateKey, passphrase))) {
+                    return 'This recovery key cannot unlock the data on this device.';
+                }
+
+                ModalManager.close(EncryptionManager.UNLOCK_MODAL_ID);
+                NotificationSystem.success('Unlocked. Use your new passphrase from now on.', 4000);
+                return null;
+            }
+        });
+    },
+
+    confirmRegenerate() {
+        const user = AuthManager.currentUser && AuthManager.getStoredUser(AuthManager.currentUser.id);
+        if (!user) return;
+
+        this.openForm({
+            id: this.CONFIRM_MODAL_ID,
+            title: 'New recovery kit',
+            intro: user.recovery
+                ? 'Your current recovery kit will stop working. Enter your password to continue.'
+                : 'Enter your password to create a recovery kit.',
+            fields: this.field('recoveryConfirmCurrent', 'Password', 'password', 'current-password'),
+            submitText: 'Create Kit',
+            errorId: 'recoveryConfirmError',
+            onSubmit: async () => {
+                if (!(await AuthManager.verifyUserPassword(user, this.valueOf('recoveryConfirmCurrent')))) {
+                    return 'Wrong password.';
+                }
+
+                const recoveryKey = await this.regenerate(user.id);
+                this.showKit(user, recoveryKey).then(() => AuthManager.refreshSettings());
+                return null;
+            }
+        });
+    },
+
+    renderSettingsSection() {
+        const user = AuthManager.currentUser && AuthManager.getStoredUser(AuthManager.currentUser.id);
+        if (!user) return '';
+
+        const recovery = user.recovery;
+
+        return `
+            <div style="padding: 16px; background: var(--bg-primary); border-radius: 12px;">
+                <h4 style="margin-bottom: 8px; color: var(--text-primary);"><i class="fas fa-life-ring"></i> Recovery Kit</h4>
+                <p style="font-size: 12px; color: var(--text-secondary); margin-bottom: 12px;">
+                    ${recovery
+                        ? `Created ${new Date(recovery.createdAt).toLocaleDateString()}. Lost it? Create a new one and the old kit stops working.`
+                        : 'You have no recovery kit. Without one, a forgotten password or passphrase cannot be reset.'}
+                </p>
+                <div style="display: flex; gap: 10px; flex-wrap: wrap;">
+                    <button onclick="RecoveryKit.confirmRegenerate()" class="modal-btn" style="flex: 1; min-width: 120px;">
+                        <i class="fas fa-redo"></i> ${recovery ? 'New Recovery Kit' : 'Create Recovery Kit'}
+                    </button>
+                </div>
+            </div>
+        `;
+    }
+};
+
+// Make RecoveryKit globally accessible
+window.RecoveryKit = RecoveryKit;
@@ -0,0 +1,305 @@
+// ===== Session Lock Module =====
+// Enforces session expiry and locks the app after a period of inactivity.
+// Activity is shared between tabs, so working in one tab keeps the others open.
+const SessionLock = {
+    SETTINGS_KEY: 'lifeos_session_lock',
+    STATE_KEY: 'lifeos_session_state',
+    DEFAULT_IDLE_MINUTES: 15,
+    IDLE_OPTIONS: [1, 5, 15, 30, 60, 0],
+    PIN_PATTERN: /^\d{4,8}$/,
+    CHECK_INTERVAL_MS: 15000,
+    ACTIVITY_BROADCAST_MS: 10000,
+    ACTIVITY_EVENTS: ['pointerdown', 'keydown', 'mousemove', 'wheel', 'touchstart', 'scroll'],
+
+    lastActivity: Date.now(),
+    lastBroadcast: 0,
+    checkTimer: null,
+
+    init() {
+        const onActivity = () => this.recordActivity();
+        this.ACTIVITY_EVENTS.forEach(type => {
+            document.addEventListener(type, onActivity, { passive: true, capture: true });
+        });
+
+        TabSync.on('activity', ({ at }) => {
+            this.lastActivity = Math.max(this.lastActivity, at);
+        });
+
+        // Locking or unlocking in any tab applies to all of them
+        DataManager.subscribe(this.STATE_KEY, ({ value }) => this.applyState(value));
+
+        this.checkTimer = setInterval(() => this.check(), this.CHECK_INTERVAL_MS);
+        document.addEventListener('visibilitychange', () => {
+            if (!document.hidden) this.check();
+        });
+
+        this.applyState(DataManager.get(this.STATE_KEY, null));
+        this.check();
+    },
+
+    getSettings() {
+        return { idleMinutes: this.DEFAULT_IDLE_MINUTES, ...DataManager.get(this.SETTINGS_KEY, {}) };
+    },
+
+    isLocked() {
+        return !!document.getElementById('sessionLockScreen');
+    },
+
+    recordActivity() {
+        if (this.isLocked()) return;
+
+        const now = Date.now();
+        this.lastActivity = now;
+        if (now - this.lastBroadcast >= this.ACTIVITY_BROADCAST_MS) {
+            this.lastBroadcast = now;
+            TabSync.post('activity', { at: now });
+        }
+    },
+
+    check() {
+        if (!AuthManager.currentUser) {
+            this.hideLockScreen();
+            return;
+        }
+
+        if (AuthManager.isSessionExpired()) {
+            AuthManager.logout('Your session has expired. Please log in again.');
+            return;
+        }
+
+        if (this.isLocked()) return;
+
+        const idleMs = this.getSettings().idleMinutes * 60 * 1000;
+        if (idleMs > 0 && Date.now() - this.lastActivity >= idleMs) {
+            this.lock();
+        }
+    },
+
+    lock() {
+        if (!AuthManager.currentUser) return;
+        DataManager.set(this.STATE_KEY, { locked: true, lockedAt: new Date().toISOString() });
+        this.showLockScreen();
+    },
+
+    unlock() {
+        DataManager.set(this.STATE_KEY, { locked: false });
+        this.lastActivity = Date.now();
+        this.hideLockScreen();
+    },
+
+    // Called on logout so the next login starts unlocked
+    clear() {
+        if (DataManager.get(this.STATE_KEY, null)) {
+            DataManager.remove(this.STATE_KEY);
+        }
+        this.hideLockScreen();
+    },
+
+    applyState(state) {
+        if (state && state.locked && AuthManager.currentUser) {
+            this.showLockScreen();
+        } else {
+            this.lastActivity = Date.now();
+            this.hideLockScreen();
+        }
+    },
+
+    hasPin() {
+        const user = AuthManager.currentUser && AuthManager.getStoredUser(AuthManager.currentUser.id);
+        return !!(user && user.pin);
+    },
+
+    showLockScreen() {
+        if (this.isLocked()) return;
+
+        const usePin = this.hasPin();
+        const name = SecurityUtils.escapeHtml(AuthManager.currentUser.name || AuthManager.currentUser.email);
+
+        const screen = document.createElement('div');
+        screen.id = 'sessionLockScreen';
+        screen.className = 'session-lock';
+        screen.setAttribute('role', 'dialog');
+        screen.setAttribute('aria-modal', 'true');
+        screen.setAttribute('aria-labelledby', 'sessionLockTitle');
+        screen.innerHTML = `
+            <div class="session-lock-card">
+                <i class="fas fa-lock session-lock-icon"></i>
+                <h2 id="sessionLockTitle">LifeOS is locked</h2>
+                <p>Signed in as ${name}. Enter your ${usePin ? 'PIN' : 'password'} to continue.</p>
+                <form id="sessionLockForm">
+                    <input type="password" id="sessionLockInput" class="form-input"
+                           ${usePin ? 'inputmode="numeric" maxlength="8" placeholder="PIN"' : 'placeholder="Password"'}
+                           autocomplete="current-password">
+                    <div id="sessionLockError" class="session-lock-error" role="alert"></div>
+                    <button type="submit" class="btn btn-primary"><i class="fas fa-unlock"></i> Unlock</button>
+                </form>
+                <button class="btn btn-secondary" onclick="SessionLock.signOut()">Sign out</button>
+            </div>
+        `;
+
+        document.body.appendChild(screen);
+        // Keep focus and screen readers out of the app behind the lock
+        document.getElementById('mainDashboard')?.setAttribute('inert', '');
+
+        screen.querySelector('#sessionLockForm').addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.submitUnlock();
+        });
+        screen.querySelector('#sessionLockInput').focus();
+    },
+
+    hideLockScreen() {
+        const screen = document.getElementById('sessionLockScreen');
+        if (!screen) return;
+
+        screen.remove();
+        document.getElementById('mainDashboard')?.removeAttribute('inert');
+    },
+
+    async submitUnlock() {
+        const input = document.getElementById('sessionLockInput');
+        const errorEl = document.getElementById('sessionLockError');
+        const user = AuthManager.currentUser && AuthManager.getStoredUser(AuthManager.currentUser.id);
+        if (!input || !input.value) return;
+
+        if (!user) {
+            this.signOut();
+            return;
+        }
+
+        const value = input.value;
+        input.value = '';
+
+        const valid = user.pin
+            ? await SecurityUtils.verifyPassword(value, user.pin)
+            : await AuthManager.verifyUserPassword(user, value);
+
+        const lockoutKey = `unlock_${user.id}`;
+        if (valid) {
+            SecurityUtils.rateLimiter.reset(lockoutKey);
+            this.unlock();
+            return;
+        }
+
+        // Guessing a short PIN is cheap, so repeated failures need a full login
+        if (SecurityUtils.rateLimiter.recordFailure(lockoutKey) > 0) {
+            SecurityUtils.rateLimiter.reset(lockoutKey);
+            AuthManager.logout('Too many failed attempts. Please log in again.');
+            return;
+        }
+
+        if (errorEl) errorEl.textContent = user.pin ? 'Wrong PIN' : 'Wrong password';
+        input.focus();
+    },
+
+    signOut() {
+        AuthManager.logout();
+    },
+
+    setIdleMinutes(minutes) {
+        const idleMinutes = Math.max(0, parseInt(minutes, 10) || 0);
+        DataManager.set(this.SETTINGS_KEY, { ...this.getSettings(), idleMinutes });
+        this.lastActivity = Date.now();
+        NotificationSystem.success(idleMinutes ? `LifeOS will lock after ${idleMinutes} min of inactivity` : 'Auto-lock turned off', 2000);
+    },
+
+    setPin() {
+        const user = AuthManager.currentUser;
+        if (!user) return;
+
+        ModalManager.create({
+            id: 'session-pin-modal',
+            title: 'Set unlock PIN',
+            content: `
+                <p style="color: var(--text-secondary);">Use a 4-8 digit PIN instead of your password to unlock LifeOS after it locks.</p>
+                <input type="password" id="sessionPinInput" class="form-input" inputmode="numeric" maxlength="8" placeholder="New PIN" style="margin-top: 12px;">
+                <input type="password" id="sessionPinConfirm" class="form-input" inputmode="numeric" maxlength="8" placeholder="Confirm PIN" style="margin-top: 12px;">
+                <div id="sessionPinError" class="session-lock-error" role="alert"></div>
+            `,
+            size: 'small',
+            onOpen: () => document.getElementById('sessionPinInput')?.focus(),
+            buttons: [
+                {
+                    id: 'cancel',
+                    text: 'Cancel',
+                    onClick: (e, { close }) => close()
+                },
+                {
+                    id: 'save',
+                    text: 'Save PIN',
+                    primary: true,
+                    onClick: async (e, { close }) => {
+                        const pin = document.getElementById('sessionPinInput').value;
+                        const confirmation = document.getElementById('sessionPinConfirm').value;
+                        const errorEl = document.getElementById('sessionPinError');
+
+                        if (!this.PIN_PATTERN.test(pin)) {
+                            errorEl.textContent = 'PIN must be 4-8 digits';
+                            return;
+                        }
+                        if (pin !== confirmation) {
+                            errorEl.textContent = 'PINs do not match';
+                            return;
+                        }
+
+                        const hashed = await SecurityUtils.hashPassword(pin);
+                        AuthManager.updateStoredUser(user.id, u => { u.pin = hashed; });
+                        close();
+                        NotificationSystem.success('Unlock PIN saved');
+                        AuthManager.refreshSettings();
+                    }
+                }
+            ]
+        });
+    },
+
+    removePin() {
+        const user = AuthManager.currentUser;
+        if (!user) return;
+
+        AuthManager.updateStoredUser(user.id, u => { delete u.pin; });
+        NotificationSystem.info('Unlock PIN removed, your password will be used instead');
+        AuthManager.refreshSettings();
+    },
+
+    renderSettingsSection() {
+        if (!AuthManager.currentUser) return '';
+
+        const { idleMinutes } = this.getSettings();
+        const hasPin = this.hasPin();
+        const idleOptions = this.IDLE_OPTIONS.map(minutes =>
+            `<option value="${minutes}" ${minutes === idleMinutes ? 'selected' : ''}>${minutes ? `After ${minutes} min` : 'Never'}</option>`
+        ).join('');
+
+        return `
+            <div style="padding: 16px; background: var(--bg-primary); border-radius: 12px;">
+                <h4 style="margin-bottom: 8px; color: var(--text-primary);"><i class="fas fa-user-lock"></i> Auto-Lock</h4>
+                <p style="font-size: 12px; color: var(--text-secondary); margin-bottom: 12px;">
+                    Lock LifeOS when no open tab has been used for a while. ${hasPin ? 'Unlock with your PIN.' : 'Unlock with your password, or set a PIN.'}
+                </p>
+                <div style="display: flex; gap: 10px; flex-wrap: wrap; align-items: center;">
+                    <select onchange="SessionLock.setIdleMinutes(this.value)" class="modal-btn" style="flex: 1; min-width: 120px;">${idleOptions}</select>
+                    <button onclick="SessionLock.setPin()" class="modal-btn" style="flex: 1; min-width: 120px;">
+                        <i class="fas fa-key"></i> ${hasPin ? 'Change PIN' : 'Set PIN'}
+                    </button>
+                    ${hasPin ? `
+                        <button onclick="SessionLock.removePin()" class="modal-btn" style="flex: 1; min-width: 120px;">
+                            <i class="fas fa-times"></i> Remove PIN
+                        </button>
+                    ` : ''}
+                    <button onclick="ModalManager.close('settings-modal'); SessionLock.lock();" class="modal-btn" style="flex: 1; min-width: 120px;">
+                        <i class="fas fa-lock"></i> Lock Now
+                    </button>
+                </div>
+            </div>
+        `;
+    }
+};
+
+// Make SessionLock globally accessible
+window.SessionLock = SessionLock;
+
+// Lock state and timeout apply to the device, not to one profile
+DataManager.registerGlobalKeys([SessionLock.SETTINGS_KEY, SessionLock.STATE_KEY]);
+
+document.addEventListener('DOMContentLoaded', () => DataManager.ready.then(() => SessionLock.init()));
@@ -60,10 +60,14 @@ const SleepTracker = {
 
     // Delete sleep entry
     deleteSleepEntry(id) {
+        const index = this.sleepData.findIndex(entry => entry.id === id);
+        if (index !== -1) {
+            TrashBin.add('sleep', this.sleepData[index], { index });
+        }
         this.sleepData = this.sleepData.filter(entry => entry.id !== id);
         this.saveSleepData();
         this.renderSleepDashboard();
-        this.showNotification('Sleep entry deleted', 'info');
+        this.showNotification('Sleep entry moved to trash', 'info');
     },
 
     // Get weekly sleep statistics
@@ -85,6 +89,20 @@ const SleepTracker = {
         };
     },
 
+    // Sleep page; the dashboard draws into its container
+    render() {
+        const pageContent = document.getElementById('pageContent');
+        if (!pageContent) return;
+        pageContent.innerHTML = `
+            <div class="page-header">
+                <h2><i class="fas fa-bed"></i> Sleep</h2>
+            </div>
+            <div id="sleepTrackerContent"></div>
+        `;
+        this.loadSleepData();
+        this.renderSleepDashboard();
+    },
+
     // Render sleep dashboard
     renderSleepDashboard() {
         const container = document.getElementById('sleepTrackerContent');
@@ -264,3 +282,5 @@ const SleepTracker = {
 
 // Make globally available
 window.SleepTracker = SleepTracker;
+
+document.addEventListener('DOMContentLoaded', () => DataManager.ready.then(() => SleepTracker.init()));
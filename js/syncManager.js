@@ -0,0 +1,295 @@
+// ===== Sync Manager Module =====
+// Turns local DataManager writes into REST operations and hands them to the
+// service worker's offline queue, which replays them to the sync server on the
+// 'sync-data' background sync tag (see sw.js and server/syncServer.js).
+// Lists registered as mergeable are also pulled back from the server and merged
+// with DataManager.mergeRemote, so edits from other devices arrive here too.
+const SyncManager = {
+    SETTINGS_KEY: 'lifeos_sync_settings',
+    SYNC_TAG: 'sync-data',
+    DEFAULT_ENDPOINT: 'http://localhost:8787/api/sync',
+    // Nudge the worker while the page is open, for browsers without Background Sync
+    POLL_INTERVAL_MS: 60000,
+    // Bookkeeping that only makes sense on this device; tombstones travel with DELETEs.
+    // The auto-backup schedule belongs with the folder it writes to.
+    LOCAL_KEYS: ['lifeos_schema_versions', 'lifeos_migration_snapshots', 'lifeos_auto_backup', DataManager.TOMBSTONES_KEY, DataManager.CONFLICTS_KEY],
+
+    status: { pending: 0, failed: 0, lastSyncAt: null, lastResults: null },
+    pulling: false,
+
+    init() {
+        if (!('serviceWorker' in navigator)) return;
+
+        // Merge results are sent on too: the server may only have one side of them
+        DataManager.subscribe('*', (event) => {
+            if (!event.remote || event.merged) this.enqueueChange(event);
+        });
+
+        navigator.serviceWorker.addEventListener('message', (event) => this.handleWorkerMessage(event.data));
+        window.addEventListener('online', () => {
+            this.requestSync();
+            this.pull();
+        });
+        setInterval(() => {
+            if (!this.isEnabled()) return;
+            if (this.status.pending > 0) this.requestSync();
+            this.pull();
+        }, this.POLL_INTERVAL_MS);
+
+        if (this.isEnabled()) {
+            this.postToWorker({ type: 'GET_SYNC_STATUS' });
+            this.requestSync();
+            this.pull();
+        }
+    },
+
+    getSettings() {
+        return { enabled: false, endpoint: this.DEFAULT_ENDPOINT, apiKey: '', ...DataManager.get(this.SETTINGS_KEY, {}) };
+    },
+
+    isEnabled() {
+        const settings = this.getSettings();
+        return settings.enabled && !!settings.endpoint;
+    },
+
+    authHeaders() {
+        const { apiKey } = this.getSettings();
+        return apiKey ? { Authorization: `Bearer ${apiKey}` } : {};
+    },
+
+    isSyncedKey(key) {
+        return !DataManager.isGlobalKey(key) && !this.LOCAL_KEYS.includes(key);
+    },
+
+    async postToWorker(message) {
+        try {
+            const registration = await navigator.serviceWorker.ready;
+            if (registration.active) registration.active.postMessage(message);
+        } catch (error) {
+            console.warn('[SyncManager] Service worker unavailable:', error);
+        }
+    },
+
+    // Ask the worker to replay the queue, through Background Sync where supported
+    async requestSync(force = false) {
+        if (!this.isEnabled()) return;
+
+        try {
+            const registration = await navigator.serviceWorker.ready;
+            if (!force && 'sync' in registration) {
+                await registration.sync.register(this.SYNC_TAG);
+                return;
+            }
+        } catch (error) {
+            // Background Sync can be blocked by permissions; replay directly instead
+        }
+        if (navigator.onLine) this.postToWorker({ type: 'SYNC_NOW', force });
+    },
+
+    /**
+     * Fetch the profile's data from the server and merge the mergeable lists
+     * @returns {Promise<number>} Number of new conflicts
+     */
+    async pull() {
+        const profile = DataManager.getProfile();
+        if (!this.isEnabled() || !profile || !navigator.onLine || this.pulling) return 0;
+
+        this.pulling = true;
+        try {
+            const { endpoint } = this.getSettings();
+            const response = await fetch(`${endpoint}/profiles/${encodeURIComponent(profile)}`, { headers: this.authHeaders() });
+            // Nothing uploaded for this profile yet
+            if (response.status === 404) return 0;
+            if (!response.ok) throw new Error(`HTTP ${response.status}`);
+
+            const { keys = {}, tombstones = {} } = await response.json();
+            // The user switched profiles while the request was out
+            if (DataManager.getProfile() !== profile) return 0;
+
+            let conflicts = 0;
+            DataManager.getMergeableKeys().forEach(key => {
+                if (keys[key] === undefined && tombstones[key] === undefined) return;
+                conflicts += DataManager.mergeRemote(key, keys[key] || [], tombstones[key] || {}).length;
+            });
+            this.status.lastPullAt = new Date().toISOString();
+            return conflicts;
+        } catch (error) {
+            console.warn('[SyncManager] Pull failed:', error);
+            return 0;
+        } finally {
+            this.pulling = false;
+        }
+    },
+
+    handleWorkerMessage(data) {
+        if (!data) return;
+
+        if (data.type === 'SYNC_COMPLETED') {
+            this.status = { ...this.status, ...data.status, lastSyncAt: data.timestamp, lastResults: data.results };
+            this.renderStatus();
+            this.pull();
+        } else if (data.type === 'SYNC_STATUS') {
+            this.status = { ...this.status, ...data.status };
+            this.renderStatus();
+        }
+    },
+
+    hasIds(list) {
+        return list.every(item => item && typeof item === 'object' && item.id !== undefined && item.id !== null);
+    },
+
+    /**
+     * Build REST operations for a change to one key
+     * Lists of records with ids are sent per record; anything else as a whole value.
+     * Deletes from mergeable lists carry their tombstone.
+     * @param {Object} change - Subscriber event { key, value, added, removed, updated }
+     * @returns {Array<Object>} Queue operations { url, method, headers, data }
+     */
+    buildOperations({ key, value, added, removed, updated }) {
+        const { endpoint } = this.getSettings();
+        const profile = DataManager.getProfile();
+        const base = `${endpoint}/profiles/${encodeURIComponent(profile)}/keys/${encodeURIComponent(key)}`;
+        const headers = this.authHeaders();
+        const updatedAt = new Date().toISOString();
+        const operation = (url, method, data) => ({ url, method, headers, data, key });
+
+        if (value === null || value === undefined) {
+            return [operation(base, 'DELETE', { updatedAt })];
+        }
+
+        if (Array.isArray(value) && this.hasIds(value) && this.hasIds(removed)) {
+            const recordUrl = (record) => `${base}/records/${encodeURIComponent(record.id)}`;
+            const tombstones = DataManager.getTombstones(key);
+            return [
+                ...[...added, ...updated.map(({ after }) => after)]
+                    .map(record => operation(recordUrl(record), 'PUT', { record, updatedAt })),
+                ...removed.map(record => operation(recordUrl(record), 'DELETE', { updatedAt, tombstone: tombstones[record.id] }))
+            ];
+        }
+
+        return [operation(base, 'PUT', { value, updatedAt })];
+    },
+
+    enqueueChange(change) {
+        if (!this.isEnabled() || !DataManager.getProfile() || !this.isSyncedKey(change.key)) return;
+
+        const operations = this.buildOperations(change);
+        if (operations.length === 0) return;
+
+        operations.forEach(operation => this.postToWorker({ type: 'ADD_TO_OFFLINE_QUEUE', operation }));
+        this.status.pending += operations.length;
+        this.requestSync();
+    },
+
+    // Queue everything the active profile has, e.g. when sync is first turned on
+    pushAll() {
+        DataManager.getKeys()
+            .filter(key => this.isSyncedKey(key))
+            .forEach(key => {
+                const value = DataManager.get(key);
+                if (value === null) return;
+                this.enqueueChange({ key, value, added: Array.isArray(value) ? value : [], removed: [], updated: [] });
+            });
+    },
+
+    saveSettings() {
+        const enabled = document.getElementById('syncEnabled')?.checked;
+        const endpoint = (document.getElementById('syncEndpoint')?.value || '').trim().replace(/\/+$/, '');
+        const apiKey = document.getElementById('syncApiKey')?.value || '';
+
+        if (enabled) {
+            let url;
+            try {
+                url = new URL(endpoint);
+            } catch (e) {
+                url = null;
+            }
+            if (!url || !['http:', 'https:'].includes(url.protocol)) {
+                NotificationSystem.error('Enter a valid http(s) sync endpoint');
+                return;
+            }
+        }
+
+        const wasEnabled = this.isEnabled();
+        DataManager.set(this.SETTINGS_KEY, { enabled: !!enabled, endpoint, apiKey });
+
+        if (enabled && !wasEnabled) {
+            this.pushAll();
+            this.pull();
+            NotificationSystem.success('Sync turned on, uploading your data');
+        } else {
+            NotificationSystem.success(enabled ? 'Sync settings saved' : 'Sync turned off', 2000);
+        }
+        AuthManager.refreshSettings();
+    },
+
+    syncNow() {
+        if (!this.isEnabled()) {
+            NotificationSystem.warning('Turn on sync first');
+            return;
+        }
+        if (!navigator.onLine) {
+            NotificationSystem.warning('You are offline. Changes will sync when you reconnect.');
+            return;
+        }
+        this.requestSync(true);
+        this.pull();
+        NotificationSystem.info('Syncing...', 1500);
+    },
+
+    describeStatus() {
+        const { pending, failed, lastSyncAt } = this.status;
+        const parts = [`${pending} pending`];
+        if (failed) parts.push(`${failed} failed`);
+        parts.push(lastSyncAt ? `last sync ${new Date(lastSyncAt).toLocaleTimeString()}` : 'not synced yet');
+        return parts.join(' · ');
+    },
+
+    renderStatus() {
+        const element = document.getElementById('syncStatus');
+        if (element) element.textContent = this.describeStatus();
+    },
+
+    renderSettingsSection() {
+        if (!('serviceWorker' in navigator)) return '';
+
+        const settings = this.getSettings();
+        const inputStyle = 'width: 100%; padding: 8px 12px; border-radius: 8px; border: 1px solid var(--border-color); background: var(--bg-secondary); color: var(--text-primary); margin-bottom: 8px;';
+
+        return `
+            <div style="padding: 16px; background: var(--bg-primary); border-radius: 12px;">
+                <div style="display: flex; justify-content: space-between; align-items: center; margin-bottom: 8px;">
+                    <h4 style="color: var(--text-primary);"><i class="fas fa-sync"></i> Sync Server</h4>
+                    <label class="switch">
+                        <input type="checkbox" id="syncEnabled" ${settings.enabled ? 'checked' : ''}>
+                        <span class="slider round"></span>
+                    </label>
+                </div>
+                <p style="font-size: 12px; color: var(--text-secondary); margin-bottom: 12px;">
+                    Send changes to a sync server. Changes made offline are queued and sent when you reconnect.
+                    ${DataManager.isEncrypted() ? '<br><strong>Synced data leaves this device unencrypted.</strong>' : ''}
+                </p>
+                <input type="url" id="syncEndpoint" placeholder="${this.DEFAULT_ENDPOINT}" value="${SecurityUtils.escapeHtml(settings.endpoint)}" style="${inputStyle}">
+                <input type="password" id="syncApiKey" placeholder="API key (optional)" value="${SecurityUtils.escapeHtml(settings.apiKey)}" autocomplete="off" style="${inputStyle}">
+                <div id="syncStatus" style="font-size: 12px; color: var(--text-secondary); margin-bottom: 12px;">${settings.enabled ? this.describeStatus() : ''}</div>
+                <div style="display: flex; gap: 10px; flex-wrap: wrap;">
+                    <button onclick="SyncManager.saveSettings()" class="modal-btn" style="flex: 1; min-width: 120px;">
+                        <i class="fas fa-save"></i> Save
+                    </button>
+                    <button onclick="SyncManager.syncNow()" class="modal-btn" style="flex: 1; min-width: 120px;">
+                        <i class="fas fa-sync"></i> Sync Now
+                    </button>
+                    ${ConflictResolver.renderSettingsLink()}
+                </div>
+            </div>
+        `;
+    }
+};
+
+// Make SyncManager globally accessible
+window.SyncManager = SyncManager;
+
+// One server per device, shared by every profile
+DataManager.registerGlobalKeys(SyncManager.SETTINGS_KEY);
+
+document.addEventListener('DOMContentLoaded', () => DataManager.ready.then(() => SyncManager.init()));
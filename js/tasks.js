@@ -2,16 +2,32 @@
 
 const TaskManager = {
     tasks: [],
+    series: [],
+    smartLists: [],
+    activeSmartListId: null,
+    selectedIds: new Set(),
+    lastSelectedId: null,
     filters: {
         search: '',
         status: 'all',
         category: 'all',
-        priority: 'all'
+        priority: 'all',
+        dependency: 'all',
+        query: ''
     },
 
     init() {
         // Load tasks from DataManager
         this.tasks = DataManager.get(DataManager.STORAGE_KEYS.TASKS, []);
+        this.series = DataManager.get(DataManager.STORAGE_KEYS.TASK_SERIES, []);
+        this.smartLists = DataManager.get(DataManager.STORAGE_KEYS.SMART_LISTS, []);
+        
+        // Changes from other tabs; the page itself is re-rendered by App
+        DataManager.subscribe([
+            DataManager.STORAGE_KEYS.TASKS,
+            DataManager.STORAGE_KEYS.TASK_SERIES,
+            DataManager.STORAGE_KEYS.SMART_LISTS
+        ], ({ remote }) => remote && this.reloadFromStorage());
         
         // Setup event listeners
         this.setupEventListeners();
@@ -21,33 +37,44 @@ const TaskManager = {
     },
 
     setupEventListeners() {
-        document.addEventListener('DOMContentLoaded', () => {
-            const searchInput = document.getElementById('taskSearch');
-            const filterSelect = document.getElementById('taskFilter');
-            
-            if (searchInput) {
-                searchInput.addEventListener('input', (e) => {
-                    this.filters.search = e.target.value.toLowerCase();
-                    this.render();
-                });
-            }
-            
-            if (filterSelect) {
-                filterSelect.addEventListener('change', (e) => {
-                    this.filters.status = e.target.value;
-                    this.render();
-                });
-            }
-            
-            // Category filter
-            const categoryFilter = document.getElementById('taskCategoryFilter');
-            if (categoryFilter) {
-                categoryFilter.addEventListener('change', (e) => {
-                    this.filters.category = e.target.value;
-                    this.render();
-                });
-            }
-        });
+        // init() runs once storage is ready, after DOMContentLoaded
+        const searchInput = document.getElementById('taskSearch');
+        const filterSelect = document.getElementById('taskFilter');
+        
+        if (searchInput) {
+            searchInput.addEventListener('input', (e) => {
+                this.filters.search = e.target.value.toLowerCase();
+                this.render();
+            });
+        }
+        
+        if (filterSelect) {
+            filterSelect.addEventListener('change', (e) => {
+                this.filters.status = e.target.value;
+                this.render();
+            });
+        }
+        
+        // Category filter
+        const categoryFilter = document.getElementById('taskCategoryFilter');
+        if (categoryFilter) {
+            categoryFilter.addEventListener('change', (e) => {
+                this.filters.category = e.target.value;
+                this.render();
+            });
+        }
+
+        // Live preview of fields parsed from the quick-add text
+        TaskParser.attachPreview(document.getElementById('taskInput'));
+
+        // Blocked / actionable filter
+        const dependencyFilter = document.getElementById('taskDependencyFilter');
+        if (dependencyFilter) {
+            dependencyFilter.addEventListener('change', (e) => {
+                this.filters.dependency = e.target.value;
+                this.render();
+            });
+        }
     },
 
     addTask() {
@@ -55,6 +82,7 @@ const TaskManager = {
         const category = document.getElementById('taskCategory');
         const priority = document.getElementById('taskPriority');
         const deadline = document.getElementById('taskDeadline');
+        const recurrence = document.getElementById('taskRecurrence');
         
         if (!taskInput || !category || !priority) {
             NotificationSystem.error('Form elements not found');
@@ -74,82 +102,203 @@ const TaskManager = {
             return;
         }
 
+        // Fields typed into the title win over the form controls
+        const parsed = TaskParser.parse(title);
+        if (!parsed.title) {
+            NotificationSystem.warning('Please enter a task title');
+            return;
+        }
+
+        this.createTask({
+            title: parsed.title,
+            category: parsed.category || category.value,
+            priority: parsed.priority || priority.value,
+            deadline: parsed.deadline || deadline?.value,
+            dueTime: parsed.dueTime,
+            estimateMinutes: parsed.estimateMinutes,
+            tags: parsed.tags,
+            recurrence: parsed.recurrence || (recurrence?.value ? Recurrence.fromPreset(recurrence.value) : null)
+        });
+        
+        // Clear input
+        taskInput.value = '';
+        taskInput.dispatchEvent(new Event('input'));
+        if (recurrence) recurrence.value = '';
+        taskInput.focus();
+    },
+
+    /**
+     * Create and store a task from already parsed fields
+     * Shared by the task form, QuickActions and the Add Task modal
+     */
+    createTask(fields) {
         const task = {
             id: `task_${Date.now()}_${SecurityUtils.generateToken(6)}`,
-            title: SecurityUtils.sanitizeInput(title),
-            category: category.value,
-            priority: priority.value,
-            deadline: deadline?.value || new Date().toISOString().split('T')[0],
+            title: SecurityUtils.sanitizeInput(fields.title),
+            category: fields.category || 'general',
+            priority: fields.priority || 'medium',
+            deadline: fields.deadline || new Date().toISOString().split('T')[0],
             completed: false,
             createdAt: new Date().toISOString(),
             notes: '',
-            tags: []
+            tags: [...(fields.tags || [])]
         };
 
-        this.tasks.push(task);
-        this.save();
-        this.render();
-        
-        // Clear input
-        taskInput.value = '';
-        taskInput.focus();
-        
-        // Update productivity stats
-        if (typeof updateProductivityStats === 'function') {
-            updateProductivityStats();
+        if (fields.dueTime) {
+            task.dueTime = fields.dueTime;
         }
-        
-        // Update streak
-        if (typeof updateStreak === 'function') {
-            updateStreak();
+        if (fields.estimateMinutes) {
+            task.estimateMinutes = fields.estimateMinutes;
         }
-        
-        // Update gamification
-        if (typeof updateGamification === 'function') {
-            updateGamification();
+        if (fields.description) {
+            task.description = SecurityUtils.sanitizeInput(fields.description);
+        }
+        if (fields.recurrence) {
+            this.createSeries(task, fields.recurrence);
         }
 
+        this.tasks.push(task);
+        this.save();
+        this.render();
+
         NotificationSystem.success('Task added successfully!', 2000);
+
+        return task;
     },
 
     toggleTask(taskId) {
         const task = this.tasks.find(t => t.id === taskId);
         
         if (task) {
+            const openBlockers = this.getOpenBlockers(task);
+            if (!task.completed && openBlockers.length > 0) {
+                NotificationSystem.warning(`Blocked by: ${openBlockers.map(t => t.title).join(', ')}`);
+                this.render();
+                return;
+            }
+
             task.completed = !task.completed;
             task.updatedAt = new Date().toISOString();
             
             if (task.completed) {
                 task.completedAt = new Date().toISOString();
             }
+
+            // Completing an occurrence of a recurring task schedules the next one
+            const nextTask = task.completed && !task.nextOccurrenceId
+                ? this.spawnNextOccurrence(task)
+                : null;
             
             this.save();
             this.render();
-            
-            if (typeof updateProductivityStats === 'function') {
-                updateProductivityStats();
-            }
 
             if (task.completed) {
                 NotificationSystem.success('Task completed! 🎉', 2000);
+                this.completeOpenSubtasks(task);
+            }
+
+            if (nextTask) {
+                NotificationSystem.info(`Next occurrence scheduled for ${Recurrence.parseDate(nextTask.deadline).toLocaleDateString()}`, 3000);
             }
         }
     },
 
     deleteTask(taskId) {
-        ModalManager.confirm('Are you sure you want to delete this task?').then(confirmed => {
+        const task = this.tasks.find(t => t.id === taskId);
+
+        if (task && this.getSeries(task.seriesId)) {
+            this.chooseSeriesScope('Delete Recurring Task', 'Skip this occurrence', 'Stop the series').then(scope => {
+                if (!scope) return;
+
+                CommandHistory.run('Task moved to trash', this.getHistoryTarget(), () => {
+                    // Skipping keeps the series alive by scheduling the following occurrence
+                    if (scope === 'this' && !task.completed && !task.nextOccurrenceId) {
+                        this.spawnNextOccurrence(task);
+                    } else if (scope === 'future') {
+                        this.endSeries(task.seriesId);
+                    }
+
+                    this.removeTask(taskId);
+                });
+            });
+            return;
+        }
+
+        const subtaskCount = this.getDescendants(taskId).length;
+        const message = subtaskCount > 0
+            ? `Are you sure you want to delete this task and its ${subtaskCount} subtask(s)?`
+            : 'Are you sure you want to delete this task?';
+
+        ModalManager.confirm(message).then(confirmed => {
             if (confirmed) {
-                this.tasks = this.tasks.filter(t => t.id !== taskId);
+                CommandHistory.run('Task moved to trash', this.getHistoryTarget(), () => this.removeTask(taskId));
+            }
+        });
+    },
+
+    // Undo/redo writes back the tasks and series records the change touched, along with the trash
+    getHistoryTarget() {
+        return TrashBin.track({
+            capture: () => ({ tasks: this.tasks, series: this.series }),
+            restore: (state) => {
+                this.tasks = state.tasks;
+                this.series = state.series;
                 this.save();
-                this.render();
-                
-                if (typeof updateProductivityStats === 'function') {
-                    updateProductivityStats();
-                }
-                
-                NotificationSystem.info('Task deleted', 2000);
+                this.updateSelectionUI();
+                this.refreshTaskViews();
+            }
+        });
+    },
+
+    // Called by TrashBin; puts the task, its subtasks and dependency links back
+    restoreFromTrash(entry) {
+        const records = [entry.item, ...entry.related].filter(record => !this.tasks.some(t => t.id === record.id));
+        if (records.length === 0) return false;
+
+        const index = Number.isInteger(entry.meta.index) ? Math.min(entry.meta.index, this.tasks.length) : this.tasks.length;
+        this.tasks.splice(index, 0, ...records);
+
+        (entry.meta.links || []).forEach(link => {
+            const task = this.tasks.find(t => t.id === link.taskId);
+            if (task) {
+                task.blockedBy = [...new Set([...(task.blockedBy || []), ...link.blockedBy])];
+            }
+        });
+
+        this.save();
+        this.refreshTaskViews();
+        return true;
+    },
+
+    // Moves the task and its subtasks to the trash without saving; returns the number removed
+    detachTask(taskId) {
+        const task = this.tasks.find(t => t.id === taskId);
+        if (!task) return 0;
+
+        const descendants = this.getDescendants(taskId);
+        const removedIds = new Set([taskId, ...descendants.map(t => t.id)]);
+        const index = this.tasks.indexOf(task);
+        this.tasks = this.tasks.filter(t => !removedIds.has(t.id));
+
+        // Drop dangling dependency links, remembering them for a restore
+        const links = [];
+        this.tasks.forEach(t => {
+            const dropped = (t.blockedBy || []).filter(id => removedIds.has(id));
+            if (dropped.length > 0) {
+                links.push({ taskId: t.id, blockedBy: dropped });
+                t.blockedBy = t.blockedBy.filter(id => !removedIds.has(id));
             }
         });
+
+        TrashBin.add('tasks', task, { index, related: descendants, meta: { links } });
+        return removedIds.size;
+    },
+
+    // Removes the task together with its subtasks
+    removeTask(taskId) {
+        this.detachTask(taskId);
+        this.save();
+        this.render();
     },
 
     editTask(taskId) {
@@ -157,23 +306,414 @@ const TaskManager = {
         
         if (!task) return;
 
-        ModalManager.prompt('Edit Task', task.title).then(newTitle => {
-            if (newTitle !== null && newTitle.trim()) {
-                // XSS check
-                if (SecurityUtils.detectXSSAttempt(newTitle)) {
-                    NotificationSystem.error('Invalid characters in task title');
-                    return;
+        const categories = [...new Set(['general', 'work', 'personal', 'health', 'finance', task.category])];
+        const option = (value, label, selected) => `<option value="${SecurityUtils.escapeHtml(value)}" ${selected ? 'selected' : ''}>${SecurityUtils.escapeHtml(label)}</option>`;
+
+        ModalManager.create({
+            id: 'taskEditModal',
+            title: 'Edit Task',
+            content: `
+                <div class="form-group">
+                    <label>Title</label>
+                    <input type="text" id="taskEditTitle" class="form-input" value="${SecurityUtils.escapeHtml(task.title)}">
+                </div>
+                <div class="form-group">
+                    <label>Description</label>
+                    <textarea id="taskEditDesc" rows="3" class="form-input">${SecurityUtils.escapeHtml(task.description || '')}</textarea>
+                </div>
+                <div class="form-row">
+                    <div class="form-group">
+                        <label>Priority</label>
+                        <select id="taskEditPriority" class="form-input">
+                            ${['low', 'medium', 'high'].map(p => option(p, p.charAt(0).toUpperCase() + p.slice(1), task.priority === p)).join('')}
+                        </select>
+                    </div>
+                    <div class="form-group">
+                        <label>Category</label>
+                        <select id="taskEditCategory" class="form-input">
+                            ${categories.map(c => option(c, c, task.category === c)).join('')}
+                        </select>
+                    </div>
+                </div>
+                <div class="form-row">
+                    <div class="form-group">
+                        <label>Tags</label>
+                        <input type="text" id="taskEditTags" class="form-input" placeholder="comma or space separated"
+                               value="${SecurityUtils.escapeHtml((task.tags || []).join(', '))}">
+                    </div>
+                    <div class="form-group">
+                        <label>Estimate</label>
+                        <input type="text" id="taskEditEstimate" class="form-input" placeholder="e.g. 45m, 1h30m"
+                               value="${task.estimateMinutes ? TaskParser.formatDuration(task.estimateMinutes) : ''}">
+                    </div>
+                </div>
+                <div class="form-group">
+                    <label>Notes</label>
+                    <textarea id="taskEditNotes" rows="2" class="form-input">${SecurityUtils.escapeHtml(task.notes || '')}</textarea>
+                </div>
+            `,
+            size: 'medium',
+            buttons: [
+                { id: 'cancel', text: 'Cancel', onClick: (e, { close }) => close() },
+                {
+                    id: 'save',
+                    text: 'Save',
+                    primary: true,
+                    onClick: (e, { close }) => {
+                        const changes = this.readTaskEdit(task);
+                        if (!changes) return;
+
+                        close();
+                        this.saveTaskEdit(task, changes);
+                    }
+                }
+            ]
+        });
+    },
+
+    // Fields of the edit form that differ from the task; null when the input is invalid
+    readTaskEdit(task) {
+        const value = (id) => (document.getElementById(id)?.value || '').trim();
+        const title = value('taskEditTitle');
+        const description = value('taskEditDesc');
+        const notes = value('taskEditNotes');
+        const tags = value('taskEditTags');
+        const estimate = value('taskEditEstimate');
+
+        if (!title) {
+            NotificationSystem.warning('Please enter a task title');
+            return null;
+        }
+
+        if ([title, description, notes, tags].some(text => SecurityUtils.detectXSSAttempt(text))) {
+            NotificationSystem.error('Invalid characters detected');
+            return null;
+        }
+
+        const estimateMinutes = estimate ? TaskParser.parseDuration(estimate) : undefined;
+        if (estimate && !estimateMinutes) {
+            NotificationSystem.error('Invalid duration');
+            return null;
+        }
+
+        const edited = {
+            title: SecurityUtils.sanitizeInput(title),
+            description: description ? SecurityUtils.sanitizeInput(description) : undefined,
+            priority: value('taskEditPriority'),
+            category: value('taskEditCategory'),
+            tags: [...new Set(tags.split(/[\s,]+/)
+                .map(tag => SecurityUtils.sanitizeInput(tag.replace(/^#/, '').toLowerCase()))
+                .filter(Boolean))],
+            estimateMinutes,
+            notes: SecurityUtils.sanitizeInput(notes)
+        };
+        const current = { ...task, tags: task.tags || [], notes: task.notes || '' };
+
+        return Object.fromEntries(Object.entries(edited)
+            .filter(([field, next]) => JSON.stringify(next) !== JSON.stringify(current[field])));
+    },
+
+    // A recurring task asks whether the edit also applies to the rest of its series
+    saveTaskEdit(task, changes) {
+        if (Object.keys(changes).length === 0) return;
+
+        const series = this.getSeries(task.seriesId);
+        if (!series) {
+            this.applyTaskEdit(task, changes);
+            return;
+        }
+
+        this.chooseSeriesScope('Edit Recurring Task', 'This occurrence', 'All future occurrences').then(scope => {
+            if (scope === 'this') {
+                this.applyTaskEdit(task, changes);
+            } else if (scope === 'future') {
+                // Occurrences spawned later are copied from the template
+                this.assignFields(series.template, changes);
+                this.getFutureOccurrences(task).forEach(t => this.applyTaskEdit(t, changes, false));
+                this.applyTaskEdit(task, changes);
+            }
+        });
+    },
+
+    // Copy changed fields; undefined clears a field
+    assignFields(target, changes) {
+        Object.entries(changes).forEach(([field, value]) => {
+            if (value === undefined) {
+                delete target[field];
+            } else {
+                target[field] = Array.isArray(value) ? [...value] : value;
+            }
+        });
+    },
+
+    applyTaskEdit(task, changes, notify = true) {
+        this.assignFields(task, changes);
+        task.updatedAt = new Date().toISOString();
+
+        if (!notify) return;
+
+        this.save();
+        this.render();
+        
+        NotificationSystem.success('Task updated', 2000);
+    },
+
+    // ===== RECURRENCE =====
+
+    getSeries(seriesId) {
+        if (!seriesId) return null;
+        return this.series.find(s => s.id === seriesId && !s.endedAt) || null;
+    },
+
+    createSeries(task, rule) {
+        const series = {
+            id: `series_${Date.now()}_${SecurityUtils.generateToken(6)}`,
+            rule,
+            start: task.deadline,
+            startOccurrence: 1,
+            template: {
+                title: task.title,
+                category: task.category,
+                priority: task.priority,
+                notes: task.notes || '',
+                tags: [...(task.tags || [])],
+                ...(task.description ? { description: task.description } : {}),
+                ...(task.estimateMinutes ? { estimateMinutes: task.estimateMinutes } : {})
+            },
+            createdAt: new Date().toISOString()
+        };
+
+        this.series.push(series);
+        task.seriesId = series.id;
+        task.occurrence = 1;
+
+        return series;
+    },
+
+    endSeries(seriesId) {
+        const series = this.series.find(s => s.id === seriesId);
+        if (series) {
+            series.endedAt = new Date().toISOString();
+        }
+    },
+
+    // Open occurrences of the same series at or after the given one
+    getFutureOccurrences(task) {
+        return this.tasks.filter(t =>
+            t.id !== task.id &&
+            t.seriesId === task.seriesId &&
+            !t.completed &&
+            (t.occurrence || 0) >= (task.occurrence || 0)
+        );
+    },
+
+    spawnNextOccurrence(task) {
+        const series = this.getSeries(task.seriesId);
+        if (!series) return null;
+
+        const current = task.deadline || task.dueDate || new Date().toISOString().split('T')[0];
+        const nextDate = Recurrence.next(series.rule, current, {
+            start: series.start,
+            index: (task.occurrence || 1) - series.startOccurrence + 1
+        });
+
+        if (!nextDate) {
+            this.endSeries(series.id);
+            return null;
+        }
+
+        const nextTask = {
+            id: `task_${Date.now()}_${SecurityUtils.generateToken(6)}`,
+            ...series.template,
+            tags: [...series.template.tags],
+            deadline: nextDate,
+            completed: false,
+            createdAt: new Date().toISOString(),
+            seriesId: series.id,
+            occurrence: (task.occurrence || 1) + 1
+        };
+
+        if (task.parentId) {
+            nextTask.parentId = task.parentId;
+        }
+
+        this.tasks.push(nextTask);
+        task.nextOccurrenceId = nextTask.id;
+
+        return nextTask;
+    },
+
+    chooseSeriesScope(title, thisLabel, futureLabel) {
+        return new Promise((resolve) => {
+            let resolved = false;
+            const choose = (scope, close) => {
+                resolved = true;
+                resolve(scope);
+                close();
+            };
+
+            ModalManager.create({
+                id: 'taskSeriesScopeModal',
+                title,
+                content: '<p style="font-size: 1rem; color: var(--text-secondary);">This task is part of a recurring series.</p>',
+                size: 'small',
+                onClose: () => {
+                    if (!resolved) resolve(null);
+                },
+                buttons: [
+                    { id: 'this', text: thisLabel, onClick: (e, { close }) => choose('this', close) },
+                    { id: 'future', text: futureLabel, primary: true, onClick: (e, { close }) => choose('future', close) }
+                ]
+            });
+        });
+    },
+
+    editRecurrence(taskId) {
+        const task = this.tasks.find(t => t.id === taskId);
+        if (!task) return;
+
+        const series = this.getSeries(task.seriesId);
+        const rule = series ? Recurrence.normalize(series.rule) : { freq: 'weekly', interval: 1 };
+        const baseDate = Recurrence.parseDate(task.deadline || task.dueDate) || new Date();
+        const isRecurring = !!series;
+
+        const weekdayBoxes = Recurrence.WEEKDAY_NAMES.map((name, day) => `
+            <label style="display: inline-flex; align-items: center; gap: 4px; margin-right: 8px;">
+                <input type="checkbox" name="recurrenceDay" value="${day}" ${(rule.byDay || [baseDate.getDay()]).includes(day) ? 'checked' : ''}>
+                ${name}
+            </label>
+        `).join('');
+
+        const option = (value, label, selected) => `<option value="${value}" ${selected ? 'selected' : ''}>${label}</option>`;
+
+        ModalManager.create({
+            id: 'taskRecurrenceModal',
+            title: isRecurring ? 'Edit Repeat (this and future occurrences)' : 'Repeat Task',
+            content: `
+                <div class="form-group">
+                    <label>Repeats</label>
+                    <select id="recurrenceFreq" class="form-input">
+                        ${option('none', 'Does not repeat', !isRecurring)}
+                        ${option('daily', 'Daily', isRecurring && rule.freq === 'daily')}
+                        ${option('weekly', 'Weekly', isRecurring && rule.freq === 'weekly')}
+                        ${option('monthly', 'Monthly', isRecurring && rule.freq === 'monthly')}
+                        ${option('yearly', 'Yearly', isRecurring && rule.freq === 'yearly')}
+                    </select>
+                </div>
+                <div class="form-group">
+                    <label>Every</label>
+                    <input type="number" id="recurrenceInterval" class="form-input" min="1" value="${rule.interval}">
+                </div>
+                <div class="form-group">
+                    <label>On weekdays (weekly)</label>
+                    <div>${weekdayBoxes}</div>
+                </div>
+                <div class="form-group">
+                    <label>Monthly on</label>
+                    <select id="recurrenceMonthlyMode" class="form-input">
+                        ${option('day', `Day ${rule.byMonthDay || baseDate.getDate()} of the month`, !rule.bySetPos)}
+                        ${option('weekday', 'A weekday of the month', !!rule.bySetPos)}
+                    </select>
+                    <div class="form-row">
+                        <select id="recurrenceSetPos" class="form-input">
+                            ${[1, 2, 3, 4, -1].map(pos => option(pos, ['', 'First', 'Second', 'Third', 'Fourth'][pos] || 'Last', (rule.bySetPos || -1) === pos)).join('')}
+                        </select>
+                        <select id="recurrenceSetPosDay" class="form-input">
+                            ${Recurrence.WEEKDAY_NAMES.map((name, day) => option(day, name, (rule.bySetPos ? rule.byDay[0] : baseDate.getDay()) === day)).join('')}
+                        </select>
+                    </div>
+                </div>
+                <div class="form-group">
+                    <label>Ends</label>
+                    <select id="recurrenceEnd" class="form-input">
+                        ${option('never', 'Never', !rule.until && !rule.count)}
+                        ${option('until', 'On date', !!rule.until)}
+                        ${option('count', 'After number of occurrences', !!rule.count)}
+                    </select>
+                    <div class="form-row">
+                        <input type="date" id="recurrenceUntil" class="form-input" value="${rule.until || ''}">
+                        <input type="number" id="recurrenceCount" class="form-input" min="1" value="${rule.count || 10}">
+                    </div>
+                </div>
+            `,
+            size: 'medium',
+            buttons: [
+                { id: 'cancel', text: 'Cancel', onClick: (e, { close }) => close() },
+                {
+                    id: 'save',
+                    text: 'Save',
+                    primary: true,
+                    onClick: (e, { close }) => {
+                        this.saveRecurrence(task, baseDate);
+                        close();
+                    }
                 }
-                
-                task.title = SecurityUtils.sanitizeInput(newTitle.trim());
-                task.updatedAt = new Date().toISOString();
-                
+            ]
+        });
+    },
+
+    saveRecurrence(task, baseDate) {
+        const value = (id) => document.getElementById(id)?.value;
+        const freq = value('recurrenceFreq');
+        const series = this.getSeries(task.seriesId);
+
+        if (freq === 'none') {
+            if (series) {
+                this.endSeries(series.id);
+                delete task.seriesId;
+                delete task.occurrence;
                 this.save();
                 this.render();
-                
-                NotificationSystem.success('Task updated', 2000);
+                NotificationSystem.info('Task no longer repeats', 2000);
             }
-        });
+            return;
+        }
+
+        const raw = { freq, interval: value('recurrenceInterval') };
+
+        if (freq === 'weekly') {
+            raw.byDay = Array.from(document.querySelectorAll('input[name="recurrenceDay"]:checked'))
+                .map(input => Number(input.value));
+        } else if (freq === 'monthly') {
+            if (value('recurrenceMonthlyMode') === 'weekday') {
+                raw.byDay = [Number(value('recurrenceSetPosDay'))];
+                raw.bySetPos = Number(value('recurrenceSetPos'));
+            } else {
+                raw.byMonthDay = baseDate.getDate();
+            }
+        }
+
+        const end = value('recurrenceEnd');
+        if (end === 'until' && value('recurrenceUntil')) {
+            raw.until = value('recurrenceUntil');
+        } else if (end === 'count') {
+            raw.count = value('recurrenceCount');
+        }
+
+        const rule = Recurrence.normalize(raw);
+        if (!rule) {
+            NotificationSystem.error('Invalid repeat settings');
+            return;
+        }
+
+        if (!task.deadline) {
+            task.deadline = Recurrence.formatDate(baseDate);
+        }
+
+        if (series) {
+            // Rule changes apply from this occurrence onwards
+            series.rule = rule;
+            series.start = task.deadline;
+            series.startOccurrence = task.occurrence || 1;
+        } else {
+            this.createSeries(task, rule);
+        }
+
+        task.updatedAt = new Date().toISOString();
+        this.save();
+        this.render();
+
+        NotificationSystem.success(`Repeats: ${Recurrence.describe(rule)}`, 2500);
     },
 
     getFilteredTasks() {
@@ -203,11 +743,32 @@ const TaskManager = {
         if (this.filters.priority && this.filters.priority !== 'all') {
             filtered = filtered.filter(task => task.priority === this.filters.priority);
         }
+
+        // Dependency filter
+        if (this.filters.dependency === 'blocked') {
+            filtered = filtered.filter(task => this.isBlocked(task));
+        } else if (this.filters.dependency === 'actionable') {
+            filtered = filtered.filter(task => !task.completed && !this.isBlocked(task));
+        }
+
+        // Smart list / query filter
+        if (this.filters.query) {
+            filtered = TaskQuery.filter(filtered, this.filters.query, this.getQueryContext());
+        }
         
         return filtered;
     },
 
+    // Blocked / actionable filter on the tasks page
+    setDependencyFilter(value) {
+        this.filters.dependency = value;
+        this.render();
+    },
+
     render() {
+        // Counts change with every task edit, so keep the sidebar in step
+        this.renderSmartLists();
+
         const taskList = document.getElementById('taskList');
         if (!taskList) return;
 
@@ -216,88 +777,1001 @@ const TaskManager = {
         taskList.innerHTML = '';
 
         if (filteredTasks.length === 0) {
-            taskList.innerHTML = '<div class="empty-state">No tasks yet. Add one above! ✨</div>';
+            taskList.innerHTML = this.tasks.length === 0
+                ? '<div class="empty-state">No tasks yet. Add one above! ✨</div>'
+                : '<div class="empty-state"><i class="fas fa-filter"></i> No tasks match these filters.</div>';
             return;
         }
 
-        // Sort: incomplete first, then by priority
-        filteredTasks.sort((a, b) => {
+        // Group by parent; subtasks whose parent is filtered out render at the top level
+        const visibleIds = new Set(filteredTasks.map(t => t.id));
+        const childrenByParent = {};
+        filteredTasks.forEach(task => {
+            const parentKey = visibleIds.has(task.parentId) ? task.parentId : 'root';
+            (childrenByParent[parentKey] = childrenByParent[parentKey] || []).push(task);
+        });
+
+        const appendTasks = (parentKey, depth) => {
+            this.sortTasks(childrenByParent[parentKey] || []).forEach(task => {
+                taskList.appendChild(this.createTaskElement(task, depth));
+                appendTasks(task.id, depth + 1);
+            });
+        };
+
+        appendTasks('root', 0);
+    },
+
+    // Sort: incomplete first, then by priority
+    sortTasks(tasks) {
+        const priorityOrder = { high: 0, medium: 1, low: 2 };
+        return tasks.sort((a, b) => {
             if (a.completed !== b.completed) {
                 return a.completed ? 1 : -1;
             }
-            const priorityOrder = { high: 0, medium: 1, low: 2 };
             return priorityOrder[a.priority] - priorityOrder[b.priority];
         });
-
-        filteredTasks.forEach(task => {
-            const li = document.createElement('li');
-            li.className = `task-item ${task.completed ? 'completed' : ''}`;
-            li.draggable = true;
-            li.setAttribute('data-id', task.id);
-            
-            const priorityClass = `priority-${task.priority}`;
-            const deadline = task.deadline ? new Date(task.deadline).toLocaleDateString() : 'No deadline';
-            
-            li.innerHTML = `
-                <div class="task-priority ${priorityClass}"></div>
-                <input type="checkbox" ${task.completed ? 'checked' : ''} onchange="TaskManager.toggleTask('${task.id}')">
-                <span style="flex: 1;" ondblclick="TaskManager.editTask('${task.id}')">${SecurityUtils.escapeHtml(task.title)}</span>
-                <span class="task-category">${SecurityUtils.escapeHtml(task.category)}</span>
-                <span class="task-deadline">${SecurityUtils.escapeHtml(deadline)}</span>
-                <div class="task-actions">
-                    <i class="fas fa-edit" onclick="TaskManager.editTask('${task.id}')" style="color: var(--accent-primary); cursor: pointer;" title="Edit"></i>
-                    <i class="fas fa-trash" onclick="TaskManager.deleteTask('${task.id}')" style="color: var(--danger); cursor: pointer;" title="Delete"></i>
-                </div>
-            `;
-            
-            // Drag and drop handlers
-            li.addEventListener('dragstart', (e) => this.handleDragStart(e, task.id));
-            li.addEventListener('dragend', this.handleDragEnd);
-            li.addEventListener('dragover', this.handleDragOver);
-            li.addEventListener('drop', (e) => this.handleDrop(e, task.id));
-            
-            taskList.appendChild(li);
-        });
     },
 
-    // Drag and drop
-    dragSource: null,
+    createTaskElement(task, depth = 0) {
+        const openBlockers = task.completed ? [] : this.getOpenBlockers(task);
+        const li = document.createElement('li');
+        li.className = `task-item ${task.completed ? 'completed' : ''} ${depth > 0 ? 'subtask' : ''} ${openBlockers.length > 0 ? 'blocked' : ''} ${this.selectedIds.has(task.id) ? 'selected' : ''}`;
+        li.draggable = true;
+        li.setAttribute('data-id', task.id);
+        if (depth > 0) {
+            li.style.marginLeft = `${depth * 1.5}rem`;
+        }
+        
+        const priorityClass = `priority-${task.priority}`;
+        const taskId = SecurityUtils.escapeJsString(task.id);
+        const deadline = task.deadline
+            ? `${Recurrence.parseDate(task.deadline).toLocaleDateString()}${task.dueTime ? ` ${task.dueTime}` : ''}`
+            : 'No deadline';
+        const series = this.getSeries(task.seriesId);
+        const recurrenceBadge = series
+            ? `<span class="task-recurrence" title="${SecurityUtils.escapeHtml(Recurrence.describe(series.rule))}"><i class="fas fa-redo"></i> ${SecurityUtils.escapeHtml(Recurrence.describe(series.rule))}</span>`
+            : '';
 
-    handleDragStart(e, taskId) {
-        this.dragSource = taskId;
-        e.target.style.opacity = '0.5';
-        e.dataTransfer.setData('text/plain', taskId);
+        // Parent progress is rolled up from all nested subtasks
+        const progress = this.getSubtaskProgress(task.id);
+        const blockerNames = SecurityUtils.escapeHtml(openBlockers.map(t => t.title).join(', '));
+        const blockedBadge = openBlockers.length > 0
+            ? `<span class="task-blocked" title="Blocked by: ${blockerNames}"><i class="fas fa-lock"></i> Blocked by ${blockerNames}</span>`
+            : '';
+
+        // Tracked time against the estimate
+        const trackedMinutes = this.getTrackedMinutes(task);
+        const timeBadge = trackedMinutes > 0 || task.estimateMinutes
+            ? `<span class="task-time ${task.estimateMinutes && trackedMinutes > task.estimateMinutes ? 'over-estimate' : ''}" onclick="TaskManager.setEstimate(${taskId})" title="Tracked / estimated">
+                    <i class="fas fa-stopwatch"></i> ${TaskParser.formatDuration(trackedMinutes)}${task.estimateMinutes ? ` / ${TaskParser.formatDuration(task.estimateMinutes)}` : ''}
+               </span>`
+            : '';
+
+        const progressBadge = progress.total > 0
+            ? `<span class="task-progress" title="${progress.done} of ${progress.total} subtasks done">
+                    <span class="task-progress-track"><span class="task-progress-fill" style="width: ${progress.percent}%;"></span></span>
+                    ${progress.done}/${progress.total}
+               </span>`
+            : '';
+        
+        li.innerHTML = `
+            <input type="checkbox" class="task-select" data-select-id="${task.id}" ${this.selectedIds.has(task.id) ? 'checked' : ''}
+                   onclick="TaskManager.toggleSelection(${taskId}, event)" title="Select">
+            <div class="task-priority ${priorityClass}"></div>
+            <input type="checkbox" ${task.completed ? 'checked' : ''} onchange="TaskManager.toggleTask(${taskId})">
+            <span style="flex: 1;" ondblclick="TaskManager.editTask(${taskId})">${SecurityUtils.escapeHtml(task.title)}</span>
+            ${blockedBadge}
+            ${progressBadge}
+            ${timeBadge}
+            <span class="task-category">${SecurityUtils.escapeHtml(task.category)}</span>
+            <span class="task-deadline">${SecurityUtils.escapeHtml(deadline)}</span>
+            ${recurrenceBadge}
+            <div class="task-actions">
+                ${task.timerStartedAt
+                    ? `<i class="fas fa-stop-circle" onclick="TaskManager.stopTimer(${taskId})" style="color: var(--danger); cursor: pointer;" title="Stop timer"></i>`
+                    : `<i class="fas fa-play-circle" onclick="TaskManager.startTimer(${taskId})" style="color: var(--success); cursor: pointer;" title="Start timer"></i>`}
+                <i class="fas fa-hourglass-half" onclick="TaskManager.setEstimate(${taskId})" style="color: var(--text-secondary); cursor: pointer;" title="Estimate"></i>
+                <i class="fas fa-plus" onclick="TaskManager.addSubtask(${taskId})" style="color: var(--text-secondary); cursor: pointer;" title="Add subtask"></i>
+                <i class="fas fa-link" onclick="TaskManager.editDependencies(${taskId})" style="color: var(--text-secondary); cursor: pointer;" title="Blocked by"></i>
+                <i class="fas fa-redo" onclick="TaskManager.editRecurrence(${taskId})" style="color: var(--text-secondary); cursor: pointer;" title="Repeat"></i>
+                <i class="fas fa-edit" onclick="TaskManager.editTask(${taskId})" style="color: var(--accent-primary); cursor: pointer;" title="Edit"></i>
+                <i class="fas fa-trash" onclick="TaskManager.deleteTask(${taskId})" style="color: var(--danger); cursor: pointer;" title="Delete"></i>
+            </div>
+        `;
+        
+        // Drag and drop handlers
+        li.addEventListener('dragstart', (e) => this.handleDragStart(e, task.id));
+        li.addEventListener('dragend', (e) => this.handleDragEnd(e));
+        li.addEventListener('dragover', (e) => this.handleDragOver(e));
+        li.addEventListener('dragleave', (e) => this.clearDropIndicator(e.currentTarget));
+        li.addEventListener('drop', (e) => this.handleDrop(e, task.id));
+
+        return li;
     },
 
-    handleDragEnd(e) {
-        e.target.style.opacity = '1';
-        this.dragSource = null;
+    // ===== SUBTASKS =====
+
+    getChildren(taskId) {
+        return this.tasks.filter(t => t.parentId === taskId);
     },
 
-    handleDragOver(e) {
-        e.preventDefault();
+    getDescendants(taskId) {
+        return this.getChildren(taskId).reduce(
+            (all, child) => all.concat(child, this.getDescendants(child.id)),
+            []
+        );
     },
 
-    handleDrop(e, targetTaskId) {
-        e.preventDefault();
-        
-        if (!this.dragSource || this.dragSource === targetTaskId) return;
+    // True if taskId sits somewhere below ancestorId
+    isDescendant(taskId, ancestorId) {
+        let current = this.tasks.find(t => t.id === taskId);
+        const seen = new Set();
 
-        const sourceIndex = this.tasks.findIndex(t => t.id === this.dragSource);
-        const targetIndex = this.tasks.findIndex(t => t.id === targetTaskId);
+        while (current && current.parentId && !seen.has(current.id)) {
+            if (current.parentId === ancestorId) return true;
+            seen.add(current.id);
+            current = this.tasks.find(t => t.id === current.parentId);
+        }
+
+        return false;
+    },
+
+    getSubtaskProgress(taskId) {
+        const descendants = this.getDescendants(taskId);
+        const done = descendants.filter(t => t.completed).length;
+
+        return {
+            done,
+            total: descendants.length,
+            percent: descendants.length > 0 ? Math.round((done / descendants.length) * 100) : 0
+        };
+    },
+
+    addSubtask(parentId) {
+        const parent = this.tasks.find(t => t.id === parentId);
+        if (!parent) return;
+
+        ModalManager.prompt('Add Subtask', '').then(title => {
+            if (title === null || !title.trim()) return;
+
+            if (SecurityUtils.detectXSSAttempt(title)) {
+                NotificationSystem.error('Invalid characters in task title');
+                return;
+            }
+
+            this.tasks.push({
+                id: `task_${Date.now()}_${SecurityUtils.generateToken(6)}`,
+                title: SecurityUtils.sanitizeInput(title.trim()),
+                category: parent.category,
+                priority: parent.priority,
+                deadline: parent.deadline,
+                completed: false,
+                createdAt: new Date().toISOString(),
+                notes: '',
+                tags: [],
+                parentId: parent.id
+            });
+
+            // A new open child reopens a completed parent
+            if (parent.completed) {
+                parent.completed = false;
+                delete parent.completedAt;
+            }
+
+            this.save();
+            this.render();
+
+            NotificationSystem.success('Subtask added', 2000);
+        });
+    },
+
+    setParent(taskId, parentId) {
+        const task = this.tasks.find(t => t.id === taskId);
+        if (!task) return false;
+
+        if (parentId && (parentId === taskId || this.isDescendant(parentId, taskId))) {
+            NotificationSystem.warning('A task cannot be moved under its own subtask');
+            return false;
+        }
+
+        if (parentId) {
+            task.parentId = parentId;
+        } else {
+            delete task.parentId;
+        }
+        task.updatedAt = new Date().toISOString();
+
+        return true;
+    },
+
+    completeOpenSubtasks(task) {
+        const openSubtasks = this.getDescendants(task.id).filter(t => !t.completed);
+        if (openSubtasks.length === 0) return;
+
+        const label = openSubtasks.length === 1 ? '1 open subtask' : `${openSubtasks.length} open subtasks`;
+
+        ModalManager.confirm(`Also complete ${label} of "${task.title}"?`).then(confirmed => {
+            if (!confirmed) return;
+
+            const now = new Date().toISOString();
+            let progress = true;
+
+            // Subtasks may block each other, so keep passing until nothing changes
+            while (progress) {
+                progress = false;
+                openSubtasks.filter(t => !t.completed && !this.isBlocked(t)).forEach(subtask => {
+                    subtask.completed = true;
+                    subtask.completedAt = now;
+                    subtask.updatedAt = now;
+                    if (!subtask.nextOccurrenceId) {
+                        this.spawnNextOccurrence(subtask);
+                    }
+                    progress = true;
+                });
+            }
+
+            const stillBlocked = openSubtasks.filter(t => !t.completed).length;
+            if (stillBlocked > 0) {
+                NotificationSystem.warning(`${stillBlocked} blocked subtask(s) were left open`);
+            }
+
+            this.save();
+            this.render();
+        });
+    },
+
+    // ===== BULK SELECTION =====
+
+    // Selectable rows in on-screen order, so shift-click ranges follow what the user sees
+    getSelectableIds() {
+        return Array.from(document.querySelectorAll('[data-select-id]'))
+            .filter(el => el.offsetParent !== null)
+            .map(el => el.dataset.selectId);
+    },
+
+    toggleSelection(taskId, event) {
+        const ids = this.getSelectableIds();
+        const select = !this.selectedIds.has(taskId);
+
+        if (event?.shiftKey && this.lastSelectedId && ids.includes(this.lastSelectedId)) {
+            const [from, to] = [ids.indexOf(this.lastSelectedId), ids.indexOf(taskId)].sort((a, b) => a - b);
+            ids.slice(from, to + 1).forEach(id => select ? this.selectedIds.add(id) : this.selectedIds.delete(id));
+        } else if (select) {
+            this.selectedIds.add(taskId);
+        } else {
+            this.selectedIds.delete(taskId);
+        }
+
+        this.lastSelectedId = taskId;
+        this.updateSelectionUI();
+    },
+
+    selectAllFiltered() {
+        this.getFilteredTasks().forEach(task => this.selectedIds.add(task.id));
+        this.updateSelectionUI();
+    },
+
+    clearSelection() {
+        this.selectedIds.clear();
+        this.lastSelectedId = null;
+        this.updateSelectionUI();
+    },
+
+    getSelectedTasks() {
+        return this.tasks.filter(t => this.selectedIds.has(t.id));
+    },
+
+    // Sync checkboxes and the bulk bar without a full re-render
+    updateSelectionUI() {
+        // Drop ids of tasks that no longer exist
+        this.selectedIds.forEach(id => {
+            if (!this.tasks.some(t => t.id === id)) this.selectedIds.delete(id);
+        });
+
+        document.querySelectorAll('[data-select-id]').forEach(checkbox => {
+            const selected = this.selectedIds.has(checkbox.dataset.selectId);
+            checkbox.checked = selected;
+            checkbox.closest('.task-item')?.classList.toggle('selected', selected);
+        });
+
+        this.renderBulkBar();
+    },
+
+    renderBulkBar() {
+        const bar = document.getElementById('taskBulkBar');
+        if (!bar) return;
+
+        const count = this.selectedIds.size;
+        const categories = [...new Set(['general', 'work', 'personal', 'health', 'finance', ...this.tasks.map(t => t.category)])];
+
+        bar.classList.toggle('active', count > 0);
+        bar.innerHTML = count === 0 ? `
+            <button class="btn btn-secondary" onclick="TaskManager.selectAllFiltered()">
+                <i class="fas fa-check-square"></i> Select all
+            </button>
+        ` : `
+            <span class="bulk-count">${count} selected</span>
+            <button class="btn btn-secondary" onclick="TaskManager.selectAllFiltered()" title="Select all matching tasks">All</button>
+            <button class="btn btn-secondary" onclick="TaskManager.clearSelection()" title="Clear selection">None</button>
+            <button class="btn btn-primary" onclick="TaskManager.bulkComplete()"><i class="fas fa-check"></i> Complete</button>
+            <select class="form-input" onchange="TaskManager.bulkSetField('priority', this.value)">
+                <option value="">Priority…</option>
+                <option value="high">High</option>
+                <option value="medium">Medium</option>
+                <option value="low">Low</option>
+            </select>
+            <select class="form-input" onchange="TaskManager.bulkSetField('category', this.value)">
+                <option value="">Category…</option>
+                ${categories.map(c => `<option value="${SecurityUtils.escapeHtml(c)}">${SecurityUtils.escapeHtml(c)}</option>`).join('')}
+            </select>
+            <button class="btn btn-secondary" onclick="TaskManager.bulkReschedule()"><i class="fas fa-calendar-alt"></i> Reschedule</button>
+            <button class="btn btn-secondary" onclick="TaskManager.bulkAddTags()"><i class="fas fa-tags"></i> Tag</button>
+            <button class="btn btn-danger" onclick="TaskManager.bulkDelete()"><i class="fas fa-trash"></i> Delete</button>
+        `;
+    },
+
+    /**
+     * Run a batch edit as a single undoable history entry
+     * @param {string} label - Past-tense description shown in the toast
+     * @param {Function} mutate - Applies the edit; returns the number of tasks changed
+     */
+    runBatch(label, mutate) {
+        const changed = CommandHistory.run(
+            (count) => `${label} (${count} task${count === 1 ? '' : 's'})`,
+            this.getHistoryTarget(),
+            mutate,
+            { type: 'success' }
+        );
+        if (!changed) return;
+
+        this.save();
+        this.clearSelection();
+        this.refreshTaskViews();
+    },
+
+    bulkComplete() {
+        this.runBatch('Completed', () => {
+            const now = new Date().toISOString();
+            const pending = this.getSelectedTasks().filter(t => !t.completed);
+            let completed = 0;
+            let progress = true;
+
+            // Blockers inside the selection are completed first, so keep passing until nothing changes
+            while (progress) {
+                progress = false;
+                pending.filter(t => !t.completed && !this.isBlocked(t)).forEach(task => {
+                    task.completed = true;
+                    task.completedAt = now;
+                    task.updatedAt = now;
+                    if (!task.nextOccurrenceId) {
+                        this.spawnNextOccurrence(task);
+                    }
+                    completed++;
+                    progress = true;
+                });
+            }
+
+            const stillBlocked = pending.filter(t => !t.completed).length;
+            if (stillBlocked > 0) {
+                NotificationSystem.warning(`${stillBlocked} blocked task(s) were skipped`);
+            }
+
+            return completed;
+        });
+    },
+
+    bulkDelete() {
+        const selected = this.getSelectedTasks();
+        if (selected.length === 0) return;
+
+        const recurring = selected.filter(t => this.getSeries(t.seriesId)).length;
+        const message = `Delete ${selected.length} selected task(s) and their subtasks?` +
+            (recurring > 0 ? ` ${recurring} recurring series will be stopped.` : '');
+
+        ModalManager.confirm(message).then(confirmed => {
+            if (!confirmed) return;
+
+            this.runBatch('Moved to trash', () => {
+                // A selected subtask may already have gone with its selected parent
+                return selected.reduce((removed, task) => {
+                    if (this.getSeries(task.seriesId)) {
+                        this.endSeries(task.seriesId);
+                    }
+                    return removed + this.detachTask(task.id);
+                }, 0);
+            });
+        });
+    },
+
+    bulkSetField(field, value) {
+        if (!value || !['priority', 'category'].includes(field)) return;
+
+        this.runBatch(`Set ${field} to ${value}`, () => {
+            const now = new Date().toISOString();
+            const changed = this.getSelectedTasks().filter(t => t[field] !== value);
+            changed.forEach(task => {
+                task[field] = value;
+                task.updatedAt = now;
+            });
+            return changed.length;
+        });
+    },
+
+    // Shift due dates by an offset like +3d, -1w or 2
+    bulkReschedule() {
+        ModalManager.prompt('Shift due dates by (e.g. +3d, -1w)', '+1d').then(value => {
+            if (value === null) return;
+
+            const match = value.trim().match(/^([+-]?\d+)\s*([dw])?$/i);
+            if (!match) {
+                NotificationSystem.error('Invalid offset');
+                return;
+            }
+
+            const days = parseInt(match[1], 10) * (match[2]?.toLowerCase() === 'w' ? 7 : 1);
+            if (days === 0) return;
+
+            this.runBatch(`Rescheduled by ${days > 0 ? '+' : ''}${days} day(s)`, () => {
+                const now = new Date().toISOString();
+                const dated = this.getSelectedTasks().filter(t => t.deadline);
+                dated.forEach(task => {
+                    const date = Recurrence.parseDate(task.deadline);
+                    date.setDate(date.getDate() + days);
+                    task.deadline = Recurrence.formatDate(date);
+                    task.updatedAt = now;
+                });
+
+                if (dated.length < this.selectedIds.size) {
+                    NotificationSystem.info(`${this.selectedIds.size - dated.length} task(s) without a due date were skipped`);
+                }
+                return dated.length;
+            });
+        });
+    },
+
+    bulkAddTags() {
+        ModalManager.prompt('Tags to add (comma or space separated)', '').then(value => {
+            if (!value || !value.trim()) return;
+
+            if (SecurityUtils.detectXSSAttempt(value)) {
+                NotificationSystem.error('Invalid characters detected');
+                return;
+            }
+
+            const tags = value.split(/[\s,]+/)
+                .map(tag => SecurityUtils.sanitizeInput(tag.replace(/^#/, '').toLowerCase()))
+                .filter(Boolean);
+            if (tags.length === 0) return;
+
+            this.runBatch(`Tagged ${tags.map(t => '#' + t).join(' ')}`, () => {
+                const now = new Date().toISOString();
+                const changed = this.getSelectedTasks().filter(t => tags.some(tag => !(t.tags || []).includes(tag)));
+                changed.forEach(task => {
+                    task.tags = [...new Set([...(task.tags || []), ...tags])];
+                    task.updatedAt = now;
+                });
+                return changed.length;
+            });
+        });
+    },
+
+    // ===== SMART LISTS =====
+
+    getQueryContext() {
+        return {
+            isBlocked: (task) => this.isBlocked(task),
+            hasChildren: (task) => this.getChildren(task.id).length > 0
+        };
+    },
+
+    countQuery(query) {
+        return TaskQuery.filter(this.tasks, query, this.getQueryContext()).length;
+    },
+
+    /**
+     * Apply an ad-hoc query, e.g. `priority:high due:<7d -tag:waiting`
+     * @param {string} query - Query text
+     */
+    setQuery(query) {
+        const trimmed = (query || '').trim();
+        const parsed = TaskQuery.parse(trimmed);
+        if (parsed.errors.length > 0) {
+            NotificationSystem.warning(parsed.errors[0]);
+        }
+
+        this.filters.query = trimmed;
+        const active = this.smartLists.find(list => list.id === this.activeSmartListId);
+        if (!active || active.query !== trimmed) {
+            this.activeSmartListId = null;
+        }
+
+        this.refreshTaskViews();
+    },
+
+    applySmartList(listId) {
+        const list = this.smartLists.find(l => l.id === listId);
+        this.activeSmartListId = list ? list.id : null;
+        this.filters.query = list ? list.query : '';
+        this.refreshTaskViews();
+    },
+
+    saveSmartList() {
+        const query = this.filters.query;
+        if (!query) {
+            NotificationSystem.warning('Enter a query before saving a smart list');
+            return;
+        }
+
+        ModalManager.prompt('Smart list name', '').then(name => {
+            if (!name || !name.trim()) return;
+
+            if (SecurityUtils.detectXSSAttempt(name)) {
+                NotificationSystem.error('Invalid characters detected');
+                return;
+            }
+
+            const list = {
+                id: `list_${Date.now()}_${SecurityUtils.generateToken(6)}`,
+                name: SecurityUtils.sanitizeInput(name.trim()),
+                query,
+                createdAt: new Date().toISOString()
+            };
+
+            this.smartLists.push(list);
+            this.activeSmartListId = list.id;
+            this.saveSmartLists();
+            this.renderSmartLists();
+
+            NotificationSystem.success(`Smart list "${list.name}" saved`);
+        });
+    },
+
+    deleteSmartList(listId) {
+        const list = this.smartLists.find(l => l.id === listId);
+        if (!list) return;
+
+        ModalManager.confirm(`Delete smart list "${list.name}"?`).then(confirmed => {
+            if (!confirmed) return;
+
+            this.smartLists = this.smartLists.filter(l => l.id !== listId);
+            this.saveSmartLists();
+
+            if (this.activeSmartListId === listId) {
+                this.applySmartList(null);
+            } else {
+                this.renderSmartLists();
+            }
+        });
+    },
+
+    saveSmartLists() {
+        DataManager.set(DataManager.STORAGE_KEYS.SMART_LISTS, this.smartLists);
+    },
+
+    // Sidebar with saved lists and their live counts
+    renderSmartLists() {
+        const container = document.getElementById('smartListsSidebar');
+        if (!container) return;
+
+        const item = (id, name, query, icon) => `
+            <li class="smart-list-item ${this.activeSmartListId === id ? 'active' : ''}" onclick="TaskManager.applySmartList(${id ? SecurityUtils.escapeJsString(id) : 'null'})"
+                title="${SecurityUtils.escapeHtml(query || 'All tasks')}">
+                <i class="fas ${icon}"></i>
+                <span class="smart-list-name">${SecurityUtils.escapeHtml(name)}</span>
+                <span class="smart-list-count">${query ? this.countQuery(query) : this.tasks.length}</span>
+                ${id ? `<i class="fas fa-times smart-list-delete" onclick="event.stopPropagation(); TaskManager.deleteSmartList(${SecurityUtils.escapeJsString(id)})" title="Delete"></i>` : ''}
+            </li>
+        `;
+
+        container.innerHTML = `
+            <h4><i class="fas fa-filter"></i> Smart Lists</h4>
+            <ul class="smart-list-items">
+                ${item(null, 'All tasks', '', 'fa-inbox')}
+                ${this.smartLists.map(list => item(list.id, list.name, list.query, 'fa-bolt')).join('')}
+            </ul>
+        `;
+    },
+
+    // The tasks page is rendered by App; fall back to the embedded list
+    reloadFromStorage() {
+        this.tasks = DataManager.get(DataManager.STORAGE_KEYS.TASKS, []);
+        this.series = DataManager.get(DataManager.STORAGE_KEYS.TASK_SERIES, []);
+        this.smartLists = DataManager.get(DataManager.STORAGE_KEYS.SMART_LISTS, []);
+
+        // Drop selections of tasks deleted elsewhere
+        this.selectedIds.forEach(id => {
+            if (!this.tasks.some(t => t.id === id)) this.selectedIds.delete(id);
+        });
+        if (this.activeSmartListId && !this.smartLists.some(l => l.id === this.activeSmartListId)) {
+            this.activeSmartListId = null;
+        }
+    },
+
+    refreshTaskViews() {
+        if (typeof App !== 'undefined' && window.location.hash === '#tasks') {
+            App.showTasks();
+            const input = document.getElementById('taskQueryInput');
+            if (input) {
+                input.focus();
+                input.setSelectionRange(input.value.length, input.value.length);
+            }
+        } else {
+            this.render();
+        }
+    },
+
+    // ===== TIME TRACKING =====
+
+    setEstimate(taskId) {
+        const task = this.tasks.find(t => t.id === taskId);
+        if (!task) return;
+
+        const current = task.estimateMinutes ? TaskParser.formatDuration(task.estimateMinutes) : '';
+
+        ModalManager.prompt('Estimated duration (e.g. 45m, 1h30m)', current).then(value => {
+            if (value === null) return;
+
+            if (!value.trim()) {
+                delete task.estimateMinutes;
+            } else {
+                const minutes = TaskParser.parseDuration(value);
+                if (!minutes) {
+                    NotificationSystem.error('Invalid duration');
+                    return;
+                }
+                task.estimateMinutes = minutes;
+            }
+
+            task.updatedAt = new Date().toISOString();
+            this.save();
+            this.render();
+        });
+    },
+
+    getRunningTimerTask() {
+        return this.tasks.find(t => t.timerStartedAt) || null;
+    },
+
+    // Only one task timer runs at a time
+    startTimer(taskId) {
+        const task = this.tasks.find(t => t.id === taskId);
+        if (!task || task.timerStartedAt) return;
+
+        const running = this.getRunningTimerTask();
+        if (running) {
+            this.stopTimer(running.id, false);
+        }
+
+        task.timerStartedAt = new Date().toISOString();
+        this.save();
+        this.render();
+
+        NotificationSystem.info(`Timer started: ${task.title}`, 2000);
+    },
+
+    stopTimer(taskId, notify = true) {
+        const task = this.tasks.find(t => t.id === taskId);
+        if (!task || !task.timerStartedAt) return;
+
+        const start = new Date(task.timerStartedAt);
+        const end = new Date();
+        delete task.timerStartedAt;
+
+        const minutes = Math.round((end - start) / 60000);
+        if (minutes > 0) {
+            this.addTimeEntry(taskId, { start: start.toISOString(), end: end.toISOString(), minutes, source: 'timer' });
+        } else {
+            this.save();
+            this.render();
+        }
+
+        if (notify) {
+            NotificationSystem.info(`Tracked ${TaskParser.formatDuration(minutes)} on ${task.title}`, 2000);
+        }
+    },
+
+    /**
+     * Record time spent on a task
+     * @param {string} taskId - Task ID
+     * @param {Object} entry - { minutes, start, end, source: 'timer' | 'pomodoro' | 'focus' }
+     */
+    addTimeEntry(taskId, entry) {
+        const task = this.tasks.find(t => t.id === taskId);
+        if (!task || !(entry.minutes > 0)) return null;
+
+        const timeEntry = {
+            id: `time_${Date.now()}_${SecurityUtils.generateToken(4)}`,
+            start: entry.start || new Date(Date.now() - entry.minutes * 60000).toISOString(),
+            end: entry.end || new Date().toISOString(),
+            minutes: Math.round(entry.minutes),
+            source: entry.source || 'timer'
+        };
+
+        task.timeEntries = [...(task.timeEntries || []), timeEntry];
+        task.updatedAt = new Date().toISOString();
+
+        this.save();
+        this.render();
+
+        return timeEntry;
+    },
+
+    // Logged entries plus the currently running timer
+    getTrackedMinutes(task) {
+        const logged = (task.timeEntries || []).reduce((sum, entry) => sum + entry.minutes, 0);
+        const running = task.timerStartedAt ? Math.floor((Date.now() - new Date(task.timerStartedAt)) / 60000) : 0;
+        return logged + running;
+    },
+
+    // Options for linking a Pomodoro or Focus session to an open task
+    getTaskOptions(selectedId = '') {
+        return ['<option value="">No linked task</option>']
+            .concat(this.tasks
+                .filter(t => !t.completed)
+                .map(t => `<option value="${t.id}" ${t.id === selectedId ? 'selected' : ''}>${SecurityUtils.escapeHtml(t.title)}</option>`))
+            .join('');
+    },
+
+    /**
+     * Estimate vs actual report over tasks that have an estimate and tracked time
+     * @returns {Object} Totals, per-category breakdown and the largest overruns
+     */
+    getTimeReport() {
+        const rows = this.tasks
+            .filter(t => t.estimateMinutes && this.getTrackedMinutes(t) > 0)
+            .map(t => ({
+                id: t.id,
+                title: t.title,
+                category: t.category,
+                completed: !!t.completed,
+                estimate: t.estimateMinutes,
+                actual: this.getTrackedMinutes(t)
+            }));
+
+        const sum = (list, field) => list.reduce((total, row) => total + row[field], 0);
+
+        const byCategory = {};
+        rows.forEach(row => {
+            const bucket = byCategory[row.category] = byCategory[row.category] || { estimate: 0, actual: 0, count: 0 };
+            bucket.estimate += row.estimate;
+            bucket.actual += row.actual;
+            bucket.count++;
+        });
+
+        const totalEstimate = sum(rows, 'estimate');
+        const totalActual = sum(rows, 'actual');
+
+        return {
+            count: rows.length,
+            totalEstimate,
+            totalActual,
+            // Actual / estimate; above 1 means work takes longer than planned
+            ratio: totalEstimate > 0 ? totalActual / totalEstimate : 0,
+            trackedTotal: this.tasks.reduce((total, t) => total + this.getTrackedMinutes(t), 0),
+            byCategory,
+            overruns: rows
+                .filter(row => row.actual > row.estimate)
+                .sort((a, b) => (b.actual - b.estimate) - (a.actual - a.estimate))
+                .slice(0, 5)
+        };
+    },
+
+    // ===== DEPENDENCIES =====
+
+    getOpenBlockers(task) {
+        return (task.blockedBy || [])
+            .map(id => this.tasks.find(t => t.id === id))
+            .filter(blocker => blocker && !blocker.completed);
+    },
+
+    isBlocked(task) {
+        return !task.completed && this.getOpenBlockers(task).length > 0;
+    },
+
+    // A link is rejected if the blocker already (transitively) waits on the task
+    wouldCreateCycle(taskId, blockerId) {
+        const stack = [blockerId];
+        const seen = new Set();
+
+        while (stack.length > 0) {
+            const currentId = stack.pop();
+            if (currentId === taskId) return true;
+            if (seen.has(currentId)) continue;
+            seen.add(currentId);
+
+            const current = this.tasks.find(t => t.id === currentId);
+            if (current && current.blockedBy) {
+                stack.push(...current.blockedBy);
+            }
+        }
+
+        return false;
+    },
+
+    addDependency(taskId, blockerId) {
+        const task = this.tasks.find(t => t.id === taskId);
+        if (!task || !this.tasks.some(t => t.id === blockerId)) return false;
+
+        if (this.wouldCreateCycle(taskId, blockerId)) {
+            NotificationSystem.error('That link would create a dependency cycle');
+            return false;
+        }
+
+        task.blockedBy = [...new Set([...(task.blockedBy || []), blockerId])];
+        task.updatedAt = new Date().toISOString();
+
+        return true;
+    },
+
+    removeDependency(taskId, blockerId) {
+        const task = this.tasks.find(t => t.id === taskId);
+        if (!task || !task.blockedBy) return;
+
+        task.blockedBy = task.blockedBy.filter(id => id !== blockerId);
+        task.updatedAt = new Date().toISOString();
+    },
+
+    editDependencies(taskId) {
+        const task = this.tasks.find(t => t.id === taskId);
+        if (!task) return;
+
+        const candidates = this.tasks.filter(t => t.id !== taskId && (!t.completed || (task.blockedBy || []).includes(t.id)));
+
+        const rows = candidates.map(candidate => {
+            const linked = (task.blockedBy || []).includes(candidate.id);
+            const cyclic = !linked && this.wouldCreateCycle(taskId, candidate.id);
+            return `
+                <label style="display: flex; align-items: center; gap: 8px; padding: 6px 0; ${cyclic ? 'opacity: 0.5;' : ''}">
+                    <input type="checkbox" name="taskBlocker" value="${candidate.id}" ${linked ? 'checked' : ''} ${cyclic ? 'disabled' : ''}>
+                    <span>${SecurityUtils.escapeHtml(candidate.title)}</span>
+                    ${cyclic ? '<small style="color: var(--text-tertiary);">(would create a cycle)</small>' : ''}
+                </label>
+            `;
+        }).join('');
+
+        ModalManager.create({
+            id: 'taskDependenciesModal',
+            title: `"${task.title}" is blocked by`,
+            content: rows || '<p style="color: var(--text-secondary);">No other open tasks to link.</p>',
+            size: 'medium',
+            buttons: [
+                { id: 'cancel', text: 'Cancel', onClick: (e, { close }) => close() },
+                {
+                    id: 'save',
+                    text: 'Save',
+                    primary: true,
+                    onClick: (e, { close }) => {
+                        const selected = Array.from(document.querySelectorAll('input[name="taskBlocker"]:checked'))
+                            .map(input => input.value);
+
+                        (task.blockedBy || [])
+                            .filter(id => !selected.includes(id))
+                            .forEach(id => this.removeDependency(taskId, id));
+                        selected.forEach(id => this.addDependency(taskId, id));
+
+                        this.save();
+                        this.render();
+                        close();
+                    }
+                }
+            ]
+        });
+    },
+
+    // Drag and drop
+    dragSource: null,
+
+    handleDragStart(e, taskId) {
+        this.dragSource = taskId;
+        e.target.style.opacity = '0.5';
+        e.dataTransfer.setData('text/plain', taskId);
+    },
+
+    handleDragEnd(e) {
+        e.target.style.opacity = '1';
+        this.dragSource = null;
+    },
+
+    handleDragOver(e) {
+        e.preventDefault();
+
+        const item = e.currentTarget;
+        const position = this.getDropPosition(e);
+        item.classList.toggle('drop-before', position === 'before');
+        item.classList.toggle('drop-inside', position === 'inside');
+        item.classList.toggle('drop-after', position === 'after');
+    },
+
+    // Top and bottom quarters reorder, the middle nests the dragged task
+    getDropPosition(e) {
+        const rect = e.currentTarget.getBoundingClientRect();
+        const ratio = (e.clientY - rect.top) / rect.height;
+
+        if (ratio < 0.25) return 'before';
+        if (ratio > 0.75) return 'after';
+        return 'inside';
+    },
+
+    clearDropIndicator(item) {
+        item.classList.remove('drop-before', 'drop-inside', 'drop-after');
+    },
+
+    handleDrop(e, targetTaskId) {
+        e.preventDefault();
+
+        const position = this.getDropPosition(e);
+        this.clearDropIndicator(e.currentTarget);
+        
+        if (!this.dragSource || this.dragSource === targetTaskId) return;
+
+        const target = this.tasks.find(t => t.id === targetTaskId);
+
+        // Dropping onto a task makes the dragged task its subtask
+        if (position === 'inside') {
+            if (this.setParent(this.dragSource, targetTaskId)) {
+                this.save();
+                this.render();
+                NotificationSystem.info(`Moved under "${target.title}"`, 2000);
+            }
+            return;
+        }
+
+        // Dropping between tasks moves it to the target's level
+        if (!this.setParent(this.dragSource, target ? target.parentId : null)) return;
+
+        this.moveTask(this.dragSource, targetTaskId);
+
+        this.save();
+        this.render();
+    },
+
+    // Reorder so the source task takes the target's position
+    moveTask(sourceTaskId, targetTaskId) {
+        const sourceIndex = this.tasks.findIndex(t => t.id === sourceTaskId);
+        const targetIndex = this.tasks.findIndex(t => t.id === targetTaskId);
 
         if (sourceIndex !== -1 && targetIndex !== -1) {
-            // Reorder array
             const [removed] = this.tasks.splice(sourceIndex, 1);
             this.tasks.splice(targetIndex, 0, removed);
-            
-            this.save();
-            this.render();
         }
     },
 
+    getTaskStatus(task) {
+        if (task.completed) return 'done';
+        return task.status === 'in-progress' ? 'in-progress' : 'todo';
+    },
+
+    /**
+     * Change the field a board column groups by
+     * Status changes go through toggleTask so blockers, subtasks and recurrence still apply
+     * @returns {boolean} False if the change was refused
+     */
+    updateTaskField(taskId, field, value) {
+        const task = this.tasks.find(t => t.id === taskId);
+        if (!task) return false;
+
+        if (field === 'status') {
+            const done = value === 'done';
+            if (done !== !!task.completed) {
+                this.toggleTask(taskId);
+                if (done !== !!task.completed) return false;
+            }
+            if (done) {
+                delete task.status;
+            } else {
+                task.status = value;
+            }
+        } else {
+            task[field] = value;
+        }
+
+        task.updatedAt = new Date().toISOString();
+        return true;
+    },
+
     save() {
         DataManager.set(DataManager.STORAGE_KEYS.TASKS, this.tasks);
+        DataManager.set(DataManager.STORAGE_KEYS.TASK_SERIES, this.series);
     },
 
     // Statistics
@@ -325,6 +1799,30 @@ const TaskManager = {
     }
 };
 
+// Tasks edited on several devices merge field by field
+DataManager.registerMergeable(DataManager.STORAGE_KEYS.TASKS, {
+    fields: { tags: 'union', completedAt: 'latest' }
+});
+
+// Schema migrations for stored tasks
+DataManager.registerMigration('tasks', {
+    version: 1,
+    keys: [DataManager.STORAGE_KEYS.TASKS],
+    description: 'Rename dueDate to deadline and fill in fields the task list expects',
+    migrate: (tasks) => (Array.isArray(tasks) ? tasks : []).map(task => {
+        const { dueDate, ...rest } = task;
+        return {
+            ...rest,
+            deadline: rest.deadline || dueDate || null,
+            category: rest.category || 'general',
+            priority: rest.priority || 'medium',
+            completed: !!rest.completed,
+            createdAt: rest.createdAt || new Date().toISOString(),
+            tags: Array.isArray(rest.tags) ? rest.tags : []
+        };
+    })
+});
+
 // Global assignment for onclick handlers
 window.TaskManager = TaskManager;
 
@@ -337,4 +1835,4 @@ window.filterTasks = () => TaskManager.render();
 window.renderTasks = () => TaskManager.render();
 
 // Initialize
-document.addEventListener('DOMContentLoaded', () => TaskManager.init());
+document.addEventListener('DOMContentLoaded', () => DataManager.ready.then(() => TaskManager.init()));
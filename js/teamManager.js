@@ -12,9 +12,9 @@ const TeamManager = {
     
     // Load team from storage
     loadTeam() {
-        const storedTeam = localStorage.getItem('lifeos_team');
+        const storedTeam = DataManager.get('lifeos_team');
         if (storedTeam) {
-            this.team = JSON.parse(storedTeam);
+            this.team = storedTeam;
         } else {
             // Default demo team members
             this.team = [
@@ -26,7 +26,7 @@ const TeamManager = {
     
     // Save team to storage
     saveTeam() {
-        localStorage.setItem('lifeos_team', JSON.stringify(this.team));
+        DataManager.set('lifeos_team', this.team);
     },
     
     // Render team members
@@ -123,6 +123,6 @@ function showTeamOptions() {
 // Auto-initialize when DOM is ready
 document.addEventListener('DOMContentLoaded', function() {
     if (typeof TeamManager !== 'undefined') {
-        TeamManager.init();
+        DataManager.ready.then(() => TeamManager.init());
     }
 });
@@ -17,6 +17,13 @@ const TransactionManager = {
     init() {
         this.transactions = DataManager.get(DataManager.STORAGE_KEYS.TRANSACTIONS, []);
         this.updateBalance();
+
+        // Transactions added or deleted in another tab
+        DataManager.subscribe(DataManager.STORAGE_KEYS.TRANSACTIONS, ({ remote }) => {
+            if (!remote) return;
+            this.transactions = DataManager.get(DataManager.STORAGE_KEYS.TRANSACTIONS, []);
+            this.updateBalance();
+        });
     },
 
     addTransaction(description, amount, category) {
@@ -63,15 +70,33 @@ const TransactionManager = {
     deleteTransaction(id) {
         ModalManager.confirm('Delete this transaction?').then(confirmed => {
             if (confirmed) {
-                this.transactions = this.transactions.filter(t => t.id !== id);
-                this.save();
-                this.updateBalance();
-                
-                if (window.ChartManager) {
-                    ChartManager.updateExpenseChart();
-                }
-                
-                NotificationSystem.info('Transaction deleted', 2000);
+                CommandHistory.run('Transaction moved to trash', this.getHistoryTarget(), () => {
+                    const index = this.transactions.findIndex(t => t.id === id);
+                    if (index === -1) return false;
+
+                    TrashBin.add('transactions', this.transactions[index], { index });
+                    this.transactions = this.transactions.filter(t => t.id !== id);
+                    this.refresh();
+                });
+            }
+        });
+    },
+
+    refresh() {
+        this.save();
+        this.updateBalance();
+
+        if (window.ChartManager) {
+            ChartManager.updateExpenseChart();
+        }
+    },
+
+    getHistoryTarget() {
+        return TrashBin.track({
+            capture: () => this.transactions,
+            restore: (transactions) => {
+                this.transactions = transactions;
+                this.refresh();
             }
         });
     },
@@ -196,7 +221,7 @@ const TransactionManager = {
                         <div style="font-weight: 600; color: ${t.category === 'income' ? 'var(--success)' : 'var(--text-primary)'};">
                             ${t.category === 'income' ? '+' : '-'}$${Math.abs(t.amount).toFixed(2)}
                         </div>
-                        <button onclick="TransactionManager.deleteTransaction('${t.id}')" style="background: none; border: none; color: var(--danger); cursor: pointer; font-size: 0.8rem;">
+                        <button onclick="TransactionManager.deleteTransaction(${SecurityUtils.escapeJsString(t.id)})" style="background: none; border: none; color: var(--danger); cursor: pointer; font-size: 0.8rem;">
                             Delete
                         </button>
                     </div>
@@ -282,7 +307,27 @@ function addTransaction() {
 
 // Update balance on load
 document.addEventListener('DOMContentLoaded', () => {
-    TransactionManager.init();
+    DataManager.ready.then(() => TransactionManager.init());
+});
+
+// Schema migrations for stored transactions
+DataManager.registerMigration('transactions', {
+    version: 1,
+    keys: [DataManager.STORAGE_KEYS.TRANSACTIONS],
+    description: 'Mark income by category instead of type, lower-case categories and fill in dates',
+    migrate: (transactions) => (Array.isArray(transactions) ? transactions : []).map((transaction, index) => {
+        const { type, ...rest } = transaction;
+        const category = String(rest.category || 'other').toLowerCase();
+        const date = rest.date || (rest.createdAt || new Date().toISOString()).split('T')[0];
+        return {
+            ...rest,
+            id: rest.id || `txn_${Date.now()}_${index}`,
+            amount: Math.abs(parseFloat(rest.amount)) || 0,
+            category: type === 'income' ? 'income' : category,
+            date,
+            createdAt: rest.createdAt || new Date(date).toISOString()
+        };
+    })
 });
 
 window.TransactionManager = TransactionManager;
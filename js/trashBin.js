@@ -0,0 +1,305 @@
+// ===== Trash Bin Module =====
+const TrashBin = {
+    STORAGE_KEY: 'lifeos_trash',
+    SETTINGS_KEY: 'lifeos_trash_settings',
+    DEFAULT_RETENTION_DAYS: 30,
+    RETENTION_OPTIONS: [7, 14, 30, 90, 365, 0],
+
+    // Per-module display and restore; restore returns false when the item could not be put back
+    MODULES: {
+        tasks: {
+            label: 'Tasks',
+            icon: 'fa-tasks',
+            title: (entry) => entry.item.title,
+            restore: (entry) => TaskManager.restoreFromTrash(entry)
+        },
+        notes: {
+            label: 'Notes',
+            icon: 'fa-sticky-note',
+            title: (entry) => entry.item.title,
+            restore: (entry) => TrashBin.restoreInto(NotesManager.notes, entry, () => NotesManager.saveNotes())
+        },
+        journal: {
+            label: 'Journal',
+            icon: 'fa-book-open',
+            title: (entry) => entry.item.title || 'Untitled',
+            restore: (entry) => {
+                const entries = DataManager.get(Journal.STORAGE_KEY, []);
+                return TrashBin.restoreInto(entries, entry, () => DataManager.set(Journal.STORAGE_KEY, entries));
+            }
+        },
+        goals: {
+            label: 'Goals',
+            icon: 'fa-bullseye',
+            title: (entry) => entry.item.title,
+            restore: (entry) => TrashBin.restoreInto(GoalTracker.goals, entry, () => {
+                GoalTracker.saveGoals();
+                GoalTracker.renderGoalDashboard();
+            })
+        },
+        media: {
+            label: 'Media',
+            icon: 'fa-film',
+            title: (entry) => `${entry.item.title} (${entry.meta.type})`,
+            restore: (entry) => {
+                const list = MediaTracker.mediaData[entry.meta.type] = MediaTracker.mediaData[entry.meta.type] || [];
+                return TrashBin.restoreInto(list, entry, () => {
+                    MediaTracker.saveMediaData();
+                    MediaTracker.renderMediaDashboard();
+                });
+            }
+        },
+        sleep: {
+            label: 'Sleep',
+            icon: 'fa-bed',
+            title: (entry) => `${entry.item.date} · ${entry.item.duration}`,
+            restore: (entry) => TrashBin.restoreInto(SleepTracker.sleepData, entry, () => {
+                SleepTracker.saveSleepData();
+                SleepTracker.renderSleepDashboard();
+            })
+        },
+        voiceNotes: {
+            label: 'Voice Notes',
+            icon: 'fa-microphone',
+            title: (entry) => entry.item.title || new Date(entry.item.createdAt || entry.deletedAt).toLocaleString(),
+            restore: (entry) => TrashBin.restoreInto(VoiceNotes.notes, entry, () => {
+                VoiceNotes.saveNotes();
+                VoiceNotes.renderVoiceNotesDashboard();
+            })
+        },
+        transactions: {
+            label: 'Transactions',
+            icon: 'fa-wallet',
+            title: (entry) => `${entry.item.description} (${entry.item.amount})`,
+            restore: (entry) => TrashBin.restoreInto(TransactionManager.transactions, entry, () => TransactionManager.refresh())
+        }
+    },
+
+    init() {
+        const purged = this.purgeExpired();
+        if (purged > 0) {
+            console.log(`[TrashBin] Purged ${purged} expired item(s)`);
+        }
+    },
+
+    getAll() {
+        return DataManager.get(this.STORAGE_KEY, []);
+    },
+
+    saveAll(entries) {
+        DataManager.set(this.STORAGE_KEY, entries);
+    },
+
+    getSettings() {
+        return { retentionDays: this.DEFAULT_RETENTION_DAYS, ...DataManager.get(this.SETTINGS_KEY, {}) };
+    },
+
+    /**
+     * Move a deleted item into the trash
+     * @param {string} module - Key of MODULES
+     * @param {Object} item - The deleted record
+     * @param {Object} options - { index: original position, related: records deleted with it, meta }
+     * @returns {Object} Trash entry
+     */
+    add(module, item, options = {}) {
+        const entry = {
+            id: `trash_${Date.now()}_${SecurityUtils.generateToken(6)}`,
+            module,
+            item,
+            related: options.related || [],
+            meta: { ...(options.meta || {}), index: options.index },
+            deletedAt: new Date().toISOString()
+        };
+
+        const entries = this.getAll();
+        entries.unshift(entry);
+        this.saveAll(entries);
+        this.refreshPage();
+
+        return entry;
+    },
+
+    /**
+     * Wrap a CommandHistory target so undo/redo also rolls the trash back
+     * @param {Object} target - { capture, restore }
+     * @returns {Object} Target covering module state and trash
+     */
+    track(target) {
+        return {
+            capture: () => ({ state: target.capture(), trash: this.getAll() }),
+            restore: ({ state, trash }) => {
+                this.saveAll(trash);
+                target.restore(state);
+                this.refreshPage();
+            }
+        };
+    },
+
+    // Put an item back at its old position unless a record with the same id already exists
+    restoreInto(list, entry, save) {
+        if (list.some(existing => existing.id === entry.item.id)) return false;
+
+        const index = Number.isInteger(entry.meta.index) ? Math.min(entry.meta.index, list.length) : list.length;
+        list.splice(index, 0, entry.item);
+        save();
+        return true;
+    },
+
+    restore(entryId) {
+        const entries = this.getAll();
+        const entry = entries.find(e => e.id === entryId);
+        const module = entry && this.MODULES[entry.module];
+        if (!module) return;
+
+        try {
+            if (module.restore(entry) === false) {
+                NotificationSystem.warning('This item already exists and was not restored');
+                return;
+            }
+        } catch (error) {
+            console.error('[TrashBin] Restore failed:', error);
+            NotificationSystem.error(`${module.label} is not available`);
+            return;
+        }
+
+        this.saveAll(entries.filter(e => e.id !== entryId));
+        this.refreshPage();
+        NotificationSystem.success(`Restored "${module.title(entry)}"`, 2000);
+    },
+
+    deleteForever(entryId) {
+        ModalManager.confirm('Permanently delete this item? This cannot be undone.').then(confirmed => {
+            if (!confirmed) return;
+
+            this.saveAll(this.getAll().filter(e => e.id !== entryId));
+            this.refreshPage();
+            NotificationSystem.info('Item permanently deleted', 2000);
+        });
+    },
+
+    emptyTrash(module = null) {
+        const entries = this.getAll();
+        const doomed = entries.filter(e => !module || e.module === module);
+        if (doomed.length === 0) return;
+
+        ModalManager.confirm(`Permanently delete ${doomed.length} item(s)? This cannot be undone.`).then(confirmed => {
+            if (!confirmed) return;
+
+            this.saveAll(entries.filter(e => module && e.module !== module));
+            this.refreshPage();
+            NotificationSystem.info('Trash emptied', 2000);
+        });
+    },
+
+    // Drops entries older than the retention period; 0 keeps items forever
+    purgeExpired(now = Date.now()) {
+        const { retentionDays } = this.getSettings();
+        if (!retentionDays) return 0;
+
+        const cutoff = now - retentionDays * 24 * 60 * 60 * 1000;
+        const entries = this.getAll();
+        const kept = entries.filter(e => new Date(e.deletedAt).getTime() >= cutoff);
+
+        if (kept.length !== entries.length) {
+            this.saveAll(kept);
+        }
+        return entries.length - kept.length;
+    },
+
+    setRetentionDays(days) {
+        const retentionDays = Math.max(0, parseInt(days, 10) || 0);
+        DataManager.set(this.SETTINGS_KEY, { ...this.getSettings(), retentionDays });
+
+        const purged = this.purgeExpired();
+        this.refreshPage();
+        NotificationSystem.success(purged > 0
+            ? `Retention updated, ${purged} expired item(s) removed`
+            : 'Retention updated', 2000);
+    },
+
+    getDaysLeft(entry, retentionDays) {
+        if (!retentionDays) return null;
+        const expires = new Date(entry.deletedAt).getTime() + retentionDays * 24 * 60 * 60 * 1000;
+        return Math.max(0, Math.ceil((expires - Date.now()) / (24 * 60 * 60 * 1000)));
+    },
+
+    refreshPage() {
+        if (window.location.hash === '#trash') {
+            this.render();
+        }
+    },
+
+    render() {
+        const pageContent = document.getElementById('pageContent');
+        if (!pageContent) return;
+
+        const entries = this.getAll();
+        const { retentionDays } = this.getSettings();
+
+        const retentionOptions = this.RETENTION_OPTIONS.map(days =>
+            `<option value="${days}" ${days === retentionDays ? 'selected' : ''}>${days ? `${days} days` : 'Forever'}</option>`
+        ).join('');
+
+        const groups = Object.entries(this.MODULES).map(([key, module]) => {
+            const items = entries.filter(e => e.module === key);
+            if (items.length === 0) return '';
+
+            return `
+                <div class="trash-group">
+                    <div class="trash-group-header">
+                        <h3><i class="fas ${module.icon}"></i> ${module.label} <span class="trash-count">${items.length}</span></h3>
+                        <button class="btn btn-secondary" onclick="TrashBin.emptyTrash('${key}')">Empty</button>
+                    </div>
+                    ${items.map(entry => {
+                        const daysLeft = this.getDaysLeft(entry, retentionDays);
+                        return `
+                        <div class="trash-item">
+                            <div class="trash-item-info">
+                                <span class="trash-item-title">${SecurityUtils.escapeHtml(String(module.title(entry)))}</span>
+                                <span class="trash-item-meta">
+                                    Deleted ${new Date(entry.deletedAt).toLocaleString()}
+                                    ${entry.related.length > 0 ? ` · with ${entry.related.length} subitem(s)` : ''}
+                                    ${daysLeft !== null ? ` · purged in ${daysLeft} day(s)` : ''}
+                                </span>
+                            </div>
+                            <div class="trash-item-actions">
+                                <button class="btn btn-secondary" onclick="TrashBin.restore(${SecurityUtils.escapeJsString(entry.id)})">
+                                    <i class="fas fa-undo"></i> Restore
+                                </button>
+                                <button class="btn-icon" onclick="TrashBin.deleteForever(${SecurityUtils.escapeJsString(entry.id)})" title="Delete forever">
+                                    <i class="fas fa-times"></i>
+                                </button>
+                            </div>
+                        </div>
+                    `;
+                    }).join('')}
+                </div>
+            `;
+        }).join('');
+
+        pageContent.innerHTML = `
+            <div class="trash-page">
+                <div class="page-header">
+                    <h2><i class="fas fa-trash-alt"></i> Trash</h2>
+                    <div class="trash-toolbar">
+                        <label>Keep deleted items
+                            <select class="form-input" onchange="TrashBin.setRetentionDays(this.value)">${retentionOptions}</select>
+                        </label>
+                        <button class="btn btn-danger" onclick="TrashBin.emptyTrash()" ${entries.length === 0 ? 'disabled' : ''}>
+                            <i class="fas fa-trash"></i> Empty Trash
+                        </button>
+                    </div>
+                </div>
+                ${entries.length === 0 ? `
+                    <div class="empty-state">
+                        <i class="fas fa-trash-alt" style="font-size: 48px; color: var(--text-tertiary);"></i>
+                        <p>Trash is empty.</p>
+                    </div>
+                ` : groups}
+            </div>
+        `;
+    }
+};
+
+// Make TrashBin globally accessible
+window.TrashBin = TrashBin;
@@ -0,0 +1,357 @@
+// ===== Two-Factor Authentication Module =====
+// TOTP enrollment, login challenge and recovery codes for local accounts
+const TwoFactorAuth = {
+    ENROLL_MODAL_ID: 'twofa-enroll-modal',
+    CHALLENGE_MODAL_ID: 'twofa-challenge-modal',
+    CODES_MODAL_ID: 'twofa-codes-modal',
+    CONFIRM_MODAL_ID: 'twofa-confirm-modal',
+
+    INPUT_STYLE: `
+        width: 100%;
+        padding: 12px;
+        border-radius: 8px;
+        border: 1px solid var(--border-color);
+        background: var(--bg-primary);
+        color: var(--text-primary);
+        font-size: 1.2rem;
+        letter-spacing: 0.2em;
+        text-align: center;
+    `,
+
+    isEnabled(userId) {
+        const user = AuthManager.getStoredUser(userId);
+        return !!(user && user.twoFactor && user.twoFactor.enabled);
+    },
+
+    /**
+     * Check a TOTP or recovery code for a user, consuming it on success
+     * @param {string} userId - User id
+     * @param {string} code - 6-digit code or recovery code
+     * @returns {Promise<Object>} { valid, usedRecoveryCode, recoveryCodesLeft }
+     */
+    async verifyCode(userId, code) {
+        const lockoutKey = `2fa_${userId}`;
+        const lockedFor = SecurityUtils.rateLimiter.getLockoutRemaining(lockoutKey);
+        if (lockedFor > 0) {
+            throw new Error(`Too many wrong codes. Try again in ${AuthManager.formatDuration(lockedFor)}.`);
+        }
+
+        const user = AuthManager.getStoredUser(userId);
+        const twoFactor = user && user.twoFactor;
+        if (!twoFactor || !twoFactor.enabled) return { valid: false };
+
+        const input = String(code || '').trim();
+        let result = { valid: false };
+
+        // Codes already used can't be replayed
+        const step = await TOTP.verify(twoFactor.secret, input, { afterStep: twoFactor.lastUsedStep || -1 });
+        if (step !== null) {
+            AuthManager.updateStoredUser(userId, u => { u.twoFactor.lastUsedStep = step; });
+            result = { valid: true, usedRecoveryCode: false, recoveryCodesLeft: twoFactor.recoveryCodes.length };
+        } else if (input.length > TOTP.DIGITS) {
+            const hash = await TOTP.hashRecoveryCode(input);
+            if (twoFactor.recoveryCodes.includes(hash)) {
+                const remaining = twoFactor.recoveryCodes.filter(h => h !== hash);
+                AuthManager.updateStoredUser(userId, u => { u.twoFactor.recoveryCodes = remaining; });
+                result = { valid: true, usedRecoveryCode: true, recoveryCodesLeft: remaining.length };
+            }
+        }
+
+        if (result.valid) {
+            SecurityUtils.rateLimiter.reset(lockoutKey);
+        } else {
+            SecurityUtils.rateLimiter.recordFailure(lockoutKey);
+        }
+        return result;
+    },
+
+    codeField(id, placeholder = '123456') {
+        return `<input type="text" id="${id}" inputmode="numeric" autocomplete="one-time-code" placeholder="${placeholder}" style="${this.INPUT_STYLE}">`;
+    },
+
+    errorArea(id) {
+        return `<div id="${id}" role="alert" style="display: none; margin-top: 10px; color: var(--danger, #ef4444); font-size: 0.9rem;"></div>`;
+    },
+
+    showError(elementId, message) {
+        const element = document.getElementById(elementId);
+        if (!element) return;
+        element.textContent = message;
+        element.style.display = message ? 'block' : 'none';
+    },
+
+    /**
+     * Ask for the second factor after the password was accepted
+     * @returns {Promise<Object|null>} Login result from AuthManager, or null if cancelled
+     */
+    showChallenge() {
+        return new Promise(resolve => {
+            let settled = false;
+            const finish = (result) => {
+                if (settled) return;
+                settled = true;
+                resolve(result);
+            };
+
+            ModalManager.create({
+                id: this.CHALLENGE_MODAL_ID,
+                title: 'Two-factor authentication',
+                content: `
+                    <p style="color: var(--text-secondary);">Enter the 6-digit code from your authenticator app, or one of your recovery codes.</p>
+                    <form onsubmit="event.preventDefault(); document.querySelector('#${this.CHALLENGE_MODAL_ID} [data-action=verify]').click();">
+                        ${this.codeField('twofaChallengeCode')}
+                    </form>
+                    ${this.errorArea('twofaChallengeError')}
+                `,
+                size: 'small',
+                onOpen: () => document.getElementById('twofaChallengeCode')?.focus(),
+                onClose: () => finish(null),
+                buttons: [
+                    {
+                        id: 'cancel',
+                        text: 'Cancel',
+                        onClick: (e, { close }) => close()
+                    },
+                    {
+                        id: 'verify',
+                        text: 'Verify',
+                        primary: true,
+                        onClick: async (e, { close }) => {
+                            const button = e.currentTarget;
+                            const input = document.getElementById('twofaChallengeCode');
+                            if (button.disabled || !input) return;
+
+                            button.disabled = true;
+                            this.showError('twofaChallengeError', '');
+                            try {
+                                const result = await AuthManager.completeTwoFactorLogin(input.value);
+                                finish(result);
+                                close();
+                            } catch (error) {
+                                input.value = '';
+                                input.focus();
+                                this.showError('twofaChallengeError', error.message);
+                            } finally {
+                                button.disabled = false;
+                            }
+                        }
+                    }
+                ]
+            });
+        });
+    },
+
+    renderQrCode(uri) {
+        // qrcode-generator is loaded from the CDN; without it the secret can still be typed in
+        if (typeof qrcode !== 'function') return '';
+
+        const qr = qrcode(0, 'M');
+        qr.addData(uri);
+        qr.make();
+        return `<div style="background: #fff; padding: 8px; border-radius: 8px; display: inline-block;">${qr.createSvgTag({ cellSize: 4, margin: 2 })}</div>`;
+    },
+
+    startEnrollment() {
+        const user = AuthManager.currentUser;
+        if (!user) return;
+
+        const secret = TOTP.generateSecret();
+        const uri = TOTP.getOtpauthUri(secret, user.email);
+        const groupedSecret = secret.match(/.{1,4}/g).join(' ');
+
+        ModalManager.create({
+            id: this.ENROLL_MODAL_ID,
+            title: 'Set up two-factor authentication',
+            content: `
+                <ol style="color: var(--text-secondary); padding-left: 20px; line-height: 1.6;">
+                    <li>Scan this QR code with an authenticator app, or enter the key manually.</li>
+                    <li>Enter the 6-digit code the app shows to finish.</li>
+                </ol>
+                <div style="text-align: center; margin: 16px 0;">
+                    ${this.renderQrCode(uri)}
+                    <div style="margin-top: 12px; font-family: monospace; font-size: 1rem; word-break: break-all;">${groupedSecret}</div>
+                </div>
+                ${this.codeField('twofaEnrollCode')}
+                ${this.errorArea('twofaEnrollError')}
+            `,
+            size: 'small',
+            onOpen: () => document.getElementById('twofaEnrollCode')?.focus(),
+            buttons: [
+                {
+                    id: 'cancel',
+                    text: 'Cancel',
+                    onClick: (e, { close }) => close()
+                },
+                {
+                    id: 'enable',
+                    text: 'Enable',
+                    primary: true,
+                    onClick: async (e, { close }) => {
+                        const input = document.getElementById('twofaEnrollCode');
+                        const step = await TOTP.verify(secret, input ? input.value : '');
+                        if (step === null) {
+                            this.showError('twofaEnrollError', 'That code is not valid. Check the time on your device and try again.');
+                            return;
+                        }
+
+                        const codes = TOTP.generateRecoveryCodes();
+                        const recoveryCodes = await Promise.all(codes.map(code => TOTP.hashRecoveryCode(code)));
+                        AuthManager.updateStoredUser(user.id, u => {
+                            u.twoFactor = {
+                                enabled: true,
+                                secret,
+                                lastUsedStep: step,
+                                recoveryCodes,
+                                enabledAt: new Date().toISOString()
+                            };
+                        });
+
+                        close();
+                        NotificationSystem.success('Two-factor authentication enabled');
+                        this.showRecoveryCodes(codes);
+                    }
+                }
+            ]
+        });
+    },
+
+    showRecoveryCodes(codes) {
+        const text = codes.join('\n');
+
+        ModalManager.create({
+            id: this.CODES_MODAL_ID,
+            title: 'Save your recovery codes',
+            content: `
+                <p style="color: var(--text-secondary);">Each code can be used once to sign in if you lose your authenticator. They will not be shown again.</p>
+                <div style="display: grid; grid-template-columns: 1fr 1fr; gap: 8px; margin: 16px 0; font-family: monospace; font-size: 1rem; text-align: center;">
+                    ${codes.map(code => `<div style="padding: 6px; background: var(--bg-primary); border-radius: 6px;">${code}</div>`).join('')}
+                </div>
+            `,
+            size: 'small',
+            closeOnOverlay: false,
+            buttons: [
+                {
+                    id: 'download',
+                    text: 'Download',
+                    icon: 'fas fa-download',
+                    onClick: () => ExportManager.downloadFile(text, 'lifeos-recovery-codes.txt', 'text/plain')
+                },
+                {
+                    id: 'copy',
+                    text: 'Copy',
+                    icon: 'fas fa-copy',
+                    onClick: () => navigator.clipboard.writeText(text)
+                        .then(() => NotificationSystem.success('Recovery codes copied', 2000))
+                        .catch(() => NotificationSystem.error('Could not copy to clipboard'))
+                },
+                {
+                    id: 'done',
+                    text: 'I saved them',
+                    primary: true,
+                    onClick: (e, { close }) => {
+                        close();
+                        AuthManager.refreshSettings();
+                    }
+                }
+            ]
+        });
+    },
+
+    // Ask for a current code before changing 2FA settings
+    confirmWithCode(title, submitText, onConfirmed) {
+        const user = AuthManager.currentUser;
+        if (!user) return;
+
+        ModalManager.create({
+            id: this.CONFIRM_MODAL_ID,
+            title,
+            content: `
+                <p style="color: var(--text-secondary);">Enter a code from your authenticator app or a recovery code.</p>
+                ${this.codeField('twofaConfirmCode')}
+                ${this.errorArea('twofaConfirmError')}
+            `,
+            size: 'small',
+            onOpen: () => document.getElementById('twofaConfirmCode')?.focus(),
+            buttons: [
+                {
+                    id: 'cancel',
+                    text: 'Cancel',
+                    onClick: (e, { close }) => close()
+                },
+                {
+                    id: 'confirm',
+                    text: submitText,
+                    primary: true,
+                    onClick: async (e, { close }) => {
+                        const input = document.getElementById('twofaConfirmCode');
+                        try {
+                            const { valid } = await this.verifyCode(user.id, input ? input.value : '');
+                            if (!valid) {
+                                this.showError('twofaConfirmError', 'That code is not valid.');
+                                return;
+                            }
+                        } catch (error) {
+                            this.showError('twofaConfirmError', error.message);
+                            return;
+                        }
+
+                        close();
+                        await onConfirmed(user);
+                    }
+                }
+            ]
+        });
+    },
+
+    disable() {
+        this.confirmWithCode('Turn off two-factor authentication', 'Turn Off', (user) => {
+            AuthManager.updateStoredUser(user.id, u => { delete u.twoFactor; });
+            NotificationSystem.info('Two-factor authentication turned off');
+            AuthManager.refreshSettings();
+        });
+    },
+
+    regenerateRecoveryCodes() {
+        this.confirmWithCode('New recovery codes', 'Generate', async (user) => {
+            const codes = TOTP.generateRecoveryCodes();
+            const recoveryCodes = await Promise.all(codes.map(code => TOTP.hashRecoveryCode(code)));
+            AuthManager.updateStoredUser(user.id, u => { u.twoFactor.recoveryCodes = recoveryCodes; });
+            this.showRecoveryCodes(codes);
+        });
+    },
+
+    renderSettingsSection() {
+        const user = AuthManager.currentUser && AuthManager.getStoredUser(AuthManager.currentUser.id);
+        if (!user) return '';
+
+        const twoFactor = user.twoFactor && user.twoFactor.enabled ? user.twoFactor : null;
+
+        return `
+            <div style="padding: 16px; background: var(--bg-primary); border-radius: 12px;">
+                <h4 style="margin-bottom: 8px; color: var(--text-primary);"><i class="fas fa-shield-alt"></i> Two-Factor Authentication</h4>
+                <p style="font-size: 12px; color: var(--text-secondary); margin-bottom: 12px;">
+                    ${twoFactor
+                        ? `Enabled. ${twoFactor.recoveryCodes.length} recovery code(s) left.`
+                        : 'Require a code from an authenticator app when you log in.'}
+                </p>
+                <div style="display: flex; gap: 10px; flex-wrap: wrap;">
+                    ${twoFactor ? `
+                        <button onclick="TwoFactorAuth.regenerateRecoveryCodes()" class="modal-btn" style="flex: 1; min-width: 120px;">
+                            <i class="fas fa-redo"></i> New Recovery Codes
+                        </button>
+                        <button onclick="TwoFactorAuth.disable()" class="modal-btn" style="flex: 1; min-width: 120px;">
+                            <i class="fas fa-times"></i> Turn Off
+                        </button>
+                    ` : `
+                        <button onclick="TwoFactorAuth.startEnrollment()" class="modal-btn" style="flex: 1; min-width: 120px;">
+                            <i class="fas fa-qrcode"></i> Set Up
+                        </button>
+                    `}
+                </div>
+            </div>
+        `;
+    }
+};
+
+// Make TwoFactorAuth globally accessible
+window.TwoFactorAuth = TwoFactorAuth;
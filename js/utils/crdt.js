@@ -0,0 +1,399 @@
+/**
+ * CRDT
+ * Hybrid logical clocks and per-field merge of records edited on several devices.
+ *
+ * Each record carries its merge metadata in _sync:
+ *   { vv: { node: hlc }, fields: { name: hlc } }
+ * fields holds the clock of the last write to each field; vv holds, per device,
+ * the latest of its writes this version of the record has seen. Two writes to a
+ * field are concurrent when neither version has seen the other's write. Those
+ * are merged with the field's strategy: 'union' for maps and lists, 'latest' for
+ * derived values such as timestamps. Other values are reported as conflicts,
+ * keeping the later write until the user picks one.
+ *
+ * Deleted records leave a tombstone { t, vv } so a stale copy elsewhere does not
+ * bring them back. DataManager drops tombstones once they are older than any
+ * device is expected to stay offline. A record restored after the delete has seen the tombstone and
+ * stays; a delete and an edit that did not see each other are a conflict.
+ */
+
+const CRDT = (function() {
+    'use strict';
+
+    const META = '_sync';
+    // Outside the lifeos_ prefix, so DataManager neither moves nor profiles it
+    const NODE_STORAGE_KEY = 'lifeos-node-id';
+
+    let nodeId = null;
+    let lastWall = 0;
+    let counter = 0;
+
+    /**
+     * Id of this device, created on first use
+     * @returns {string} Node id
+     */
+    const getNodeId = () => {
+        if (nodeId) return nodeId;
+        try {
+            nodeId = localStorage.getItem(NODE_STORAGE_KEY);
+        } catch (e) {
+            nodeId = null;
+        }
+        if (!nodeId) {
+            nodeId = Array.from(crypto.getRandomValues(new Uint8Array(6)), byte => (byte % 36).toString(36)).join('');
+            try {
+                localStorage.setItem(NODE_STORAGE_KEY, nodeId);
+            } catch (e) {
+                // Private mode: the id only lasts for this session
+            }
+        }
+        return nodeId;
+    };
+
+    // Fixed-width parts, so clocks compare correctly as strings
+    const pack = (wall, count, node) => `${wall.toString(36).padStart(9, '0')}.${count.toString(36).padStart(4, '0')}.${node}`;
+
+    const unpack = (hlc) => {
+        const [wall, count, node] = hlc.split('.');
+        return { wall: parseInt(wall, 36), count: parseInt(count, 36), node };
+    };
+
+    const nodeOf = (hlc) => hlc.slice(hlc.lastIndexOf('.') + 1);
+
+    /**
+     * Wall-clock part of a clock
+     * @param {string} hlc - Clock
+     * @returns {number} Milliseconds since the epoch, NaN when malformed
+     */
+    const wallTime = (hlc) => (typeof hlc === 'string' ? unpack(hlc).wall : NaN);
+
+    /**
+     * Order two clocks; a missing clock is older than any other
+     * @returns {number} -1, 0 or 1
+     */
+    const compare = (a, b) => {
+        if (a === b) return 0;
+        if (!a) return -1;
+        if (!b) return 1;
+        return a > b ? 1 : -1;
+    };
+
+    const max = (a, b) => (compare(a, b) >= 0 ? a : b);
+
+    /**
+     * Timestamp for a local write
+     * @returns {string} HLC, later than every clock issued or received so far
+     */
+    const now = () => {
+        const wall = Date.now();
+        if (wall > lastWall) {
+            lastWall = wall;
+            counter = 0;
+        } else {
+            counter++;
+        }
+        return pack(lastWall, counter, getNodeId());
+    };
+
+    /**
+     * Move the clock past a timestamp from another device
+     * @param {string} hlc - Remote clock
+     */
+    const receive = (hlc) => {
+        if (!hlc) return;
+
+        const remote = unpack(hlc);
+        const previous = lastWall;
+        lastWall = Math.max(previous, remote.wall, Date.now());
+
+        if (lastWall === previous && lastWall === remote.wall) {
+            counter = Math.max(counter, remote.count) + 1;
+        } else if (lastWall === previous) {
+            counter++;
+        } else if (lastWall === remote.wall) {
+            counter = remote.count + 1;
+        } else {
+            counter = 0;
+        }
+    };
+
+    const same = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+
+    const metaOf = (record) => {
+        const meta = record && record[META];
+        return { vv: { ...(meta && meta.vv) }, fields: { ...(meta && meta.fields) } };
+    };
+
+    const mergeVectors = (a, b) => {
+        const merged = { ...a };
+        Object.entries(b || {}).forEach(([node, hlc]) => {
+            merged[node] = max(merged[node], hlc);
+        });
+        return merged;
+    };
+
+    // Whether a version has seen the write made at hlc
+    const hasSeen = (vv, hlc) => compare(vv[nodeOf(hlc)], hlc) >= 0;
+
+    const fieldNames = (...records) => {
+        const names = new Set();
+        records.forEach(record => {
+            if (record) Object.keys(record).forEach(name => names.add(name));
+        });
+        names.delete(META);
+        return [...names];
+    };
+
+    /**
+     * Record a local edit in a record's metadata
+     * @param {Object} record - Record after the edit; its _sync is replaced
+     * @param {Object|null} previous - The same record before the edit, null when new
+     * @returns {boolean} Whether any field changed
+     */
+    const stamp = (record, previous) => {
+        // The stored copy has the metadata even if a module rebuilt the record without it
+        const base = metaOf(previous || record);
+        const changed = fieldNames(record, previous)
+            .filter(name => !previous || !same(record[name], previous[name]));
+
+        if (changed.length === 0) {
+            record[META] = base;
+            return false;
+        }
+
+        const hlc = now();
+        changed.forEach(name => {
+            base.fields[name] = hlc;
+        });
+        base.vv[getNodeId()] = hlc;
+        record[META] = base;
+        return true;
+    };
+
+    /**
+     * Mark fields as just written on this device, e.g. after resolving a conflict
+     * @param {Object} record - Record to update in place
+     * @param {Array<string>} fields - Field names
+     */
+    const touch = (record, fields) => {
+        const meta = metaOf(record);
+        const hlc = now();
+        fields.forEach(name => {
+            meta.fields[name] = hlc;
+        });
+        meta.vv[getNodeId()] = hlc;
+        record[META] = meta;
+    };
+
+    /**
+     * Bring back a record that was deleted elsewhere, so the edit wins over the delete
+     * @param {Object} record - Record to update in place
+     * @param {Object} tombstone - Tombstone of the delete
+     */
+    const restore = (record, tombstone) => {
+        const meta = metaOf(record);
+        meta.vv = mergeVectors(meta.vv, tombstone.vv);
+        meta.vv[getNodeId()] = now();
+        record[META] = meta;
+    };
+
+    /**
+     * Tombstone for a record deleted on this device
+     * @param {Object} record - Record as it was when deleted
+     * @returns {Object} { t, vv }
+     */
+    const createTombstone = (record) => {
+        const t = now();
+        return { t, vv: { ...metaOf(record).vv, [getNodeId()]: t } };
+    };
+
+    const isPlainObject = (value) => !!value && typeof value === 'object' && !Array.isArray(value);
+
+    // Union of two maps or lists, built the same way on both devices: the later write comes first
+    const union = (local, remote, localWins) => {
+        const [winner, other] = localWins ? [local, remote] : [remote, local];
+        if (isPlainObject(winner) && isPlainObject(other)) {
+            return { ...other, ...winner };
+        }
+        if (Array.isArray(winner) && Array.isArray(other)) {
+            const seen = new Set(winner.map(item => JSON.stringify(item)));
+            return [...winner, ...other.filter(item => !seen.has(JSON.stringify(item)))];
+        }
+        return null;
+    };
+
+    /**
+     * Merge two versions of a record field by field
+     * @param {Object} local - Version on this device
+     * @param {Object} remote - Version from another device
+     * @param {Object} strategies - field -> 'union' | 'latest'
+     * @returns {Object} { record, conflicts: [{ field, local, remote, kept, clock }] }
+     */
+    const mergeRecord = (local, remote, strategies = {}) => {
+        const localMeta = metaOf(local);
+        const remoteMeta = metaOf(remote);
+        const record = {};
+        const fields = {};
+        const conflicts = [];
+
+        const take = (name, value, hlc) => {
+            if (value !== undefined) record[name] = value;
+            if (hlc) fields[name] = hlc;
+        };
+
+        fieldNames(local, remote).forEach(name => {
+            const localValue = local[name];
+            const remoteValue = remote[name];
+            const localClock = localMeta.fields[name];
+            const remoteClock = remoteMeta.fields[name];
+            const later = max(localClock, remoteClock);
+
+            if (same(localValue, remoteValue)) {
+                take(name, localValue, later);
+            } else if (!localClock && !remoteClock) {
+                // Neither side has metadata yet (data from before sync): newest record wins
+                const localNewer = String(local.updatedAt || '') >= String(remote.updatedAt || '');
+                take(name, localNewer ? localValue : remoteValue);
+            } else if (!remoteClock || hasSeen(localMeta.vv, remoteClock)) {
+                take(name, localValue, localClock);
+            } else if (!localClock || hasSeen(remoteMeta.vv, localClock)) {
+                take(name, remoteValue, remoteClock);
+            } else {
+                // Both devices changed the field without seeing each other's edit
+                const localWins = compare(localClock, remoteClock) >= 0;
+                const merged = strategies[name] === 'union' ? union(localValue, remoteValue, localWins) : null;
+                if (merged !== null) {
+                    take(name, merged, later);
+                } else if (strategies[name] === 'latest') {
+                    take(name, localWins ? localValue : remoteValue, later);
+                } else {
+                    take(name, localWins ? localValue : remoteValue, later);
+                    conflicts.push({ field: name, local: localValue, remote: remoteValue, kept: localWins ? 'local' : 'remote', clock: later });
+                }
+            }
+        });
+
+        record[META] = { vv: mergeVectors(localMeta.vv, remoteMeta.vv), fields };
+        return { record, conflicts };
+    };
+
+    const mergeTombstones = (local = {}, remote = {}) => {
+        const merged = { ...local };
+        Object.entries(remote).forEach(([id, tombstone]) => {
+            const existing = merged[id];
+            merged[id] = existing
+                ? { t: max(existing.t, tombstone.t), vv: mergeVectors(existing.vv, tombstone.vv) }
+                : tombstone;
+        });
+        return merged;
+    };
+
+    // Vector a has seen every write vector b has
+    const dominates = (a, b) => Object.entries(b).every(([node, hlc]) => compare(a[node], hlc) >= 0);
+
+    /**
+     * Causal order of two versions of the same record
+     * @returns {string|null} 'newer' when a has seen every edit of b, 'older', 'same' or
+     *   'concurrent'; null when either version has no metadata
+     */
+    const compareVersions = (a, b) => {
+        const aVector = metaOf(a).vv;
+        const bVector = metaOf(b).vv;
+        if (Object.keys(aVector).length === 0 || Object.keys(bVector).length === 0) return null;
+
+        const aSeesB = dominates(aVector, bVector);
+        const bSeesA = dominates(bVector, aVector);
+        if (aSeesB && bSeesA) return 'same';
+        if (aSeesB) return 'newer';
+        return bSeesA ? 'older' : 'concurrent';
+    };
+
+    // Deleted after every edit of this version
+    const isDeletedBy = (record, tombstone) => dominates(tombstone.vv, metaOf(record).vv);
+
+    /**
+     * Merge a list of records from another device into the local list
+     * @param {Array} local - Records on this device
+     * @param {Array} remote - Records from the other device
+     * @param {Object} localTombstones - id -> tombstone
+     * @param {Object} remoteTombstones - id -> tombstone
+     * @param {Object} strategies - Field strategies for mergeRecord()
+     * @returns {Object} { list, tombstones, conflicts: [{ type: 'field'|'delete', id, ... }] }
+     */
+    const mergeLists = (local, remote, localTombstones = {}, remoteTombstones = {}, strategies = {}) => {
+        const tombstones = mergeTombstones(localTombstones, remoteTombstones);
+        const remoteById = new Map(remote.filter(record => record && record.id !== undefined).map(record => [String(record.id), record]));
+        const conflicts = [];
+        const list = [];
+
+        // Keep the clock ahead of everything the other device has written
+        remote.forEach(record => Object.values(metaOf(record).vv).forEach(receive));
+        Object.values(remoteTombstones).forEach(tombstone => receive(tombstone.t));
+
+        const place = (id, record, deletedOn) => {
+            const tombstone = tombstones[id];
+            const { vv } = metaOf(record);
+            if (!tombstone) {
+                list.push(record);
+            } else if (isDeletedBy(record, tombstone)) {
+                // Deleted after every edit of it
+                return;
+            } else if (dominates(vv, tombstone.vv)) {
+                // Restored after the delete, e.g. by undo
+                list.push(record);
+                delete tombstones[id];
+            } else {
+                // Edited on one device after (or while) the other deleted it: keep it until resolved
+                list.push(record);
+                conflicts.push({ type: 'delete', id, record, deletedOn });
+            }
+        };
+
+        local.forEach(record => {
+            const id = record && record.id !== undefined ? String(record.id) : null;
+            if (id === null || !remoteById.has(id)) {
+                if (id === null) list.push(record);
+                else place(id, record, 'remote');
+                return;
+            }
+
+            const merged = mergeRecord(record, remoteById.get(id), strategies);
+            remoteById.delete(id);
+            merged.conflicts.forEach(conflict => conflicts.push({ type: 'field', id, ...conflict }));
+            place(id, merged.record, localTombstones[id] ? 'local' : 'remote');
+        });
+
+        remoteById.forEach((record, id) => place(id, record, 'local'));
+
+        return { list, tombstones, conflicts };
+    };
+
+    /**
+     * Clock of the last write to a record field
+     * @returns {string|undefined} HLC
+     */
+    const fieldClock = (record, field) => metaOf(record).fields[field];
+
+    // Public API
+    return {
+        META,
+        getNodeId,
+        now,
+        receive,
+        compare,
+        wallTime,
+        fieldClock,
+        compareVersions,
+        isDeletedBy,
+        stamp,
+        touch,
+        restore,
+        createTombstone,
+        mergeRecord,
+        mergeTombstones,
+        mergeLists
+    };
+})();
+
+// Export globally
+window.CRDT = CRDT;
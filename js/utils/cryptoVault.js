@@ -0,0 +1,212 @@
+/**
+ * Crypto Vault
+ * AES-GCM encryption of JSON values under a random data key. The data key is
+ * wrapped with a key derived from a passphrase (PBKDF2-SHA256), and can be
+ * sealed to recovery public keys (ECDH P-256) so a recovery key can unwrap it.
+ */
+
+const CryptoVault = (function() {
+    'use strict';
+
+    const PBKDF2_ITERATIONS = 310000;
+    const SALT_BYTES = 16;
+    const IV_BYTES = 12;
+    const ENVELOPE_VERSION = 1;
+    // Encrypted with the derived key to tell a wrong passphrase from corrupt data
+    const VERIFIER_PLAINTEXT = 'lifeos-vault-check';
+
+    const encoder = new TextEncoder();
+    const decoder = new TextDecoder();
+
+    const isSupported = () => typeof crypto !== 'undefined' && !!crypto.subtle;
+
+    const toBase64 = (bytes) => {
+        let binary = '';
+        new Uint8Array(bytes).forEach(byte => {
+            binary += String.fromCharCode(byte);
+        });
+        return btoa(binary);
+    };
+
+    const fromBase64 = (base64) => Uint8Array.from(atob(base64), char => char.charCodeAt(0));
+
+    const randomBytes = (length) => crypto.getRandomValues(new Uint8Array(length));
+
+    /**
+     * Create a random salt for key derivation
+     * @returns {string} Base64 salt
+     */
+    const createSalt = () => toBase64(randomBytes(SALT_BYTES));
+
+    /**
+     * Derive an AES-GCM key from a passphrase
+     * @param {string} passphrase - User passphrase
+     * @param {string} salt - Base64 salt
+     * @param {number} iterations - PBKDF2 iterations
+     * @returns {Promise<CryptoKey>} Non-extractable AES-256-GCM key
+     */
+    const deriveKey = async (passphrase, salt, iterations = PBKDF2_ITERATIONS) => {
+        const material = await crypto.subtle.importKey('raw', encoder.encode(passphrase), 'PBKDF2', false, ['deriveKey']);
+        return crypto.subtle.deriveKey(
+            { name: 'PBKDF2', salt: fromBase64(salt), iterations, hash: 'SHA-256' },
+            material,
+            { name: 'AES-GCM', length: 256 },
+            false,
+            ['encrypt', 'decrypt']
+        );
+    };
+
+    /**
+     * Encrypt a JSON-serializable value
+     * @param {CryptoKey} key - AES-GCM key
+     * @param {*} value - Value to encrypt
+     * @returns {Promise<Object>} Envelope { __vault, iv, data }
+     */
+    const encrypt = async (key, value) => {
+        const iv = randomBytes(IV_BYTES);
+        const ciphertext = await crypto.subtle.encrypt({ name: 'AES-GCM', iv }, key, encoder.encode(JSON.stringify(value)));
+        return { __vault: ENVELOPE_VERSION, iv: toBase64(iv), data: toBase64(ciphertext) };
+    };
+
+    /**
+     * Decrypt an envelope produced by encrypt()
+     * @param {CryptoKey} key - AES-GCM key
+     * @param {Object} envelope - Envelope
+     * @returns {Promise<*>} Decrypted value; rejects if the key is wrong or the data was altered
+     */
+    const decrypt = async (key, envelope) => {
+        const plaintext = await crypto.subtle.decrypt(
+            { name: 'AES-GCM', iv: fromBase64(envelope.iv) },
+            key,
+            fromBase64(envelope.data)
+        );
+        return JSON.parse(decoder.decode(plaintext));
+    };
+
+    const isEnvelope = (value) => !!value && typeof value === 'object' && value.__vault === ENVELOPE_VERSION;
+
+    /**
+     * Create a random data key
+     * @returns {Promise<CryptoKey>} Extractable AES-256-GCM key, so it can be wrapped
+     */
+    const generateDataKey = () => crypto.subtle.generateKey({ name: 'AES-GCM', length: 256 }, true, ['encrypt', 'decrypt']);
+
+    const exportDataKey = async (dataKey) => toBase64(await crypto.subtle.exportKey('raw', dataKey));
+
+    const importDataKey = (raw) => crypto.subtle.importKey('raw', fromBase64(raw), 'AES-GCM', true, ['encrypt', 'decrypt']);
+
+    /**
+     * Encrypt the data key with a key-encryption key
+     * @param {CryptoKey} kek - Key from deriveKey()
+     * @param {CryptoKey} dataKey - Data key
+     * @returns {Promise<Object>} Envelope
+     */
+    const wrapDataKey = async (kek, dataKey) => encrypt(kek, await exportDataKey(dataKey));
+
+    const unwrapDataKey = async (kek, wrapped) => importDataKey(await decrypt(kek, wrapped));
+
+    const toBase64Url = (base64) => base64.replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+    const fromBase64Url = (base64url) => {
+        const base64 = base64url.replace(/-/g, '+').replace(/_/g, '/');
+        return base64 + '='.repeat((4 - base64.length % 4) % 4);
+    };
+
+    const ECDH = { name: 'ECDH', namedCurve: 'P-256' };
+
+    const importPublicKey = ({ x, y }) => crypto.subtle.importKey('jwk', { kty: 'EC', crv: 'P-256', x, y, ext: true }, ECDH, true, []);
+
+    /**
+     * Create a recovery key pair
+     * @returns {Promise<Object>} { privateKey: 32-byte scalar, publicKey: { x, y } }
+     */
+    const createRecoveryKeyPair = async () => {
+        const pair = await crypto.subtle.generateKey(ECDH, true, ['deriveKey']);
+        const jwk = await crypto.subtle.exportKey('jwk', pair.privateKey);
+        return { privateKey: fromBase64(fromBase64Url(jwk.d)), publicKey: { x: jwk.x, y: jwk.y } };
+    };
+
+    /**
+     * Load a recovery private key
+     * @param {Uint8Array} privateKey - Scalar from createRecoveryKeyPair()
+     * @param {Object} publicKey - { x, y } stored alongside
+     * @returns {Promise<CryptoKey>} ECDH private key; rejects if the pair does not match
+     */
+    const importRecoveryKey = (privateKey, { x, y }) => crypto.subtle.importKey(
+        'jwk',
+        { kty: 'EC', crv: 'P-256', x, y, d: toBase64Url(toBase64(privateKey)), ext: true },
+        ECDH,
+        false,
+        ['deriveKey']
+    );
+
+    const deriveSharedKey = (privateKey, publicKey) => crypto.subtle.deriveKey(
+        { name: 'ECDH', public: publicKey },
+        privateKey,
+        { name: 'AES-GCM', length: 256 },
+        false,
+        ['encrypt', 'decrypt']
+    );
+
+    /**
+     * Encrypt a value so only the holder of a recovery private key can read it
+     * @param {Object} publicKey - Recipient { x, y }
+     * @param {*} value - JSON-serializable value
+     * @returns {Promise<Object>} Envelope with the ephemeral public key as epk
+     */
+    const sealTo = async (publicKey, value) => {
+        const ephemeral = await crypto.subtle.generateKey(ECDH, true, ['deriveKey']);
+        const shared = await deriveSharedKey(ephemeral.privateKey, await importPublicKey(publicKey));
+        const { x, y } = await crypto.subtle.exportKey('jwk', ephemeral.publicKey);
+        return { ...(await encrypt(shared, value)), epk: { x, y } };
+    };
+
+    const openSealed = async (privateKey, sealed) => {
+        const shared = await deriveSharedKey(privateKey, await importPublicKey(sealed.epk));
+        return decrypt(shared, sealed);
+    };
+
+    const sealDataKey = async (publicKey, dataKey) => sealTo(publicKey, await exportDataKey(dataKey));
+
+    const openDataKey = async (privateKey, sealed) => importDataKey(await openSealed(privateKey, sealed));
+
+    const createVerifier = (key) => encrypt(key, VERIFIER_PLAINTEXT);
+
+    /**
+     * Check a derived key against a stored verifier
+     * @param {CryptoKey} key - Candidate key
+     * @param {Object} verifier - Envelope from createVerifier()
+     * @returns {Promise<boolean>} Whether the key is the one the verifier was made with
+     */
+    const verify = async (key, verifier) => {
+        try {
+            return (await decrypt(key, verifier)) === VERIFIER_PLAINTEXT;
+        } catch (e) {
+            return false;
+        }
+    };
+
+    // Public API
+    return {
+        PBKDF2_ITERATIONS,
+        isSupported,
+        createSalt,
+        deriveKey,
+        encrypt,
+        decrypt,
+        isEnvelope,
+        createVerifier,
+        verify,
+        generateDataKey,
+        wrapDataKey,
+        unwrapDataKey,
+        createRecoveryKeyPair,
+        importRecoveryKey,
+        sealTo,
+        openSealed,
+        sealDataKey,
+        openDataKey
+    };
+})();
+
+// Export globally
+window.CryptoVault = CryptoVault;
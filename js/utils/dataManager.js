@@ -1,6 +1,40 @@
 /**
  * Central Data Manager Module
  * Handles all data persistence with validation and events
+ *
+ * Values live in an in-memory cache backed by IndexedDB, falling back to
+ * localStorage when IndexedDB is unavailable. The synchronous get/set API is
+ * served from the cache; wait for DataManager.ready before reading at startup.
+ * Returned objects are the cached instances: set() them back after mutating.
+ *
+ * subscribe(key, handler) is called after every set/remove of that key that
+ * actually changes it, with a diff against the previous value. Handlers
+ * subscribed to '*' see changes to every key. Writes made inside restoring()
+ * (undo/redo, backup restores, imports) put back earlier state and are
+ * reported with restored: true.
+ *
+ * Changes are shared with other open tabs through TabSync. Lists of records
+ * merge per record (by id), last writer wins; other values as a whole.
+ *
+ * Lists registered with registerMergeable() can also be edited on other devices:
+ * local writes stamp each record with CRDT metadata, deletes leave tombstones,
+ * and mergeRemote() merges another device's copy field by field. Edits that
+ * cannot be merged are kept as conflicts until resolveConflict() settles them.
+ *
+ * Modules register ordered schema migrations with registerMigration(); stored
+ * data older than the latest step is upgraded on startup, after a snapshot of
+ * the affected keys has been saved for rollbackMigration(). A rolled back module
+ * stays at its old version until resumeMigrations() is called.
+ *
+ * With encryption enabled every stored value is an AES-GCM envelope under a
+ * random data key, which is stored wrapped by the user's passphrase and sealed
+ * to each registered recovery key (see CryptoVault). DataManager.loaded reports
+ * whether storage is locked; ready waits until unlock() has been given the
+ * passphrase, or unlockWithRecovery() a recovery key.
+ *
+ * Each local profile (user) has its own data set: keys are stored under a
+ * per-profile prefix, except device-wide keys registered with
+ * registerGlobalKeys(). switchProfile() changes the active profile.
  */
 
 const DataManager = (function() {
@@ -11,12 +45,15 @@ const DataManager = (function() {
         USER: 'lifeos_user',
         USERS: 'lifeos_users',
         TASKS: 'lifeos_tasks',
+        TASK_SERIES: 'lifeos_task_series',
+        SMART_LISTS: 'lifeos_smart_lists',
         TRANSACTIONS: 'lifeos_transactions',
         MOODS: 'lifeos_moods',
         HABITS: 'lifeos_habits',
         NOTES: 'lifeos_notes',
         POMODORO_SETTINGS: 'lifeos_pomodoro_settings',
         POMODORO_SESSIONS: 'lifeos_pomodoro_sessions',
+        POMODORO_STATE: 'lifeos_pomodoro_state',
         WATER_TODAY: 'lifeos_water_today',
         WATER_GOAL: 'lifeos_water_goal',
         WATER_HISTORY: 'lifeos_water_history',
@@ -25,22 +62,730 @@ const DataManager = (function() {
         PREFERENCES: 'lifeos_preferences',
         CHAT_HISTORY: 'lifeos_chat_history'
     };
+
+    const DB_NAME = 'lifeos';
+    const KEY_PREFIX = 'lifeos_';
+    const MIGRATION_MARKER = '__migratedFromLocalStorage';
+
+    const SCHEMA_VERSIONS_KEY = 'lifeos_schema_versions';
+    const MIGRATION_SNAPSHOTS_KEY = 'lifeos_migration_snapshots';
+    const MAX_MIGRATION_SNAPSHOTS = 3;
+    // module -> version a rollback returned it to; newer steps wait for resumeMigrations()
+    const MIGRATION_HOLDS_KEY = 'lifeos_migration_holds';
+
+    // Salt, iterations and verifier; stored unencrypted so the key can be derived
+    const VAULT_CONFIG_KEY = 'lifeos_vault';
+    const PLAIN_KEYS = [VAULT_CONFIG_KEY, MIGRATION_MARKER];
+    // The login session, kept in plain localStorage by SecurityUtils.secureStorage;
+    // never moved to IndexedDB, cached or encrypted, or the user would be logged out
+    const EXTERNAL_KEYS = [STORAGE_KEYS.USER];
+
+    // key -> { id: tombstone } for deleted records of mergeable lists
+    const TOMBSTONES_KEY = 'lifeos_sync_tombstones';
+    // Tombstones are dropped after this long; a device that stays offline for
+    // longer may bring the deleted records back when it next syncs
+    const TOMBSTONE_TTL = 90 * 24 * 60 * 60 * 1000;
+    // Concurrent edits waiting for the user to pick a side
+    const CONFLICTS_KEY = 'lifeos_sync_conflicts';
+
+    const PROFILE_PREFIX = 'lifeos_profile:';
+    const ACTIVE_PROFILE_KEY = 'lifeos_active_profile';
+    // Set once data from before profiles existed has been given to a profile
+    const PROFILES_ADOPTED_KEY = 'lifeos_profiles_adopted';
+    // Keys shared by every profile on this device
+    const globalKeys = new Set([
+        STORAGE_KEYS.USER,
+        STORAGE_KEYS.USERS,
+        ACTIVE_PROFILE_KEY,
+        PROFILES_ADOPTED_KEY,
+        ...PLAIN_KEYS
+    ]);
+
+    // 'localStorage' until IndexedDB has loaded, or for good if it is unavailable
+    let engine = 'localStorage';
+    let store = null;
+    let isReady = false;
+    const cache = new Map();
+    // Writes made before the IndexedDB load finished, replayed on top of it
+    const earlyWrites = new Map();
+    const pendingWrites = new Set();
+    // module -> migration steps, kept sorted by version
+    const migrations = new Map();
+    // key -> field merge strategies of lists that sync across devices
+    const mergeable = new Map();
+    const subscribers = new Map();
+    // key -> detached copy of the last value shared with other tabs; diffs are taken against it
+    const shadow = new Map();
+    // key -> Map of record key (or '*' for whole values) -> { ts, tab } of the last write
+    const clocks = new Map();
+    // Remote changes that arrived before the engine finished loading
+    const pendingRemote = [];
+    // Nesting depth of restoring() calls
+    let restoreDepth = 0;
+    let vaultConfig = null;
+    let vaultKey = null;
+    // Encrypted values read at startup, decrypted into the cache by unlock()
+    const sealed = new Map();
+    // key -> tail of its queued writes, so encrypted writes land in order
+    const writeChains = new Map();
+    // Keys written while rekey() rewrites storage, persisted again afterwards
+    let rekeyDirty = null;
+    // Active profile id; null before login
+    let namespace = null;
+    let resolveUnlocked;
+    const unlocked = new Promise(resolve => {
+        resolveUnlocked = resolve;
+    });
+
+    const parseStored = (raw) => {
+        try {
+            return JSON.parse(raw);
+        } catch (e) {
+            // A few legacy keys hold plain strings
+            return raw;
+        }
+    };
+
+    const writeRaw = (key, value) => {
+        if (engine !== 'indexeddb') {
+            if (value === null) {
+                localStorage.removeItem(key);
+            } else {
+                localStorage.setItem(key, JSON.stringify(value));
+            }
+            return Promise.resolve();
+        }
+        return value === null ? store.delete(key) : store.put(key, value);
+    };
+
+    /**
+     * Persist a value to the active engine, encrypting it when the vault is unlocked
+     * @param {string} key - Storage key
+     * @param {*} value - Value, or null to delete
+     * @returns {Promise} Resolves when written
+     */
+    const persist = (key, value) => {
+        if (rekeyDirty) rekeyDirty.add(key);
+
+        // Unencrypted localStorage writes stay synchronous
+        if (engine !== 'indexeddb' && !vaultKey) {
+            writeRaw(key, value);
+            return Promise.resolve();
+        }
+
+        const cryptoKey = vaultKey;
+        const previous = writeChains.get(key) || Promise.resolve();
+        const write = previous
+            .then(async () => writeRaw(key, value === null || !cryptoKey ? value : await CryptoVault.encrypt(cryptoKey, value)))
+            .catch(error => console.error(`Error persisting ${key}:`, error))
+            .finally(() => {
+                pendingWrites.delete(write);
+                if (writeChains.get(key) === write) writeChains.delete(key);
+            });
+        writeChains.set(key, write);
+        pendingWrites.add(write);
+        return write;
+    };
+
+    // Every lifeos_* key currently in localStorage, except those owned by other code
+    const readLocalStorage = () => {
+        const entries = [];
+        for (let i = 0; i < localStorage.length; i++) {
+            const key = localStorage.key(i);
+            if (key && key.startsWith(KEY_PREFIX) && !EXTERNAL_KEYS.includes(key)) {
+                entries.push([key, parseStored(localStorage.getItem(key))]);
+            }
+        }
+        return entries;
+    };
+
+    /**
+     * Copy every lifeos_* key from localStorage into IndexedDB once, then free the quota
+     * @param {Array} entries - Records already in IndexedDB
+     * @returns {Promise<Array>} Records after migration
+     */
+    const migrateFromLocalStorage = async (entries) => {
+        if (entries.some(([key]) => key === MIGRATION_MARKER)) return entries;
+
+        const legacy = readLocalStorage();
+        const records = legacy.filter(([, value]) => isValidData(value));
+
+        await store.putMany([...records, [MIGRATION_MARKER, new Date().toISOString()]]);
+        legacy.forEach(([key]) => localStorage.removeItem(key));
+
+        console.log(`DataManager migrated ${records.length} key(s) to IndexedDB`);
+        return [...entries, ...records];
+    };
+
+    /**
+     * Open IndexedDB, migrate and fill the cache; stays on localStorage on failure
+     * @returns {Promise<Object>} { engine, locked } - locked when unlock() is needed
+     */
+    const loadEngine = async () => {
+        let entries;
+        try {
+            store = await IDBStore.open(DB_NAME);
+            entries = await migrateFromLocalStorage(await store.entries());
+            engine = 'indexeddb';
+        } catch (error) {
+            console.warn('IndexedDB unavailable, using localStorage:', error);
+            store = null;
+            engine = 'localStorage';
+            entries = readLocalStorage();
+        }
+
+        const config = entries.find(([key]) => key === VAULT_CONFIG_KEY);
+        vaultConfig = config && config[1] && config[1].verifier ? config[1] : null;
+
+        cache.clear();
+        shadow.clear();
+        // Unencrypted localStorage is still read lazily by get()
+        if (engine === 'indexeddb' || vaultConfig) {
+            entries.forEach(([key, value]) => {
+                if (PLAIN_KEYS.includes(key)) return;
+                if (typeof CryptoVault !== 'undefined' && CryptoVault.isEnvelope(value)) {
+                    sealed.set(key, value);
+                    return;
+                }
+                cache.set(key, value);
+                shadow.set(key, clone(value));
+            });
+        }
+
+        return { engine, locked: !!vaultConfig };
+    };
+
+    // Replay what was written or received while loading; runs once storage is readable
+    const finishLoading = () => {
+        isReady = true;
+        namespace = readStored(ACTIVE_PROFILE_KEY, null);
+
+        // Early writes are kept by logical key until the profile is known
+        earlyWrites.forEach((value, logicalKey) => {
+            const key = scope(logicalKey);
+            if (value === null) {
+                cache.delete(key);
+            } else {
+                cache.set(key, value);
+            }
+            shadow.set(key, clone(value));
+            persist(key, value);
+        });
+        earlyWrites.clear();
+
+        pendingRemote.splice(0).forEach(([payload, message]) => applyRemote(payload, message));
+    };
+
+    /**
+     * Derive the key-encryption key for a passphrase
+     * @param {string} passphrase - Encryption passphrase
+     * @returns {Promise<CryptoKey|null>} Key, or null for a wrong passphrase
+     */
+    const openPassphrase = async (passphrase) => {
+        if (!vaultConfig) return null;
+        const kek = await CryptoVault.deriveKey(passphrase, vaultConfig.salt, vaultConfig.iterations);
+        return (await CryptoVault.verify(kek, vaultConfig.verifier)) ? kek : null;
+    };
+
+    // Decrypt everything read at startup with the data key
+    const openVault = async (dataKey) => {
+        const opened = await Promise.all([...sealed].map(async ([name, envelope]) => {
+            try {
+                return [name, await CryptoVault.decrypt(dataKey, envelope)];
+            } catch (error) {
+                throw new Error(`Stored data for ${name} is corrupt and could not be decrypted`);
+            }
+        }));
+
+        opened.forEach(([name, value]) => {
+            cache.set(name, value);
+            shadow.set(name, clone(value));
+        });
+        sealed.clear();
+        vaultKey = dataKey;
+        resolveUnlocked();
+    };
+
+    /**
+     * Decrypt storage with the user's passphrase
+     * @param {string} passphrase - Encryption passphrase
+     * @returns {Promise<boolean>} False for a wrong passphrase; rejects if data cannot be decrypted
+     */
+    const unlock = async (passphrase) => {
+        if (!vaultConfig || vaultKey) return true;
+
+        const kek = await openPassphrase(passphrase);
+        if (!kek) return false;
+
+        await openVault(await CryptoVault.unwrapDataKey(kek, vaultConfig.wrappedKey));
+        return true;
+    };
+
+    /**
+     * Decrypt storage with a recovery key and set a new passphrase
+     * @param {Uint8Array} privateKey - Recovery private key
+     * @param {string} passphrase - New passphrase
+     * @returns {Promise<boolean>} False when the key cannot unlock this vault
+     */
+    const unlockWithRecovery = async (privateKey, passphrase) => {
+        if (!vaultConfig || vaultKey) return false;
+
+        let dataKey = null;
+        for (const recipient of Object.values(vaultConfig.recipients || {})) {
+            try {
+                dataKey = await CryptoVault.openDataKey(await CryptoVault.importRecoveryKey(privateKey, recipient.publicKey), recipient.wrappedKey);
+                break;
+            } catch (e) {
+                // Sealed to another recovery key
+            }
+        }
+        if (!dataKey) return false;
+
+        // Only the wrapping changes, so stored data stays as it is
+        const config = await createVaultConfig(passphrase, dataKey, vaultConfig.recipients);
+        await writeRaw(VAULT_CONFIG_KEY, config);
+        vaultConfig = config;
+        await openVault(dataKey);
+
+        if (typeof TabSync !== 'undefined') {
+            TabSync.post('vault', { enabled: true });
+        }
+        return true;
+    };
+
+    const checkPassphrase = async (passphrase) => !!(await openPassphrase(passphrase));
+
+    /**
+     * Rewrite every stored value under a new key (or in plain text) in one step
+     * @param {CryptoKey|null} nextKey - Key to encrypt with, null to decrypt
+     * @param {Object|null} nextConfig - Vault config to store alongside
+     */
+    const rekey = async (nextKey, nextConfig) => {
+        await ready;
+        await flush();
+
+        // The lazy localStorage cache may not hold everything yet
+        if (engine !== 'indexeddb' && !vaultConfig) {
+            readLocalStorage().forEach(([key, value]) => {
+                if (PLAIN_KEYS.includes(key) || cache.has(key)) return;
+                cache.set(key, value);
+                shadow.set(key, clone(value));
+            });
+        }
+
+        vaultKey = nextKey;
+        rekeyDirty = new Set();
+        try {
+            const records = await Promise.all([...cache]
+                .filter(([, value]) => value !== null && value !== undefined)
+                .map(async ([key, value]) => [key, nextKey ? await CryptoVault.encrypt(nextKey, value) : value]));
+
+            if (engine === 'indexeddb') {
+                // Data and config commit together, so a crash never leaves them mismatched
+                await store.putMany(nextConfig ? [...records, [VAULT_CONFIG_KEY, nextConfig]] : records);
+                if (!nextConfig) await store.delete(VAULT_CONFIG_KEY);
+            } else {
+                records.forEach(([key, value]) => localStorage.setItem(key, JSON.stringify(value)));
+                if (nextConfig) {
+                    localStorage.setItem(VAULT_CONFIG_KEY, JSON.stringify(nextConfig));
+                } else {
+                    localStorage.removeItem(VAULT_CONFIG_KEY);
+                }
+            }
+            vaultConfig = nextConfig;
+        } finally {
+            const dirty = rekeyDirty;
+            rekeyDirty = null;
+            // Writes made meanwhile may have been overwritten by the snapshot above
+            dirty.forEach(key => persist(key, cache.has(key) ? cache.get(key) : null));
+        }
+
+        await flush();
+        if (typeof TabSync !== 'undefined') {
+            TabSync.post('vault', { enabled: !!nextConfig });
+        }
+    };
+
+    /**
+     * Build a vault config that wraps a data key
+     * @param {string} passphrase - Passphrase
+     * @param {CryptoKey} dataKey - Data key
+     * @param {Object} recipients - id -> { publicKey, wrappedKey } sealed to recovery keys
+     * @returns {Promise<Object>} Vault config
+     */
+    const createVaultConfig = async (passphrase, dataKey, recipients) => {
+        const salt = CryptoVault.createSalt();
+        const iterations = CryptoVault.PBKDF2_ITERATIONS;
+        const kek = await CryptoVault.deriveKey(passphrase, salt, iterations);
+        return {
+            salt,
+            iterations,
+            verifier: await CryptoVault.createVerifier(kek),
+            wrappedKey: await CryptoVault.wrapDataKey(kek, dataKey),
+            recipients,
+            updatedAt: new Date().toISOString()
+        };
+    };
+
+    // Seal a data key to every recovery public key (id -> { x, y })
+    const sealRecipients = async (dataKey, publicKeys) => {
+        const recipients = {};
+        await Promise.all(Object.entries(publicKeys).map(async ([id, publicKey]) => {
+            recipients[id] = { publicKey, wrappedKey: await CryptoVault.sealDataKey(publicKey, dataKey) };
+        }));
+        return recipients;
+    };
+
+    const recoveryPublicKeys = () => Object.fromEntries(
+        Object.entries((vaultConfig && vaultConfig.recipients) || {}).map(([id, recipient]) => [id, recipient.publicKey])
+    );
+
+    // Re-encrypt everything under a fresh data key
+    const encryptWith = async (passphrase, recoveryKeys) => {
+        const dataKey = await CryptoVault.generateDataKey();
+        const config = await createVaultConfig(passphrase, dataKey, await sealRecipients(dataKey, recoveryKeys));
+        await rekey(dataKey, config);
+    };
+
+    /**
+     * Encrypt all stored data with a passphrase
+     * @param {string} passphrase - New passphrase
+     * @param {Object} recoveryKeys - id -> recovery public key { x, y } that can also unlock it
+     * @returns {Promise<boolean>} Success status
+     */
+    const enableEncryption = async (passphrase, recoveryKeys = {}) => {
+        if (vaultConfig) return false;
+        await encryptWith(passphrase, recoveryKeys);
+        return true;
+    };
+
+    /**
+     * Re-encrypt all stored data under a new data key and passphrase
+     * @param {string} current - Current passphrase
+     * @param {string} next - New passphrase
+     * @returns {Promise<boolean>} False when the current passphrase is wrong
+     */
+    const changePassphrase = async (current, next) => {
+        if (!(await checkPassphrase(current))) return false;
+        await encryptWith(next, recoveryPublicKeys());
+        return true;
+    };
+
+    /**
+     * Allow a recovery key to unlock the vault, or revoke it
+     * @param {string} id - Recipient id (user id)
+     * @param {Object|null} publicKey - Recovery public key { x, y }, null to remove
+     * @returns {Promise<boolean>} False when encryption is off or the vault is locked
+     */
+    const setRecoveryKey = async (id, publicKey) => {
+        if (!vaultConfig || !vaultKey) return false;
+
+        const recipients = { ...vaultConfig.recipients };
+        if (publicKey) {
+            Object.assign(recipients, await sealRecipients(vaultKey, { [id]: publicKey }));
+        } else {
+            delete recipients[id];
+        }
+
+        const config = { ...vaultConfig, recipients, updatedAt: new Date().toISOString() };
+        await writeRaw(VAULT_CONFIG_KEY, config);
+        vaultConfig = config;
+        if (typeof TabSync !== 'undefined') {
+            TabSync.post('vault-config', { config });
+        }
+        return true;
+    };
+
+    /**
+     * Store all data unencrypted again
+     * @param {string} passphrase - Current passphrase
+     * @returns {Promise<boolean>} False when the passphrase is wrong
+     */
+    const disableEncryption = async (passphrase) => {
+        if (!(await checkPassphrase(passphrase))) return false;
+        await rekey(null, null);
+        return true;
+    };
+
+    const isEncrypted = () => !!vaultConfig;
+
+    const isLocked = () => !!vaultConfig && !vaultKey;
+
+    /**
+     * Map a logical key to where the active profile stores it
+     * @param {string} key - Key as used by modules
+     * @returns {string} Storage key
+     */
+    const scope = (key) => (namespace && !globalKeys.has(key) ? `${PROFILE_PREFIX}${namespace}:${key}` : key);
+
+    /**
+     * Map a storage key back to a logical key of the active profile
+     * @param {string} key - Storage key
+     * @returns {string|null} Logical key, or null if it belongs to another profile
+     */
+    const unscope = (key) => {
+        if (globalKeys.has(key)) return key;
+        if (!namespace) return key.startsWith(PROFILE_PREFIX) ? null : key;
+
+        const prefix = `${PROFILE_PREFIX}${namespace}:`;
+        return key.startsWith(prefix) ? key.slice(prefix.length) : null;
+    };
+
+    const registerGlobalKeys = (keys) => {
+        (Array.isArray(keys) ? keys : [keys]).forEach(key => globalKeys.add(key));
+    };
+
+    const isGlobalKey = (key) => globalKeys.has(key);
+
+    const clone = (value) => (value === null || value === undefined ? null : JSON.parse(JSON.stringify(value)));
+
+    // Records are matched by id; entries without one only by content
+    const recordKey = (item) => (item && typeof item === 'object' && item.id !== undefined
+        ? `id:${item.id}`
+        : `json:${JSON.stringify(item)}`);
+
+    /**
+     * Describe how a stored value changed
+     * @param {*} previous - Value before the write
+     * @param {*} value - Value after the write
+     * @returns {Object} { changed, added, removed, updated: [{ before, after }] }
+     */
+    const diff = (previous, value) => {
+        const result = { changed: JSON.stringify(previous) !== JSON.stringify(value), added: [], removed: [], updated: [] };
+        if (!result.changed || (!Array.isArray(previous) && !Array.isArray(value))) return result;
+
+        // A list that was just created or removed counts as empty on the other side
+        const toMap = (list) => new Map((Array.isArray(list) ? list : []).map(item => [recordKey(item), item]));
+        const before = toMap(previous);
+        const after = toMap(value);
+
+        after.forEach((item, id) => {
+            if (!before.has(id)) {
+                result.added.push(item);
+            } else if (JSON.stringify(before.get(id)) !== JSON.stringify(item)) {
+                result.updated.push({ before: before.get(id), after: item });
+            }
+        });
+        before.forEach((item, id) => {
+            if (!after.has(id)) result.removed.push(item);
+        });
+
+        return result;
+    };
+
+    const notify = (key, event) => {
+        const handlers = [...(subscribers.get(key) || []), ...(subscribers.get('*') || [])];
+
+        handlers.forEach(handler => {
+            try {
+                handler(event);
+            } catch (error) {
+                console.error(`Subscriber for ${key} failed:`, error);
+            }
+        });
+    };
+
+    const clocksFor = (key) => {
+        if (!clocks.has(key)) clocks.set(key, new Map());
+        return clocks.get(key);
+    };
+
+    // Later timestamp wins; ties go to the higher tab id so every tab picks the same side
+    const isNewer = (stamp, existing) => !existing
+        || stamp.ts > existing.ts
+        || (stamp.ts === existing.ts && stamp.tab > existing.tab);
+
+    /**
+     * Tell other tabs what a local write changed
+     * @param {string} key - Storage key
+     * @param {*} value - New value
+     * @param {Object} change - Result of diff()
+     */
+    const broadcast = (key, value, change) => {
+        if (typeof TabSync === 'undefined') return;
+
+        const stamp = { ts: Date.now(), tab: TabSync.tabId };
+        const keyClocks = clocksFor(key);
+
+        if (Array.isArray(value)) {
+            const upserts = [...change.added, ...change.updated.map(({ after }) => after)]
+                .map(record => ({ record, index: value.indexOf(record) }));
+            const deletes = change.removed.map(recordKey);
+
+            upserts.forEach(({ record }) => keyClocks.set(recordKey(record), stamp));
+            deletes.forEach(id => keyClocks.set(id, stamp));
+            TabSync.post('data', { key, kind: 'records', ts: stamp.ts, upserts, deletes });
+        } else {
+            keyClocks.set('*', stamp);
+            TabSync.post('data', { key, kind: 'value', ts: stamp.ts, value });
+        }
+    };
+
+    /**
+     * Record a write: diff it against the shared copy, sync it and notify subscribers
+     * @param {string} key - Storage key (scoped)
+     * @param {*} value - New value, null when removed
+     */
+    const commit = (key, value) => {
+        const previous = shadow.has(key) ? shadow.get(key) : null;
+        const change = diff(previous, value);
+        if (!change.changed) return;
+
+        shadow.set(key, clone(value));
+        if (isReady) broadcast(key, value, change);
+
+        const logicalKey = unscope(key);
+        notify(logicalKey, { key: logicalKey, value, previous, added: change.added, removed: change.removed, updated: change.updated, remote: false, restored: restoreDepth > 0 });
+    };
+
+    /**
+     * Make writes that put back earlier state rather than record new activity
+     * Subscribers see them with restored: true, so effects of the original action
+     * (XP, notifications) are not repeated.
+     * @param {Function} apply - Performs the writes synchronously
+     * @returns {*} The apply result
+     */
+    const restoring = (apply) => {
+        restoreDepth++;
+        try {
+            return apply();
+        } finally {
+            restoreDepth--;
+        }
+    };
+
+    /**
+     * Merge a change made in another tab into the cache
+     * Lists are updated in place so modules holding the cached array see the change.
+     * @param {Object} payload - Message sent by broadcast()
+     * @param {Object} message - TabSync envelope
+     */
+    const applyRemote = (payload, message) => {
+        if (!isReady) {
+            pendingRemote.push([payload, message]);
+            return;
+        }
+
+        const { key } = payload;
+        const stamp = { ts: payload.ts, tab: message.from };
+        const keyClocks = clocksFor(key);
+        let next;
+
+        if (payload.kind === 'value') {
+            if (!isNewer(stamp, keyClocks.get('*'))) return;
+            keyClocks.set('*', stamp);
+            next = payload.value;
+        } else {
+            const current = readStored(key);
+            const list = Array.isArray(current) ? current : [];
+            let changed = false;
+
+            payload.upserts.forEach(({ record, index }) => {
+                const id = recordKey(record);
+                if (!isNewer(stamp, keyClocks.get(id))) return;
+                keyClocks.set(id, stamp);
+
+                const existing = list.findIndex(item => recordKey(item) === id);
+                if (existing !== -1) {
+                    list[existing] = record;
+                } else {
+                    list.splice(index >= 0 ? Math.min(index, list.length) : list.length, 0, record);
+                }
+                changed = true;
+            });
+
+            payload.deletes.forEach(id => {
+                if (!isNewer(stamp, keyClocks.get(id))) return;
+                keyClocks.set(id, stamp);
+
+                const existing = list.findIndex(item => recordKey(item) === id);
+                if (existing !== -1) {
+                    list.splice(existing, 1);
+                    changed = true;
+                }
+            });
+
+            if (!changed) return;
+            next = list;
+        }
+
+        if (next === null || next === undefined) {
+            cache.delete(key);
+        } else {
+            cache.set(key, next);
+        }
+
+        const previous = shadow.has(key) ? shadow.get(key) : null;
+        const change = diff(previous, next);
+        shadow.set(key, clone(next));
+        // Both tabs write the merged result, so storage converges whichever write lands last
+        persist(key, next === undefined ? null : next);
+
+        // Changes to another profile's data only update the cache
+        const logicalKey = unscope(key);
+        if (logicalKey === null) return;
+
+        window.dispatchEvent(new CustomEvent('dataChanged', {
+            detail: { key: logicalKey, data: next, remote: true }
+        }));
+        if (change.changed) {
+            notify(logicalKey, { key: logicalKey, value: next, previous, added: change.added, removed: change.removed, updated: change.updated, remote: true });
+        }
+    };
+
+    /**
+     * Subscribe to changes of one or more keys
+     * @param {string|Array} keys - Storage key(s)
+     * @param {Function} handler - Receives { key, value, previous, added, removed, updated, remote, restored }
+     *   remote is true when the change was made in another tab, restored when it was made inside restoring()
+     * @returns {Function} Unsubscribe
+     */
+    const subscribe = (keys, handler) => {
+        const keyList = Array.isArray(keys) ? keys : [keys];
+
+        keyList.forEach(key => {
+            if (!subscribers.has(key)) subscribers.set(key, new Set());
+            subscribers.get(key).add(handler);
+        });
+
+        return () => keyList.forEach(key => {
+            const handlers = subscribers.get(key);
+            if (!handlers) return;
+            handlers.delete(handler);
+            if (handlers.size === 0) subscribers.delete(key);
+        });
+    };
     
     /**
-     * Get data from storage with validation
+     * Read a storage key (already scoped) through the cache
      * @param {string} key - Storage key
      * @param {*} defaultValue - Default value if not found
      * @returns {*} Stored data or default
      */
-    const get = (key, defaultValue = null) => {
+    const readStored = (key, defaultValue = null) => {
+        if (EXTERNAL_KEYS.includes(key)) return defaultValue;
+
         try {
+            if (cache.has(key)) {
+                const cached = cache.get(key);
+                return cached === null || cached === undefined ? defaultValue : cached;
+            }
+
+            // IndexedDB and encrypted storage load everything up front, so a miss means no value
+            if (engine === 'indexeddb' || vaultConfig) return defaultValue;
+
             const data = localStorage.getItem(key);
             if (!data) return defaultValue;
             
-            const parsed = JSON.parse(data);
+            const parsed = parseStored(data);
             
             // Validate data structure
             if (isValidData(parsed)) {
+                // Before the engine is ready the value may still move to IndexedDB
+                if (isReady) {
+                    cache.set(key, parsed);
+                    shadow.set(key, clone(parsed));
+                }
                 return parsed;
             }
             
@@ -51,6 +796,20 @@ const DataManager = (function() {
             return defaultValue;
         }
     };
+
+    /**
+     * Get data from storage with validation
+     * @param {string} key - Storage key
+     * @param {*} defaultValue - Default value if not found
+     * @returns {*} Stored data or default
+     */
+    const get = (key, defaultValue = null) => {
+        if (!isReady && earlyWrites.has(key)) {
+            const early = earlyWrites.get(key);
+            return early === null || early === undefined ? defaultValue : early;
+        }
+        return readStored(scope(key), defaultValue);
+    };
     
     /**
      * Set data to storage with validation
@@ -66,12 +825,20 @@ const DataManager = (function() {
                 return false;
             }
             
-            localStorage.setItem(key, JSON.stringify(value));
+            const stored = scope(key);
+            if (isReady) {
+                if (mergeable.has(key) && Array.isArray(value)) stampRecords(key, stored, value);
+                persist(stored, value);
+                cache.set(stored, value);
+            } else {
+                earlyWrites.set(key, value);
+            }
             
             // Dispatch custom event for cross-module communication
             window.dispatchEvent(new CustomEvent('dataChanged', { 
                 detail: { key, data: value } 
             }));
+            commit(stored, value);
             
             return true;
         } catch (error) {
@@ -87,10 +854,17 @@ const DataManager = (function() {
      */
     const remove = (key) => {
         try {
-            localStorage.removeItem(key);
+            const stored = scope(key);
+            if (isReady) {
+                persist(stored, null);
+                cache.delete(stored);
+            } else {
+                earlyWrites.set(key, null);
+            }
             window.dispatchEvent(new CustomEvent('dataChanged', { 
                 detail: { key, data: null } 
             }));
+            commit(stored, null);
             return true;
         } catch (error) {
             console.error(`Error removing ${key}:`, error);
@@ -98,6 +872,361 @@ const DataManager = (function() {
         }
     };
     
+    /**
+     * Sync a list of records across devices by merging it field by field
+     * @param {string} key - Storage key of a list of records with ids
+     * @param {Object} options - { fields: { name: 'union' | 'latest' } }
+     *   union: concurrent edits of a map or list are combined
+     *   latest: the later edit wins silently; other fields conflict when edited concurrently
+     */
+    const registerMergeable = (key, { fields = {} } = {}) => {
+        mergeable.set(key, { updatedAt: 'latest', ...fields });
+    };
+
+    const getMergeableKeys = () => [...mergeable.keys()];
+
+    const getTombstones = (key) => get(TOMBSTONES_KEY, {})[key] || {};
+
+    // Tombstones younger than TOMBSTONE_TTL; ones without a readable clock are kept
+    const unexpired = (tombstones) => {
+        const cutoff = Date.now() - TOMBSTONE_TTL;
+        return Object.fromEntries(Object.entries(tombstones)
+            .filter(([, tombstone]) => !(CRDT.wallTime(tombstone && tombstone.t) < cutoff)));
+    };
+
+    const setTombstones = (key, tombstones) => {
+        const all = { ...get(TOMBSTONES_KEY, {}) };
+        const live = unexpired(tombstones);
+        if (Object.keys(live).length > 0) {
+            all[key] = live;
+        } else {
+            delete all[key];
+        }
+        set(TOMBSTONES_KEY, all);
+    };
+
+    /**
+     * Drop expired tombstones of every list
+     * @returns {number} Tombstones dropped
+     */
+    const pruneTombstones = () => {
+        const all = get(TOMBSTONES_KEY, {});
+        let dropped = 0;
+        Object.entries(all).forEach(([key, tombstones]) => {
+            const live = unexpired(tombstones);
+            const expired = Object.keys(tombstones).length - Object.keys(live).length;
+            if (expired > 0) {
+                dropped += expired;
+                setTombstones(key, live);
+            }
+        });
+        return dropped;
+    };
+
+    /**
+     * Stamp the records a local write changed, and keep tombstones for removed ones
+     * @param {string} key - Logical key
+     * @param {string} stored - Scoped key
+     * @param {Array} value - New list; its records are stamped in place
+     */
+    const stampRecords = (key, stored, value) => {
+        const previous = shadow.get(stored);
+        const before = new Map((Array.isArray(previous) ? previous : [])
+            .filter(record => record && record.id !== undefined)
+            .map(record => [String(record.id), record]));
+        const tombstones = { ...getTombstones(key) };
+        let tombstonesChanged = false;
+
+        value.forEach(record => {
+            if (!record || typeof record !== 'object' || record.id === undefined) return;
+
+            const id = String(record.id);
+            const prior = before.get(id) || null;
+            before.delete(id);
+            if (!prior || JSON.stringify(prior) !== JSON.stringify(record)) CRDT.stamp(record, prior);
+            if (tombstones[id]) {
+                delete tombstones[id];
+                tombstonesChanged = true;
+            }
+        });
+
+        before.forEach((record, id) => {
+            tombstones[id] = CRDT.createTombstone(record);
+            tombstonesChanged = true;
+        });
+
+        if (tombstonesChanged) setTombstones(key, tombstones);
+        pruneConflicts(key, value);
+    };
+
+    /**
+     * Store a merged list without stamping it as a local edit
+     * The cached array is updated in place so modules holding it see the result.
+     * Subscribers get remote: true (it came from elsewhere) and merged: true (other
+     * devices may not have it yet).
+     */
+    const applyMerged = (key, list) => {
+        const stored = scope(key);
+        const current = readStored(stored);
+        let next = list;
+        if (Array.isArray(current)) {
+            if (current !== list) current.splice(0, current.length, ...list);
+            next = current;
+        }
+
+        cache.set(stored, next);
+        persist(stored, next);
+
+        const previous = shadow.has(stored) ? shadow.get(stored) : null;
+        const change = diff(previous, next);
+        if (!change.changed) return;
+
+        shadow.set(stored, clone(next));
+        broadcast(stored, next, change);
+        window.dispatchEvent(new CustomEvent('dataChanged', {
+            detail: { key, data: next, remote: true }
+        }));
+        notify(key, { key, value: next, previous, added: change.added, removed: change.removed, updated: change.updated, remote: true, merged: true });
+    };
+
+    /**
+     * Drop conflicts that a later write settled, e.g. a resolution made on another device
+     * @param {string} key - Logical key
+     * @param {Array} list - Current records of the key
+     */
+    const pruneConflicts = (key, list) => {
+        const conflicts = get(CONFLICTS_KEY, []);
+        if (!conflicts.some(conflict => conflict.key === key)) return;
+
+        const byId = new Map(list.filter(record => record && record.id !== undefined).map(record => [String(record.id), record]));
+        const tombstones = getTombstones(key);
+        const open = conflicts.filter(conflict => {
+            if (conflict.key !== key) return true;
+            const record = byId.get(String(conflict.recordId));
+            if (!record) return false;
+            return conflict.type === 'delete'
+                ? !!tombstones[conflict.recordId]
+                : CRDT.compare(CRDT.fieldClock(record, conflict.field), conflict.clock) <= 0;
+        });
+        if (open.length !== conflicts.length) set(CONFLICTS_KEY, open);
+    };
+
+    const recordConflicts = (key, found) => {
+        if (found.length === 0) return;
+
+        const detectedAt = new Date().toISOString();
+        const conflicts = new Map(get(CONFLICTS_KEY, []).map(conflict => [conflict.id, conflict]));
+        found.forEach(({ record, id: recordId, ...conflict }) => {
+            const id = `${key}:${recordId}:${conflict.field || 'deleted'}`;
+            conflicts.set(id, { ...conflict, id, key, recordId, detectedAt });
+        });
+        set(CONFLICTS_KEY, [...conflicts.values()]);
+    };
+
+    /**
+     * Merge another device's copy of a mergeable list into the active profile
+     * @param {string} key - Registered key
+     * @param {Array} remoteList - The other device's records
+     * @param {Object} remoteTombstones - id -> tombstone of its deletes
+     * @returns {Array} Conflicts found, also stored for getConflicts()
+     */
+    const mergeRemote = (key, remoteList, remoteTombstones = {}) => {
+        if (!isReady || !mergeable.has(key)) return [];
+
+        const current = get(key, []);
+        const result = CRDT.mergeLists(
+            Array.isArray(current) ? current : [],
+            Array.isArray(remoteList) ? remoteList : [],
+            getTombstones(key),
+            remoteTombstones || {},
+            mergeable.get(key)
+        );
+
+        if (JSON.stringify(result.tombstones) !== JSON.stringify(getTombstones(key))) {
+            setTombstones(key, result.tombstones);
+        }
+        applyMerged(key, result.list);
+        pruneConflicts(key, result.list);
+        recordConflicts(key, result.conflicts);
+        return result.conflicts;
+    };
+
+    /**
+     * Conflicts waiting to be resolved
+     * @returns {Array} [{ id, key, recordId, type: 'field', field, local, remote, kept, clock, detectedAt }
+     *   or { id, key, recordId, type: 'delete', deletedOn: 'local'|'remote', detectedAt }]
+     */
+    const getConflicts = () => get(CONFLICTS_KEY, []);
+
+    /**
+     * Settle a conflict; the choice becomes a new edit, so other devices adopt it
+     * @param {string} conflictId - Conflict id
+     * @param {string} choice - 'local' | 'remote' for fields, 'keep' | 'delete' for deletes
+     * @returns {boolean} Whether the conflict existed
+     */
+    const resolveConflict = (conflictId, choice) => {
+        const conflicts = getConflicts();
+        const conflict = conflicts.find(item => item.id === conflictId);
+        if (!conflict) return false;
+
+        set(CONFLICTS_KEY, conflicts.filter(item => item !== conflict));
+
+        const list = get(conflict.key, []);
+        const index = list.findIndex(record => record && String(record.id) === String(conflict.recordId));
+        // Deleted since; nothing left to decide
+        if (index === -1) return true;
+
+        const record = list[index];
+        if (conflict.type === 'delete') {
+            if (choice === 'delete') {
+                list.splice(index, 1);
+                set(conflict.key, list);
+                return true;
+            }
+            const tombstones = { ...getTombstones(conflict.key) };
+            if (tombstones[conflict.recordId]) {
+                CRDT.restore(record, tombstones[conflict.recordId]);
+                delete tombstones[conflict.recordId];
+                setTombstones(conflict.key, tombstones);
+            } else {
+                CRDT.touch(record, []);
+            }
+        } else {
+            const value = conflict[choice];
+            if (value === undefined) {
+                delete record[conflict.field];
+            } else {
+                record[conflict.field] = clone(value);
+            }
+            CRDT.touch(record, [conflict.field]);
+        }
+
+        applyMerged(conflict.key, list);
+        return true;
+    };
+
+    /**
+     * Async variant of get that waits for the storage engine
+     * @param {string} key - Storage key
+     * @param {*} defaultValue - Default value if not found
+     * @returns {Promise<*>} Stored data or default
+     */
+    const getAsync = async (key, defaultValue = null) => {
+        await ready;
+        return get(key, defaultValue);
+    };
+
+    /**
+     * Async variant of set that resolves once the value is durably written
+     * @param {string} key - Storage key
+     * @param {*} value - Data to store
+     * @returns {Promise<boolean>} Success status
+     */
+    const setAsync = async (key, value) => {
+        await ready;
+        if (!set(key, value)) return false;
+        await flush();
+        return true;
+    };
+
+    /**
+     * Async variant of remove
+     * @param {string} key - Storage key
+     * @returns {Promise<boolean>} Success status
+     */
+    const removeAsync = async (key) => {
+        await ready;
+        if (!remove(key)) return false;
+        await flush();
+        return true;
+    };
+
+    /**
+     * Wait for all queued IndexedDB writes
+     * @returns {Promise} Resolves when pending writes have settled
+     */
+    const flush = () => Promise.all([...pendingWrites]);
+
+    const getEngine = () => engine;
+
+    const getProfile = () => namespace;
+
+    /**
+     * List the keys stored for the active profile
+     * @returns {Array<string>} Logical keys, without device-wide keys
+     */
+    const getKeys = () => {
+        const stored = new Set(cache.keys());
+        // Unencrypted localStorage is only cached once read
+        if (engine !== 'indexeddb' && !vaultConfig) {
+            readLocalStorage().forEach(([key]) => stored.add(key));
+        }
+        return [...stored]
+            .filter(key => !PLAIN_KEYS.includes(key))
+            .map(unscope)
+            .filter(key => key !== null && !globalKeys.has(key));
+    };
+
+    /**
+     * Make another profile's data the active data set
+     * Modules keep what they already loaded, so callers reload the page afterwards.
+     * @param {string|null} profileId - Profile id, null for the signed-out data set
+     * @returns {boolean} Whether the active profile changed
+     */
+    const switchProfile = (profileId) => {
+        const next = profileId || null;
+        if (!isReady || next === namespace) return false;
+
+        namespace = next;
+        if (next) {
+            set(ACTIVE_PROFILE_KEY, next);
+        } else {
+            remove(ACTIVE_PROFILE_KEY);
+        }
+
+        // A profile's data may be older than the current schema, or not exist yet
+        runMigrations();
+        pruneTombstones();
+        initialize();
+
+        if (typeof TabSync !== 'undefined') {
+            TabSync.post('profile', { profileId: next });
+        }
+        return true;
+    };
+
+    /**
+     * Give data stored before profiles existed to a profile; runs once per device
+     * @param {string} profileId - Profile that receives the data
+     * @returns {number} Number of keys moved
+     */
+    const adoptUnscopedData = (profileId) => {
+        if (!isReady || !profileId || readStored(PROFILES_ADOPTED_KEY, null)) return 0;
+
+        // Unencrypted localStorage is read lazily, so pull every key into the cache first
+        if (engine !== 'indexeddb' && !vaultConfig) {
+            readLocalStorage().forEach(([key]) => readStored(key));
+        }
+
+        const legacyKeys = [...cache.keys()].filter(key => !globalKeys.has(key) && !key.startsWith(PROFILE_PREFIX));
+        legacyKeys.forEach(key => {
+            const target = `${PROFILE_PREFIX}${profileId}:${key}`;
+            const value = cache.get(key);
+            if (!cache.has(target)) {
+                cache.set(target, value);
+                shadow.set(target, clone(value));
+                persist(target, value);
+            }
+            cache.delete(key);
+            shadow.delete(key);
+            persist(key, null);
+        });
+
+        set(PROFILES_ADOPTED_KEY, new Date().toISOString());
+        console.log(`DataManager moved ${legacyKeys.length} key(s) to profile ${profileId}`);
+        return legacyKeys.length;
+    };
+
     /**
      * Validate data structure
      * @param {*} data - Data to validate
@@ -123,6 +1252,186 @@ const DataManager = (function() {
         return true;
     };
     
+    /**
+     * Register a schema migration step for a module
+     * @param {string} module - Module name, e.g. 'tasks'
+     * @param {Object} step - { version, keys, description, migrate(value, key) }
+     *   migrate receives a copy of each stored value and returns the upgraded value
+     */
+    const registerMigration = (module, step) => {
+        if (!Number.isInteger(step.version) || step.version < 1) {
+            throw new Error(`Invalid migration version for ${module}`);
+        }
+        if (!Array.isArray(step.keys) || typeof step.migrate !== 'function') {
+            throw new Error(`Migration ${module}@${step.version} needs keys and a migrate function`);
+        }
+
+        const steps = migrations.get(module) || [];
+        if (steps.some(existing => existing.version === step.version)) {
+            throw new Error(`Duplicate migration ${module}@${step.version}`);
+        }
+
+        steps.push(step);
+        steps.sort((a, b) => a.version - b.version);
+        migrations.set(module, steps);
+    };
+
+    /**
+     * Latest registered schema version per module
+     * @returns {Object} { module: version }
+     */
+    const getCurrentSchema = () => {
+        const schema = {};
+        migrations.forEach((steps, module) => {
+            schema[module] = steps[steps.length - 1].version;
+        });
+        return schema;
+    };
+
+    /**
+     * Schema version the stored data is at; 0 when it predates migrations
+     * @param {string} module - Module name
+     * @returns {number} Stored version
+     */
+    const getSchemaVersion = (module) => get(SCHEMA_VERSIONS_KEY, {})[module] || 0;
+
+    /**
+     * Modules held back by a rollback
+     * @returns {Object} { module: version the data stays at }
+     */
+    const getMigrationHolds = () => ({ ...get(MIGRATION_HOLDS_KEY, {}) });
+
+    // Steps of a module that may run: all of them, or those up to its held version
+    const allowedSteps = (module, steps, holds) => (module in holds
+        ? steps.filter(step => step.version <= holds[module])
+        : steps);
+
+    /**
+     * Run the steps newer than the given versions over one value
+     * @param {string} key - Storage key the value belongs to
+     * @param {*} value - Stored value
+     * @param {Object} fromVersions - { module: version } the value was written at
+     * @returns {*} Upgraded value
+     */
+    const upgradeValue = (key, value, fromVersions = {}) => {
+        if (value === null || value === undefined) return value;
+
+        let upgraded = clone(value);
+        const holds = getMigrationHolds();
+        migrations.forEach((steps, module) => {
+            allowedSteps(module, steps, holds)
+                .filter(step => step.version > (fromVersions[module] || 0) && step.keys.includes(key))
+                .forEach(step => {
+                    upgraded = step.migrate(upgraded, key);
+                });
+        });
+        return upgraded;
+    };
+
+    /**
+     * Upgrade stored data to the current schema, snapshotting it first
+     * @returns {Array} Applied steps as 'module@version'
+     */
+    const runMigrations = () => {
+        const versions = get(SCHEMA_VERSIONS_KEY, {});
+        const holds = getMigrationHolds();
+        const pending = [];
+        migrations.forEach((steps, module) => {
+            allowedSteps(module, steps, holds)
+                .filter(step => step.version > (versions[module] || 0))
+                .forEach(step => pending.push({ module, step }));
+        });
+        if (pending.length === 0) return [];
+
+        const keys = [...new Set(pending.flatMap(({ step }) => step.keys))];
+        const snapshot = {
+            id: `migration_${Date.now()}`,
+            createdAt: new Date().toISOString(),
+            versions: { ...versions },
+            data: Object.fromEntries(keys.map(key => [key, get(key)]))
+        };
+        const snapshots = get(MIGRATION_SNAPSHOTS_KEY, []);
+        set(MIGRATION_SNAPSHOTS_KEY, [snapshot, ...snapshots].slice(0, MAX_MIGRATION_SNAPSHOTS));
+
+        const applied = [];
+        try {
+            keys.forEach(key => {
+                const value = get(key);
+                if (value !== null) {
+                    set(key, upgradeValue(key, value, versions));
+                }
+            });
+            const reached = { ...versions };
+            pending.forEach(({ module, step }) => {
+                applied.push(`${module}@${step.version}`);
+                reached[module] = Math.max(reached[module] || 0, step.version);
+            });
+            set(SCHEMA_VERSIONS_KEY, reached);
+        } catch (error) {
+            console.error('Migration failed, restoring snapshot:', error);
+            restoreSnapshot(snapshot);
+            return [];
+        }
+
+        console.log(`DataManager applied migrations: ${applied.join(', ')}`);
+        return applied;
+    };
+
+    const restoreSnapshot = (snapshot) => {
+        Object.entries(snapshot.data).forEach(([key, value]) => {
+            if (value === null) {
+                remove(key);
+            } else {
+                set(key, value);
+            }
+        });
+        set(SCHEMA_VERSIONS_KEY, snapshot.versions);
+    };
+
+    const getMigrationSnapshots = () => get(MIGRATION_SNAPSHOTS_KEY, [])
+        .map(({ id, createdAt, versions, data }) => ({ id, createdAt, versions, keys: Object.keys(data) }));
+
+    /**
+     * Put data back the way it was before a migration run
+     * The modules it reverted are held at their old version, so the same steps do
+     * not run again on the next startup; see resumeMigrations().
+     * @param {string} snapshotId - Snapshot to restore, defaults to the latest
+     * @returns {boolean} Whether a snapshot was restored
+     */
+    const rollbackMigration = (snapshotId = null) => {
+        const snapshots = get(MIGRATION_SNAPSHOTS_KEY, []);
+        const snapshot = snapshotId ? snapshots.find(s => s.id === snapshotId) : snapshots[0];
+        if (!snapshot) return false;
+
+        const versions = get(SCHEMA_VERSIONS_KEY, {});
+        const holds = getMigrationHolds();
+        Object.keys(versions)
+            .filter(module => (versions[module] || 0) > (snapshot.versions[module] || 0))
+            .forEach(module => {
+                const version = snapshot.versions[module] || 0;
+                holds[module] = module in holds ? Math.min(holds[module], version) : version;
+            });
+
+        restoring(() => restoreSnapshot(snapshot));
+        set(MIGRATION_HOLDS_KEY, holds);
+        set(MIGRATION_SNAPSHOTS_KEY, snapshots.filter(s => s !== snapshot));
+        return true;
+    };
+
+    /**
+     * Release modules held back by rollbackMigration() and upgrade them now
+     * @param {string} module - Module to release, defaults to all of them
+     * @returns {Array} Applied steps as 'module@version'
+     */
+    const resumeMigrations = (module = null) => {
+        const holds = getMigrationHolds();
+        if (module) {
+            delete holds[module];
+        }
+        set(MIGRATION_HOLDS_KEY, module ? holds : {});
+        return runMigrations();
+    };
+    
     /**
      * Initialize with default values
      */
@@ -140,8 +1449,8 @@ const DataManager = (function() {
         };
         
         Object.entries(defaults).forEach(([key, value]) => {
-            if (!localStorage.getItem(key)) {
-                localStorage.setItem(key, JSON.stringify(value));
+            if (get(key) === null) {
+                set(key, value);
             }
         });
         
@@ -247,67 +1556,313 @@ const DataManager = (function() {
         };
     };
     
+    // How merge imports handle each kind of incoming record unless told otherwise
+    const DEFAULT_IMPORT_RESOLUTIONS = {
+        new: 'add',             // add | skip
+        changed: 'apply',       // apply | skip
+        conflicting: 'merge',   // merge | incoming | keep
+        deleted: 'delete'       // delete | keep
+    };
+
+    const withoutMeta = (value) => {
+        if (!value || typeof value !== 'object' || Array.isArray(value) || !(CRDT.META in value)) return value;
+        const { [CRDT.META]: meta, ...rest } = value;
+        return rest;
+    };
+
+    const sameContent = (a, b) => JSON.stringify(withoutMeta(a)) === JSON.stringify(withoutMeta(b));
+
+    const describeRecord = (record) => {
+        if (!record || typeof record !== 'object') return String(record);
+        return String(record.title || record.name || record.description || record.text || record.date || record.id || 'Untitled');
+    };
+
+    const isPlainObject = (value) => !!value && typeof value === 'object' && !Array.isArray(value);
+
     /**
-     * Export all data
-     * @returns {Object} All stored data
+     * Sort an incoming value into what an import would do with it
+     * Lists are compared record by record (by id, or by content for records without
+     * one); anything else as a whole value.
+     * @param {string} key - Storage key
+     * @param {*} incoming - Upgraded incoming value
+     * @param {Object} incomingTombstones - id -> tombstone from the file (mergeable keys)
+     * @returns {Array} [{ category, id, local, incoming, tombstone }]
      */
-    const exportAll = () => {
-        const data = {};
-        Object.values(STORAGE_KEYS).forEach(key => {
-            data[key] = get(key);
+    const classifyImport = (key, incoming, incomingTombstones = {}) => {
+        const local = get(key);
+
+        if (!Array.isArray(incoming)) {
+            if (local === null) return [{ category: 'new', id: key, local, incoming }];
+            if (sameContent(local, incoming)) return [{ category: 'identical', id: key, local, incoming }];
+            return [{ category: 'changed', id: key, local, incoming }];
+        }
+
+        const localById = new Map((Array.isArray(local) ? local : []).map(record => [recordKey(record), record]));
+        const localTombstones = mergeable.has(key) ? getTombstones(key) : {};
+        const seen = new Set();
+        const entries = [];
+
+        incoming.forEach(record => {
+            const id = recordKey(record);
+            if (seen.has(id)) return;
+            seen.add(id);
+
+            const existing = localById.get(id);
+            const tombstone = record && record.id !== undefined ? localTombstones[record.id] : null;
+            let category;
+            if (existing === undefined) {
+                // Deleted here after the version in the file: nothing to bring back
+                category = tombstone && CRDT.isDeletedBy(record, tombstone) ? 'identical' : 'new';
+            } else if (sameContent(existing, record)) {
+                category = 'identical';
+            } else {
+                const order = CRDT.compareVersions(record, existing);
+                const newerByTimestamp = order === null && !!record.updatedAt && !!existing.updatedAt
+                    && String(record.updatedAt) > String(existing.updatedAt);
+                if (order === 'older' || order === 'same') {
+                    // This device has already seen every edit in the file
+                    category = 'identical';
+                } else {
+                    category = order === 'newer' || newerByTimestamp ? 'changed' : 'conflicting';
+                }
+            }
+            entries.push({ category, id, local: existing, incoming: record });
         });
-        return {
-            ...data,
-            exportedAt: new Date().toISOString(),
-            version: '3.0.0'
-        };
+
+        // Records deleted where the file was made; a delete that missed edits made here conflicts with them
+        if (mergeable.has(key)) {
+            Object.entries(incomingTombstones || {}).forEach(([recordId, tombstone]) => {
+                const existing = localById.get(recordKey({ id: recordId }));
+                if (!existing || seen.has(recordKey(existing))) return;
+                const category = CRDT.isDeletedBy(existing, tombstone) ? 'deleted' : 'conflicting';
+                entries.push({ category, id: recordKey(existing), local: existing, tombstone });
+            });
+        }
+
+        return entries;
     };
-    
+
     /**
-     * Import data with validation
-     * @param {Object} data - Data to import
-     * @param {Object} options - Import options
-     * @returns {Object} Import results
+     * Storage keys present in an import file
+     * @returns {Array} [{ name, key, upgrade(), tombstones }]; upgrade() brings the value to the current schema
      */
-    const importData = (data, options = {}) => {
-        const { merge = true } = options;
-        
+    const readImport = (data) => {
         if (!data || typeof data !== 'object') {
             throw new Error('Invalid import data');
         }
-        
-        const results = { success: [], failed: [] };
-        
-        Object.entries(STORAGE_KEYS).forEach(([key, storageKey]) => {
-            if (data[storageKey] !== undefined) {
-                try {
-                    if (merge) {
-                        // Merge with existing data
-                        const existing = get(storageKey, []);
-                        const imported = Array.isArray(existing) 
-                            ? [...existing, ...data[storageKey]] 
-                            : { ...existing, ...data[storageKey] };
-                        set(storageKey, imported);
-                    } else {
-                        // Replace entirely
-                        set(storageKey, data[storageKey]);
-                    }
-                    results.success.push(key);
-                } catch (error) {
-                    results.failed.push(key);
+
+        // Full backups group their keys by module; older exports keep them at the top level
+        const isBackup = !!data.modules && typeof data.modules === 'object';
+        const values = isBackup ? Object.assign({}, ...Object.values(data.modules)) : data;
+        const tombstones = (isBackup ? data.tombstones : data[TOMBSTONES_KEY]) || {};
+
+        // Files without schemaVersions predate migrations and get every step
+        const fromVersions = data.schemaVersions || {};
+        return Object.entries(STORAGE_KEYS)
+            .filter(([, storageKey]) => !EXTERNAL_KEYS.includes(storageKey))
+            .filter(([, storageKey]) => values[storageKey] !== undefined && values[storageKey] !== null)
+            .map(([name, storageKey]) => ({
+                name,
+                key: storageKey,
+                upgrade: () => upgradeValue(storageKey, values[storageKey], fromVersions),
+                tombstones: tombstones[storageKey] || {}
+            }));
+    };
+
+    const emptyCounts = () => ({ new: 0, changed: 0, conflicting: 0, deleted: 0, identical: 0 });
+
+    /**
+     * Show what a merge import would do, without writing anything
+     * @param {Object} data - Parsed full backup or older export file
+     * @returns {Object} { keys: [{ name, key, mergeable, counts, items: { category: [{ id, label }] }, error }], totals }
+     */
+    const previewImport = (data) => {
+        const totals = emptyCounts();
+        const keys = readImport(data).map(({ name, key, upgrade, tombstones }) => {
+            const counts = emptyCounts();
+            const items = { new: [], changed: [], conflicting: [], deleted: [], identical: [] };
+
+            try {
+                classifyImport(key, upgrade(), tombstones).forEach(entry => {
+                    counts[entry.category]++;
+                    totals[entry.category]++;
+                    items[entry.category].push({ id: entry.id, label: describeRecord(entry.incoming || entry.local) });
+                });
+            } catch (error) {
+                return { name, key, mergeable: mergeable.has(key), counts, items, error: error.message };
+            }
+
+            return { name, key, mergeable: mergeable.has(key), counts, items, error: null };
+        });
+
+        return { keys, totals };
+    };
+
+    /**
+     * Apply the classified entries of one key
+     * @returns {Object} Counts of what was done { added, updated, merged, replaced, kept, skipped, deleted, unchanged, conflicts }
+     */
+    const applyImport = (key, value, entries, resolutions) => {
+        const report = { added: 0, updated: 0, merged: 0, replaced: 0, kept: 0, skipped: 0, deleted: 0, unchanged: 0, conflicts: 0 };
+
+        if (!Array.isArray(value)) {
+            const [{ category, local, incoming }] = entries;
+            if (category === 'identical') {
+                report.unchanged++;
+            } else if ((category === 'new' && resolutions.new === 'add') || (category === 'changed' && resolutions.changed === 'apply')) {
+                set(key, isPlainObject(local) && isPlainObject(incoming) ? { ...local, ...incoming } : incoming);
+                report[category === 'new' ? 'added' : 'updated']++;
+            } else {
+                report.skipped++;
+            }
+            return report;
+        }
+
+        const isMergeable = mergeable.has(key);
+        // Records with edit history on both sides go through mergeRemote, which keeps it
+        const withHistory = (local, incoming) => isMergeable && CRDT.compareVersions(incoming, local) !== null;
+        const toMerge = [];
+        const additions = [];
+        const tombstones = {};
+        const overrides = new Map();
+
+        entries.forEach(({ category, id, local, incoming, tombstone }) => {
+            const choice = resolutions[category];
+            if (category === 'identical') {
+                report.unchanged++;
+            } else if (category === 'new') {
+                if (choice !== 'add') {
+                    report.skipped++;
+                    return;
+                }
+                (isMergeable ? toMerge : additions).push(incoming);
+                report.added++;
+            } else if (category === 'changed') {
+                if (choice !== 'apply') {
+                    report.skipped++;
+                    return;
                 }
+                if (withHistory(local, incoming)) toMerge.push(incoming);
+                else overrides.set(id, incoming);
+                report.updated++;
+            } else if (category === 'deleted') {
+                if (choice !== 'delete') {
+                    report.kept++;
+                    return;
+                }
+                tombstones[local.id] = tombstone;
+                report.deleted++;
+            } else if (choice === 'incoming') {
+                // A conflicting delete removes the record
+                overrides.set(id, incoming || null);
+                report[incoming ? 'replaced' : 'deleted']++;
+            } else if (choice === 'merge') {
+                // A delete that crossed an edit becomes a conflict to resolve, as in sync
+                if (!incoming) tombstones[local.id] = tombstone;
+                // Without history this device's values win; fields only the file has are added
+                else if (withHistory(local, incoming)) toMerge.push(incoming);
+                else overrides.set(id, { ...withoutMeta(incoming), ...withoutMeta(local) });
+                report.merged++;
+            } else {
+                report.kept++;
             }
         });
+
+        if (isMergeable && (toMerge.length > 0 || Object.keys(tombstones).length > 0)) {
+            report.conflicts = mergeRemote(key, toMerge, tombstones).length;
+        }
+
+        if (overrides.size === 0 && additions.length === 0) return report;
+
+        const current = get(key, []);
+        const list = Array.isArray(current) ? current : [];
+        const next = list.flatMap(record => {
+            const id = recordKey(record);
+            if (!overrides.has(id)) return [record];
+            if (overrides.get(id) === null) return [];
+
+            // Keeps this device's metadata, so the choice is stamped as a local edit
+            const replacement = clone(overrides.get(id));
+            if (isMergeable && record[CRDT.META]) replacement[CRDT.META] = record[CRDT.META];
+            return [replacement];
+        });
+        list.splice(0, list.length, ...next, ...additions);
+        set(key, list);
+
+        return report;
+    };
+
+    /**
+     * Import data with validation
+     * Incoming records are matched to stored ones by id, so importing the same file
+     * twice changes nothing; see previewImport() for the categories.
+     * @param {Object} data - Data to import
+     * @param {Object} options - { resolutions: category -> choice, see DEFAULT_IMPORT_RESOLUTIONS }
+     * @returns {Object} Import results { success, failed, conflicts, applied: { name: counts } }
+     */
+    const importData = (data, options = {}) => {
+        const resolutions = { ...DEFAULT_IMPORT_RESOLUTIONS, ...options.resolutions };
+        
+        const results = { success: [], failed: [], conflicts: 0, applied: {} };
+        
+        restoring(() => readImport(data).forEach(({ name, key, upgrade, tombstones }) => {
+            try {
+                const incoming = upgrade();
+                const report = applyImport(key, incoming, classifyImport(key, incoming, tombstones), resolutions);
+                results.applied[name] = report;
+                results.conflicts += report.conflicts;
+                results.success.push(name);
+            } catch (error) {
+                console.error(`Import of ${key} failed:`, error);
+                results.failed.push(name);
+            }
+        }));
         
         return results;
     };
-    
+
+    /**
+     * Replace stored values wholesale, e.g. from a full backup
+     * Every value is upgraded to the current schema before the first one is written,
+     * so a migration that fails leaves storage untouched.
+     * @param {Object} values - key -> value; null removes the key
+     * @param {Object} fromVersions - { module: version } the values were written at
+     * @param {Object} tombstones - key -> { id: tombstone } of mergeable lists, merged into
+     *   the local ones so other devices' stale copies of those records are not merged back
+     * @returns {Array<string>} Keys that changed
+     */
+    const restoreValues = (values, fromVersions = {}, tombstones = {}) => {
+        const upgraded = Object.entries(values).map(([key, value]) => [key, upgradeValue(key, value, fromVersions)]);
+
+        upgraded
+            .filter(([key]) => mergeable.has(key) && tombstones[key])
+            .forEach(([key, value]) => {
+                // A record the restored list holds is not deleted
+                const present = new Set((Array.isArray(value) ? value : [])
+                    .filter(record => record && record.id !== undefined)
+                    .map(record => String(record.id)));
+                const incoming = Object.fromEntries(Object.entries(tombstones[key]).filter(([id]) => !present.has(id)));
+                setTombstones(key, CRDT.mergeTombstones(getTombstones(key), incoming));
+            });
+
+        return restoring(() => upgraded
+            .filter(([key, value]) => !sameContent(get(key), value))
+            .map(([key, value]) => {
+                if (value === null || value === undefined) {
+                    remove(key);
+                } else {
+                    set(key, value);
+                }
+                return key;
+            }));
+    };
+
     /**
      * Clear all data
      */
     const clearAll = () => {
         Object.values(STORAGE_KEYS).forEach(key => {
-            localStorage.removeItem(key);
+            remove(key);
         });
         initialize(); // Reinitialize with defaults
     };
@@ -321,10 +1876,10 @@ const DataManager = (function() {
         const details = [];
         
         Object.values(STORAGE_KEYS).forEach(key => {
-            const data = localStorage.getItem(key);
-            const size = data ? data.length * 2 : 0; // Approximate bytes
+            const value = get(key);
+            const size = value !== null ? JSON.stringify(value).length * 2 : 0; // Approximate bytes
             total += size;
-            details.push({ key, size, items: data ? JSON.parse(data).length : 0 });
+            details.push({ key, size, items: Array.isArray(value) ? value.length : 0 });
         });
         
         const formatBytes = (bytes) => {
@@ -336,28 +1891,98 @@ const DataManager = (function() {
         };
         
         return {
+            engine,
+            encrypted: isEncrypted(),
             total,
             formatted: formatBytes(total),
             details
         };
     };
+
+    // Writes from other tabs
+    if (typeof TabSync !== 'undefined') {
+        TabSync.on('data', applyRemote);
+        // Recovery keys changed; the data key and passphrase did not
+        TabSync.on('vault-config', ({ config }) => {
+            if (vaultConfig) vaultConfig = config;
+        });
+    }
+
+    // Modules register migrations as their scripts load, so wait for the document too
+    const documentParsed = new Promise(resolve => {
+        if (document.readyState === 'loading') {
+            document.addEventListener('DOMContentLoaded', resolve, { once: true });
+        } else {
+            resolve();
+        }
+    });
+
+    const loaded = loadEngine();
+
+    const ready = Promise.all([
+        loaded.then(({ locked }) => (locked ? unlocked : null)),
+        documentParsed
+    ]).then(() => {
+        finishLoading();
+        runMigrations();
+        pruneTombstones();
+        initialize();
+        return engine;
+    });
     
     // Public API
     return {
         STORAGE_KEYS,
+        loaded,
+        ready,
         get,
         set,
         remove,
+        getAsync,
+        setAsync,
+        removeAsync,
+        flush,
+        getEngine,
+        getProfile,
+        getKeys,
+        switchProfile,
+        adoptUnscopedData,
+        registerGlobalKeys,
+        isGlobalKey,
+        TOMBSTONES_KEY,
+        CONFLICTS_KEY,
+        registerMergeable,
+        getMergeableKeys,
+        getTombstones,
+        pruneTombstones,
+        mergeRemote,
+        getConflicts,
+        resolveConflict,
+        unlock,
+        unlockWithRecovery,
+        setRecoveryKey,
+        isEncrypted,
+        isLocked,
+        enableEncryption,
+        changePassphrase,
+        disableEncryption,
+        subscribe,
+        restoring,
+        registerMigration,
+        getSchemaVersion,
+        getCurrentSchema,
+        getMigrationSnapshots,
+        getMigrationHolds,
+        rollbackMigration,
+        resumeMigrations,
         initialize,
-        exportAll,
+        previewImport,
         importData,
+        restoreValues,
         clearAll,
         getStorageInfo
     };
 })();
 
-// Initialize on load
-DataManager.initialize();
-
 // Export globally
 window.DataManager = DataManager;
\ No newline at end of file
@@ -0,0 +1,248 @@
+/**
+ * Command History
+ * Application-wide undo/redo for destructive operations across modules
+ */
+
+const CommandHistory = (function() {
+    'use strict';
+
+    const MAX_ENTRIES = 50;
+    const TOAST_DURATION = 6000;
+
+    const undoStack = [];
+    const redoStack = [];
+
+    const clone = (value) => JSON.parse(JSON.stringify(value === undefined ? null : value));
+
+    const same = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+
+    const isPlainObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+    const isRecordList = (value) => Array.isArray(value) && value.every(item => isPlainObject(item) && 'id' in item);
+
+    /**
+     * Work out what an operation changed, record by record
+     * Lists of records are compared by id, and records present on both sides field
+     * by field; nested objects are walked, any other value is compared as a whole.
+     * @param {*} before - State captured before the operation
+     * @param {*} after - State captured after it
+     * @param {Array} path - Keys leading to before/after within the state
+     * @param {Array} changes - Receives { path, id?, index?, before, after, fields? } entries
+     * @returns {Array} changes
+     */
+    const diffState = (before, after, path = [], changes = []) => {
+        if (isRecordList(before) && isRecordList(after)) {
+            const beforeIds = new Map(before.map((record, index) => [record.id, index]));
+            const afterIds = new Map(after.map((record, index) => [record.id, index]));
+
+            before.forEach((record, index) => {
+                if (!afterIds.has(record.id)) {
+                    changes.push({ path, id: record.id, index, before: record, after: undefined });
+                    return;
+                }
+
+                const next = after[afterIds.get(record.id)];
+                const fields = {};
+                new Set([...Object.keys(record), ...Object.keys(next)]).forEach(field => {
+                    if (!same(record[field], next[field])) {
+                        fields[field] = { before: record[field], after: next[field] };
+                    }
+                });
+                if (Object.keys(fields).length > 0) {
+                    changes.push({ path, id: record.id, fields });
+                }
+            });
+            after.forEach((record, index) => {
+                if (!beforeIds.has(record.id)) {
+                    changes.push({ path, id: record.id, index, before: undefined, after: record });
+                }
+            });
+        } else if (isPlainObject(before) && isPlainObject(after)) {
+            new Set([...Object.keys(before), ...Object.keys(after)]).forEach(key => {
+                diffState(before[key], after[key], [...path, key], changes);
+            });
+        } else if (!same(before, after)) {
+            changes.push({ path, before, after });
+        }
+
+        return changes;
+    };
+
+    /**
+     * Apply one side of recorded changes to the current state
+     * Only the records and fields the operation touched are written, so changes made
+     * since (in other tabs, or merged from other devices) are kept.
+     * @param {*} state - Current state; changed in place where possible
+     * @param {Array} changes - From diffState()
+     * @param {string} side - 'before' to undo, 'after' to redo
+     * @returns {*} The updated state
+     */
+    const applyChanges = (state, changes, side) => {
+        const root = { state };
+
+        changes.forEach(change => {
+            const keys = ['state', ...change.path];
+            const last = keys.pop();
+            const parent = keys.reduce((node, key) => {
+                if (!isPlainObject(node[key])) node[key] = {};
+                return node[key];
+            }, root);
+
+            if (!('id' in change)) {
+                if (change[side] === undefined) {
+                    delete parent[last];
+                } else {
+                    parent[last] = clone(change[side]);
+                }
+                return;
+            }
+
+            if (!Array.isArray(parent[last])) parent[last] = [];
+            const list = parent[last];
+            const position = list.findIndex(record => record.id === change.id);
+
+            if (change.fields) {
+                // The record has since been deleted; there is nothing left to edit
+                if (position === -1) return;
+                Object.entries(change.fields).forEach(([field, values]) => {
+                    if (values[side] === undefined) {
+                        delete list[position][field];
+                    } else {
+                        list[position][field] = clone(values[side]);
+                    }
+                });
+            } else if (change[side] === undefined) {
+                if (position !== -1) list.splice(position, 1);
+            } else if (position !== -1) {
+                list[position] = clone(change[side]);
+            } else {
+                list.splice(Math.min(change.index, list.length), 0, clone(change[side]));
+            }
+        });
+
+        return root.state;
+    };
+
+    /**
+     * Record an operation that has already been applied
+     * @param {Object} command - { label, undo(), redo() }
+     * @param {Object} options - { notify: show an Undo toast (default true), type: toast type }
+     * @returns {Object} The recorded command
+     */
+    const record = (command, options = {}) => {
+        undoStack.push(command);
+        if (undoStack.length > MAX_ENTRIES) {
+            undoStack.shift();
+        }
+        redoStack.length = 0;
+
+        if (options.notify !== false) {
+            NotificationSystem.show(command.label, options.type || 'info', TOAST_DURATION, {
+                action: { label: 'Undo', onClick: () => undoCommand(command) }
+            });
+        }
+
+        return command;
+    };
+
+    /**
+     * Apply a change to module state and record it as one undoable step
+     * Only the records the change touched are kept; undo and redo write them back
+     * into the state current at that time.
+     * @param {string|Function} label - Toast label, or a function of the mutate result
+     * @param {Object} target - { capture(): state, restore(state) } for the module being changed
+     * @param {Function} mutate - Applies the change; return false or 0 when nothing changed
+     * @param {Object} options - See record()
+     * @returns {*} The mutate result
+     */
+    const run = (label, target, mutate, options = {}) => {
+        const before = clone(target.capture());
+        const result = mutate();
+        if (result === false || result === 0) return result;
+
+        const changes = diffState(before, clone(target.capture()));
+        if (changes.length === 0) return result;
+
+        const apply = (side) => target.restore(applyChanges(clone(target.capture()), changes, side));
+        record({
+            label: typeof label === 'function' ? label(result) : label,
+            undo: () => apply('before'),
+            redo: () => apply('after')
+        }, options);
+
+        return result;
+    };
+
+    /**
+     * Undo the most recent operation
+     * @returns {boolean} Whether anything was undone
+     */
+    const undo = () => {
+        const command = undoStack.pop();
+        if (!command) {
+            NotificationSystem.info('Nothing to undo', 1500);
+            return false;
+        }
+
+        // Undo/redo puts back earlier state; subscribers see restored: true
+        DataManager.restoring(() => command.undo());
+        redoStack.push(command);
+
+        NotificationSystem.show(`Undone: ${command.label}`, 'info', TOAST_DURATION, {
+            action: { label: 'Redo', onClick: () => redo() }
+        });
+        return true;
+    };
+
+    /**
+     * Redo the most recently undone operation
+     * @returns {boolean} Whether anything was redone
+     */
+    const redo = () => {
+        const command = redoStack.pop();
+        if (!command) {
+            NotificationSystem.info('Nothing to redo', 1500);
+            return false;
+        }
+
+        DataManager.restoring(() => command.redo());
+        undoStack.push(command);
+
+        NotificationSystem.show(`Redone: ${command.label}`, 'info', TOAST_DURATION, {
+            action: { label: 'Undo', onClick: () => undoCommand(command) }
+        });
+        return true;
+    };
+
+    // Toast buttons may outlive their entry; only the latest change can be undone directly
+    const undoCommand = (command) => {
+        if (undoStack[undoStack.length - 1] !== command) {
+            NotificationSystem.warning('Undo newer changes first (Ctrl+Z)');
+            return;
+        }
+        undo();
+    };
+
+    const canUndo = () => undoStack.length > 0;
+
+    const canRedo = () => redoStack.length > 0;
+
+    const clear = () => {
+        undoStack.length = 0;
+        redoStack.length = 0;
+    };
+
+    // Public API
+    return {
+        record,
+        run,
+        undo,
+        redo,
+        canUndo,
+        canRedo,
+        clear
+    };
+})();
+
+// Export globally
+window.CommandHistory = CommandHistory;
@@ -0,0 +1,105 @@
+/**
+ * IndexedDB Key-Value Store
+ * Minimal promise wrapper around a single object store with out-of-line keys
+ */
+
+const IDBStore = (function() {
+    'use strict';
+
+    const isSupported = () => typeof indexedDB !== 'undefined' && indexedDB !== null;
+
+    const promisify = (request) => new Promise((resolve, reject) => {
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+
+    /**
+     * Open (and create if needed) a database with one key-value store
+     * @param {string} dbName - Database name
+     * @param {string} storeName - Object store name
+     * @returns {Promise<Object>} Store handle
+     */
+    const open = (dbName, storeName = 'keyval') => new Promise((resolve, reject) => {
+        if (!isSupported()) {
+            reject(new Error('IndexedDB is not supported'));
+            return;
+        }
+
+        const request = indexedDB.open(dbName, 1);
+
+        request.onupgradeneeded = () => {
+            if (!request.result.objectStoreNames.contains(storeName)) {
+                request.result.createObjectStore(storeName);
+            }
+        };
+        request.onsuccess = () => resolve(createHandle(request.result, storeName));
+        request.onerror = () => reject(request.error);
+        // Another tab holds an older version open
+        request.onblocked = () => reject(new Error('IndexedDB open blocked'));
+    });
+
+    /**
+     * Wrap an open database in key-value helpers
+     * @param {IDBDatabase} db - Open database
+     * @param {string} storeName - Object store name
+     * @returns {Object} Store handle
+     */
+    const createHandle = (db, storeName) => {
+        const store = (mode) => db.transaction(storeName, mode).objectStore(storeName);
+
+        // Resolves once the whole transaction has committed
+        const write = (apply) => new Promise((resolve, reject) => {
+            const tx = db.transaction(storeName, 'readwrite');
+            apply(tx.objectStore(storeName));
+            tx.oncomplete = () => resolve();
+            tx.onerror = () => reject(tx.error);
+            tx.onabort = () => reject(tx.error || new Error('Transaction aborted'));
+        });
+
+        return {
+            get: (key) => promisify(store('readonly').get(key)),
+
+            put: (key, value) => write(s => s.put(value, key)),
+
+            /**
+             * Write several records in one transaction
+             * @param {Array} entries - [key, value] pairs
+             */
+            putMany: (entries) => write(s => entries.forEach(([key, value]) => s.put(value, key))),
+
+            delete: (key) => write(s => s.delete(key)),
+
+            clear: () => write(s => s.clear()),
+
+            /**
+             * Read every record
+             * @returns {Promise<Array>} [key, value] pairs
+             */
+            entries: () => new Promise((resolve, reject) => {
+                const results = [];
+                const request = store('readonly').openCursor();
+                request.onsuccess = () => {
+                    const cursor = request.result;
+                    if (cursor) {
+                        results.push([cursor.key, cursor.value]);
+                        cursor.continue();
+                    } else {
+                        resolve(results);
+                    }
+                };
+                request.onerror = () => reject(request.error);
+            }),
+
+            close: () => db.close()
+        };
+    };
+
+    // Public API
+    return {
+        isSupported,
+        open
+    };
+})();
+
+// Export globally
+window.IDBStore = IDBStore;
@@ -0,0 +1,164 @@
+/**
+ * JSON Schema Module
+ * Validates values against the subset of JSON Schema (draft 2020-12) the app's
+ * own schemas use: type, const, enum, properties, required,
+ * additionalProperties, items, min/max bounds, pattern, format (date,
+ * date-time), allOf/anyOf/oneOf and local $refs ('#/$defs/...').
+ * Keywords outside that subset are ignored.
+ */
+
+const JsonSchema = (function() {
+    'use strict';
+
+    // Stop collecting once a value is clearly not what the schema describes
+    const DEFAULT_MAX_ERRORS = 25;
+
+    const FORMATS = {
+        date: (value) => /^\d{4}-\d{2}-\d{2}$/.test(value) && !Number.isNaN(Date.parse(value)),
+        'date-time': (value) => /^\d{4}-\d{2}-\d{2}T/.test(value) && !Number.isNaN(Date.parse(value))
+    };
+
+    const typeOf = (value) => {
+        if (value === null) return 'null';
+        if (Array.isArray(value)) return 'array';
+        return typeof value;
+    };
+
+    const matchesType = (value, type) => {
+        if (type === 'integer') return Number.isInteger(value);
+        if (type === 'number') return typeof value === 'number' && Number.isFinite(value);
+        return typeOf(value) === type;
+    };
+
+    const isEqual = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+
+    const formatPath = (path) => path.reduce((text, part) => (typeof part === 'number'
+        ? `${text}[${part}]`
+        : `${text}${text ? '.' : ''}${part}`), '') || '(root)';
+
+    /**
+     * Resolve a local reference such as '#/$defs/task'
+     * @param {Object} root - Schema the reference points into
+     * @param {string} ref - JSON pointer fragment
+     * @returns {Object} Referenced schema
+     */
+    const resolveRef = (root, ref) => {
+        if (!ref.startsWith('#')) {
+            throw new Error(`Only local $refs are supported: ${ref}`);
+        }
+        const target = ref.slice(1).split('/').filter(Boolean)
+            .map(part => part.replace(/~1/g, '/').replace(/~0/g, '~'))
+            .reduce((node, part) => (node ? node[part] : undefined), root);
+        if (!target) {
+            throw new Error(`Unresolved $ref: ${ref}`);
+        }
+        return target;
+    };
+
+    /**
+     * Validate a value against a schema
+     * @param {Object|boolean} schema - JSON Schema
+     * @param {*} value - Value to check
+     * @param {Object} options - { maxErrors }
+     * @returns {Object} { valid, errors: [{ path, message }] }
+     */
+    const validate = (schema, value, options = {}) => {
+        const maxErrors = options.maxErrors || DEFAULT_MAX_ERRORS;
+        const errors = [];
+
+        const check = (node, current, path, sink) => {
+            if (sink.length >= maxErrors) return;
+            const fail = (message) => sink.push({ path: formatPath(path), message });
+
+            if (node === true || node === undefined) return;
+            if (node === false) {
+                fail('is not allowed');
+                return;
+            }
+            if (node.$ref) {
+                check(resolveRef(schema, node.$ref), current, path, sink);
+            }
+
+            if (node.type !== undefined) {
+                const types = Array.isArray(node.type) ? node.type : [node.type];
+                if (!types.some(type => matchesType(current, type))) {
+                    fail(`should be ${types.join(' or ')}, got ${typeOf(current)}`);
+                    return;
+                }
+            }
+            if ('const' in node && !isEqual(current, node.const)) {
+                fail(`should be ${JSON.stringify(node.const)}`);
+            }
+            if (node.enum && !node.enum.some(option => isEqual(current, option))) {
+                fail(`should be one of ${node.enum.map(option => JSON.stringify(option)).join(', ')}`);
+            }
+
+            if (typeof current === 'number') {
+                if (node.minimum !== undefined && current < node.minimum) fail(`should be at least ${node.minimum}`);
+                if (node.maximum !== undefined && current > node.maximum) fail(`should be at most ${node.maximum}`);
+            }
+
+            if (typeof current === 'string') {
+                if (node.minLength !== undefined && current.length < node.minLength) fail(`should have at least ${node.minLength} characters`);
+                if (node.maxLength !== undefined && current.length > node.maxLength) fail(`should have at most ${node.maxLength} characters`);
+                if (node.pattern && !new RegExp(node.pattern, 'u').test(current)) fail(`should match ${node.pattern}`);
+                if (node.format && FORMATS[node.format] && !FORMATS[node.format](current)) fail(`should be a ${node.format}`);
+            }
+
+            if (Array.isArray(current)) {
+                if (node.minItems !== undefined && current.length < node.minItems) fail(`should have at least ${node.minItems} items`);
+                if (node.maxItems !== undefined && current.length > node.maxItems) fail(`should have at most ${node.maxItems} items`);
+                if (node.items !== undefined) {
+                    current.forEach((item, index) => check(node.items, item, [...path, index], sink));
+                }
+            }
+
+            if (typeOf(current) === 'object') {
+                const properties = node.properties || {};
+                (node.required || []).forEach(name => {
+                    if (!(name in current)) fail(`is missing "${name}"`);
+                });
+                Object.keys(current).forEach(name => {
+                    if (name in properties) {
+                        check(properties[name], current[name], [...path, name], sink);
+                    } else if (node.additionalProperties !== undefined) {
+                        if (node.additionalProperties === false) {
+                            sink.push({ path: formatPath([...path, name]), message: 'is not an allowed property' });
+                        } else {
+                            check(node.additionalProperties, current[name], [...path, name], sink);
+                        }
+                    }
+                });
+            }
+
+            (node.allOf || []).forEach(part => check(part, current, path, sink));
+
+            if (node.anyOf || node.oneOf) {
+                const choices = node.anyOf || node.oneOf;
+                const results = choices.map(part => {
+                    const found = [];
+                    check(part, current, path, found);
+                    return found;
+                });
+                const matching = results.filter(found => found.length === 0).length;
+                if (matching === 0) {
+                    // The closest option explains the failure best
+                    const closest = results.reduce((best, found) => (found.length < best.length ? found : best));
+                    closest.forEach(error => sink.length < maxErrors && sink.push(error));
+                } else if (node.oneOf && matching > 1) {
+                    fail('matches more than one allowed shape');
+                }
+            }
+        };
+
+        check(schema, value, [], errors);
+        return { valid: errors.length === 0, errors };
+    };
+
+    return {
+        validate
+    };
+})();
+
+// Export globally
+window.JsonSchema = JsonSchema;
@@ -110,6 +110,18 @@ const NotificationSystem = (function() {
             .notification-close:hover {
                 opacity: 1;
             }
+            .notification-action {
+                background: rgba(255, 255, 255, 0.2);
+                border: 1px solid rgba(255, 255, 255, 0.4);
+                border-radius: 6px;
+                color: white;
+                cursor: pointer;
+                font-weight: 600;
+                padding: 4px 10px;
+            }
+            .notification-action:hover {
+                background: rgba(255, 255, 255, 0.3);
+            }
             .notification-progress {
                 position: absolute;
                 bottom: 0;
@@ -127,7 +139,7 @@ const NotificationSystem = (function() {
      * @param {string} message - Notification message
      * @param {string} type - Type (success, error, warning, info)
      * @param {number} duration - Duration in ms (0 for persistent)
-     * @param {Object} options - Additional options
+     * @param {Object} options - Additional options ({ icon, onClick, action: { label, onClick } })
      * @returns {HTMLElement} Notification element
      */
     const show = (message, type = 'info', duration = 3000, options = {}) => {
@@ -156,6 +168,7 @@ const NotificationSystem = (function() {
         notification.innerHTML = `
             <span class="notification-icon">${icon}</span>
             <span class="notification-message">${SecurityUtils.escapeHtml(message)}</span>
+            ${options.action ? `<button class="notification-action">${SecurityUtils.escapeHtml(options.action.label)}</button>` : ''}
             <button class="notification-close" aria-label="Close">✕</button>
         `;
         
@@ -174,6 +187,15 @@ const NotificationSystem = (function() {
             dismiss(notification);
         });
         
+        // Inline action button, e.g. Undo
+        if (options.action) {
+            notification.querySelector('.notification-action').addEventListener('click', (e) => {
+                e.stopPropagation();
+                options.action.onClick();
+                dismiss(notification);
+            });
+        }
+        
         // Add click handler if provided
         if (options.onClick) {
             notification.addEventListener('click', () => {
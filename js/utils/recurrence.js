@@ -0,0 +1,251 @@
+/**
+ * Recurrence Rules Module
+ * RRULE-style schedules for repeating tasks (daily, weekly, monthly, yearly)
+ */
+
+const Recurrence = (function() {
+    'use strict';
+
+    const FREQUENCIES = ['daily', 'weekly', 'monthly', 'yearly'];
+    const WEEKDAY_NAMES = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+    const SET_POS_NAMES = { 1: 'first', 2: 'second', 3: 'third', 4: 'fourth', '-1': 'last' };
+
+    // Safety cap when scanning forward for the next matching date
+    const MAX_ITERATIONS = 1000;
+
+    /**
+     * Presets offered in the task form
+     */
+    const PRESETS = {
+        daily: { freq: 'daily', interval: 1 },
+        weekdays: { freq: 'weekly', interval: 1, byDay: [1, 2, 3, 4, 5] },
+        weekly: { freq: 'weekly', interval: 1 },
+        biweekly: { freq: 'weekly', interval: 2 },
+        monthly: { freq: 'monthly', interval: 1 },
+        'monthly-last-friday': { freq: 'monthly', interval: 1, byDay: [5], bySetPos: -1 },
+        yearly: { freq: 'yearly', interval: 1 }
+    };
+
+    /**
+     * Parse a YYYY-MM-DD string as a local date
+     * @param {string} dateStr - Date string
+     * @returns {Date|null} Local date at midnight
+     */
+    const parseDate = (dateStr) => {
+        if (!dateStr) return null;
+        const [year, month, day] = dateStr.split('T')[0].split('-').map(Number);
+        if (!year || !month || !day) return null;
+        return new Date(year, month - 1, day);
+    };
+
+    /**
+     * Format a local date as YYYY-MM-DD
+     * @param {Date} date - Date
+     * @returns {string} Date string
+     */
+    const formatDate = (date) => {
+        const pad = (n) => String(n).padStart(2, '0');
+        return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+    };
+
+    const addDays = (date, days) => new Date(date.getFullYear(), date.getMonth(), date.getDate() + days);
+
+    const daysInMonth = (year, month) => new Date(year, month + 1, 0).getDate();
+
+    /**
+     * Find the nth weekday of a month (negative positions count from the end)
+     * @param {number} year - Full year
+     * @param {number} month - Zero-based month
+     * @param {number} weekday - 0 (Sun) to 6 (Sat)
+     * @param {number} pos - 1..4 or -1 for last
+     * @returns {Date|null} Matching date
+     */
+    const nthWeekdayOfMonth = (year, month, weekday, pos) => {
+        if (pos > 0) {
+            const first = new Date(year, month, 1);
+            const offset = (weekday - first.getDay() + 7) % 7;
+            const day = 1 + offset + (pos - 1) * 7;
+            return day <= daysInMonth(year, month) ? new Date(year, month, day) : null;
+        }
+        const lastDay = daysInMonth(year, month);
+        const last = new Date(year, month, lastDay);
+        const offset = (last.getDay() - weekday + 7) % 7;
+        const day = lastDay - offset + (pos + 1) * 7;
+        return day >= 1 ? new Date(year, month, day) : null;
+    };
+
+    /**
+     * Normalize and validate a rule
+     * @param {Object} rule - Raw rule
+     * @returns {Object|null} Normalized rule or null if invalid
+     */
+    const normalize = (rule) => {
+        if (!rule || !FREQUENCIES.includes(rule.freq)) return null;
+
+        const normalized = {
+            freq: rule.freq,
+            interval: Math.max(1, parseInt(rule.interval, 10) || 1)
+        };
+
+        if (Array.isArray(rule.byDay) && rule.byDay.length > 0) {
+            normalized.byDay = [...new Set(rule.byDay.map(Number))]
+                .filter(d => d >= 0 && d <= 6)
+                .sort((a, b) => a - b);
+        }
+        if (rule.freq === 'monthly') {
+            if (rule.bySetPos && normalized.byDay) {
+                normalized.bySetPos = parseInt(rule.bySetPos, 10);
+                normalized.byDay = normalized.byDay.slice(0, 1);
+            } else if (rule.byMonthDay) {
+                normalized.byMonthDay = Math.min(31, Math.max(1, parseInt(rule.byMonthDay, 10)));
+                delete normalized.byDay;
+            } else {
+                delete normalized.byDay;
+            }
+        } else if (rule.freq !== 'weekly') {
+            delete normalized.byDay;
+        }
+
+        if (rule.until) normalized.until = rule.until.split('T')[0];
+        if (rule.count) normalized.count = Math.max(1, parseInt(rule.count, 10));
+
+        return normalized;
+    };
+
+    /**
+     * Build a rule from a preset name
+     * @param {string} name - Preset key
+     * @returns {Object|null} Rule
+     */
+    const fromPreset = (name) => {
+        return PRESETS[name] ? normalize(PRESETS[name]) : null;
+    };
+
+    /**
+     * Compute the candidate date for a given month offset from the series start
+     * @param {Object} rule - Normalized rule
+     * @param {Date} start - Series start date
+     * @param {number} monthOffset - Months since the start month
+     * @returns {Date|null} Candidate date
+     */
+    const monthlyCandidate = (rule, start, monthOffset) => {
+        const year = start.getFullYear() + Math.floor((start.getMonth() + monthOffset) / 12);
+        const month = (start.getMonth() + monthOffset) % 12;
+
+        if (rule.bySetPos) {
+            return nthWeekdayOfMonth(year, month, rule.byDay[0], rule.bySetPos);
+        }
+
+        // Clamp e.g. the 31st to the last day of shorter months
+        const day = rule.byMonthDay || start.getDate();
+        return new Date(year, month, Math.min(day, daysInMonth(year, month)));
+    };
+
+    /**
+     * Get the next occurrence strictly after a date
+     * @param {Object} rule - Recurrence rule
+     * @param {string} afterDate - Current occurrence date (YYYY-MM-DD)
+     * @param {Object} options - { start: series start date, index: 1-based index of current occurrence }
+     * @returns {string|null} Next date or null when the series has ended
+     */
+    const next = (rule, afterDate, options = {}) => {
+        const normalized = normalize(rule);
+        const after = parseDate(afterDate);
+        if (!normalized || !after) return null;
+
+        const start = parseDate(options.start) || after;
+        const index = options.index || 1;
+
+        if (normalized.count && index >= normalized.count) return null;
+
+        let candidate = null;
+
+        if (normalized.freq === 'daily') {
+            candidate = addDays(after, normalized.interval);
+        } else if (normalized.freq === 'weekly') {
+            if (!normalized.byDay) {
+                candidate = addDays(after, 7 * normalized.interval);
+            } else {
+                // Weeks are counted from the Sunday of the series start week
+                const weekStart = addDays(start, -start.getDay());
+                for (let i = 1; i <= MAX_ITERATIONS; i++) {
+                    const day = addDays(after, i);
+                    const weeks = Math.floor(Math.round((day - weekStart) / 86400000) / 7);
+                    if (weeks % normalized.interval === 0 && normalized.byDay.includes(day.getDay())) {
+                        candidate = day;
+                        break;
+                    }
+                }
+            }
+        } else {
+            const step = normalized.freq === 'yearly' ? 12 * normalized.interval : normalized.interval;
+            for (let k = 0; k <= MAX_ITERATIONS; k++) {
+                const date = normalized.freq === 'yearly'
+                    ? monthlyCandidate({ byMonthDay: start.getDate() }, start, k * step)
+                    : monthlyCandidate(normalized, start, k * step);
+                if (date && date > after) {
+                    candidate = date;
+                    break;
+                }
+            }
+        }
+
+        if (!candidate) return null;
+
+        const result = formatDate(candidate);
+        if (normalized.until && result > normalized.until) return null;
+
+        return result;
+    };
+
+    /**
+     * Human readable description of a rule
+     * @param {Object} rule - Recurrence rule
+     * @returns {string} Description
+     */
+    const describe = (rule) => {
+        const normalized = normalize(rule);
+        if (!normalized) return '';
+
+        const units = { daily: 'day', weekly: 'week', monthly: 'month', yearly: 'year' };
+        const unit = units[normalized.freq];
+        let text = normalized.interval === 1
+            ? `Every ${unit}`
+            : `Every ${normalized.interval} ${unit}s`;
+
+        if (normalized.freq === 'weekly' && normalized.byDay) {
+            const days = normalized.byDay.join(',');
+            text = days === '1,2,3,4,5' && normalized.interval === 1
+                ? 'Every weekday'
+                : `${text} on ${normalized.byDay.map(d => WEEKDAY_NAMES[d]).join(', ')}`;
+        } else if (normalized.freq === 'monthly' && normalized.bySetPos) {
+            text += ` on the ${SET_POS_NAMES[normalized.bySetPos]} ${WEEKDAY_NAMES[normalized.byDay[0]]}`;
+        } else if (normalized.freq === 'monthly' && normalized.byMonthDay) {
+            text += ` on day ${normalized.byMonthDay}`;
+        }
+
+        if (normalized.count) {
+            text += `, ${normalized.count} times`;
+        } else if (normalized.until) {
+            text += `, until ${parseDate(normalized.until).toLocaleDateString()}`;
+        }
+
+        return text;
+    };
+
+    // Public API
+    return {
+        FREQUENCIES,
+        WEEKDAY_NAMES,
+        PRESETS,
+        normalize,
+        fromPreset,
+        next,
+        describe,
+        parseDate,
+        formatDate
+    };
+})();
+
+// Export globally
+window.Recurrence = Recurrence;
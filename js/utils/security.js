@@ -35,6 +35,13 @@ const SecurityUtils = (function() {
         return text.toString().replace(/[&<>"']/g, m => map[m]);
     };
     
+    /**
+     * Quote a value as a JavaScript string for an inline event handler attribute
+     * @param {*} value - Value to quote, e.g. a record id
+     * @returns {string} String literal, HTML-escaped for the attribute
+     */
+    const escapeJsString = (value) => escapeHtml(JSON.stringify(String(value)));
+    
     /**
      * Validate email format
      * @param {string} email - Email to validate
@@ -84,8 +91,54 @@ const SecurityUtils = (function() {
         };
     };
     
+    const PASSWORD_HASH_ALGORITHM = 'PBKDF2-SHA256';
+    const PASSWORD_HASH_ITERATIONS = 310000;
+    const PASSWORD_SALT_BYTES = 16;
+
+    const toBase64 = (bytes) => btoa(String.fromCharCode(...new Uint8Array(bytes)));
+    const fromBase64 = (base64) => Uint8Array.from(atob(base64), char => char.charCodeAt(0));
+
+    /**
+     * Hash a password with salted PBKDF2-SHA256
+     * @param {string} password - Plain password
+     * @param {Object} options - { salt: base64 (random if omitted), iterations }
+     * @returns {Promise<Object>} { algorithm, hash, salt, iterations } to store on the user
+     */
+    const hashPassword = async (password, { salt = null, iterations = PASSWORD_HASH_ITERATIONS } = {}) => {
+        const saltBytes = salt ? fromBase64(salt) : crypto.getRandomValues(new Uint8Array(PASSWORD_SALT_BYTES));
+        const material = await crypto.subtle.importKey('raw', new TextEncoder().encode(password), 'PBKDF2', false, ['deriveBits']);
+        const bits = await crypto.subtle.deriveBits(
+            { name: 'PBKDF2', salt: saltBytes, iterations, hash: 'SHA-256' },
+            material,
+            256
+        );
+        return { algorithm: PASSWORD_HASH_ALGORITHM, hash: toBase64(bits), salt: toBase64(saltBytes), iterations };
+    };
+
+    /**
+     * Check a password against a record from hashPassword()
+     * @param {string} password - Plain password
+     * @param {Object} stored - { hash, salt, iterations }
+     * @returns {Promise<boolean>} Whether the password matches
+     */
+    const verifyPassword = async (password, stored) => {
+        const { hash } = await hashPassword(password, { salt: stored.salt, iterations: stored.iterations });
+        // Compare every character so the time taken does not reveal a matching prefix
+        let diff = hash.length ^ stored.hash.length;
+        for (let i = 0; i < hash.length; i++) {
+            diff |= hash.charCodeAt(i) ^ (stored.hash.charCodeAt(i) || 0);
+        }
+        return diff === 0;
+    };
+
+    // Records hashed with fewer iterations than today's default are upgraded on login
+    const needsRehash = (stored) => !stored
+        || stored.algorithm !== PASSWORD_HASH_ALGORITHM
+        || stored.iterations < PASSWORD_HASH_ITERATIONS;
+
     /**
      * Simple hash for local storage (not for real security)
+     * Only used to verify legacy passwords before they are rehashed
      * @param {string} str - String to hash
      * @returns {string} Hash
      */
@@ -113,6 +166,7 @@ const SecurityUtils = (function() {
     
     /**
      * Secure storage with base64 encoding (simulated encryption)
+     * Obfuscation only; real at-rest encryption is DataManager's, see CryptoVault
      */
     const secureStorage = {
         set: (key, value) => {
@@ -164,11 +218,20 @@ const SecurityUtils = (function() {
     
     /**
      * Client-side rate limiter
+     * isAllowed() throttles bursts of attempts; recordFailure() adds a lockout
+     * that doubles with every failure past the threshold, until reset()
      */
     const rateLimiter = {
         attempts: new Map(),
         maxAttempts: 5,
         windowMs: 60000, // 1 minute
+        // key -> { failures, lockedUntil }
+        lockouts: new Map(),
+        lockoutThreshold: 5,
+        baseLockoutMs: 30000,
+        maxLockoutMs: 60 * 60 * 1000,
+        // Optional { load(): Object, save(Object) } so lockouts survive a reload
+        storage: null,
         
         isAllowed: (key) => {
             const now = Date.now();
@@ -186,6 +249,46 @@ const SecurityUtils = (function() {
         
         reset: (key) => {
             rateLimiter.attempts.delete(key);
+            if (rateLimiter.lockouts.delete(key)) rateLimiter.saveLockouts();
+        },
+
+        useStorage: (storage) => {
+            rateLimiter.storage = storage;
+            rateLimiter.lockouts = new Map(Object.entries(storage.load() || {}));
+        },
+
+        saveLockouts: () => {
+            if (rateLimiter.storage) rateLimiter.storage.save(Object.fromEntries(rateLimiter.lockouts));
+        },
+
+        /**
+         * Milliseconds until a locked-out key may try again
+         * @param {string} key - Limiter key
+         * @returns {number} 0 when not locked
+         */
+        getLockoutRemaining: (key) => {
+            const lockout = rateLimiter.lockouts.get(key);
+            return lockout ? Math.max(0, lockout.lockedUntil - Date.now()) : 0;
+        },
+
+        /**
+         * Count a failed attempt, locking the key once past the threshold
+         * @param {string} key - Limiter key
+         * @returns {number} Lockout length in ms, 0 if not locked
+         */
+        recordFailure: (key) => {
+            const lockout = rateLimiter.lockouts.get(key) || { failures: 0, lockedUntil: 0 };
+            lockout.failures++;
+
+            const excess = lockout.failures - rateLimiter.lockoutThreshold;
+            const duration = excess >= 0
+                ? Math.min(rateLimiter.baseLockoutMs * Math.pow(2, excess), rateLimiter.maxLockoutMs)
+                : 0;
+            lockout.lockedUntil = duration ? Date.now() + duration : 0;
+
+            rateLimiter.lockouts.set(key, lockout);
+            rateLimiter.saveLockouts();
+            return duration;
         }
     };
     
@@ -193,9 +296,13 @@ const SecurityUtils = (function() {
     return {
         sanitizeInput,
         escapeHtml,
+        escapeJsString,
         validateEmail,
         validatePassword,
         simpleHash,
+        hashPassword,
+        verifyPassword,
+        needsRehash,
         generateToken,
         secureStorage,
         detectXSSAttempt,
@@ -0,0 +1,90 @@
+/**
+ * Tab Sync
+ * Messaging between open LifeOS tabs over BroadcastChannel, falling back to
+ * storage events where BroadcastChannel is unavailable
+ */
+
+const TabSync = (function() {
+    'use strict';
+
+    const CHANNEL_NAME = 'lifeos_sync';
+    // Outside the lifeos_ prefix so storage migration never picks it up
+    const FALLBACK_KEY = '__lifeos_sync__';
+
+    const tabId = `tab_${Date.now()}_${SecurityUtils.generateToken(6)}`;
+    const handlers = new Map();
+    let channel = null;
+
+    const dispatch = (message) => {
+        if (!message || message.from === tabId || !handlers.has(message.type)) return;
+
+        [...handlers.get(message.type)].forEach(handler => {
+            try {
+                handler(message.payload, message);
+            } catch (error) {
+                console.error(`TabSync handler for ${message.type} failed:`, error);
+            }
+        });
+    };
+
+    if (typeof BroadcastChannel !== 'undefined') {
+        channel = new BroadcastChannel(CHANNEL_NAME);
+        channel.onmessage = (event) => dispatch(event.data);
+    } else {
+        window.addEventListener('storage', (event) => {
+            if (event.key !== FALLBACK_KEY || !event.newValue) return;
+            try {
+                dispatch(JSON.parse(event.newValue));
+            } catch (error) {
+                console.warn('Ignoring malformed sync message');
+            }
+        });
+    }
+
+    /**
+     * Send a message to every other tab
+     * @param {string} type - Message type
+     * @param {*} payload - JSON-serializable payload
+     */
+    const post = (type, payload) => {
+        const message = { type, payload, from: tabId, sentAt: Date.now() };
+
+        if (channel) {
+            channel.postMessage(message);
+            return;
+        }
+
+        try {
+            // Other tabs get the event with the value as written; removing it keeps storage clean
+            localStorage.setItem(FALLBACK_KEY, JSON.stringify(message));
+            localStorage.removeItem(FALLBACK_KEY);
+        } catch (error) {
+            console.warn('TabSync could not post message:', error);
+        }
+    };
+
+    /**
+     * Listen for messages from other tabs
+     * @param {string} type - Message type
+     * @param {Function} handler - Receives (payload, message)
+     * @returns {Function} Unsubscribe
+     */
+    const on = (type, handler) => {
+        if (!handlers.has(type)) handlers.set(type, new Set());
+        handlers.get(type).add(handler);
+        return () => handlers.get(type).delete(handler);
+    };
+
+    const getTransport = () => (channel ? 'broadcastchannel' : 'storage');
+
+    // Public API
+    return {
+        tabId,
+        post,
+        on,
+        getTransport
+    };
+})();
+
+// Export globally
+window.TabSync = TabSync;
@@ -0,0 +1,565 @@
+/**
+ * Natural Language Task Parser
+ * Extracts due date/time, #category, !priority and recurrence from quick-add text
+ */
+
+const TaskParser = (function() {
+    'use strict';
+
+    const PRIORITY_MARKERS = {
+        high: 'high', h: 'high', urgent: 'high', 1: 'high', '!!!': 'high',
+        medium: 'medium', med: 'medium', m: 'medium', 2: 'medium', '!!': 'medium',
+        low: 'low', l: 'low', 3: 'low', '!': 'low'
+    };
+
+    const ENGLISH_WEEKDAYS = [
+        ['sunday', 'sun'],
+        ['monday', 'mon'],
+        ['tuesday', 'tue', 'tues'],
+        ['wednesday', 'wed'],
+        ['thursday', 'thu', 'thur', 'thurs'],
+        ['friday', 'fri'],
+        ['saturday', 'sat']
+    ];
+
+    const ORDINALS = { first: 1, '1st': 1, second: 2, '2nd': 2, third: 3, '3rd': 3, fourth: 4, '4th': 4, last: -1 };
+
+    // Informal English words Intl.RelativeTimeFormat does not produce
+    const ENGLISH_RELATIVE = {
+        tonight: { unit: 'day', amount: 0 },
+        tmrw: { unit: 'day', amount: 1 },
+        tmr: { unit: 'day', amount: 1 },
+        'day after tomorrow': { unit: 'day', amount: 2 }
+    };
+
+    // Offsets that locales name with a word ("tomorrow", "übermorgen", "la semaine prochaine")
+    const RELATIVE_OFFSETS = [['day', 0], ['day', 1], ['day', 2], ['week', 1], ['month', 1], ['year', 1]];
+
+    // Words that only introduce a date; slash dates without a year need one
+    const DATE_KEYWORD = '(?:on |by |due )';
+
+    const escapeRegex = (str) => str.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+    const normalizeName = (name) => name.toLowerCase().replace(/\./g, '').replace(/’/g, "'").trim();
+
+    // Localized names are cached per locale
+    const localeCache = new Map();
+
+    /**
+     * Build month, weekday and relative-day lookups for a locale (English names always included)
+     * @param {string} locale - BCP 47 locale
+     * @returns {Object} Locale data
+     */
+    const getLocaleData = (locale) => {
+        if (localeCache.has(locale)) return localeCache.get(locale);
+
+        const months = {};
+        const weekdays = {};
+        const longWeekdays = {};
+        const relative = { ...ENGLISH_RELATIVE };
+        let hourSuffix = '';
+
+        ['en-US', locale].forEach(loc => {
+            try {
+                ['long', 'short'].forEach(style => {
+                    const monthFormat = new Intl.DateTimeFormat(loc, { month: style });
+                    const weekdayFormat = new Intl.DateTimeFormat(loc, { weekday: style });
+                    for (let m = 0; m < 12; m++) {
+                        months[normalizeName(monthFormat.format(new Date(2000, m, 15)))] = m;
+                    }
+                    // 2000-01-02 was a Sunday
+                    for (let d = 0; d < 7; d++) {
+                        const name = normalizeName(weekdayFormat.format(new Date(2000, 0, 2 + d)));
+                        weekdays[name] = d;
+                        if (style === 'long') longWeekdays[name] = d;
+                    }
+                });
+
+                // numeric: 'auto' gives words where the locale has them; phrases with digits are skipped
+                const relativeFormat = new Intl.RelativeTimeFormat(loc, { numeric: 'auto' });
+                RELATIVE_OFFSETS.forEach(([unit, amount]) => {
+                    const phrase = relativeFormat.format(amount, unit);
+                    if (/\d/.test(phrase)) return;
+                    // Typed apostrophes are usually straight, so keep both spellings
+                    relative[phrase.toLowerCase()] = { unit, amount };
+                    relative[normalizeName(phrase)] = { unit, amount };
+                });
+
+                // Word after the hour in 24-hour time ("9 Uhr", "9 h")
+                const hourParts = new Intl.DateTimeFormat(loc, { hour: 'numeric', hourCycle: 'h23' }).formatToParts(new Date(2000, 0, 1, 9));
+                const hourIndex = hourParts.findIndex(part => part.type === 'hour');
+                const suffix = hourParts[hourIndex + 1];
+                if (suffix && suffix.type === 'literal' && suffix.value.trim()) {
+                    hourSuffix = normalizeName(suffix.value);
+                }
+            } catch (e) {
+                // Unsupported locale: English names are enough
+            }
+        });
+        ENGLISH_WEEKDAYS.forEach((names, day) => names.forEach(name => { weekdays[name] = day; }));
+        months.sept = 8;
+
+        // Day-first or month-first numeric dates
+        let dayFirst = false;
+        try {
+            const parts = new Intl.DateTimeFormat(locale).formatToParts(new Date(2000, 11, 31));
+            const types = parts.map(p => p.type);
+            dayFirst = types.indexOf('day') < types.indexOf('month');
+        } catch (e) {
+            dayFirst = false;
+        }
+
+        const alternation = (names) => Object.keys(names)
+            .filter(Boolean)
+            .sort((a, b) => b.length - a.length)
+            .map(escapeRegex)
+            .join('|');
+
+        const data = {
+            months,
+            weekdays,
+            relative,
+            dayFirst,
+            hourSuffix,
+            monthPattern: alternation(months),
+            weekdayPattern: alternation(weekdays),
+            weekdayLongPattern: alternation(longWeekdays),
+            relativePattern: alternation(relative)
+        };
+        localeCache.set(locale, data);
+        return data;
+    };
+
+    const startOfDay = (date) => new Date(date.getFullYear(), date.getMonth(), date.getDate());
+    const addDays = (date, days) => new Date(date.getFullYear(), date.getMonth(), date.getDate() + days);
+    const addMonths = (date, months) => {
+        const target = new Date(date.getFullYear(), date.getMonth() + months, 1);
+        const lastDay = new Date(target.getFullYear(), target.getMonth() + 1, 0).getDate();
+        return new Date(target.getFullYear(), target.getMonth(), Math.min(date.getDate(), lastDay));
+    };
+
+    /**
+     * Resolve a date where the year may be omitted (rolls into next year if already past)
+     */
+    const resolveDate = (today, year, month, day) => {
+        let fullYear = year ? Number(year) : today.getFullYear();
+        if (year && String(year).length === 2) fullYear += 2000;
+
+        const date = new Date(fullYear, month, day);
+        if (date.getMonth() !== month) return null;
+        if (!year && date < today) return new Date(fullYear + 1, month, day);
+        return date;
+    };
+
+    const weekdayDate = (today, weekday, modifier) => {
+        let days = (weekday - today.getDay() + 7) % 7;
+        if (days === 0 && modifier !== 'this') days = 7;
+        if (modifier === 'next' && days < 7) days += 7;
+        return addDays(today, days);
+    };
+
+    // Day and month in locale order, then an optional year
+    const numericDate = (m, today, localeData) => {
+        const [day, month] = localeData.dayFirst ? [m[1], m[2]] : [m[2], m[1]];
+        return resolveDate(today, m[3], Number(month) - 1, Number(day));
+    };
+
+    const relativeDate = (today, { unit, amount }) => {
+        if (unit === 'day') return addDays(today, amount);
+        if (unit === 'week') return addDays(today, amount * 7);
+        return addMonths(today, unit === 'month' ? amount : amount * 12);
+    };
+
+    /**
+     * Date expressions, tried in order. Each resolves to a Date or null.
+     * Patterns marked needsKeyword only match after "on", "by" or "due".
+     * @param {Object} localeData - Locale lookups
+     * @returns {Array} Pattern list
+     */
+    const getDatePatterns = (localeData) => [
+        {
+            source: '(\\d{4})-(\\d{1,2})-(\\d{1,2})',
+            resolve: (m, today) => resolveDate(today, m[1], Number(m[2]) - 1, Number(m[3]))
+        },
+        {
+            // "tomorrow", "morgen", "demain", "next week", ...
+            source: `(${localeData.relativePattern})`,
+            resolve: (m, today) => relativeDate(today, localeData.relative[normalizeName(m[1])])
+        },
+        {
+            source: 'in (\\d+|a|an|one|two|three) (day|week|month|year)s?',
+            resolve: (m, today) => {
+                const words = { a: 1, an: 1, one: 1, two: 2, three: 3 };
+                const amount = words[m[1].toLowerCase()] || Number(m[1]);
+                const unit = m[2].toLowerCase();
+                if (unit === 'day') return addDays(today, amount);
+                if (unit === 'week') return addDays(today, amount * 7);
+                if (unit === 'month') return addMonths(today, amount);
+                return addMonths(today, amount * 12);
+            }
+        },
+        {
+            source: 'end of (the )?month',
+            resolve: (m, today) => new Date(today.getFullYear(), today.getMonth() + 1, 0)
+        },
+        {
+            // Abbreviations ("sun", "sat") need a lead-in word to avoid eating ordinary words
+            source: `(?:(on|by|due|next|this) )(${localeData.weekdayPattern})`,
+            resolve: (m, today) => weekdayDate(today, localeData.weekdays[normalizeName(m[2])], m[1].toLowerCase())
+        },
+        {
+            source: `(${localeData.weekdayLongPattern})`,
+            resolve: (m, today) => weekdayDate(today, localeData.weekdays[normalizeName(m[1])])
+        },
+        {
+            source: `(${localeData.monthPattern})\\.? (\\d{1,2})(?:st|nd|rd|th)?(?:,? (\\d{4}))?`,
+            resolve: (m, today) => resolveDate(today, m[3], localeData.months[normalizeName(m[1])], Number(m[2]))
+        },
+        {
+            source: `(\\d{1,2})(?:st|nd|rd|th)?\\.? (?:of )?(${localeData.monthPattern})\\.?(?:,? (\\d{4}))?`,
+            resolve: (m, today) => resolveDate(today, m[3], localeData.months[normalizeName(m[2])], Number(m[1]))
+        },
+        {
+            source: '(\\d{1,2})/(\\d{1,2})/(\\d{2,4})',
+            resolve: (m, today) => numericDate(m, today, localeData)
+        },
+        {
+            // Without a year "1/2" is as likely a fraction as a date
+            source: '(\\d{1,2})/(\\d{1,2})',
+            needsKeyword: true,
+            resolve: (m, today) => numericDate(m, today, localeData)
+        },
+        {
+            // Dots need a full year, so decimals such as "1.5 chapters" stay in the title
+            source: '(\\d{1,2})\\.(\\d{1,2})\\.(\\d{4})',
+            resolve: (m, today) => numericDate(m, today, localeData)
+        }
+    ];
+
+    /**
+     * Parse a duration such as "1h30m", "1.5h", "45m", "1:30" or "90" (minutes)
+     * @param {string} text - Duration text
+     * @returns {number|null} Minutes
+     */
+    const parseDuration = (text) => {
+        if (text === null || text === undefined) return null;
+        const value = String(text).trim().toLowerCase().replace(/\s+/g, '');
+        if (!value) return null;
+
+        let match = value.match(/^(\d+):([0-5]\d)$/);
+        if (match) return Number(match[1]) * 60 + Number(match[2]);
+
+        match = value.match(/^(?:(\d+(?:\.\d+)?)h(?:rs?|ours?)?)?(?:(\d+)m(?:in(?:s|utes?)?)?)?$/);
+        if (match && (match[1] || match[2])) {
+            return Math.round(Number(match[1] || 0) * 60 + Number(match[2] || 0));
+        }
+
+        match = value.match(/^\d+$/);
+        return match ? Number(value) : null;
+    };
+
+    /**
+     * Format minutes as "1h 30m"
+     * @param {number} minutes - Minutes
+     * @returns {string} Formatted duration
+     */
+    const formatDuration = (minutes) => {
+        const total = Math.max(0, Math.round(minutes || 0));
+        const hours = Math.floor(total / 60);
+        const mins = total % 60;
+        if (hours === 0) return `${mins}m`;
+        return mins === 0 ? `${hours}h` : `${hours}h ${mins}m`;
+    };
+
+    const formatTime = (hours, minutes) => `${String(hours).padStart(2, '0')}:${String(minutes).padStart(2, '0')}`;
+
+    /**
+     * Time expressions
+     */
+    const TIME_PATTERNS = [
+        {
+            regex: /(?:^|\s)(?:at |@)?(\d{1,2})(?::(\d{2}))? ?(am|pm|a\.m\.|p\.m\.)(?=\s|$)/i,
+            resolve: (m) => {
+                let hours = Number(m[1]) % 12;
+                if (m[3].toLowerCase().startsWith('p')) hours += 12;
+                return Number(m[1]) <= 12 ? formatTime(hours, Number(m[2] || 0)) : null;
+            }
+        },
+        {
+            regex: /(?:^|\s)(?:at |@)?([01]?\d|2[0-3]):([0-5]\d)(?=\s|$)/i,
+            resolve: (m) => formatTime(Number(m[1]), Number(m[2]))
+        },
+        {
+            regex: /(?:^|\s)(?:at )?(noon|midday)(?=\s|$)/i,
+            resolve: () => '12:00'
+        },
+        {
+            regex: /(?:^|\s)(?:at )?midnight(?=\s|$)/i,
+            resolve: () => '00:00'
+        }
+    ];
+
+    /**
+     * Try every date pattern against the text
+     * @param {string} keyword - Lead-in pattern; optional unless required or the pattern needs it
+     * @returns {Object|null} { date, match } for the first hit
+     */
+    const findDate = (text, today, localeData, keyword = DATE_KEYWORD, keywordRequired = false) => {
+        for (const pattern of getDatePatterns(localeData)) {
+            const prefix = keywordRequired || pattern.needsKeyword ? keyword : `${keyword}?`;
+            const regex = new RegExp(`(?:^|\\s)${prefix}${pattern.source}(?=\\s|$|[,.])`, 'i');
+            const match = text.match(regex);
+            if (match) {
+                const date = pattern.resolve(match, today);
+                if (date) return { date, match: match[0] };
+            }
+        }
+        return null;
+    };
+
+    /**
+     * Recurrence phrases ("every Monday", "every 2 weeks", "every last Friday", "daily")
+     * @returns {Object|null} { rule, match }
+     */
+    const findRecurrence = (text, localeData) => {
+        const weekday = `(?:${localeData.weekdayPattern})`;
+        const patterns = [
+            {
+                regex: /(?:^|\s)every ?(weekday|workday)s?(?=\s|$)/i,
+                rule: () => ({ freq: 'weekly', interval: 1, byDay: [1, 2, 3, 4, 5] })
+            },
+            {
+                regex: /(?:^|\s)every ?weekends?(?=\s|$)/i,
+                rule: () => ({ freq: 'weekly', interval: 1, byDay: [0, 6] })
+            },
+            {
+                regex: new RegExp(`(?:^|\\s)every (first|second|third|fourth|last|1st|2nd|3rd|4th) (${localeData.weekdayPattern})(?: of the month)?(?=\\s|$)`, 'i'),
+                rule: (m) => ({
+                    freq: 'monthly',
+                    interval: 1,
+                    byDay: [localeData.weekdays[normalizeName(m[2])]],
+                    bySetPos: ORDINALS[m[1].toLowerCase()]
+                })
+            },
+            {
+                regex: new RegExp(`(?:^|\\s)every (other )?(${weekday}(?:(?:, ?| and | ?& ?)${weekday})*)(?=\\s|$)`, 'i'),
+                rule: (m) => ({
+                    freq: 'weekly',
+                    interval: m[1] ? 2 : 1,
+                    byDay: m[2].split(/, ?| and | ?& ?/i).map(name => localeData.weekdays[normalizeName(name)])
+                })
+            },
+            {
+                regex: /(?:^|\s)every (?:month )?on the (\d{1,2})(?:st|nd|rd|th)?(?=\s|$)|(?:^|\s)every (\d{1,2})(?:st|nd|rd|th)(?: of the month)?(?=\s|$)/i,
+                rule: (m) => ({ freq: 'monthly', interval: 1, byMonthDay: Number(m[1] || m[2]) })
+            },
+            {
+                regex: /(?:^|\s)every (other |\d+ )?(day|week|month|year)s?(?=\s|$)/i,
+                rule: (m) => ({
+                    freq: { day: 'daily', week: 'weekly', month: 'monthly', year: 'yearly' }[m[2].toLowerCase()],
+                    interval: !m[1] ? 1 : (m[1].trim().toLowerCase() === 'other' ? 2 : Number(m[1]))
+                })
+            },
+            {
+                regex: /(?:^|\s)(daily|weekly|monthly|yearly|annually)(?=\s|$)/i,
+                rule: (m) => ({ freq: m[1].toLowerCase() === 'annually' ? 'yearly' : m[1].toLowerCase(), interval: 1 })
+            }
+        ];
+
+        for (const pattern of patterns) {
+            const match = text.match(pattern.regex);
+            if (match) {
+                return { rule: pattern.rule(match), match: match[0] };
+            }
+        }
+        return null;
+    };
+
+    /**
+     * Parse quick-add text into task fields
+     * @param {string} text - Raw input, e.g. "Pay rent tomorrow 9am #bills !high"
+     * @param {Object} options - { locale, now }
+     * @returns {Object} Parsed fields (null where nothing was found)
+     */
+    const parse = (text, options = {}) => {
+        const locale = options.locale || (typeof navigator !== 'undefined' && navigator.language) || 'en-US';
+        const today = startOfDay(options.now || new Date());
+        const localeData = getLocaleData(locale);
+
+        const result = {
+            title: '',
+            deadline: null,
+            dueTime: null,
+            category: null,
+            tags: [],
+            priority: null,
+            recurrence: null,
+            estimateMinutes: null
+        };
+
+        if (typeof text !== 'string') return result;
+
+        let remaining = ` ${text} `;
+        const strip = (match) => {
+            remaining = remaining.replace(match, ' ');
+        };
+
+        // Priority markers: !high, !h, !1, !!!
+        const priorityMatch = remaining.match(/(?:^|\s)(!{1,3}|!(high|h|urgent|medium|med|m|low|l|[123]))(?=\s|$)/i);
+        if (priorityMatch) {
+            result.priority = PRIORITY_MARKERS[(priorityMatch[2] || priorityMatch[1]).toLowerCase()];
+            strip(priorityMatch[0]);
+        }
+
+        // Effort estimate: ~30m, ~1h30m
+        const estimateMatch = remaining.match(/(?:^|\s)~(\S+)(?=\s|$)/);
+        if (estimateMatch && parseDuration(estimateMatch[1])) {
+            result.estimateMinutes = parseDuration(estimateMatch[1]);
+            strip(estimateMatch[0]);
+        }
+
+        // Hashtags: the first is the category, the rest become tags
+        const hashtags = [...remaining.matchAll(/(?:^|\s)#([\p{L}\p{N}_-]+)/gu)];
+        hashtags.forEach((match, index) => {
+            const tag = match[1].toLowerCase();
+            if (index === 0) {
+                result.category = tag;
+            } else if (!result.tags.includes(tag)) {
+                result.tags.push(tag);
+            }
+            strip(match[0]);
+        });
+
+        // Recurrence, with an optional "until <date>" or "N times" end
+        const recurrence = findRecurrence(remaining, localeData);
+        if (recurrence) {
+            strip(recurrence.match);
+            const rule = { ...recurrence.rule };
+
+            const until = findDate(remaining, today, localeData, '(?:until |till )', true);
+            const count = remaining.match(/(?:^|\s)(?:for )?(\d+) times(?=\s|$)/i);
+            if (until) {
+                rule.until = Recurrence.formatDate(until.date);
+                strip(until.match);
+            } else if (count) {
+                rule.count = Number(count[1]);
+                strip(count[0]);
+            }
+
+            result.recurrence = Recurrence.normalize(rule);
+        }
+
+        // Time of day, including the locale's hour word ("9 Uhr", "9h30")
+        const timePatterns = localeData.hourSuffix ? [...TIME_PATTERNS, {
+            regex: new RegExp(`(?:^|\\s)([01]?\\d|2[0-3])(?:[:.]([0-5]\\d))? ?${escapeRegex(localeData.hourSuffix)}(?: ?([0-5]\\d))?(?=\\s|$)`, 'i'),
+            resolve: (m) => formatTime(Number(m[1]), Number(m[2] || m[3] || 0))
+        }] : TIME_PATTERNS;
+        for (const pattern of timePatterns) {
+            const match = remaining.match(pattern.regex);
+            if (match) {
+                const time = pattern.resolve(match);
+                if (time) {
+                    result.dueTime = time;
+                    strip(match[0]);
+                    break;
+                }
+            }
+        }
+
+        // Due date
+        const date = findDate(remaining, today, localeData);
+        if (date) {
+            result.deadline = Recurrence.formatDate(date.date);
+            if (/tonight/i.test(date.match) && !result.dueTime) {
+                result.dueTime = '20:00';
+            }
+            strip(date.match);
+        } else if (result.recurrence) {
+            // Recurring tasks without a date start at their first occurrence
+            result.deadline = Recurrence.next(result.recurrence, Recurrence.formatDate(addDays(today, -1)), {
+                start: Recurrence.formatDate(today)
+            });
+        } else if (result.dueTime) {
+            result.deadline = Recurrence.formatDate(today);
+        }
+
+        result.title = remaining.replace(/\s+/g, ' ').trim();
+
+        return result;
+    };
+
+    /**
+     * Check whether parsing found anything beyond the title
+     * @param {Object} parsed - Result of parse()
+     * @returns {boolean} True if any field was extracted
+     */
+    const hasFields = (parsed) => {
+        return !!(parsed.deadline || parsed.dueTime || parsed.category || parsed.priority ||
+            parsed.recurrence || parsed.estimateMinutes || parsed.tags.length);
+    };
+
+    /**
+     * Render parsed fields as preview chips
+     * @param {Object} parsed - Result of parse()
+     * @returns {string} HTML
+     */
+    const renderPreview = (parsed) => {
+        if (!parsed || !hasFields(parsed)) return '';
+
+        const chip = (icon, label) => `<span class="task-parse-chip"><i class="fas ${icon}"></i> ${SecurityUtils.escapeHtml(label)}</span>`;
+        const chips = [];
+
+        if (parsed.deadline) {
+            const date = Recurrence.parseDate(parsed.deadline);
+            let label = date.toLocaleDateString(undefined, { weekday: 'short', month: 'short', day: 'numeric' });
+            if (parsed.dueTime) {
+                const [hours, minutes] = parsed.dueTime.split(':').map(Number);
+                label += ` ${new Date(2000, 0, 1, hours, minutes).toLocaleTimeString(undefined, { hour: 'numeric', minute: '2-digit' })}`;
+            }
+            chips.push(chip('fa-calendar', label));
+        }
+        if (parsed.recurrence) chips.push(chip('fa-redo', Recurrence.describe(parsed.recurrence)));
+        if (parsed.category) chips.push(chip('fa-folder', parsed.category));
+        if (parsed.priority) chips.push(chip('fa-flag', parsed.priority));
+        if (parsed.estimateMinutes) chips.push(chip('fa-hourglass-half', `~${formatDuration(parsed.estimateMinutes)}`));
+        parsed.tags.forEach(tag => chips.push(chip('fa-tag', tag)));
+
+        return `<span class="task-parse-title">${SecurityUtils.escapeHtml(parsed.title || '(no title)')}</span>${chips.join('')}`;
+    };
+
+    /**
+     * Attach a live preview below an input element
+     * @param {HTMLInputElement} input - Quick-add input
+     * @returns {HTMLElement|null} Preview element
+     */
+    const attachPreview = (input) => {
+        if (!input || input.dataset.parsePreview) return null;
+
+        const preview = document.createElement('div');
+        preview.className = 'task-parse-preview';
+        preview.setAttribute('aria-live', 'polite');
+        input.insertAdjacentElement('afterend', preview);
+        input.dataset.parsePreview = 'true';
+
+        const update = () => {
+            preview.innerHTML = renderPreview(parse(input.value));
+        };
+        input.addEventListener('input', PerformanceUtils.debounce(update, 150));
+        update();
+
+        return preview;
+    };
+
+    // Public API
+    return {
+        parse,
+        parseDuration,
+        formatDuration,
+        hasFields,
+        renderPreview,
+        attachPreview
+    };
+})();
+
+// Export globally
+window.TaskParser = TaskParser;
@@ -0,0 +1,230 @@
+/**
+ * Task Query Language
+ * Small filter syntax for smart lists, e.g. `priority:high due:<7d -tag:waiting category:work`
+ *
+ * - `field:value` terms are ANDed; `field:a,b` matches either value
+ * - a leading `-` negates a term
+ * - `due:` accepts today, tomorrow, overdue, none, a YYYY-MM-DD date or a relative
+ *   offset like 7d / 2w, optionally prefixed by <, <=, >, >=
+ * - anything else is matched against the title and description
+ */
+
+const TaskQuery = (function() {
+    'use strict';
+
+    const FIELD_ALIASES = {
+        priority: 'priority', p: 'priority',
+        category: 'category', cat: 'category',
+        tag: 'tag', tags: 'tag',
+        status: 'status', is: 'status',
+        due: 'due',
+        has: 'has',
+        estimate: 'estimate', est: 'estimate'
+    };
+
+    const STATUS_VALUES = ['open', 'pending', 'done', 'completed', 'blocked', 'actionable', 'recurring', 'subtask', 'overdue', 'tracking'];
+
+    const HAS_VALUES = ['due', 'estimate', 'tags', 'subtasks', 'dependencies', 'description'];
+
+    // Splits on whitespace while keeping "quoted values" together
+    const TOKEN_PATTERN = /(-?)(?:([a-z]+):)?(?:"([^"]*)"|(\S+))/gi;
+
+    const COMPARISON_PATTERN = /^(<=|>=|<|>|=)?(.*)$/;
+
+    const startOfToday = (now) => new Date(now.getFullYear(), now.getMonth(), now.getDate());
+
+    const addDays = (date, days) => new Date(date.getFullYear(), date.getMonth(), date.getDate() + days);
+
+    /**
+     * Resolve a due value to a local date
+     * @param {string} value - today, tomorrow, yesterday, YYYY-MM-DD, 7d, 2w
+     * @param {Date} now - Reference time
+     * @returns {Date|null} Date at midnight
+     */
+    const resolveDate = (value, now) => {
+        const today = startOfToday(now);
+        if (value === 'today') return today;
+        if (value === 'tomorrow') return addDays(today, 1);
+        if (value === 'yesterday') return addDays(today, -1);
+
+        const relative = value.match(/^(-?\d+)([dw])$/);
+        if (relative) {
+            const amount = parseInt(relative[1], 10);
+            return addDays(today, relative[2] === 'w' ? amount * 7 : amount);
+        }
+
+        return /^\d{4}-\d{2}-\d{2}$/.test(value) ? Recurrence.parseDate(value) : null;
+    };
+
+    /**
+     * Parse a query string into terms
+     * @param {string} query - Query text
+     * @returns {Object} { terms: [{field, op, values, negate}], text: [], errors: [] }
+     */
+    const parse = (query) => {
+        const result = { terms: [], text: [], errors: [] };
+        if (!query || typeof query !== 'string') return result;
+
+        TOKEN_PATTERN.lastIndex = 0;
+        let match;
+        while ((match = TOKEN_PATTERN.exec(query)) !== null) {
+            const negate = match[1] === '-';
+            const rawField = (match[2] || '').toLowerCase();
+            const rawValue = (match[3] !== undefined ? match[3] : match[4]).toLowerCase();
+            const field = FIELD_ALIASES[rawField];
+
+            if (!rawField) {
+                result.text.push({ value: rawValue, negate });
+                continue;
+            }
+
+            if (!field) {
+                result.errors.push(`Unknown field "${rawField}"`);
+                continue;
+            }
+
+            const [, op, value] = rawValue.match(COMPARISON_PATTERN);
+            const values = value.split(',').map(v => v.trim()).filter(Boolean);
+
+            if (values.length === 0) {
+                result.errors.push(`Missing value for "${rawField}"`);
+                continue;
+            }
+
+            if (field === 'status' && values.some(v => !STATUS_VALUES.includes(v))) {
+                result.errors.push(`Unknown status "${values.find(v => !STATUS_VALUES.includes(v))}"`);
+                continue;
+            }
+            if (field === 'has' && values.some(v => !HAS_VALUES.includes(v))) {
+                result.errors.push(`Unknown has: value "${values.find(v => !HAS_VALUES.includes(v))}"`);
+                continue;
+            }
+            if (field === 'estimate' && !TaskParser.parseDuration(values[0])) {
+                result.errors.push(`Invalid estimate "${values[0]}"`);
+                continue;
+            }
+            if (field === 'due' && op && !resolveDate(values[0], new Date())) {
+                result.errors.push(`Invalid date "${values[0]}"`);
+                continue;
+            }
+
+            result.terms.push({ field, op: op || '=', values, negate });
+        }
+
+        return result;
+    };
+
+    const compare = (a, op, b) => {
+        switch (op) {
+            case '<': return a < b;
+            case '<=': return a <= b;
+            case '>': return a > b;
+            case '>=': return a >= b;
+            default: return a === b;
+        }
+    };
+
+    const matchesDue = (task, op, value, now) => {
+        const due = Recurrence.parseDate(task.deadline || task.dueDate);
+
+        if (value === 'none') return !due;
+        if (!due) return false;
+        if (value === 'overdue') return !task.completed && due < startOfToday(now);
+
+        const target = resolveDate(value, now);
+        if (!target) return false;
+
+        // A bare relative offset like `due:7d` means "within the next 7 days"
+        if (op === '=' && /^\d+[dw]$/.test(value)) {
+            return due >= startOfToday(now) && due <= target;
+        }
+        return compare(due.getTime(), op, target.getTime());
+    };
+
+    const matchesStatus = (task, value, context, now) => {
+        switch (value) {
+            case 'open':
+            case 'pending': return !task.completed;
+            case 'done':
+            case 'completed': return !!task.completed;
+            case 'blocked': return !!context.isBlocked?.(task);
+            case 'actionable': return !task.completed && !context.isBlocked?.(task);
+            case 'recurring': return !!task.seriesId;
+            case 'subtask': return !!task.parentId;
+            case 'overdue': return matchesDue(task, '=', 'overdue', now);
+            case 'tracking': return !!task.timerStartedAt;
+            default: return false;
+        }
+    };
+
+    const matchesHas = (task, value, context) => {
+        switch (value) {
+            case 'due': return !!(task.deadline || task.dueDate);
+            case 'estimate': return !!task.estimateMinutes;
+            case 'tags': return (task.tags || []).length > 0;
+            case 'subtasks': return !!context.hasChildren?.(task);
+            case 'dependencies': return (task.blockedBy || []).length > 0;
+            case 'description': return !!(task.description || task.notes);
+            default: return false;
+        }
+    };
+
+    const matchesValue = (task, term, value, context, now) => {
+        switch (term.field) {
+            case 'priority': return (task.priority || 'medium') === value;
+            case 'category': return (task.category || 'general').toLowerCase() === value;
+            case 'tag': return (task.tags || []).some(tag => tag.toLowerCase() === value.replace(/^#/, ''));
+            case 'status': return matchesStatus(task, value, context, now);
+            case 'has': return matchesHas(task, value, context);
+            case 'due': return matchesDue(task, term.op, value, now);
+            case 'estimate':
+                return !!task.estimateMinutes && compare(task.estimateMinutes, term.op, TaskParser.parseDuration(value));
+            default: return false;
+        }
+    };
+
+    /**
+     * Test a task against a parsed query
+     * @param {Object} task - Task
+     * @param {Object} parsed - Result of parse()
+     * @param {Object} context - { isBlocked(task), hasChildren(task), now }
+     * @returns {boolean} Whether the task matches
+     */
+    const matches = (task, parsed, context = {}) => {
+        const now = context.now || new Date();
+
+        const termsMatch = parsed.terms.every(term => {
+            const hit = term.values.some(value => matchesValue(task, term, value, context, now));
+            return term.negate ? !hit : hit;
+        });
+        if (!termsMatch) return false;
+
+        const haystack = `${task.title || ''} ${task.description || task.notes || ''}`.toLowerCase();
+        return parsed.text.every(({ value, negate }) => haystack.includes(value) !== negate);
+    };
+
+    /**
+     * Filter tasks with a query string
+     * @param {Array} tasks - Tasks
+     * @param {string} query - Query text
+     * @param {Object} context - See matches()
+     * @returns {Array} Matching tasks
+     */
+    const filter = (tasks, query, context = {}) => {
+        const parsed = parse(query);
+        if (parsed.terms.length === 0 && parsed.text.length === 0) return tasks;
+        return tasks.filter(task => matches(task, parsed, context));
+    };
+
+    // Public API
+    return {
+        STATUS_VALUES,
+        HAS_VALUES,
+        parse,
+        matches,
+        filter
+    };
+})();
+
+// Export globally
+window.TaskQuery = TaskQuery;
@@ -0,0 +1,161 @@
+/**
+ * TOTP
+ * RFC 6238 time-based one-time passwords (HMAC-SHA1, 30 s steps, 6 digits)
+ * and one-time recovery codes, computed locally with WebCrypto
+ */
+
+const TOTP = (function() {
+    'use strict';
+
+    const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+    const SECRET_BYTES = 20;
+    const STEP_SECONDS = 30;
+    const DIGITS = 6;
+    // Steps either side of now that are accepted, for clock drift
+    const DRIFT_STEPS = 1;
+    const RECOVERY_CODE_COUNT = 10;
+
+    const encoder = new TextEncoder();
+
+    const base32Encode = (bytes) => {
+        let bits = 0;
+        let value = 0;
+        let output = '';
+
+        bytes.forEach(byte => {
+            value = (value << 8) | byte;
+            bits += 8;
+            while (bits >= 5) {
+                output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+                bits -= 5;
+            }
+        });
+        if (bits > 0) {
+            output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+        }
+        return output;
+    };
+
+    const base32Decode = (input) => {
+        const clean = input.toUpperCase().replace(/[\s=-]/g, '');
+        const bytes = [];
+        let bits = 0;
+        let value = 0;
+
+        for (const char of clean) {
+            const index = BASE32_ALPHABET.indexOf(char);
+            if (index === -1) throw new Error('Invalid base32 secret');
+            value = (value << 5) | index;
+            bits += 5;
+            if (bits >= 8) {
+                bytes.push((value >>> (bits - 8)) & 255);
+                bits -= 8;
+            }
+        }
+        return new Uint8Array(bytes);
+    };
+
+    /**
+     * Create a random shared secret
+     * @returns {string} Base32 secret
+     */
+    const generateSecret = () => base32Encode(crypto.getRandomValues(new Uint8Array(SECRET_BYTES)));
+
+    const getStep = (time = Date.now()) => Math.floor(time / 1000 / STEP_SECONDS);
+
+    /**
+     * Compute the code for a time step (RFC 4226 HOTP over the step counter)
+     * @param {string} secret - Base32 secret
+     * @param {number} step - Time step
+     * @returns {Promise<string>} Zero-padded code
+     */
+    const generateForStep = async (secret, step) => {
+        const key = await crypto.subtle.importKey('raw', base32Decode(secret), { name: 'HMAC', hash: 'SHA-1' }, false, ['sign']);
+
+        const counter = new ArrayBuffer(8);
+        const view = new DataView(counter);
+        view.setUint32(0, Math.floor(step / 0x100000000));
+        view.setUint32(4, step >>> 0);
+
+        const hmac = new Uint8Array(await crypto.subtle.sign('HMAC', key, counter));
+        const offset = hmac[hmac.length - 1] & 0x0f;
+        const binary = ((hmac[offset] & 0x7f) << 24)
+            | (hmac[offset + 1] << 16)
+            | (hmac[offset + 2] << 8)
+            | hmac[offset + 3];
+
+        return String(binary % Math.pow(10, DIGITS)).padStart(DIGITS, '0');
+    };
+
+    const generate = (secret, time = Date.now()) => generateForStep(secret, getStep(time));
+
+    /**
+     * Check a code against the current time window
+     * @param {string} secret - Base32 secret
+     * @param {string} code - Code entered by the user
+     * @param {Object} options - { time, afterStep: reject steps at or before this one (replay) }
+     * @returns {Promise<number|null>} Matching step, or null
+     */
+    const verify = async (secret, code, { time = Date.now(), afterStep = -1 } = {}) => {
+        const normalized = String(code).replace(/\s/g, '');
+        if (!new RegExp(`^\\d{${DIGITS}}$`).test(normalized)) return null;
+
+        const current = getStep(time);
+        for (let step = current - DRIFT_STEPS; step <= current + DRIFT_STEPS; step++) {
+            if (step <= afterStep) continue;
+            if ((await generateForStep(secret, step)) === normalized) return step;
+        }
+        return null;
+    };
+
+    /**
+     * Build the otpauth:// URI authenticator apps read from a QR code
+     * @param {string} secret - Base32 secret
+     * @param {string} account - Account label (email)
+     * @param {string} issuer - Issuer name
+     * @returns {string} URI
+     */
+    const getOtpauthUri = (secret, account, issuer = 'LifeOS') => {
+        const label = encodeURIComponent(`${issuer}:${account}`);
+        const params = new URLSearchParams({ secret, issuer, algorithm: 'SHA1', digits: DIGITS, period: STEP_SECONDS });
+        return `otpauth://totp/${label}?${params}`;
+    };
+
+    /**
+     * Create one-time recovery codes
+     * @param {number} count - Number of codes
+     * @returns {Array<string>} Codes formatted as xxxxx-xxxxx
+     */
+    const generateRecoveryCodes = (count = RECOVERY_CODE_COUNT) => Array.from({ length: count }, () => {
+        const code = base32Encode(crypto.getRandomValues(new Uint8Array(7))).slice(0, 10).toLowerCase();
+        return `${code.slice(0, 5)}-${code.slice(5)}`;
+    });
+
+    /**
+     * Hash a recovery code for storage; codes are random, so a plain SHA-256 suffices
+     * @param {string} code - Recovery code
+     * @returns {Promise<string>} Hex digest
+     */
+    const hashRecoveryCode = async (code) => {
+        const normalized = code.toLowerCase().replace(/[^a-z2-7]/g, '');
+        const digest = await crypto.subtle.digest('SHA-256', encoder.encode(normalized));
+        return [...new Uint8Array(digest)].map(byte => byte.toString(16).padStart(2, '0')).join('');
+    };
+
+    // Public API
+    return {
+        DIGITS,
+        generateSecret,
+        generate,
+        verify,
+        getStep,
+        getOtpauthUri,
+        generateRecoveryCodes,
+        hashRecoveryCode,
+        base32Encode,
+        base32Decode
+    };
+})();
+
+// Export globally
+window.TOTP = TOTP;
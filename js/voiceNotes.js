@@ -14,7 +14,6 @@ const VoiceNotes = {
         this.loadNotes();
         this.renderVoiceNotesDashboard();
         this.setupEventListeners();
-        this.checkPermissions();
     },
 
     // Load voice notes from storage
@@ -183,12 +182,16 @@ const VoiceNotes = {
 
     // Delete voice note
     deleteNote(noteId) {
-        if (!confirm('Delete this voice note?')) return;
+        if (!confirm('Move this voice note to the trash?')) return;
 
+        const index = this.notes.findIndex(note => note.id === noteId);
+        if (index !== -1) {
+            TrashBin.add('voiceNotes', this.notes[index], { index });
+        }
         this.notes = this.notes.filter(note => note.id !== noteId);
         this.saveNotes();
         this.renderVoiceNotesDashboard();
-        this.showNotification('Voice note deleted', 'info');
+        this.showNotification('Voice note moved to trash', 'info');
     },
 
     // Toggle favorite
@@ -249,6 +252,22 @@ const VoiceNotes = {
         }
     },
 
+    // Voice Notes page; the dashboard draws into its container
+    render() {
+        const pageContent = document.getElementById('pageContent');
+        if (!pageContent) return;
+        pageContent.innerHTML = `
+            <div class="page-header">
+                <h2><i class="fas fa-microphone"></i> Voice Notes</h2>
+            </div>
+            <div id="voiceNotesContent"></div>
+        `;
+        // Ask for the microphone when the page first opens rather than at startup
+        if (this.hasPermission === undefined) this.checkPermissions();
+        this.loadNotes();
+        this.renderVoiceNotesDashboard();
+    },
+
     // Render voice notes dashboard
     renderVoiceNotesDashboard() {
         const container = document.getElementById('voiceNotesContent');
@@ -403,3 +422,5 @@ const VoiceNotes = {
 
 // Make globally available
 window.VoiceNotes = VoiceNotes;
+
+document.addEventListener('DOMContentLoaded', () => DataManager.ready.then(() => VoiceNotes.init()));
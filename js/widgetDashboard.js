@@ -22,18 +22,33 @@ const WidgetDashboard = {
     // Current layout
     layout: [],
     
+    // Storage keys the widgets read; a change to any of them re-renders the dashboard
+    WATCHED_KEYS: [
+        'lifeos_tasks',
+        'lifeos_habits',
+        'lifeos_moods',
+        'lifeos_water',
+        'lifeos_expenses',
+        'lifeos_user_name',
+        'lifeos_gamification_stats',
+        'lifeos_unlocked_achievements'
+    ],
+    
+    renderScheduled: false,
+    
     // Initialize dashboard
     init() {
         this.loadLayout();
         this.renderDashboard();
-        this.startAutoRefresh();
+        this.subscribeToChanges();
+        this.scheduleHourlyRefresh();
     },
     
     // Load layout from storage
     loadLayout() {
-        const stored = localStorage.getItem('lifeos_dashboard_layout');
+        const stored = DataManager.get('lifeos_dashboard_layout');
         if (stored) {
-            this.layout = JSON.parse(stored);
+            this.layout = stored;
         } else {
             // Default layout
             this.layout = [
@@ -57,7 +72,7 @@ const WidgetDashboard = {
     
     // Save layout to storage
     saveLayout() {
-        localStorage.setItem('lifeos_dashboard_layout', JSON.stringify(this.layout));
+        DataManager.set('lifeos_dashboard_layout', this.layout);
     },
     
     // Render dashboard
@@ -143,7 +158,7 @@ const WidgetDashboard = {
         else if (hour < 17) greeting = 'Good Afternoon';
         else greeting = 'Good Evening';
         
-        const name = localStorage.getItem('lifeos_user_name') || 'User';
+        const name = DataManager.get('lifeos_user_name') || 'User';
         
         return `
             <div class="widget-header">
@@ -168,11 +183,11 @@ const WidgetDashboard = {
     
     // Quick Stats Widget
     renderQuickStatsWidget() {
-        const tasks = JSON.parse(localStorage.getItem('lifeos_tasks') || '[]');
+        const tasks = DataManager.get('lifeos_tasks', []);
         const completed = tasks.filter(t => t.completed).length;
         const pending = tasks.filter(t => !t.completed).length;
         
-        const habits = JSON.parse(localStorage.getItem('lifeos_habits') || '[]');
+        const habits = DataManager.get('lifeos_habits', []);
         const today = new Date().toDateString();
         const habitsDone = habits.filter(h => h.completedDates && h.completedDates.includes(today)).length;
         
@@ -208,9 +223,10 @@ const WidgetDashboard = {
     
     // Tasks Widget
     renderTasksWidget() {
-        const tasks = JSON.parse(localStorage.getItem('lifeos_tasks') || '[]');
+        const tasks = DataManager.get('lifeos_tasks', []);
         const today = new Date().toDateString();
-        const todayTasks = tasks.filter(t => !t.completed && new Date(t.dueDate).toDateString() === today);
+        // Deadlines are local calendar dates; new Date('YYYY-MM-DD') would read them as UTC
+        const todayTasks = tasks.filter(t => !t.completed && t.deadline && Recurrence.parseDate(t.deadline)?.toDateString() === today);
         
         return `
             <div class="widget-header">
@@ -220,21 +236,24 @@ const WidgetDashboard = {
             </div>
             <div class="widget-content" style="max-height: 200px; overflow-y: auto;">
                 ${todayTasks.length === 0 ? '<p style="text-align: center; color: var(--text-tertiary);">No tasks for today!</p>' : ''}
-                ${todayTasks.slice(0, 5).map(task => `
-                    <div class="task-item" onclick="Tasks.toggleComplete(${task.id})" 
+                ${todayTasks.slice(0, 5).map(task => {
+                    const taskId = SecurityUtils.escapeJsString(task.id);
+                    return `
+                    <div class="task-item" onclick="TaskManager.toggleTask(${taskId})" 
                         style="display: flex; align-items: center; gap: 0.5rem; padding: 0.5rem; 
                         background: var(--bg-secondary); border-radius: 8px; margin-bottom: 0.5rem; cursor: pointer;">
                         <input type="checkbox" ${task.completed ? 'checked' : ''} 
-                            onchange="event.stopPropagation(); Tasks.toggleComplete(${task.id})"
+                            onclick="event.stopPropagation()" onchange="TaskManager.toggleTask(${taskId})"
                             style="accent-color: var(--accent-primary);">
                         <span style="${task.completed ? 'text-decoration: line-through; opacity: 0.5;' : ''} flex: 1;">
-                            ${task.title}
+                            ${SecurityUtils.escapeHtml(task.title)}
                         </span>
                         <span class="priority-${task.priority || 'low'}" style="font-size: 0.7rem; padding: 0.1rem 0.4rem; border-radius: 4px;">
                             ${task.priority || 'low'}
                         </span>
                     </div>
-                `).join('')}
+                `;
+                }).join('')}
                 ${todayTasks.length > 5 ? `<p style="text-align: center; color: var(--text-tertiary); font-size: 0.8rem;">+${todayTasks.length - 5} more</p>` : ''}
             </div>
         `;
@@ -242,7 +261,7 @@ const WidgetDashboard = {
     
     // Habits Widget
     renderHabitsWidget() {
-        const habits = JSON.parse(localStorage.getItem('lifeos_habits') || '[]');
+        const habits = DataManager.get('lifeos_habits', []);
         const today = new Date().toDateString();
         
         return `
@@ -302,7 +321,7 @@ const WidgetDashboard = {
     
     // Mood Widget
     renderMoodWidget() {
-        const moods = JSON.parse(localStorage.getItem('lifeos_moods') || '[]');
+        const moods = DataManager.get('lifeos_moods', []);
         const recentMood = moods.length > 0 ? moods[moods.length - 1] : null;
         
         const moodEmoji = ['', '😢', '😕', '😐', '🙂', '😊', '😄', '😁', '🤩', '🥳', '🔥'];
@@ -329,7 +348,7 @@ const WidgetDashboard = {
     
     // Water Widget
     renderWaterWidget() {
-        const water = JSON.parse(localStorage.getItem('lifeos_water') || '[]');
+        const water = DataManager.get('lifeos_water', []);
         const today = new Date().toDateString();
         const todayWater = water.filter(w => new Date(w.timestamp).toDateString() === today);
         const glasses = todayWater.length;
@@ -356,7 +375,7 @@ const WidgetDashboard = {
     
     // Expenses Widget
     renderExpensesWidget() {
-        const expenses = JSON.parse(localStorage.getItem('lifeos_expenses') || '[]');
+        const expenses = DataManager.get('lifeos_expenses', []);
         const thisMonth = expenses.filter(e => {
             const date = new Date(e.date);
             const now = new Date();
@@ -432,10 +451,12 @@ const WidgetDashboard = {
     
     // Upcoming Widget
     renderUpcomingWidget() {
-        const tasks = JSON.parse(localStorage.getItem('lifeos_tasks') || '[]');
+        const tasks = DataManager.get('lifeos_tasks', []);
         const now = new Date();
-        const upcoming = tasks.filter(t => !t.completed && new Date(t.dueDate) > now)
-            .sort((a, b) => new Date(a.dueDate) - new Date(b.dueDate))
+        const today = new Date(now.getFullYear(), now.getMonth(), now.getDate());
+        const upcoming = tasks
+            .filter(t => !t.completed && t.deadline && Recurrence.parseDate(t.deadline) >= today)
+            .sort((a, b) => Recurrence.parseDate(a.deadline) - Recurrence.parseDate(b.deadline))
             .slice(0, 4);
         
         return `
@@ -446,13 +467,14 @@ const WidgetDashboard = {
             <div class="widget-content">
                 ${upcoming.length === 0 ? '<p style="text-align: center; color: var(--text-tertiary);">No upcoming tasks</p>' : ''}
                 ${upcoming.map(task => {
-                    const due = new Date(task.dueDate);
-                    const days = Math.ceil((due - now) / (1000 * 60 * 60 * 24));
+                    const due = Recurrence.parseDate(task.deadline);
+                    // Rounded so a daylight-saving shift between the two midnights does not skew the count
+                    const days = Math.round((due - today) / (1000 * 60 * 60 * 24));
                     return `
                         <div style="display: flex; justify-content: space-between; padding: 0.4rem; 
                             background: var(--bg-secondary); border-radius: 6px; margin-bottom: 0.4rem; font-size: 0.85rem;">
                             <span style="flex: 1; overflow: hidden; text-overflow: ellipsis; white-space: nowrap;">
-                                ${task.title}
+                                ${SecurityUtils.escapeHtml(task.title)}
                             </span>
                             <span style="color: ${days <= 1 ? '#ef4444' : days <= 3 ? '#f59e0b' : 'var(--text-tertiary)'};">
                                 ${days === 0 ? 'Today' : days === 1 ? 'Tomorrow' : `${days}d`}
@@ -614,12 +636,31 @@ const WidgetDashboard = {
         NotificationSystem.show('Dashboard updated!', 'success');
     },
     
-    // Start auto refresh
-    startAutoRefresh() {
-        // Refresh every minute
-        setInterval(() => {
+    // Re-render when data behind a widget changes
+    subscribeToChanges() {
+        DataManager.subscribe(this.WATCHED_KEYS, () => this.scheduleRender());
+    },
+    
+    // Batch operations save several keys in a row; render once afterwards
+    scheduleRender() {
+        if (this.renderScheduled) return;
+        this.renderScheduled = true;
+        
+        setTimeout(() => {
+            this.renderScheduled = false;
+            this.renderDashboard();
+        }, 0);
+    },
+    
+    // The greeting and "today" widgets depend on the clock, not on stored data
+    scheduleHourlyRefresh() {
+        const nextHour = new Date();
+        nextHour.setHours(nextHour.getHours() + 1, 0, 0, 0);
+        
+        setTimeout(() => {
             this.renderDashboard();
-        }, 60000);
+            this.scheduleHourlyRefresh();
+        }, nextHour - new Date());
     }
 };
 
@@ -0,0 +1,285 @@
+#!/usr/bin/env node
+/**
+ * Reference Sync Server
+ * A small REST server that receives the operations the service worker replays
+ * from its offline queue, so sync can be tried locally. No dependencies.
+ *
+ *   node server/syncServer.js [--port 8787] [--data ./lifeos-sync.json]
+ *   SYNC_API_KEY=secret node server/syncServer.js   (require "Authorization: Bearer secret")
+ *
+ * Routes, under /api/sync:
+ *   GET    /profiles/:profile                            { keys, tombstones } stored for a profile
+ *   PUT    /profiles/:profile/keys/:key                  { value, updatedAt }
+ *   DELETE /profiles/:profile/keys/:key                  { updatedAt }
+ *   PUT    /profiles/:profile/keys/:key/records/:id      { record, updatedAt }
+ *   DELETE /profiles/:profile/keys/:key/records/:id      { updatedAt, tombstone? }
+ *
+ * A write older than what is stored is ignored, so replays converge whatever
+ * order they arrive in. Deletes keep a tombstone for the same reason, for as long
+ * as the app keeps its own (TOMBSTONE_TTL_MS). Record
+ * tombstones sent by the app (its merge metadata) are handed back on GET, so
+ * other devices can merge the delete; the server never interprets them.
+ */
+
+'use strict';
+
+const fs = require('fs');
+const http = require('http');
+const path = require('path');
+
+const BASE_PATH = '/api/sync';
+const MAX_BODY_BYTES = 5 * 1024 * 1024;
+// Deletes older than this are forgotten, as the app forgets its tombstones
+const TOMBSTONE_TTL_MS = 90 * 24 * 60 * 60 * 1000;
+
+class HttpError extends Error {
+    constructor(status, message) {
+        super(message);
+        this.status = status;
+    }
+}
+
+const parseArgs = (argv) => {
+    const options = {
+        port: parseInt(process.env.PORT, 10) || 8787,
+        dataFile: process.env.SYNC_DATA_FILE || path.join(process.cwd(), 'lifeos-sync.json'),
+        apiKey: process.env.SYNC_API_KEY || ''
+    };
+    for (let i = 0; i < argv.length; i++) {
+        if (argv[i] === '--port') options.port = parseInt(argv[++i], 10);
+        else if (argv[i] === '--data') options.dataFile = path.resolve(argv[++i]);
+    }
+    return options;
+};
+
+// Maps keyed by client-chosen names (profiles, keys, record ids) have no prototype,
+// so names such as "__proto__" or "constructor" are ordinary entries
+const dict = (entries = {}) => Object.assign(Object.create(null), entries);
+
+const loadData = (stored) => {
+    const profiles = dict();
+    Object.entries(stored.profiles || {}).forEach(([profile, { keys }]) => {
+        const profileKeys = dict();
+        Object.entries(keys || {}).forEach(([key, entry]) => {
+            profileKeys[key] = { ...entry, records: dict(entry.records) };
+        });
+        profiles[profile] = { keys: profileKeys };
+    });
+    return { profiles };
+};
+
+/**
+ * JSON file store; every write replaces the file atomically
+ * @param {string} file - Path of the JSON file
+ */
+const createStore = (file) => {
+    let data = { profiles: dict() };
+    if (fs.existsSync(file)) {
+        data = loadData(JSON.parse(fs.readFileSync(file, 'utf8')));
+    }
+
+    const save = () => {
+        const temp = `${file}.tmp`;
+        fs.writeFileSync(temp, JSON.stringify(data, null, 2));
+        fs.renameSync(temp, file);
+    };
+
+    const keyEntry = (profile, key) => {
+        const keys = (data.profiles[profile] = data.profiles[profile] || { keys: dict() }).keys;
+        return (keys[key] = keys[key] || { records: dict() });
+    };
+
+    const isStale = (existing, updatedAt) => !!existing && Date.parse(existing.updatedAt) > Date.parse(updatedAt);
+
+    const isExpired = (item, cutoff) => !!item && item.deleted && Date.parse(item.updatedAt) < cutoff;
+
+    // Drop deletes of a key that are past TOMBSTONE_TTL_MS
+    const pruneDeleted = (entry) => {
+        const cutoff = Date.now() - TOMBSTONE_TTL_MS;
+        if (isExpired(entry.value, cutoff)) delete entry.value;
+        Object.keys(entry.records).forEach(id => {
+            if (isExpired(entry.records[id], cutoff)) delete entry.records[id];
+        });
+    };
+
+    return {
+        // Values as the app stores them: record lists become arrays again
+        getProfile(profile) {
+            const stored = data.profiles[profile];
+            if (!stored) return null;
+
+            const keys = dict();
+            const tombstones = dict();
+            Object.entries(stored.keys).forEach(([key, entry]) => {
+                const records = Object.values(entry.records).filter(item => !item.deleted).map(item => item.record);
+                if (records.length > 0) {
+                    keys[key] = records;
+                } else if (entry.value && !entry.value.deleted) {
+                    keys[key] = entry.value.value;
+                }
+
+                Object.entries(entry.records).forEach(([id, item]) => {
+                    if (item.deleted && item.tombstone) {
+                        (tombstones[key] = tombstones[key] || dict())[id] = item.tombstone;
+                    }
+                });
+            });
+            return { keys, tombstones };
+        },
+
+        /** @returns {boolean} False when a newer write was already stored */
+        putValue(profile, key, value, updatedAt) {
+            const entry = keyEntry(profile, key);
+            if (isStale(entry.value, updatedAt)) return false;
+
+            entry.value = { value, updatedAt, deleted: value === null };
+            // A whole value replaces records sent individually before it
+            Object.keys(entry.records).forEach(id => {
+                if (!isStale(entry.records[id], updatedAt)) delete entry.records[id];
+            });
+            pruneDeleted(entry);
+            save();
+            return true;
+        },
+
+        putRecord(profile, key, id, record, updatedAt, tombstone = null) {
+            const entry = keyEntry(profile, key);
+            if (isStale(entry.records[id], updatedAt) || isStale(entry.value, updatedAt)) return false;
+
+            entry.records[id] = { record, updatedAt, deleted: record === null };
+            if (record === null && tombstone) entry.records[id].tombstone = tombstone;
+            pruneDeleted(entry);
+            save();
+            return true;
+        }
+    };
+};
+
+const readJson = (request) => new Promise((resolve, reject) => {
+    const chunks = [];
+    let size = 0;
+
+    request.on('data', chunk => {
+        size += chunk.length;
+        if (size > MAX_BODY_BYTES) {
+            reject(new HttpError(413, 'Request body too large'));
+            request.destroy();
+            return;
+        }
+        chunks.push(chunk);
+    });
+    request.on('end', () => {
+        if (chunks.length === 0) {
+            resolve({});
+            return;
+        }
+        try {
+            resolve(JSON.parse(Buffer.concat(chunks).toString('utf8')));
+        } catch (e) {
+            reject(new HttpError(400, 'Invalid JSON'));
+        }
+    });
+    request.on('error', reject);
+});
+
+const send = (response, status, body) => {
+    response.writeHead(status, { 'Content-Type': 'application/json' });
+    response.end(JSON.stringify(body));
+};
+
+const validTimestamp = (updatedAt) => {
+    if (!updatedAt || Number.isNaN(Date.parse(updatedAt))) {
+        throw new HttpError(400, 'updatedAt must be an ISO date');
+    }
+    return updatedAt;
+};
+
+// decodeURIComponent throws URIError on a stray "%"
+const decodeSegment = (segment) => {
+    try {
+        return decodeURIComponent(segment);
+    } catch (error) {
+        throw new HttpError(400, 'Malformed path');
+    }
+};
+
+/**
+ * Route one request
+ * @returns {Promise<Array>} [status, body]
+ */
+const route = async (store, request, url) => {
+    if (!url.pathname.startsWith(`${BASE_PATH}/profiles/`)) throw new HttpError(404, 'Not found');
+
+    const parts = url.pathname.slice(BASE_PATH.length + 1).split('/').map(decodeSegment);
+    const [, profile, keysSegment, key, recordsSegment, id] = parts;
+    const method = request.method;
+
+    if (parts.length === 2) {
+        if (method !== 'GET') throw new HttpError(405, 'Method not allowed');
+        const stored = store.getProfile(profile);
+        if (!stored) throw new HttpError(404, 'Unknown profile');
+        return [200, { profile, ...stored }];
+    }
+
+    const isKey = parts.length === 4 && keysSegment === 'keys';
+    const isRecord = parts.length === 6 && keysSegment === 'keys' && recordsSegment === 'records';
+    if (!isKey && !isRecord) throw new HttpError(404, 'Not found');
+    if (method !== 'PUT' && method !== 'DELETE') throw new HttpError(405, 'Method not allowed');
+
+    const body = await readJson(request);
+    const updatedAt = validTimestamp(body.updatedAt);
+    const removing = method === 'DELETE';
+
+    if (isKey) {
+        if (!removing && !('value' in body)) throw new HttpError(400, 'value is required');
+        const applied = store.putValue(profile, key, removing ? null : body.value, updatedAt);
+        return [200, { applied }];
+    }
+
+    if (!removing && (!body.record || typeof body.record !== 'object')) throw new HttpError(400, 'record is required');
+    const tombstone = removing && body.tombstone && typeof body.tombstone === 'object' ? body.tombstone : null;
+    const applied = store.putRecord(profile, key, id, removing ? null : body.record, updatedAt, tombstone);
+    return [200, { applied }];
+};
+
+const createServer = ({ dataFile, apiKey }) => {
+    const store = createStore(dataFile);
+
+    return http.createServer(async (request, response) => {
+        // The app is served from another origin
+        response.setHeader('Access-Control-Allow-Origin', '*');
+        response.setHeader('Access-Control-Allow-Methods', 'GET, PUT, DELETE, OPTIONS');
+        response.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization');
+
+        if (request.method === 'OPTIONS') {
+            response.writeHead(204);
+            response.end();
+            return;
+        }
+
+        try {
+            if (apiKey && request.headers.authorization !== `Bearer ${apiKey}`) {
+                throw new HttpError(401, 'Invalid API key');
+            }
+
+            const url = new URL(request.url, `http://${request.headers.host || 'localhost'}`);
+            const [status, body] = await route(store, request, url);
+            send(response, status, body);
+            console.log(`${request.method} ${url.pathname} ${status}`);
+        } catch (error) {
+            const status = error instanceof HttpError ? error.status : 500;
+            if (status === 500) console.error(error);
+            send(response, status, { error: error.message });
+            console.log(`${request.method} ${request.url} ${status}`);
+        }
+    });
+};
+
+if (require.main === module) {
+    const options = parseArgs(process.argv.slice(2));
+    createServer(options).listen(options.port, () => {
+        console.log(`LifeOS sync server on http://localhost:${options.port}${BASE_PATH} (data: ${options.dataFile})`);
+    });
+}
+
+module.exports = { createServer, createStore };
@@ -1,31 +1,78 @@
 // ===== sw.js - Service Worker for PWA =====
 // Progressive Web App Service Worker with enhanced offline support
 
-const CACHE_NAME = 'lifeos-v1';
-const STATIC_CACHE = 'lifeos-static-v1';
-const DYNAMIC_CACHE = 'lifeos-dynamic-v1';
+// Bump the versions when app files change so activate drops the old caches
+const CACHE_NAME = 'lifeos-v2';
+const STATIC_CACHE = 'lifeos-static-v2';
+const DYNAMIC_CACHE = 'lifeos-dynamic-v2';
 const MEDIA_CACHE = 'lifeos-media-v1';
 const API_CACHE = 'lifeos-api-v1';
 const CACHE_MAX_AGE = 7 * 24 * 60 * 60 * 1000; // 7 days in milliseconds
 
-// Assets to cache on install
+// Offline queue replay: failed operations are retried with exponential backoff
+const SYNC_RETRY_BASE_MS = 5000;
+const SYNC_RETRY_MAX_MS = 60 * 60 * 1000; // 1 hour
+const SYNC_MAX_ATTEMPTS = 10;
+
+// Assets to cache on install, in index.html load order; addAll fails as a whole if any is missing
 const STATIC_ASSETS = [
     '/',
     '/index.html',
-    '/offline.html',
+    '/manifest.json',
     '/css/styles.css',
-    '/css/offline.css',
+    '/js/utils/security.js',
+    '/js/utils/idbStore.js',
+    '/js/utils/tabSync.js',
+    '/js/utils/cryptoVault.js',
+    '/js/utils/crdt.js',
+    '/js/utils/jsonSchema.js',
+    '/js/utils/dataManager.js',
+    '/js/utils/notifications.js',
+    '/js/utils/modal.js',
+    '/js/utils/performance.js',
     '/js/app.js',
+    '/js/utils/history.js',
+    '/js/utils/recurrence.js',
+    '/js/utils/taskParser.js',
+    '/js/utils/taskQuery.js',
+    '/js/utils/totp.js',
+    '/js/auth.js',
+    '/js/twoFactorAuth.js',
+    '/js/recoveryKit.js',
+    '/js/sessionLock.js',
+    '/js/encryptionManager.js',
+    '/js/syncManager.js',
+    '/js/conflictResolver.js',
+    '/js/tasks.js',
+    '/js/kanbanBoard.js',
+    '/js/trashBin.js',
+    '/js/goalTracker.js',
+    '/js/mediaTracker.js',
+    '/js/sleepTracker.js',
+    '/js/voiceNotes.js',
+    '/js/habitTracker.js',
+    '/js/pomodoroTimer.js',
+    '/js/focusMode.js',
+    '/js/notesManager.js',
+    '/js/journal.js',
+    '/js/transactionManager.js',
+    '/js/waterTracker.js',
+    '/js/moodManager.js',
+    '/js/charts.js',
+    '/js/gamification.js',
     '/js/aiAssistant.js',
+    '/js/backupSchema.js',
+    '/js/exportManager.js',
+    '/js/autoBackup.js',
+    '/js/widgetDashboard.js',
     '/js/keyboardShortcuts.js',
-    '/js/gamification.js',
-    '/js/offlineManager.js',
-    '/assets/icon-192.png',
-    '/assets/icon-512.png',
-    '/assets/offline-image.svg',
+    '/js/quickActions.js',
+    '/js/i18n.js',
+    '/js/teamManager.js',
     'https://cdnjs.cloudflare.com/ajax/libs/font-awesome/6.4.0/css/all.min.css',
     'https://fonts.googleapis.com/css2?family=Inter:wght@300;400;500;600;700;800&family=Space+Grotesk:wght@300;400;500;600;700&display=swap',
     'https://cdn.jsdelivr.net/npm/chart.js@4.4.0/dist/chart.umd.min.js',
+    'https://cdn.jsdelivr.net/npm/qrcode-generator@1.4.4/qrcode.min.js',
     'https://cdn.jsdelivr.net/npm/fullcalendar@6.1.10/index.global.min.js',
     'https://cdn.jsdelivr.net/npm/fullcalendar@6.1.10/index.global.min.css'
 ];
@@ -139,6 +186,12 @@ function getStrategy(request) {
         return 'cache-first';
     }
     
+    // App scripts and styles change between releases; fetch them fresh and use the cache offline
+    if ((request.destination === 'script' || request.destination === 'style') &&
+        url.origin === self.location.origin) {
+        return 'network-first';
+    }
+    
     // Static assets (CSS, JS, fonts)
     if (request.destination === 'style' || 
         request.destination === 'script' || 
@@ -219,9 +272,9 @@ async function networkFirst(request) {
             return cachedResponse;
         }
         
-        // Return offline page for navigation requests
+        // The app shell runs offline from the precache
         if (request.mode === 'navigate' || request.destination === 'document') {
-            return caches.match('/offline.html');
+            return caches.match('/index.html');
         }
         
         // Return offline image for image requests
@@ -322,43 +375,85 @@ self.addEventListener('sync', (event) => {
 });
 
 // Enhanced data sync
-async function syncData() {
+// Replays the offline queue in order. Network errors, 5xx, 408 and 429 are retried
+// with backoff; other client errors mark the operation failed so it stops blocking.
+let syncInProgress = null;
+
+function syncData(options = {}) {
+    if (!syncInProgress) {
+        syncInProgress = replayOfflineQueue(options).finally(() => {
+            syncInProgress = null;
+        });
+    }
+    return syncInProgress;
+}
+
+async function replayOfflineQueue({ force = false } = {}) {
     try {
         console.log('[SW] Starting data sync...');
         
         // Get pending operations from IndexedDB
         const db = await openIndexedDB();
         const pendingOperations = await getPendingOperations(db);
+        const results = { synced: 0, retrying: 0, failed: 0 };
         
         for (const operation of pendingOperations) {
+            const now = Date.now();
+            if (!force && operation.nextAttemptAt > now) {
+                results.retrying++;
+                continue;
+            }
+
+            let response = null;
             try {
-                const response = await fetch(operation.url, {
+                response = await fetch(operation.url, {
                     method: operation.method,
                     headers: {
                         'Content-Type': 'application/json',
+                        ...operation.headers
                     },
-                    body: JSON.stringify(operation.data)
+                    body: operation.data === undefined ? undefined : JSON.stringify(operation.data)
                 });
-                
-                if (response.ok) {
-                    await markOperationComplete(db, operation.id);
-                    console.log('[SW] Synced operation:', operation.id);
-                }
             } catch (error) {
                 console.log('[SW] Failed to sync operation:', operation.id, error);
             }
+            
+            if (response && response.ok) {
+                await markOperationComplete(db, operation.id);
+                results.synced++;
+                continue;
+            }
+
+            const attempts = (operation.attempts || 0) + 1;
+            const lastError = response ? `HTTP ${response.status}` : 'Network error';
+
+            if ((response && !isRetryableStatus(response.status)) || attempts >= SYNC_MAX_ATTEMPTS) {
+                await updateOperation(db, { ...operation, attempts, lastError, status: 'failed' });
+                results.failed++;
+            } else {
+                await updateOperation(db, { ...operation, attempts, lastError, nextAttemptAt: now + getRetryDelay(attempts) });
+                results.retrying++;
+            }
         }
         
-        console.log('[SW] Data sync completed');
+        console.log('[SW] Data sync completed', results);
         
         // Notify all clients about sync completion
         const clients = await self.clients.matchAll();
+        const status = await getQueueStatus(db);
         clients.forEach(client => {
             client.postMessage({
                 type: 'SYNC_COMPLETED',
-                timestamp: Date.now()
+                timestamp: Date.now(),
+                results,
+                status
             });
         });
+
+        // A rejected sync event is retried by the browser later
+        if (results.retrying > 0) {
+            throw new Error(`${results.retrying} operation(s) waiting to be retried`);
+        }
         
     } catch (error) {
         console.log('[SW] Sync failed:', error);
@@ -366,6 +461,16 @@ async function syncData() {
     }
 }
 
+function isRetryableStatus(status) {
+    return status >= 500 || status === 408 || status === 429;
+}
+
+// Exponential backoff with jitter, so clients don't retry in lockstep
+function getRetryDelay(attempts) {
+    const delay = Math.min(SYNC_RETRY_BASE_MS * Math.pow(2, attempts - 1), SYNC_RETRY_MAX_MS);
+    return Math.round(delay * (0.8 + Math.random() * 0.4));
+}
+
 // Enhanced push notification handling
 self.addEventListener('push', (event) => {
     const data = event.data ? event.data.json() : {};
@@ -564,6 +669,26 @@ self.addEventListener('message', (event) => {
                 );
             }
             break;
+            
+        case 'SYNC_NOW':
+            // Browsers without Background Sync, or a manual retry that skips the backoff
+            event.waitUntil(
+                syncData({ force: !!data.force }).catch(() => {})
+            );
+            break;
+            
+        case 'GET_SYNC_STATUS':
+            event.waitUntil(
+                openIndexedDB()
+                    .then(getQueueStatus)
+                    .then((status) => {
+                        event.source?.postMessage({
+                            type: 'SYNC_STATUS',
+                            status: status
+                        });
+                    })
+            );
+            break;
     }
 });
 
@@ -585,18 +710,44 @@ async function getCacheStatus() {
 }
 
 // Helper: Add operation to offline queue
+// A newer operation on the same URL replaces a pending one, so the queue holds
+// at most one write per record.
 async function addToOfflineQueue(operation) {
     const db = await openIndexedDB();
     const tx = db.transaction('offlineQueue', 'readwrite');
     const store = tx.objectStore('offlineQueue');
     
-    await store.add({
+    const pending = await requestToPromise(store.index('status').getAll('pending'));
+    pending
+        .filter(queued => queued.url === operation.url)
+        .forEach(queued => store.delete(queued.id));
+    
+    store.add({
         ...operation,
         timestamp: Date.now(),
-        status: 'pending'
+        status: 'pending',
+        attempts: 0,
+        nextAttemptAt: 0
     });
     
-    return tx.complete;
+    return transactionDone(tx);
+}
+
+// Helper: Promise for an IndexedDB request
+function requestToPromise(request) {
+    return new Promise((resolve, reject) => {
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+// Helper: Promise for a finished IndexedDB transaction
+function transactionDone(tx) {
+    return new Promise((resolve, reject) => {
+        tx.oncomplete = () => resolve();
+        tx.onerror = () => reject(tx.error);
+        tx.onabort = () => reject(tx.error);
+    });
 }
 
 // Helper: IndexedDB operations
@@ -633,29 +784,41 @@ async function openIndexedDB() {
     });
 }
 
-// Helper: Get pending operations
+// Helper: Get pending operations, oldest first
 async function getPendingOperations(db) {
-    return new Promise((resolve, reject) => {
-        const tx = db.transaction('pendingOperations', 'readonly');
-        const store = tx.objectStore('pendingOperations');
-        const index = store.index('synced');
-        const request = index.getAll(false);
-        
-        request.onsuccess = () => resolve(request.result);
-        request.onerror = () => reject(request.error);
-    });
+    const tx = db.transaction('offlineQueue', 'readonly');
+    const store = tx.objectStore('offlineQueue');
+    const operations = await requestToPromise(store.index('status').getAll('pending'));
+    return operations.sort((a, b) => a.id - b.id);
 }
 
 // Helper: Mark operation complete
 async function markOperationComplete(db, id) {
-    return new Promise((resolve, reject) => {
-        const tx = db.transaction('pendingOperations', 'readwrite');
-        const store = tx.objectStore('pendingOperations');
-        const request = store.delete(id);
-        
-        request.onsuccess = () => resolve();
-        request.onerror = () => reject(request.error);
-    });
+    const tx = db.transaction('offlineQueue', 'readwrite');
+    tx.objectStore('offlineQueue').delete(id);
+    return transactionDone(tx);
+}
+
+// Helper: Save retry state, unless the operation was replaced while it was in flight
+async function updateOperation(db, operation) {
+    const tx = db.transaction('offlineQueue', 'readwrite');
+    const store = tx.objectStore('offlineQueue');
+    
+    if (await requestToPromise(store.get(operation.id))) {
+        store.put(operation);
+    }
+    return transactionDone(tx);
+}
+
+// Helper: Count queued operations by status
+async function getQueueStatus(db) {
+    const tx = db.transaction('offlineQueue', 'readonly');
+    const index = tx.objectStore('offlineQueue').index('status');
+    const [pending, failed] = await Promise.all([
+        requestToPromise(index.count('pending')),
+        requestToPromise(index.count('failed'))
+    ]);
+    return { pending, failed };
 }
 
 // Helper: Log notification events